@@ -0,0 +1,41 @@
+-- AlterTable
+ALTER TABLE "streams" ADD COLUMN     "itinerary_id" TEXT;
+
+-- CreateTable
+CREATE TABLE "itineraries" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "name" TEXT,
+    "loop" BOOLEAN NOT NULL DEFAULT false,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "itineraries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "itinerary_legs" (
+    "id" TEXT NOT NULL,
+    "itinerary_id" TEXT NOT NULL,
+    "seq" INTEGER NOT NULL,
+    "route_id" TEXT NOT NULL,
+    "speed" DOUBLE PRECISION,
+    "dwell_seconds" INTEGER,
+    "gap_seconds" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "itinerary_legs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "itinerary_legs_itinerary_id_seq_idx" ON "itinerary_legs"("itinerary_id", "seq");
+
+-- AddForeignKey
+ALTER TABLE "itineraries" ADD CONSTRAINT "itineraries_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "itinerary_legs" ADD CONSTRAINT "itinerary_legs_itinerary_id_fkey" FOREIGN KEY ("itinerary_id") REFERENCES "itineraries"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "itinerary_legs" ADD CONSTRAINT "itinerary_legs_route_id_fkey" FOREIGN KEY ("route_id") REFERENCES "routes"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "streams" ADD CONSTRAINT "streams_itinerary_id_fkey" FOREIGN KEY ("itinerary_id") REFERENCES "itineraries"("id") ON DELETE SET NULL ON UPDATE CASCADE;
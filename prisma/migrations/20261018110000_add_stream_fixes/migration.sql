@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE "streams" ADD COLUMN     "recorded" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "stream_fixes" (
+    "stream_id" TEXT NOT NULL,
+    "seq" INTEGER NOT NULL,
+    "ts" TIMESTAMP(3) NOT NULL,
+    "lat" DOUBLE PRECISION NOT NULL,
+    "lng" DOUBLE PRECISION NOT NULL,
+    "speed" DOUBLE PRECISION NOT NULL,
+    "bearing" DOUBLE PRECISION,
+    "accuracy" DOUBLE PRECISION,
+    "state" TEXT NOT NULL,
+    "dwell_remaining_seconds" INTEGER,
+    "point_index" INTEGER,
+
+    CONSTRAINT "stream_fixes_pkey" PRIMARY KEY ("stream_id","seq")
+);
+
+-- AddForeignKey
+ALTER TABLE "stream_fixes" ADD CONSTRAINT "stream_fixes_stream_id_fkey" FOREIGN KEY ("stream_id") REFERENCES "streams"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "streams" ADD COLUMN     "stats" JSONB;
+
+-- CreateIndex
+CREATE INDEX "streams_started_at_idx" ON "streams"("started_at");
@@ -0,0 +1,39 @@
+-- CreateTable
+CREATE TABLE "stream_schedules" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "name" TEXT,
+    "device_id" TEXT NOT NULL,
+    "route_id" TEXT,
+    "itinerary_id" TEXT,
+    "options" JSONB,
+    "run_at" TIMESTAMP(3),
+    "cron" TEXT,
+    "timezone" TEXT NOT NULL DEFAULT 'UTC',
+    "offline_policy" TEXT NOT NULL DEFAULT 'retry',
+    "retry_window_seconds" INTEGER NOT NULL DEFAULT 600,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "next_run_at" TIMESTAMP(3),
+    "last_run_at" TIMESTAMP(3),
+    "last_status" TEXT,
+    "last_error" TEXT,
+    "last_stream_id" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "stream_schedules_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "stream_schedules_enabled_next_run_at_idx" ON "stream_schedules"("enabled", "next_run_at");
+
+-- AddForeignKey
+ALTER TABLE "stream_schedules" ADD CONSTRAINT "stream_schedules_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stream_schedules" ADD CONSTRAINT "stream_schedules_device_id_fkey" FOREIGN KEY ("device_id") REFERENCES "devices"("device_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stream_schedules" ADD CONSTRAINT "stream_schedules_route_id_fkey" FOREIGN KEY ("route_id") REFERENCES "routes"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stream_schedules" ADD CONSTRAINT "stream_schedules_itinerary_id_fkey" FOREIGN KEY ("itinerary_id") REFERENCES "itineraries"("id") ON DELETE CASCADE ON UPDATE CASCADE;
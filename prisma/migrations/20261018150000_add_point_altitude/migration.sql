@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "route_points" ADD COLUMN     "altitude" DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "stream_fixes" ADD COLUMN     "altitude" DOUBLE PRECISION,
+ADD COLUMN     "vertical_accuracy" DOUBLE PRECISION;
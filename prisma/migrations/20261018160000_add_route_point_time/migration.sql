@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "route_points" ADD COLUMN     "recorded_at" TIMESTAMP(3);
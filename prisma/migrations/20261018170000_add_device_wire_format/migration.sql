@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "devices" ADD COLUMN     "nmea_tcp_port" INTEGER,
+ADD COLUMN     "wire_format" TEXT NOT NULL DEFAULT 'json';
+
+-- CreateIndex
+CREATE UNIQUE INDEX "devices_nmea_tcp_port_key" ON "devices"("nmea_tcp_port");
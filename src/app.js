@@ -12,12 +12,16 @@ const logger = require('./lib/logger');
 const metrics = require('./lib/metrics');
 const { prisma } = require('./lib/prisma');
 const { getRedis, redis } = require('./lib/redis'); // Use both for compatibility
+const routingService = require('./services/routing.service');
 
 // Import routes
 const authRoutes = require('./routes/auth.routes');
 const deviceRoutes = require('./routes/device.routes');
 const routeRoutes = require('./routes/route.routes');
 const streamRoutes = require('./routes/stream.routes');
+const itineraryRoutes = require('./routes/itinerary.routes');
+const scheduleRoutes = require('./routes/schedule.routes');
+const deviceGroupRoutes = require('./routes/device.group.routes');
 const geocodeRoutes = require('./routes/geocode.routes');
 const userRoutes = require('./routes/user.routes');
 
@@ -99,6 +103,9 @@ app.get('/health', async (req, res) => {
       healthData.status = 'degraded';
     }
 
+    // Routing providers: order, configuration and cooldowns (informational, status unchanged)
+    healthData.routing = routingService.getProviderStatus();
+
     // Memory usage
     const memUsage = process.memoryUsage();
     healthData.memory = {
@@ -144,6 +151,9 @@ app.use('/api/auth', authRoutes);
 app.use('/api/devices', deviceRoutes);
 app.use('/api/routes', routeRoutes);
 app.use('/api/stream', streamRoutes);
+app.use('/api/itineraries', itineraryRoutes);
+app.use('/api/schedules', scheduleRoutes);
+app.use('/api/device-groups', deviceGroupRoutes);
 app.use('/api/geocode', geocodeRoutes);
 app.use('/api/users', userRoutes);
 
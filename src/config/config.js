@@ -6,6 +6,19 @@
 
 const isProd = (process.env.NODE_ENV || 'development') === 'production';
 
+/**
+ * Parse a JSON environment variable, falling back when unset or malformed
+ */
+function parseJsonEnv(name, fallback) {
+    if (!process.env[name]) return fallback;
+    try {
+        return JSON.parse(process.env[name]);
+    } catch (error) {
+        console.error(`⚠️  Ignoring ${name}: invalid JSON (${error.message})`);
+        return fallback;
+    }
+}
+
 // ── Production guards ────────────────────────────────────────────────────────
 if (isProd && !process.env.JWT_SECRET) {
     console.error('❌ FATAL: JWT_SECRET environment variable is required in production.');
@@ -52,11 +65,65 @@ module.exports = {
     STREAM_DISTANCE_ENGINE: process.env.STREAM_DISTANCE_ENGINE === 'true',
     STREAM_TICK_CLAMP_MIN_MS: Math.max(50, parseInt(process.env.STREAM_TICK_CLAMP_MIN_MS) || 200),
     STREAM_TICK_CLAMP_MAX_MS: Math.max(500, parseInt(process.env.STREAM_TICK_CLAMP_MAX_MS) || 2000),
+    STREAM_MAX_TIME_SCALE: Math.max(1, parseFloat(process.env.STREAM_MAX_TIME_SCALE) || 100), // upper bound for { timeScale }
+    SIMULATION_MAX_TICKS: Math.max(100, parseInt(process.env.SIMULATION_MAX_TICKS) || 50000),    // POST /api/routes/:routeId/simulate
+
+    // Speed profiles (distance engine): slow down for point speed limits and curves.
+    // Default for new streams; overridable per stream with { speedProfile: true|false }
+    STREAM_SPEED_PROFILE: process.env.STREAM_SPEED_PROFILE === 'true',
+    STREAM_LATERAL_ACCEL: Math.max(0.5, parseFloat(process.env.STREAM_LATERAL_ACCEL) || 2),         // m/s² allowed in curves
+    STREAM_MIN_CURVE_SPEED: Math.max(1, parseFloat(process.env.STREAM_MIN_CURVE_SPEED) || 10),     // km/h floor in sharp turns
+    // pacing: 'recorded' — track segments slower than this count as standing still; shorter stops are driven through
+    STREAM_PACING_STOP_SPEED_KMH: parseFloat(process.env.STREAM_PACING_STOP_SPEED_KMH) || 2,
+    STREAM_PACING_MIN_STOP_SECONDS: parseFloat(process.env.STREAM_PACING_MIN_STOP_SECONDS) || 5,
+    // ...and faster ones (GPS outliers) are driven at this speed
+    STREAM_PACING_MAX_SPEED_KMH: parseFloat(process.env.STREAM_PACING_MAX_SPEED_KMH) || 200,
+
+    // GPS noise: default jitter model for new streams ('gaussian', 'randomWalk'; unset = exact fixes).
+    // Overridable per stream with { noise: { model, accuracyVariation, urbanCanyons, signalLoss } | false }
+    STREAM_NOISE_MODEL: process.env.STREAM_NOISE_MODEL || null,
+    // JSON array of { name, polygon: [[lat, lng], ...], accuracyFactor, driftMeters }
+    GPS_URBAN_CANYONS: parseJsonEnv('GPS_URBAN_CANYONS', []),
+
+    // Stream recording: store every emitted fix in stream_fixes (default for new streams,
+    // overridable per stream with { record: true|false }). Fixes are written in batches.
+    STREAM_RECORD: process.env.STREAM_RECORD === 'true',
+    STREAM_RECORD_BATCH_SIZE: Math.max(1, parseInt(process.env.STREAM_RECORD_BATCH_SIZE) || 25),
+
+    // Scheduled stream starts (/api/schedules). One node runs due schedules (leader lock in cluster mode)
+    SCHEDULER_ENABLED: process.env.SCHEDULER_ENABLED !== 'false',
+    SCHEDULER_TICK_MS: Math.max(1000, parseInt(process.env.SCHEDULER_TICK_MS) || 15000),
+    SCHEDULER_RETRY_WINDOW_SECONDS: Math.max(0, parseInt(process.env.SCHEDULER_RETRY_WINDOW_SECONDS) || 600), // default wait for an offline device
+
+    // Batch stream control (/api/stream/batch/*, device groups)
+    STREAM_BATCH_MAX_DEVICES: Math.max(1, parseInt(process.env.STREAM_BATCH_MAX_DEVICES) || 200),
+    STREAM_BATCH_CONCURRENCY: Math.max(1, parseInt(process.env.STREAM_BATCH_CONCURRENCY) || 10), // starts in flight at once
+
+    // NMEA wire format: raw TCP listeners per device (PUT /api/devices/:deviceId/wire-format { tcpPort })
+    NMEA_TCP_ENABLED: process.env.NMEA_TCP_ENABLED === 'true',
+    NMEA_TCP_HOST: process.env.NMEA_TCP_HOST || '127.0.0.1',
+    NMEA_TCP_PORT_MIN: parseInt(process.env.NMEA_TCP_PORT_MIN) || 10110,
+    NMEA_TCP_PORT_MAX: parseInt(process.env.NMEA_TCP_PORT_MAX) || 10199,
+
+    // Stream recovery: rehydrate active streams from Redis on boot instead of wiping them
+    STREAM_RECOVERY_ENABLED: process.env.STREAM_RECOVERY_ENABLED !== 'false',
+    // Ticks write only the engine position to Redis; the full snapshot (config, stats) every N ticks
+    STREAM_SNAPSHOT_EVERY_TICKS: Math.max(1, parseInt(process.env.STREAM_SNAPSHOT_EVERY_TICKS) || 30),
+    // Running streams write their stats to Postgres every N seconds (history totals)
+    STREAM_STATS_FLUSH_SECONDS: Math.max(1, parseInt(process.env.STREAM_STATS_FLUSH_SECONDS) || 60),
+
+    // Cluster: several API instances behind a load balancer sharing Redis.
+    // Stream commands are forwarded to the node holding the device socket.
+    CLUSTER_ENABLED: process.env.CLUSTER_ENABLED === 'true',
+    SERVER_ID: process.env.SERVER_ID || process.env.HOSTNAME || 'local',
+    CLUSTER_RPC_TIMEOUT_MS: parseInt(process.env.CLUSTER_RPC_TIMEOUT_MS) || 5000,
+    CLUSTER_NODE_TTL: parseInt(process.env.CLUSTER_NODE_TTL) || 30, // seconds
 
     // Stream defaults
     STREAM_DEFAULTS: {
         speed: parseFloat(process.env.STREAM_DEFAULT_SPEED) || 30,     // km/h
         accuracy: parseFloat(process.env.STREAM_DEFAULT_ACCURACY) || 5, // meters
+        verticalAccuracy: parseFloat(process.env.STREAM_DEFAULT_VERTICAL_ACCURACY) || 8, // meters, sent with altitude
         intervalMs: parseInt(process.env.STREAM_TICK_MS) || 1000, // Default 1000ms — stable for 13+ devices through Cloudflare (override via STREAM_TICK_MS=500 if desired)
         loop: process.env.STREAM_DEFAULT_LOOP === 'true' || false
     },
@@ -66,6 +133,33 @@ module.exports = {
     ORS_API_URL: process.env.ORS_API_URL || 'https://api.openrouteservice.org',
     ORS_GEOCODING_CACHE_TTL: parseInt(process.env.ORS_GEOCODING_CACHE_TTL) || 86400, // 24 hours
     ORS_DEFAULT_POINT_SPACING: parseInt(process.env.ORS_DEFAULT_POINT_SPACING) || 15, // meters
+    ORS_EXTRA_INFO: process.env.ORS_EXTRA_INFO === 'true', // request waytype extras and store per-point speed limits
+
+    // Routing providers (routing.service): tried in this order, the next one when a provider is down or rate limited
+    ROUTING_PROVIDERS: (process.env.ROUTING_PROVIDERS || 'ors').split(',').map(p => p.trim().toLowerCase()).filter(Boolean),
+    ROUTING_PROVIDER_COOLDOWN_SECONDS: parseInt(process.env.ROUTING_PROVIDER_COOLDOWN_SECONDS) || 60, // skip a failed provider this long (or its Retry-After)
+    ROUTING_TIMEOUT_MS: parseInt(process.env.ROUTING_TIMEOUT_MS) || 15000, // OSRM / Valhalla / GraphHopper requests
+    OSRM_API_URL: process.env.OSRM_API_URL || '', // directions only
+    VALHALLA_API_URL: process.env.VALHALLA_API_URL || '', // directions only
+    GRAPHHOPPER_API_URL: process.env.GRAPHHOPPER_API_URL || '', // geocoding and directions (e.g. https://graphhopper.com/api/1)
+    GRAPHHOPPER_API_KEY: process.env.GRAPHHOPPER_API_KEY || '',
+
+    // Elevation lookup (local DEM speaking the Open-Elevation API) for ORS routes; empty = disabled
+    ELEVATION_LOOKUP_URL: process.env.ELEVATION_LOOKUP_URL || '',
+    ELEVATION_LOOKUP_BATCH_SIZE: parseInt(process.env.ELEVATION_LOOKUP_BATCH_SIZE) || 200, // locations per request
+    ELEVATION_LOOKUP_TIMEOUT_MS: parseInt(process.env.ELEVATION_LOOKUP_TIMEOUT_MS) || 10000,
+
+    // Map matching for uploads with { snapToRoads: true }: osrm | valhalla | ors ('' = disabled)
+    MAP_MATCH_PROVIDER: process.env.MAP_MATCH_PROVIDER || '',
+    MAP_MATCH_URL: process.env.MAP_MATCH_URL || '', // backend base URL (ors: defaults to ORS_API_URL)
+    MAP_MATCH_PROFILE: process.env.MAP_MATCH_PROFILE || '', // default: driving (osrm), auto (valhalla), driving-car (ors)
+    MAP_MATCH_RADIUS_METERS: Math.max(1, parseFloat(process.env.MAP_MATCH_RADIUS_METERS) || 25), // GPS error searched around each point
+    MAP_MATCH_BATCH_SIZE: Math.max(2, parseInt(process.env.MAP_MATCH_BATCH_SIZE) || 100), // points per backend request
+    MAP_MATCH_MIN_CONFIDENCE: Math.min(1, Math.max(0, parseFloat(process.env.MAP_MATCH_MIN_CONFIDENCE) || 0.3)), // weaker matches keep the recorded points
+    MAP_MATCH_TIMEOUT_MS: parseInt(process.env.MAP_MATCH_TIMEOUT_MS) || 15000,
+
+    // GPX / KML import: waypoints (<wpt>, Placemark points) within this distance of the imported track become stops
+    IMPORT_WAYPOINT_SNAP_METERS: Math.max(1, parseFloat(process.env.IMPORT_WAYPOINT_SNAP_METERS) || 50),
 
     // Rate Limiting — address-based route creation (authenticated users)
     RATE_LIMIT_ADDRESSES: parseInt(process.env.RATE_LIMIT_ADDRESSES) || 20, // requests per minute
@@ -6,6 +6,7 @@
 const deviceService = require('../services/device.service');
 const auditService = require('../services/audit.service');
 const routeService = require('../services/route.service');
+const deviceWireService = require('../services/device.wire.service');
 
 /**
  * POST /api/devices/register
@@ -303,6 +304,56 @@ async function assignRoute(req, res) {
     }
 }
 
+/**
+ * PUT /api/devices/:deviceId/wire-format
+ * Choose how fixes are sent: JSON frames or NMEA sentences, plus an optional raw TCP listener
+ * Body: { wireFormat: 'json' | 'nmea', tcpPort?: number | null }
+ */
+async function setWireFormat(req, res) {
+    try {
+        const { deviceId } = req.params;
+        const settings = deviceWireService.normalizeWireSettings(req.body);
+
+        const deviceExists = await deviceService.deviceExists(deviceId);
+        if (!deviceExists) {
+            return res.status(404).json({
+                success: false,
+                error: 'Device not found'
+            });
+        }
+
+        const result = await deviceWireService.updateWireSettings(deviceId, settings);
+
+        await auditService.log(auditService.ACTIONS.DEVICE_UPDATE, {
+            userId: req.user.userId,
+            deviceId,
+            meta: { action: 'SET_WIRE_FORMAT', wireFormat: result.wireFormat, tcpPort: result.tcpPort }
+        });
+
+        res.json({
+            success: true,
+            data: result.device,
+            wire: {
+                wireFormat: result.wireFormat,
+                tcpPort: result.tcpPort,
+                tcpListening: result.tcpListening
+            }
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_WIRE_FORMAT') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        if (error.code === 'PORT_IN_USE') {
+            return res.status(409).json({ success: false, error: error.message });
+        }
+        console.error('Set wire format error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to set wire format'
+        });
+    }
+}
+
 // ── Enrollment Endpoints (Redis) ─────────────────────────────────────
 
 /**
@@ -387,6 +438,7 @@ module.exports = {
     getDevice,
     deleteDevice,
     assignRoute,
+    setWireFormat,
     enroll,
     activate,
     cleanup
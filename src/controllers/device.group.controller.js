@@ -0,0 +1,186 @@
+/**
+ * Device Group Controller
+ * CRUD for named device sets used by the batch stream endpoints
+ */
+
+const deviceGroupService = require('../services/device.group.service');
+const auditService = require('../services/audit.service');
+
+/**
+ * Map service validation errors to HTTP status codes
+ */
+function errorStatus(error) {
+    if (error.code === 'INVALID_GROUP') return 400;
+    if (error.code === 'NOT_FOUND') return 404;
+    return 500;
+}
+
+function isAdmin(req) {
+    return req.user.role === 'admin' || req.user.role === 'ADMIN';
+}
+
+/**
+ * Load a group the requesting user may manage (admins: any, users: their own)
+ * Sends the 404 response itself and returns null otherwise.
+ */
+async function loadOwnGroup(req, res) {
+    const group = await deviceGroupService.getGroup(req.params.groupId);
+    if (!group || (!isAdmin(req) && group.userId !== req.user.userId)) {
+        res.status(404).json({
+            success: false,
+            error: 'Device group not found'
+        });
+        return null;
+    }
+    return group;
+}
+
+/**
+ * POST /api/device-groups
+ * Body: { name, deviceIds: [] }
+ */
+async function createGroup(req, res) {
+    try {
+        const userId = req.user?.userId;
+
+        if (!userId) {
+            return res.status(401).json({
+                success: false,
+                error: 'User not authenticated'
+            });
+        }
+
+        const { name, deviceIds } = req.body;
+        const group = await deviceGroupService.createGroup({ name, deviceIds }, userId, isAdmin(req));
+
+        await auditService.log(auditService.ACTIONS.GROUP_CREATE, {
+            userId,
+            meta: { groupId: group.groupId, name: group.name, deviceIds: group.deviceIds }
+        });
+
+        return res.status(201).json({
+            success: true,
+            message: 'Device group created',
+            data: group
+        });
+    } catch (error) {
+        const status = errorStatus(error);
+        if (status === 500) console.error('Create device group error:', error);
+        return res.status(status).json({
+            success: false,
+            error: status === 500 ? 'Failed to create device group' : error.message
+        });
+    }
+}
+
+/**
+ * GET /api/device-groups
+ * Admins see every group, users their own
+ */
+async function getAllGroups(req, res) {
+    try {
+        const groups = await deviceGroupService.getAllGroups(isAdmin(req) ? null : req.user.userId);
+
+        return res.status(200).json({
+            success: true,
+            data: groups,
+            count: groups.length
+        });
+    } catch (error) {
+        console.error('Get device groups error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to get device groups'
+        });
+    }
+}
+
+/**
+ * GET /api/device-groups/:groupId
+ */
+async function getGroup(req, res) {
+    try {
+        const group = await loadOwnGroup(req, res);
+        if (!group) return;
+
+        return res.status(200).json({
+            success: true,
+            data: group
+        });
+    } catch (error) {
+        console.error('Get device group error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to get device group'
+        });
+    }
+}
+
+/**
+ * PUT /api/device-groups/:groupId
+ * Body: { name?, deviceIds? } (deviceIds replaces the member list)
+ */
+async function updateGroup(req, res) {
+    try {
+        const existing = await loadOwnGroup(req, res);
+        if (!existing) return;
+
+        const { name, deviceIds } = req.body;
+        const group = await deviceGroupService.updateGroup(existing.groupId, { name, deviceIds }, existing.userId, isAdmin(req));
+
+        await auditService.log(auditService.ACTIONS.GROUP_UPDATE, {
+            userId: req.user.userId,
+            meta: { groupId: group.groupId, name: group.name, deviceIds: group.deviceIds }
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Device group updated',
+            data: group
+        });
+    } catch (error) {
+        const status = errorStatus(error);
+        if (status === 500) console.error('Update device group error:', error);
+        return res.status(status).json({
+            success: false,
+            error: status === 500 ? 'Failed to update device group' : error.message
+        });
+    }
+}
+
+/**
+ * DELETE /api/device-groups/:groupId
+ * Running streams of the members are not touched
+ */
+async function deleteGroup(req, res) {
+    try {
+        const existing = await loadOwnGroup(req, res);
+        if (!existing) return;
+
+        await deviceGroupService.deleteGroup(existing.groupId);
+
+        await auditService.log(auditService.ACTIONS.GROUP_DELETE, {
+            userId: req.user.userId,
+            meta: { groupId: existing.groupId, name: existing.name }
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Device group deleted'
+        });
+    } catch (error) {
+        console.error('Delete device group error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to delete device group'
+        });
+    }
+}
+
+module.exports = {
+    createGroup,
+    getAllGroups,
+    getGroup,
+    updateGroup,
+    deleteGroup
+};
@@ -1,17 +1,44 @@
 /**
  * Geocode Controller
- * Handles address autocomplete using OpenRouteService
+ * Handles address autocomplete and reverse geocoding through the routing providers
  */
 
-const orsService = require('../services/ors.service');
+const routingService = require('../services/routing.service');
+
+/**
+ * Error response for a failed provider call
+ */
+function geocodeErrorResponse(res, error, fallbackMessage) {
+    if (error.code === 'INVALID_ROUTING_PROVIDER') {
+        return res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (error.code === 'ROUTING_UNAVAILABLE') {
+        // No provider configured at all vs. all of them down
+        const configured = (error.attempts || []).some(a => a.error !== 'not configured');
+        return res.status(configured ? 502 : 500).json({
+            success: false,
+            message: configured ? 'Geocoding service temporarily unavailable' : 'Geocoding service not configured'
+        });
+    }
+
+    return res.status(500).json({
+        success: false,
+        message: error.message || fallbackMessage
+    });
+}
 
 /**
  * GET /api/geocode/autocomplete
  * Get address suggestions based on query
+ * Query: q, limit, country, provider (tried first, then ROUTING_PROVIDERS)
  */
 async function autocomplete(req, res) {
     try {
-        const { q, limit, country } = req.query;
+        const { q, limit, country, provider } = req.query;
 
         // Validate query parameter
         if (!q) {
@@ -33,8 +60,7 @@ async function autocomplete(req, res) {
 
         console.log(`[GeocodeController] Autocomplete request: "${q}" (limit: ${suggestionLimit}${country ? ', country: ' + country : ''})`);
 
-        // Call ORS autocomplete service
-        const suggestions = await orsService.autocompleteAddress(q, suggestionLimit, country || null);
+        const suggestions = await routingService.autocompleteAddress(q, suggestionLimit, country || null, { provider });
 
         return res.status(200).json({
             success: true,
@@ -45,29 +71,51 @@ async function autocomplete(req, res) {
 
     } catch (error) {
         console.error('[GeocodeController] Autocomplete error:', error);
+        return geocodeErrorResponse(res, error, 'Failed to get address suggestions');
+    }
+}
 
-        // Handle specific errors
-        if (error.message.includes('ORS_API_KEY')) {
-            return res.status(500).json({
+/**
+ * GET /api/geocode/reverse
+ * Nearest address to a coordinate
+ * Query: lat, lng, provider
+ */
+async function reverse(req, res) {
+    try {
+        const { provider } = req.query;
+        const lat = parseFloat(req.query.lat);
+        const lng = parseFloat(req.query.lng);
+
+        if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+            return res.status(400).json({
                 success: false,
-                message: 'Geocoding service not configured'
+                message: 'Query parameters "lat" and "lng" must be valid coordinates'
             });
         }
 
-        if (error.message.includes('unavailable')) {
-            return res.status(502).json({
+        console.log(`[GeocodeController] Reverse request: ${lat},${lng}`);
+
+        const result = await routingService.reverseGeocode(lat, lng, { provider });
+
+        if (!result) {
+            return res.status(404).json({
                 success: false,
-                message: 'Geocoding service temporarily unavailable'
+                message: 'No address found near these coordinates'
             });
         }
 
-        return res.status(500).json({
-            success: false,
-            message: error.message || 'Failed to get address suggestions'
+        return res.status(200).json({
+            success: true,
+            data: result
         });
+
+    } catch (error) {
+        console.error('[GeocodeController] Reverse geocoding error:', error);
+        return geocodeErrorResponse(res, error, 'Failed to reverse geocode');
     }
 }
 
 module.exports = {
-    autocomplete
+    autocomplete,
+    reverse
 };
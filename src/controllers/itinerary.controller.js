@@ -0,0 +1,184 @@
+/**
+ * Itinerary Controller
+ * CRUD for multi-leg itineraries (ordered routes played on one stream)
+ */
+
+const itineraryService = require('../services/itinerary.service');
+const auditService = require('../services/audit.service');
+
+/**
+ * Map service validation errors to HTTP status codes
+ */
+function errorStatus(error) {
+    if (error.code === 'INVALID_ITINERARY') return 400;
+    if (error.code === 'ROUTE_NOT_FOUND') return 404;
+    return 500;
+}
+
+/**
+ * POST /api/itineraries
+ * Body: { name, loop, legs: [{ routeId, speed?, dwellSeconds?, gapSeconds? }] }
+ */
+async function createItinerary(req, res) {
+    try {
+        const userId = req.user?.userId;
+        const { name, loop, legs } = req.body;
+
+        if (!userId) {
+            return res.status(401).json({
+                success: false,
+                error: 'User not authenticated'
+            });
+        }
+
+        const itinerary = await itineraryService.createItinerary({ name, loop, legs }, userId);
+
+        await auditService.log(auditService.ACTIONS.ITINERARY_CREATE, {
+            userId,
+            meta: { itineraryId: itinerary.itineraryId, totalLegs: itinerary.totalLegs }
+        });
+
+        return res.status(201).json({
+            success: true,
+            message: 'Itinerary created',
+            data: itinerary
+        });
+    } catch (error) {
+        const status = errorStatus(error);
+        if (status === 500) console.error('Create itinerary error:', error);
+        return res.status(status).json({
+            success: false,
+            error: status === 500 ? 'Failed to create itinerary' : error.message
+        });
+    }
+}
+
+/**
+ * GET /api/itineraries
+ */
+async function getAllItineraries(req, res) {
+    try {
+        const itineraries = await itineraryService.getAllItineraries();
+
+        return res.status(200).json({
+            success: true,
+            data: itineraries,
+            count: itineraries.length
+        });
+    } catch (error) {
+        console.error('Get itineraries error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to get itineraries'
+        });
+    }
+}
+
+/**
+ * GET /api/itineraries/:itineraryId
+ */
+async function getItinerary(req, res) {
+    try {
+        const itinerary = await itineraryService.getItinerary(req.params.itineraryId);
+
+        if (!itinerary) {
+            return res.status(404).json({
+                success: false,
+                error: 'Itinerary not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: itinerary
+        });
+    } catch (error) {
+        console.error('Get itinerary error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to get itinerary'
+        });
+    }
+}
+
+/**
+ * PUT /api/itineraries/:itineraryId
+ * Replaces name/loop and, when provided, the full list of legs
+ */
+async function updateItinerary(req, res) {
+    try {
+        const { itineraryId } = req.params;
+        const userId = req.user?.userId;
+        const { name, loop, legs } = req.body;
+
+        const itinerary = await itineraryService.updateItinerary(itineraryId, { name, loop, legs });
+
+        if (!itinerary) {
+            return res.status(404).json({
+                success: false,
+                error: 'Itinerary not found'
+            });
+        }
+
+        await auditService.log(auditService.ACTIONS.ITINERARY_UPDATE, {
+            userId,
+            meta: { itineraryId, totalLegs: itinerary.totalLegs }
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Itinerary updated',
+            data: itinerary
+        });
+    } catch (error) {
+        const status = errorStatus(error);
+        if (status === 500) console.error('Update itinerary error:', error);
+        return res.status(status).json({
+            success: false,
+            error: status === 500 ? 'Failed to update itinerary' : error.message
+        });
+    }
+}
+
+/**
+ * DELETE /api/itineraries/:itineraryId
+ */
+async function deleteItinerary(req, res) {
+    try {
+        const { itineraryId } = req.params;
+        const userId = req.user?.userId;
+
+        const deleted = await itineraryService.deleteItinerary(itineraryId);
+
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                error: 'Itinerary not found'
+            });
+        }
+
+        await auditService.log(auditService.ACTIONS.ITINERARY_DELETE, {
+            userId,
+            meta: { itineraryId }
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Itinerary deleted'
+        });
+    } catch (error) {
+        console.error('Delete itinerary error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to delete itinerary'
+        });
+    }
+}
+
+module.exports = {
+    createItinerary,
+    getAllItineraries,
+    getItinerary,
+    updateItinerary,
+    deleteItinerary
+};
@@ -5,11 +5,24 @@
 
 const routeService = require('../services/route.service');
 const auditService = require('../services/audit.service');
-const orsService = require('../services/ors.service');
-const { parseGPX, validateCoordinates } = require('../utils/gpx.parser');
+const routingService = require('../services/routing.service');
+const elevationService = require('../services/elevation.service');
+const mapMatchService = require('../services/map.match.service');
+const { validateCoordinates } = require('../utils/gpx.parser');
+const { parseGPXDocument, selectGPXPoints } = require('../utils/gpx.importer');
+const { parseKMLDocument, selectKMLLine } = require('../utils/kml.importer');
+const { extractKml } = require('../utils/kmz.util');
+const { parseRouteGeoJSON, selectGeoJSONLine, routeToGeoJSON } = require('../utils/geojson.util');
+const { parseCSVTrack } = require('../utils/csv.importer');
+const { parseNMEATrack } = require('../utils/nmea.parser');
+const { mapWaypointsToStops } = require('../utils/waypoint.snap.util');
 const geospatialUtil = require('../utils/geospatial.util');
-const { resamplePoints, calculateBearing } = geospatialUtil;
+const { resamplePoints, calculateBearing, encodePolyline, decodePolyline } = geospatialUtil;
 const routeSafetyService = require('../services/route.safety.service');
+const simulationService = require('../services/simulation.service');
+const { buildGPX } = require('../utils/gpx.writer');
+const { buildKML } = require('../utils/kml.writer');
+const { applySpeedRanges } = require('../utils/speed.profile.util');
 const config = require('../config/config');
 
 function applySafetyGate(points) {
@@ -22,13 +35,88 @@ function applySafetyGate(points) {
     return safePoints;
 }
 
+/**
+ * Map-match uploaded points onto roads when the request asks for it ({ snapToRoads: true })
+ * @returns {Promise<Object>} { points, report, warnings } report null when not requested
+ * @throws {Error} code MAP_MATCH_DISABLED / MAP_MATCH_FAILED
+ */
+async function snapPointsToRoads(points, snapToRoads) {
+    if (snapToRoads !== true && snapToRoads !== 'true') {
+        return { points, report: null, warnings: [] };
+    }
+    const matched = await mapMatchService.snapToRoads(routeSafetyService.sanitizePoints(points));
+    return {
+        points: matched.points,
+        report: {
+            provider: matched.provider,
+            matchedShare: matched.matchedShare,
+            segments: matched.segments
+        },
+        warnings: matched.warnings
+    };
+}
+
+/**
+ * Response for a failed map matching step, null for other errors
+ */
+function mapMatchErrorStatus(error) {
+    if (error.code === 'MAP_MATCH_DISABLED') return 400;
+    if (error.code === 'MAP_MATCH_FAILED') return 502;
+    return null;
+}
+
+/**
+ * Response status for a failed routing provider call: an unknown provider or profile is a
+ * bad request, no provider left to answer is a gateway error; null for other errors
+ */
+function routingErrorStatus(error) {
+    if (error.code === 'INVALID_ROUTING_PROVIDER' || error.code === 'INVALID_ROUTING_PROFILE') return 400;
+    if (error.code === 'ROUTING_UNAVAILABLE') return 502;
+    return null;
+}
+
+const POLYLINE_PRECISIONS = [5, 6];
+
+/**
+ * Encoded polyline precision from a request value (default 5), null when unsupported
+ */
+function parsePolylinePrecision(value) {
+    if (value === undefined || value === null || value === '') return 5;
+    const precision = Number(value);
+    return POLYLINE_PRECISIONS.includes(precision) ? precision : null;
+}
+
+/**
+ * Store an imported route; with stop waypoints when the file's waypoints matched the track
+ */
+function createImportedRoute(routeData, waypoints, userId) {
+    return waypoints.length > 0
+        ? routeService.createRouteWithWaypoints({ ...routeData, waypoints }, userId)
+        : routeService.createRoute(routeData, userId);
+}
+
+/**
+ * Store a logged track (CSV / NMEA): duplicate and jitter points merged, spike clusters
+ * rejected, missing speeds and bearings derived from the track, then the safety gate
+ */
+async function createTrackRoute({ name, points, sourceType }, userId) {
+    const cleaned = routeSafetyService.sanitizePoints(points);
+    if (cleaned.length < 2) {
+        throw new Error('INVALID_ROUTE_GEOMETRY: fewer than 2 distinct points');
+    }
+    routeSafetyService.detectSpikes(cleaned);
+    geospatialUtil.fillSpeedAndBearing(cleaned);
+
+    return routeService.createRoute({ name, points: applySafetyGate(cleaned), sourceType }, userId);
+}
+
 /**
  * POST /api/routes/from-points
  * Create route from array of points
  */
 async function createFromPoints(req, res) {
     try {
-        const { name, points } = req.body;
+        const { name, points, snapToRoads } = req.body;
         const userId = req.user?.userId;
 
         // Validate user is authenticated
@@ -53,22 +141,28 @@ async function createFromPoints(req, res) {
             });
         }
 
-        points = applySafetyGate(points);
+        const snapped = await snapPointsToRoads(points, snapToRoads);
+        const safePoints = applySafetyGate(snapped.points);
 
-        const route = await routeService.createRoute({ name, points }, userId);
+        const route = await routeService.createRoute({ name, points: safePoints }, userId);
 
         // Audit log
         await auditService.log(auditService.ACTIONS.ROUTE_CREATE, {
             userId,
-            meta: { routeId: route.routeId, name: route.name, pointCount: points.length }
+            meta: { routeId: route.routeId, name: route.name, pointCount: safePoints.length }
         });
 
         return res.status(201).json({
             success: true,
             message: 'Route created',
-            data: route
+            data: route,
+            ...(snapped.report ? { mapMatching: snapped.report, warnings: snapped.warnings } : {})
         });
     } catch (error) {
+        const status = mapMatchErrorStatus(error);
+        if (status) {
+            return res.status(status).json({ success: false, error: error.message });
+        }
         console.error('Create route error:', error);
         return res.status(500).json({
             success: false,
@@ -83,7 +177,7 @@ async function createFromPoints(req, res) {
  */
 async function createFromGPX(req, res) {
     try {
-        const { name, gpxContent } = req.body;
+        const { name, gpxContent, track, segment, route: routeIndex, waypointDwellSeconds, snapToRoads } = req.body;
         const userId = req.user?.userId;
 
         // Validate user is authenticated
@@ -101,38 +195,498 @@ async function createFromGPX(req, res) {
             });
         }
 
-        const points = parseGPX(gpxContent);
+        const dwellSeconds = waypointDwellSeconds === undefined ? 0 : Number(waypointDwellSeconds);
+        if (!Number.isFinite(dwellSeconds) || dwellSeconds < 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'waypointDwellSeconds must be a number >= 0'
+            });
+        }
 
-        if (points.length < 2) {
+        const doc = parseGPXDocument(gpxContent);
+        const selected = selectGPXPoints(doc, { track, segment, route: routeIndex });
+        const warnings = [...doc.warnings, ...selected.warnings];
+
+        if (selected.points.length < 2) {
+            return res.status(400).json({
+                success: false,
+                error: 'GPX must contain at least 2 points',
+                warnings
+            });
+        }
+
+        const snapped = await snapPointsToRoads(selected.points, snapToRoads);
+        warnings.push(...snapped.warnings);
+        const safePoints = applySafetyGate(snapped.points);
+
+        // <wpt> become stops, unless they are the route itself
+        const stops = selected.source.type === 'waypoints'
+            ? { waypoints: [], warnings: [] }
+            : mapWaypointsToStops(safePoints, doc.waypoints, {
+                maxDistanceMeters: config.IMPORT_WAYPOINT_SNAP_METERS,
+                dwellSeconds
+            });
+        warnings.push(...stops.warnings);
+
+        const routeData = {
+            name: name || selected.name || doc.name,
+            points: safePoints,
+            sourceType: 'gpx'
+        };
+        const route = await createImportedRoute(routeData, stops.waypoints, userId);
+
+        // Audit log
+        await auditService.log(auditService.ACTIONS.ROUTE_CREATE, {
+            userId,
+            meta: { routeId: route.routeId, name: route.name, pointCount: selected.points.length, source: 'gpx' }
+        });
+
+        return res.status(201).json({
+            success: true,
+            message: 'Route created from GPX',
+            data: route,
+            import: {
+                version: doc.version,
+                source: selected.source,
+                tracks: doc.tracks.map(t => ({
+                    index: t.index,
+                    name: t.name,
+                    segments: t.segments.map(s => ({ index: s.index, pointCount: s.points.length }))
+                })),
+                routes: doc.routes.map(r => ({ index: r.index, name: r.name, pointCount: r.points.length })),
+                waypointCount: doc.waypoints.length,
+                stopCount: Math.max(0, stops.waypoints.length - 2),
+                ...(snapped.report ? { mapMatching: snapped.report } : {}),
+                warningCount: doc.warningCount + selected.warnings.length + snapped.warnings.length + stops.warnings.length
+            },
+            warnings
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_XML' || error.code === 'INVALID_GPX') {
+            return res.status(400).json({
+                success: false,
+                error: error.message,
+                line: error.line ?? null
+            });
+        }
+        const status = mapMatchErrorStatus(error);
+        if (status) {
+            return res.status(status).json({ success: false, error: error.message });
+        }
+        console.error('Create route from GPX error:', error);
+        return res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to parse GPX'
+        });
+    }
+}
+
+/**
+ * POST /api/routes/from-kml
+ * Create route from KML (kmlContent) or KMZ (kmzBase64): a LineString / gx:Track becomes the route,
+ * Point placemarks near it become stops with the dwell of their ExtendedData field
+ */
+async function createFromKML(req, res) {
+    try {
+        const { name, kmlContent, kmzBase64, line, dwellField, waypointDwellSeconds } = req.body;
+        const userId = req.user?.userId;
+
+        // Validate user is authenticated
+        if (!userId) {
+            return res.status(401).json({
+                success: false,
+                error: 'User not authenticated'
+            });
+        }
+
+        if (!kmlContent && !kmzBase64) {
+            return res.status(400).json({
+                success: false,
+                error: 'kmlContent or kmzBase64 is required'
+            });
+        }
+
+        const dwellSeconds = waypointDwellSeconds === undefined ? 0 : Number(waypointDwellSeconds);
+        if (!Number.isFinite(dwellSeconds) || dwellSeconds < 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'waypointDwellSeconds must be a number >= 0'
+            });
+        }
+
+        const kml = kmlContent || extractKml(Buffer.from(String(kmzBase64), 'base64'));
+        const doc = parseKMLDocument(kml, { dwellField });
+        const selected = selectKMLLine(doc, line);
+        const warnings = [...doc.warnings, ...selected.warnings];
+
+        if (selected.points.length < 2) {
+            return res.status(400).json({
+                success: false,
+                error: 'KML line must contain at least 2 points',
+                warnings
+            });
+        }
+
+        const safePoints = applySafetyGate(selected.points);
+
+        // Endpoints written by our own export are recreated from the line ends
+        const placemarks = doc.placemarks.filter(p => p.kind !== 'origin' && p.kind !== 'destination');
+        const stops = mapWaypointsToStops(safePoints, placemarks, {
+            maxDistanceMeters: config.IMPORT_WAYPOINT_SNAP_METERS,
+            dwellSeconds,
+            element: 'Placemark'
+        });
+        warnings.push(...stops.warnings);
+
+        const route = await createImportedRoute({
+            name: name || selected.name || doc.name,
+            points: safePoints,
+            sourceType: 'kml'
+        }, stops.waypoints, userId);
+
+        // Audit log
+        await auditService.log(auditService.ACTIONS.ROUTE_CREATE, {
+            userId,
+            meta: { routeId: route.routeId, name: route.name, pointCount: selected.points.length, source: kmzBase64 && !kmlContent ? 'kmz' : 'kml' }
+        });
+
+        return res.status(201).json({
+            success: true,
+            message: 'Route created from KML',
+            data: route,
+            import: {
+                line: selected.index,
+                lines: doc.lines.map(l => ({ index: l.index, name: l.name, pointCount: l.points.length })),
+                placemarkCount: doc.placemarks.length,
+                stopCount: Math.max(0, stops.waypoints.length - 2),
+                warningCount: doc.warningCount + selected.warnings.length + stops.warnings.length
+            },
+            warnings
+        });
+    } catch (error) {
+        if (['INVALID_XML', 'INVALID_KML', 'INVALID_KMZ'].includes(error.code)) {
+            return res.status(400).json({
+                success: false,
+                error: error.message,
+                line: error.line ?? null
+            });
+        }
+        console.error('Create route from KML error:', error);
+        return res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to parse KML'
+        });
+    }
+}
+
+/**
+ * POST /api/routes/from-geojson
+ * Create route from a GeoJSON FeatureCollection: a LineString / MultiLineString feature becomes the route,
+ * Point features near it become stops (properties kind, dwellSeconds, name, description)
+ */
+async function createFromGeoJSON(req, res) {
+    try {
+        const { name, geojson, line, waypointDwellSeconds } = req.body;
+        const userId = req.user?.userId;
+
+        // Validate user is authenticated
+        if (!userId) {
+            return res.status(401).json({
+                success: false,
+                error: 'User not authenticated'
+            });
+        }
+
+        if (!geojson) {
+            return res.status(400).json({
+                success: false,
+                error: 'geojson is required'
+            });
+        }
+
+        const dwellSeconds = waypointDwellSeconds === undefined ? 0 : Number(waypointDwellSeconds);
+        if (!Number.isFinite(dwellSeconds) || dwellSeconds < 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'waypointDwellSeconds must be a number >= 0'
+            });
+        }
+
+        const doc = parseRouteGeoJSON(geojson);
+        const selected = selectGeoJSONLine(doc, line);
+        const warnings = [...doc.warnings, ...selected.warnings];
+
+        if (selected.points.length < 2) {
             return res.status(400).json({
                 success: false,
-                error: 'GPX must contain at least 2 points'
+                error: 'GeoJSON line must contain at least 2 points',
+                warnings
             });
         }
 
-        const safePoints = applySafetyGate(points);
+        const safePoints = applySafetyGate(selected.points);
+
+        // Origin and destination are recreated from the line ends
+        const stops = mapWaypointsToStops(safePoints, doc.waypoints.filter(w => w.kind === 'stop'), {
+            maxDistanceMeters: config.IMPORT_WAYPOINT_SNAP_METERS,
+            dwellSeconds,
+            element: 'Point'
+        });
+        warnings.push(...stops.warnings);
+
+        const route = await createImportedRoute({
+            name: name || selected.name || doc.name,
+            points: safePoints,
+            sourceType: 'geojson'
+        }, stops.waypoints, userId);
+
+        // Audit log
+        await auditService.log(auditService.ACTIONS.ROUTE_CREATE, {
+            userId,
+            meta: { routeId: route.routeId, name: route.name, pointCount: selected.points.length, source: 'geojson' }
+        });
+
+        return res.status(201).json({
+            success: true,
+            message: 'Route created from GeoJSON',
+            data: route,
+            import: {
+                line: selected.index,
+                lines: doc.lines.map(l => ({ index: l.index, name: l.name, feature: l.feature, pointCount: l.points.length })),
+                waypointCount: doc.waypoints.length,
+                stopCount: Math.max(0, stops.waypoints.length - 2),
+                warningCount: doc.warningCount + selected.warnings.length + stops.warnings.length
+            },
+            warnings
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_GEOJSON') {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+        console.error('Create route from GeoJSON error:', error);
+        return res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to parse GeoJSON'
+        });
+    }
+}
+
+/**
+ * POST /api/routes/from-polyline
+ * Create route from an encoded polyline (Google / ORS precision 5, OSRM / Valhalla precision 6)
+ * Body: { name?, polyline, precision? }
+ */
+async function createFromPolyline(req, res) {
+    try {
+        const { name, polyline } = req.body;
+        const userId = req.user?.userId;
+
+        // Validate user is authenticated
+        if (!userId) {
+            return res.status(401).json({
+                success: false,
+                error: 'User not authenticated'
+            });
+        }
+
+        if (!polyline || typeof polyline !== 'string') {
+            return res.status(400).json({
+                success: false,
+                error: 'polyline is required'
+            });
+        }
+
+        const precision = parsePolylinePrecision(req.body.precision);
+        if (precision === null) {
+            return res.status(400).json({
+                success: false,
+                error: `precision must be one of: ${POLYLINE_PRECISIONS.join(', ')}`
+            });
+        }
+
+        const points = decodePolyline(polyline, precision);
+        if (!validateCoordinates(points)) {
+            return res.status(400).json({
+                success: false,
+                error: `Decoded coordinates are out of range (is the precision ${precision === 5 ? 6 : 5}?)`
+            });
+        }
+        if (points.length < 2) {
+            return res.status(400).json({
+                success: false,
+                error: 'Polyline must contain at least 2 points'
+            });
+        }
 
         const route = await routeService.createRoute(
-            { name, points: safePoints, sourceType: 'gpx' },
+            { name, points: applySafetyGate(points), sourceType: 'polyline' },
             userId
         );
 
         // Audit log
         await auditService.log(auditService.ACTIONS.ROUTE_CREATE, {
             userId,
-            meta: { routeId: route.routeId, name: route.name, pointCount: points.length, source: 'gpx' }
+            meta: { routeId: route.routeId, name: route.name, pointCount: points.length, source: 'polyline' }
         });
 
         return res.status(201).json({
             success: true,
-            message: 'Route created from GPX',
+            message: 'Route created from polyline',
             data: route
         });
     } catch (error) {
-        console.error('Create route from GPX error:', error);
+        if (error.code === 'INVALID_POLYLINE') {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+        console.error('Create route from polyline error:', error);
         return res.status(500).json({
             success: false,
-            error: error.message || 'Failed to parse GPX'
+            error: error.message || 'Failed to decode polyline'
+        });
+    }
+}
+
+/**
+ * POST /api/routes/from-csv
+ * Create route from a logger CSV export
+ * Body: { name?, csvContent, columns?: { lat, lng, time, speed, bearing, altitude, dwell }, delimiter?, header?, speedUnit? }
+ */
+async function createFromCSV(req, res) {
+    try {
+        const { name, csvContent, columns, delimiter, header, speedUnit } = req.body;
+        const userId = req.user?.userId;
+
+        // Validate user is authenticated
+        if (!userId) {
+            return res.status(401).json({
+                success: false,
+                error: 'User not authenticated'
+            });
+        }
+
+        if (!csvContent) {
+            return res.status(400).json({
+                success: false,
+                error: 'CSV content is required'
+            });
+        }
+
+        const parsed = parseCSVTrack(csvContent, { columns, delimiter, header, speedUnit });
+        if (parsed.points.length < 2) {
+            return res.status(400).json({
+                success: false,
+                error: 'CSV must contain at least 2 valid rows',
+                warnings: parsed.warnings
+            });
+        }
+
+        const route = await createTrackRoute({ name, points: parsed.points, sourceType: 'csv' }, userId);
+
+        // Audit log
+        await auditService.log(auditService.ACTIONS.ROUTE_CREATE, {
+            userId,
+            meta: { routeId: route.routeId, name: route.name, pointCount: parsed.points.length, source: 'csv' }
+        });
+
+        return res.status(201).json({
+            success: true,
+            message: 'Route created from CSV',
+            data: route,
+            import: {
+                columns: parsed.columns,
+                totalRows: parsed.totalRows,
+                skippedRows: parsed.skippedRows,
+                warningCount: parsed.warningCount
+            },
+            warnings: parsed.warnings
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_CSV' || error.message?.startsWith('INVALID_ROUTE_')) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+        console.error('Create route from CSV error:', error);
+        return res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to parse CSV'
+        });
+    }
+}
+
+/**
+ * POST /api/routes/from-nmea
+ * Create route from a raw NMEA 0183 log ($GPRMC / $GPGGA)
+ * Body: { name?, nmeaContent, date? (YYYY-MM-DD, for logs without RMC) }
+ */
+async function createFromNMEA(req, res) {
+    try {
+        const { name, nmeaContent, date } = req.body;
+        const userId = req.user?.userId;
+
+        // Validate user is authenticated
+        if (!userId) {
+            return res.status(401).json({
+                success: false,
+                error: 'User not authenticated'
+            });
+        }
+
+        if (!nmeaContent) {
+            return res.status(400).json({
+                success: false,
+                error: 'NMEA content is required'
+            });
+        }
+
+        const parsed = parseNMEATrack(nmeaContent, { date });
+        if (parsed.points.length < 2) {
+            return res.status(400).json({
+                success: false,
+                error: 'NMEA log must contain at least 2 valid fixes',
+                warnings: parsed.warnings
+            });
+        }
+
+        const route = await createTrackRoute({ name, points: parsed.points, sourceType: 'nmea' }, userId);
+
+        // Audit log
+        await auditService.log(auditService.ACTIONS.ROUTE_CREATE, {
+            userId,
+            meta: { routeId: route.routeId, name: route.name, pointCount: parsed.points.length, source: 'nmea' }
+        });
+
+        return res.status(201).json({
+            success: true,
+            message: 'Route created from NMEA',
+            data: route,
+            import: {
+                sentences: parsed.sentences,
+                fixes: parsed.points.length,
+                totalLines: parsed.totalLines,
+                skippedLines: parsed.skippedLines,
+                warningCount: parsed.warningCount
+            },
+            warnings: parsed.warnings
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_NMEA' || error.message?.startsWith('INVALID_ROUTE_')) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+        console.error('Create route from NMEA error:', error);
+        return res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to parse NMEA'
         });
     }
 }
@@ -149,7 +703,8 @@ async function createFromAddresses(req, res) {
             destinationText,
             profile = 'driving-car',
             pointSpacingMeters,
-            waitAtEndSeconds = 0
+            waitAtEndSeconds = 0,
+            provider
         } = req.body;
 
         const userId = req.user?.userId;
@@ -184,10 +739,10 @@ async function createFromAddresses(req, res) {
         // Step 1: Geocode origin and destination
         let origin, destination;
         try {
-            origin = await orsService.geocodeAddress(originText);
-            destination = await orsService.geocodeAddress(destinationText);
+            origin = await routingService.geocodeAddress(originText, { provider });
+            destination = await routingService.geocodeAddress(destinationText, { provider });
         } catch (geocodeError) {
-            return res.status(400).json({
+            return res.status(routingErrorStatus(geocodeError) || 400).json({
                 success: false,
                 error: `Geocoding failed: ${geocodeError.message}`
             });
@@ -195,12 +750,12 @@ async function createFromAddresses(req, res) {
 
         console.log(`[RouteController] Geocoded: Origin(${origin.lat}, ${origin.lng}), Destination(${destination.lat}, ${destination.lng})`);
 
-        // Step 2: Get directions from ORS
+        // Step 2: Get directions (first routing provider that answers)
         let directionsResult;
         try {
-            directionsResult = await orsService.getDirections(origin, destination, profile);
+            directionsResult = await routingService.getDirections(origin, destination, profile, { provider });
         } catch (directionsError) {
-            return res.status(502).json({
+            return res.status(routingErrorStatus(directionsError) === 400 ? 400 : 502).json({
                 success: false,
                 error: `Directions service failed: ${directionsError.message}`
             });
@@ -243,7 +798,11 @@ async function createFromAddresses(req, res) {
             pointsWithMetadata[pointsWithMetadata.length - 1].waitDuration = waitAtEndSeconds;
         }
 
-        const safePoints = applySafetyGate(pointsWithMetadata);
+        // ORS road-type speed limits (only present with ORS_EXTRA_INFO)
+        const safePoints = applySpeedRanges(applySafetyGate(pointsWithMetadata), directionsResult.speedRanges);
+
+        // ORS geometry is 2D: altitude comes from the DEM lookup (when configured)
+        await elevationService.fillAltitudes(safePoints);
 
         // Step 6: Create route in database
         const route = await routeService.createRoute(
@@ -263,6 +822,7 @@ async function createFromAddresses(req, res) {
                 name: route.name,
                 pointCount: pointsWithMetadata.length,
                 source: 'ors',
+                provider: directionsResult.provider,
                 profile,
                 distanceMeters,
                 durationSeconds,
@@ -282,7 +842,8 @@ async function createFromAddresses(req, res) {
                 distanceM: Math.round(distanceMeters),
                 durationS: Math.round(durationSeconds),
                 pointsCount: pointsWithMetadata.length,
-                pointSpacingMeters: spacing
+                pointSpacingMeters: spacing,
+                provider: directionsResult.provider
             }
         });
 
@@ -305,7 +866,8 @@ async function createFromAddressesWithStops(req, res) {
             name,
             stops,
             profile = 'driving-car',
-            pointSpacingMeters
+            pointSpacingMeters,
+            provider
         } = req.body;
 
         const userId = req.user?.userId;
@@ -355,9 +917,9 @@ async function createFromAddressesWithStops(req, res) {
             } else if (stop.text) {
                 // Address to geocode
                 try {
-                    coords = await orsService.geocodeAddress(stop.text);
+                    coords = await routingService.geocodeAddress(stop.text, { provider });
                 } catch (err) {
-                    return res.status(400).json({
+                    return res.status(routingErrorStatus(err) || 400).json({
                         success: false,
                         error: `Geocoding failed for stop ${i + 1} ("${stop.text}"): ${err.message}`
                     });
@@ -380,6 +942,11 @@ async function createFromAddressesWithStops(req, res) {
         let allPoints = [];
         let totalDistance = 0;
         let totalDuration = 0;
+        // ORS road-type speed limits, shifted to distances along the whole route
+        const speedRanges = [];
+        let routeMeters = 0;
+        // Segments can be served by different providers after a failover
+        const providers = new Set();
 
         for (let i = 0; i < resolvedStops.length - 1; i++) {
             const start = resolvedStops[i];
@@ -389,15 +956,16 @@ async function createFromAddressesWithStops(req, res) {
 
             let segmentResult;
             try {
-                segmentResult = await orsService.getDirections(start, end, profile);
+                segmentResult = await routingService.getDirections(start, end, profile, { provider });
             } catch (err) {
-                return res.status(502).json({
+                return res.status(routingErrorStatus(err) === 400 ? 400 : 502).json({
                     success: false,
                     error: `Directions failed for segment ${i + 1}: ${err.message}`
                 });
             }
 
             const { geometry, distanceMeters, durationSeconds } = segmentResult;
+            providers.add(segmentResult.provider);
             totalDistance += distanceMeters;
             totalDuration += durationSeconds;
 
@@ -444,6 +1012,13 @@ async function createFromAddressesWithStops(req, res) {
             // Append segment points
             allPoints = allPoints.concat(resampledSeg);
 
+            (segmentResult.speedRanges || []).forEach(r => speedRanges.push({
+                ...r,
+                fromMeters: r.fromMeters + routeMeters,
+                toMeters: r.toMeters + routeMeters
+            }));
+            routeMeters += geospatialUtil.calculateRouteDistance(resampledSeg);
+
             // Handle WAIT at the END of this segment (which is 'end' stop)
             // If end.waitSeconds > 0, we duplicate the last point
             if (end.waitSeconds > 0) {
@@ -468,7 +1043,8 @@ async function createFromAddressesWithStops(req, res) {
 
         console.log(`[RouteController] Total route: ${Math.round(totalDistance)}m, ${allPoints.length} points`);
 
-        const safePoints = applySafetyGate(allPoints);
+        const safePoints = applySpeedRanges(applySafetyGate(allPoints), speedRanges);
+        await elevationService.fillAltitudes(safePoints);
 
         // Step 3: Persist
         const route = await routeService.createRoute(
@@ -488,6 +1064,7 @@ async function createFromAddressesWithStops(req, res) {
                 name: route.name,
                 pointCount: allPoints.length,
                 source: 'ors_stops',
+                providers: [...providers],
                 stopCount: stops.length,
                 totalDistance,
                 totalDuration
@@ -503,7 +1080,8 @@ async function createFromAddressesWithStops(req, res) {
                 distanceM: Math.round(totalDistance),
                 durationS: Math.round(totalDuration),
                 pointsCount: allPoints.length,
-                pointSpacingMeters: spacing
+                pointSpacingMeters: spacing,
+                providers: [...providers]
             }
         });
 
@@ -555,10 +1133,26 @@ async function getAllRoutes(req, res) {
 /**
  * GET /api/routes/:routeId
  * Get route by ID with points
+ * Query: format=json (default) | geojson | polyline, precision=5|6 (polyline)
  */
 async function getRoute(req, res) {
     try {
         const { routeId } = req.params;
+        const format = String(req.query.format || 'json').toLowerCase();
+        if (!['json', 'geojson', 'polyline'].includes(format)) {
+            return res.status(400).json({
+                success: false,
+                error: 'format must be "json", "geojson" or "polyline"'
+            });
+        }
+        const precision = parsePolylinePrecision(req.query.precision);
+        if (precision === null) {
+            return res.status(400).json({
+                success: false,
+                error: `precision must be one of: ${POLYLINE_PRECISIONS.join(', ')}`
+            });
+        }
+
         const route = await routeService.getRoute(routeId);
 
         if (!route) {
@@ -568,6 +1162,20 @@ async function getRoute(req, res) {
             });
         }
 
+        if (format === 'geojson') {
+            res.set('Content-Type', 'application/geo+json');
+            return res.status(200).send(JSON.stringify(routeToGeoJSON(route)));
+        }
+
+        if (format === 'polyline') {
+            // Geometry only: per-point speed, altitude and times are left out
+            const { points, ...rest } = route;
+            return res.status(200).json({
+                success: true,
+                data: { ...rest, polyline: encodePolyline(points, precision), precision }
+            });
+        }
+
         return res.status(200).json({
             success: true,
             data: route
@@ -581,6 +1189,48 @@ async function getRoute(req, res) {
     }
 }
 
+/**
+ * GET /api/routes/:routeId/export?format=kml|geojson
+ * Download a route as a file
+ */
+async function exportRoute(req, res) {
+    try {
+        const { routeId } = req.params;
+        const format = String(req.query.format || 'kml').toLowerCase();
+        if (format !== 'kml' && format !== 'geojson') {
+            return res.status(400).json({
+                success: false,
+                error: 'format must be "kml" or "geojson"'
+            });
+        }
+
+        const route = await routeService.getRoute(routeId);
+        if (!route) {
+            return res.status(404).json({
+                success: false,
+                error: 'Route not found'
+            });
+        }
+
+        if (format === 'geojson') {
+            res.set('Content-Type', 'application/geo+json');
+            res.set('Content-Disposition', `attachment; filename="route-${routeId}.geojson"`);
+            return res.status(200).send(JSON.stringify(routeToGeoJSON(route)));
+        }
+
+        const kml = buildKML({ name: route.name, points: route.points, waypoints: route.waypoints });
+        res.set('Content-Type', 'application/vnd.google-earth.kml+xml');
+        res.set('Content-Disposition', `attachment; filename="route-${routeId}.kml"`);
+        return res.status(200).send(kml);
+    } catch (error) {
+        console.error('Export route error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to export route'
+        });
+    }
+}
+
 /**
  * PUT /api/routes/:routeId/config
  * Update route configuration
@@ -662,7 +1312,7 @@ async function deleteRoute(req, res) {
 /**
  * POST /api/routes/from-waypoints
  * Create route from waypoints array with optional dwellSeconds per stop.
- * Supports mode=address (geocoded via ORS) and mode=manual (lat/lng provided).
+ * Supports mode=address (geocoded by the routing providers) and mode=manual (lat/lng provided).
  * Backward compatible: does NOT replace from-addresses or from-addresses-with-stops.
  */
 async function createFromWaypoints(req, res) {
@@ -671,7 +1321,8 @@ async function createFromWaypoints(req, res) {
             name,
             profile = 'driving-car',
             pointSpacingMeters,
-            waypoints
+            waypoints,
+            provider
         } = req.body;
 
         const userId = req.user?.userId;
@@ -806,13 +1457,13 @@ async function createFromWaypoints(req, res) {
                     });
                 }
             } else {
-                // mode === 'address' — geocode via ORS
+                // mode === 'address' — geocode via the routing providers
                 try {
-                    const coords = await orsService.geocodeAddress(wp.text);
+                    const coords = await routingService.geocodeAddress(wp.text, { provider });
                     lat = coords.lat;
                     lng = coords.lng;
                 } catch (geocodeError) {
-                    return res.status(400).json({
+                    return res.status(routingErrorStatus(geocodeError) || 400).json({
                         success: false,
                         error: `Geocoding failed for waypoints[${i}] ("${wp.text}"): ${geocodeError.message}. Tip: use mode=manual and provide lat/lng directly.`
                     });
@@ -827,12 +1478,12 @@ async function createFromWaypoints(req, res) {
             });
         }
 
-        // ── Step 2: Get directions for all waypoints in one ORS call ──────
+        // ── Step 2: Get directions for all waypoints in one call ──────────
         let directionsResult;
         try {
-            directionsResult = await orsService.getDirectionsMulti(resolvedWaypoints, profile);
+            directionsResult = await routingService.getDirectionsMulti(resolvedWaypoints, profile, { provider });
         } catch (directionsError) {
-            return res.status(502).json({
+            return res.status(routingErrorStatus(directionsError) === 400 ? 400 : 502).json({
                 success: false,
                 error: `Directions service failed: ${directionsError.message}`
             });
@@ -867,7 +1518,8 @@ async function createFromWaypoints(req, res) {
         });
 
         // ── Step 5: Process with Safety Gate BEFORE finding indices ────────
-        const safePoints = applySafetyGate(pointsWithMeta);
+        const safePoints = applySpeedRanges(applySafetyGate(pointsWithMeta), directionsResult.speedRanges);
+        await elevationService.fillAltitudes(safePoints);
 
         // ── Step 6: Map waypoints to nearest route point indices ──────────
         // For each waypoint, find the closest point in the safePoints array
@@ -935,6 +1587,7 @@ async function createFromWaypoints(req, res) {
                 pointCount: pointsWithMeta.length,
                 waypointCount: waypoints.length,
                 source: 'ors_waypoints',
+                provider: directionsResult.provider,
                 profile,
                 distanceMeters: Math.round(distanceMeters),
                 durationSeconds: Math.round(durationSeconds)
@@ -953,7 +1606,8 @@ async function createFromWaypoints(req, res) {
                 durationS: Math.round(durationSeconds),
                 pointsCount: pointsWithMeta.length,
                 pointSpacingMeters: spacing,
-                waypoints: route.waypoints
+                waypoints: route.waypoints,
+                provider: directionsResult.provider
             }
         });
 
@@ -966,6 +1620,33 @@ async function createFromWaypoints(req, res) {
     }
 }
 
+/**
+ * Waypoints of a Full Edit with coordinates: manual lat/lng as given, address text geocoded
+ * @throws {Error} code INVALID_WAYPOINT for a waypoint without usable coordinates or text
+ */
+async function resolveWaypointsCoordinates(waypoints, provider) {
+    const resolved = [];
+    for (let i = 0; i < waypoints.length; i++) {
+        const wp = waypoints[i];
+        let lat = parseFloat(wp.lat);
+        let lng = parseFloat(wp.lng);
+
+        if (wp.mode === 'address' || isNaN(lat) || isNaN(lng)) {
+            if (!wp.text) {
+                const error = new Error(`waypoints[${i}] needs lat/lng or text`);
+                error.code = 'INVALID_WAYPOINT';
+                throw error;
+            }
+            const coords = await routingService.geocodeAddress(wp.text, { provider });
+            lat = coords.lat;
+            lng = coords.lng;
+        }
+
+        resolved.push({ ...wp, lat, lng, dwellSeconds: parseInt(wp.dwellSeconds) || 0 });
+    }
+    return resolved;
+}
+
 /**
  * PUT /api/routes/:routeId
  * Update route from waypoints (Full Edit)
@@ -973,8 +1654,8 @@ async function createFromWaypoints(req, res) {
 async function updateFromWaypoints(req, res) {
     try {
         const { routeId } = req.params;
-        const { waypoints, profile, pointSpacingMeters, name } = req.body;
-        const userId = req.user.id; // Usually we'd check if role isAdmin or if ownership matches, but backend middleware handles this
+        const { waypoints, profile, pointSpacingMeters, name, provider } = req.body;
+        const userId = req.user?.userId; // Usually we'd check if role isAdmin or if ownership matches, but backend middleware handles this
 
         // 1. Basic validation
         if (!waypoints || !Array.isArray(waypoints) || waypoints.length < 2) {
@@ -983,46 +1664,50 @@ async function updateFromWaypoints(req, res) {
 
         const validProfiles = ['driving-car', 'driving-hgv', 'foot-walking', 'cycling-regular'];
         const selectedProfile = validProfiles.includes(profile) ? profile : 'driving-car';
-        const spacing = pointSpacingMeters || config.WAYPOINT_DEFAULTS.pointSpacingMeters || 20;
+        const spacing = pointSpacingMeters || config.ORS_DEFAULT_POINT_SPACING;
 
         // 2. Resolve coordinates (same logic as create)
-        const resolvedWaypoints = await resolveWaypointsCoordinates(waypoints);
-        
-        // 3. Request route from ORS
-        const orsCoordinates = resolvedWaypoints.map(wp => [wp.lng, wp.lat]);
-        const directions = await orsService.getDirections(orsCoordinates, selectedProfile);
-
-        if (!directions.features || !directions.features.length) {
-            return res.status(400).json({ success: false, error: 'No route found between waypoints' });
+        let resolvedWaypoints;
+        try {
+            resolvedWaypoints = await resolveWaypointsCoordinates(waypoints, provider);
+        } catch (geocodeError) {
+            return res.status(routingErrorStatus(geocodeError) || 400).json({
+                success: false,
+                error: `Geocoding failed: ${geocodeError.message}`
+            });
         }
 
-        const routeFeature = directions.features[0];
-        
-        let geometry = [];
-        if (Array.isArray(routeFeature.geometry?.coordinates)) {
-            geometry = routeFeature.geometry.coordinates; // Format 1
-        } else if (routeFeature.geometry) {
-            geometry = orsService.decodePolyline(routeFeature.geometry); // Format 2
-        } else {
-            return res.status(500).json({ success: false, error: 'Invalid geometry returned by ORS' });
+        // 3. Request route from the routing providers
+        let directions;
+        try {
+            directions = await routingService.getDirectionsMulti(resolvedWaypoints, selectedProfile, { provider });
+        } catch (directionsError) {
+            return res.status(routingErrorStatus(directionsError) === 400 ? 400 : 502).json({
+                success: false,
+                error: `Directions service failed: ${directionsError.message}`
+            });
         }
 
-        const distanceMeters = routeFeature.properties.segments.reduce((acc, seg) => acc + (seg.distance || 0), 0);
-        const durationSeconds = routeFeature.properties.segments.reduce((acc, seg) => acc + (seg.duration || 0), 0);
+        const { geometry, distanceMeters, durationSeconds } = directions;
 
-        const routePoints = geometry.map(coord => ({
-            lat: coord[1],
-            lng: coord[0]
+        const resampled = resamplePoints(geometry, spacing);
+        let pointsWithMeta = resampled.map((point, index) => ({
+            lat: point.lat,
+            lng: point.lng,
+            bearing: index < resampled.length - 1 ? calculateBearing(point, resampled[index + 1]) : null,
+            speed: null,
+            accuracy: null,
+            dwellSeconds: 0
         }));
 
-        let pointsWithMeta = resampleRouteGeometry(routePoints, spacing);
-
         // Map waypoints to closest points and apply dwell times
         let finalWaypoints = JSON.parse(JSON.stringify(resolvedWaypoints));
 
         // APPLY SAFETY GATE BEFORE ALIGNING WAYPOINTS (Critical Fix)
-        pointsWithMeta = applySafetyGate(pointsWithMeta, distanceMeters);
+        pointsWithMeta = applySpeedRanges(applySafetyGate(pointsWithMeta), directions.speedRanges);
+        await elevationService.fillAltitudes(pointsWithMeta);
 
+        const { calculateDistance } = geospatialUtil;
         for (let i = 0; i < finalWaypoints.length; i++) {
             const wp = finalWaypoints[i];
             const target = { lat: wp.lat, lng: wp.lng };
@@ -1031,8 +1716,7 @@ async function updateFromWaypoints(req, res) {
             let minD = Infinity;
 
             for (let j = 0; j < pointsWithMeta.length; j++) {
-                const p = pointsWithMeta[j];
-                const d = getDistanceInMeters(target.lat, target.lng, p.lat, p.lng);
+                const d = calculateDistance(target, pointsWithMeta[j]);
                 if (d < minD) {
                     minD = d;
                     closestIdx = j;
@@ -1065,7 +1749,8 @@ async function updateFromWaypoints(req, res) {
                 durationS: Math.round(durationSeconds),
                 pointsCount: pointsWithMeta.length,
                 pointSpacingMeters: spacing,
-                waypoints: route.waypoints
+                waypoints: route.waypoints,
+                provider: directions.provider
             }
         });
 
@@ -1078,16 +1763,109 @@ async function updateFromWaypoints(req, res) {
     }
 }
 
+/**
+ * POST /api/routes/:routeId/simulate
+ * Run the stream engine headlessly and return the trajectory it would emit
+ * Body: { engine, speed, intervalMs, accuracy, dwellSeconds, speedProfile, noise, seed, simStartTime }
+ * Query: format=json (default) | gpx | polyline, precision=5|6 (polyline)
+ */
+async function simulateRoute(req, res) {
+    try {
+        const { routeId } = req.params;
+        // Express 5 leaves req.body undefined for a POST without a JSON body
+        const body = req.body || {};
+        const format = String(req.query.format || body.format || 'json').toLowerCase();
+
+        if (!['json', 'gpx', 'polyline'].includes(format)) {
+            return res.status(400).json({
+                success: false,
+                error: 'format must be "json", "gpx" or "polyline"'
+            });
+        }
+        const precision = parsePolylinePrecision(req.query.precision ?? body.precision);
+        if (precision === null) {
+            return res.status(400).json({
+                success: false,
+                error: `precision must be one of: ${POLYLINE_PRECISIONS.join(', ')}`
+            });
+        }
+
+        const options = { ...body };
+        delete options.format;
+        delete options.precision;
+        const result = await simulationService.simulateRoute(routeId, options);
+
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                error: 'Route not found'
+            });
+        }
+
+        console.log(`[RouteController] Simulated route ${routeId}: ${result.summary.ticks} ticks, ${result.summary.distanceMeters}m, ${result.summary.durationSeconds}s`);
+
+        if (format === 'gpx') {
+            const gpx = buildGPX({
+                name: `Simulation ${routeId}`,
+                points: result.trajectory.map(p => ({
+                    lat: p.lat,
+                    lng: p.lng,
+                    ele: p.altitude,
+                    time: p.t,
+                    speed: p.speed,
+                    course: p.bearing
+                }))
+            });
+            res.set('Content-Type', 'application/gpx+xml');
+            res.set('Content-Disposition', `attachment; filename="simulation-${routeId}.gpx"`);
+            return res.status(200).send(gpx);
+        }
+
+        if (format === 'polyline') {
+            // Path of the MOCK_LOCATION fixes, one vertex per tick
+            const { trajectory, ...rest } = result;
+            return res.status(200).json({
+                success: true,
+                data: { ...rest, polyline: encodePolyline(trajectory, precision), precision, fixes: trajectory.length }
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        if (['INVALID_SIMULATION', 'INVALID_NOISE', 'INVALID_STREAM_OPTIONS'].includes(error.code)) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+        console.error('[RouteController] Simulate route error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to simulate route'
+        });
+    }
+}
+
 module.exports = {
     createFromPoints,
     createFromGPX,
+    createFromKML,
+    createFromGeoJSON,
+    createFromCSV,
+    createFromNMEA,
+    createFromPolyline,
     createFromAddresses,
     createFromAddressesWithStops,
     createFromWaypoints,
     updateFromWaypoints,
     getAllRoutes,
     getRoute,
+    exportRoute,
     updateRouteConfig,
-    deleteRoute
+    deleteRoute,
+    simulateRoute
 };
 
@@ -0,0 +1,196 @@
+/**
+ * Schedule Controller
+ * CRUD for scheduled stream starts (one-off or cron, see schedule.service)
+ */
+
+const scheduleService = require('../services/schedule.service');
+const auditService = require('../services/audit.service');
+
+/**
+ * Map service validation errors to HTTP status codes
+ */
+function errorStatus(error) {
+    if (error.code === 'INVALID_SCHEDULE') return 400;
+    if (error.code === 'NOT_FOUND') return 404;
+    return 500;
+}
+
+function isAdmin(req) {
+    return req.user.role === 'admin' || req.user.role === 'ADMIN';
+}
+
+/**
+ * Load a schedule the requesting user may manage (admins: any, users: their own)
+ * Sends the 404 response itself and returns null otherwise.
+ */
+async function loadOwnSchedule(req, res) {
+    const schedule = await scheduleService.getSchedule(req.params.scheduleId);
+    if (!schedule || (!isAdmin(req) && schedule.userId !== req.user.userId)) {
+        res.status(404).json({
+            success: false,
+            error: 'Schedule not found'
+        });
+        return null;
+    }
+    return schedule;
+}
+
+function scheduleBody(body) {
+    const { name, deviceId, routeId, itineraryId, options, runAt, cron, timezone, offlinePolicy, retryWindowSeconds, enabled } = body;
+    const data = { name, deviceId, routeId, itineraryId, options, runAt, cron, timezone, offlinePolicy, retryWindowSeconds, enabled };
+    Object.keys(data).forEach((key) => {
+        if (data[key] === undefined) delete data[key];
+    });
+    return data;
+}
+
+/**
+ * POST /api/schedules
+ * Body: { name?, deviceId, routeId | itineraryId, options?, runAt | cron, timezone?,
+ *         offlinePolicy? ('retry' | 'skip'), retryWindowSeconds?, enabled? }
+ */
+async function createSchedule(req, res) {
+    try {
+        const userId = req.user?.userId;
+
+        if (!userId) {
+            return res.status(401).json({
+                success: false,
+                error: 'User not authenticated'
+            });
+        }
+
+        const schedule = await scheduleService.createSchedule(scheduleBody(req.body), userId);
+
+        await auditService.log(auditService.ACTIONS.SCHEDULE_CREATE, {
+            userId,
+            deviceId: schedule.deviceId,
+            meta: { scheduleId: schedule.scheduleId, runAt: schedule.runAt, cron: schedule.cron, timezone: schedule.timezone }
+        });
+
+        return res.status(201).json({
+            success: true,
+            message: 'Schedule created',
+            data: schedule
+        });
+    } catch (error) {
+        const status = errorStatus(error);
+        if (status === 500) console.error('Create schedule error:', error);
+        return res.status(status).json({
+            success: false,
+            error: status === 500 ? 'Failed to create schedule' : error.message
+        });
+    }
+}
+
+/**
+ * GET /api/schedules
+ * Admins see every schedule, users their own
+ */
+async function getAllSchedules(req, res) {
+    try {
+        const schedules = await scheduleService.getAllSchedules(isAdmin(req) ? null : req.user.userId);
+
+        return res.status(200).json({
+            success: true,
+            data: schedules,
+            count: schedules.length
+        });
+    } catch (error) {
+        console.error('Get schedules error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to get schedules'
+        });
+    }
+}
+
+/**
+ * GET /api/schedules/:scheduleId
+ */
+async function getSchedule(req, res) {
+    try {
+        const schedule = await loadOwnSchedule(req, res);
+        if (!schedule) return;
+
+        return res.status(200).json({
+            success: true,
+            data: schedule
+        });
+    } catch (error) {
+        console.error('Get schedule error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to get schedule'
+        });
+    }
+}
+
+/**
+ * PUT /api/schedules/:scheduleId
+ * Partial update; the next run is recomputed
+ */
+async function updateSchedule(req, res) {
+    try {
+        const existing = await loadOwnSchedule(req, res);
+        if (!existing) return;
+
+        const schedule = await scheduleService.updateSchedule(existing.scheduleId, scheduleBody(req.body));
+
+        await auditService.log(auditService.ACTIONS.SCHEDULE_UPDATE, {
+            userId: req.user.userId,
+            deviceId: schedule.deviceId,
+            meta: { scheduleId: schedule.scheduleId, enabled: schedule.enabled, nextRunAt: schedule.nextRunAt }
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Schedule updated',
+            data: schedule
+        });
+    } catch (error) {
+        const status = errorStatus(error);
+        if (status === 500) console.error('Update schedule error:', error);
+        return res.status(status).json({
+            success: false,
+            error: status === 500 ? 'Failed to update schedule' : error.message
+        });
+    }
+}
+
+/**
+ * DELETE /api/schedules/:scheduleId
+ */
+async function deleteSchedule(req, res) {
+    try {
+        const existing = await loadOwnSchedule(req, res);
+        if (!existing) return;
+
+        await scheduleService.deleteSchedule(existing.scheduleId);
+
+        await auditService.log(auditService.ACTIONS.SCHEDULE_DELETE, {
+            userId: req.user.userId,
+            deviceId: existing.deviceId,
+            meta: { scheduleId: existing.scheduleId }
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Schedule deleted'
+        });
+    } catch (error) {
+        console.error('Delete schedule error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to delete schedule'
+        });
+    }
+}
+
+module.exports = {
+    createSchedule,
+    getAllSchedules,
+    getSchedule,
+    updateSchedule,
+    deleteSchedule
+};
@@ -4,19 +4,31 @@
  * Now async for PostgreSQL + Redis operations
  */
 
-const streamService = require('../services/stream.service');
+// Cluster-aware dispatcher: forwards to the node owning the device socket/stream
+const streamService = require('../services/stream.cluster.service');
 const deviceService = require('../services/device.service');
 const routeService = require('../services/route.service');
+const itineraryService = require('../services/itinerary.service');
 const auditService = require('../services/audit.service');
+const streamRecorder = require('../services/stream.recorder.service');
+const streamBatchService = require('../services/stream.batch.service');
 const { broadcast } = require('../websocket/ws.server');
 
+function pickStartOptions(body) {
+    const options = {};
+    streamService.START_OPTION_KEYS.forEach((key) => {
+        if (body[key] !== undefined) options[key] = body[key];
+    });
+    return options;
+}
+
 /**
  * POST /api/stream/start
  * Start streaming coordinates to a device
  */
 async function startStream(req, res) {
     try {
-        let { deviceId, routeId, speed, accuracy, loop, intervalMs } = req.body;
+        let { deviceId, routeId, itineraryId } = req.body;
         const userId = req.user?.userId;
 
         if (!deviceId) {
@@ -35,6 +47,18 @@ async function startStream(req, res) {
             });
         }
 
+        // Itinerary variant: play several routes back-to-back
+        if (itineraryId) {
+            const itinerary = await itineraryService.getItinerary(itineraryId);
+            if (!itinerary) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Itinerary not found'
+                });
+            }
+            routeId = itinerary.legs[0]?.routeId;
+        }
+
         // If routeId is missing, check assigned route
         if (!routeId) {
             if (device.assignedRouteId) {
@@ -57,11 +81,8 @@ async function startStream(req, res) {
             });
         }
 
-        const options = {};
-        if (speed !== undefined) options.speed = speed;
-        if (accuracy !== undefined) options.accuracy = accuracy;
-        if (loop !== undefined) options.loop = loop;
-        if (intervalMs !== undefined) options.intervalMs = intervalMs;
+        const options = pickStartOptions(req.body);
+        if (itineraryId) options.itineraryId = itineraryId;
 
         const stream = await streamService.startStream(deviceId, routeId, options);
 
@@ -69,13 +90,15 @@ async function startStream(req, res) {
         await auditService.log(auditService.ACTIONS.STREAM_START, {
             userId,
             deviceId,
-            meta: { routeId, options }
+            meta: { routeId, itineraryId, options }
         });
 
         // Broadcast stream started
         broadcast('STREAM_STARTED', {
             deviceId,
             routeId,
+            itineraryId: stream.itineraryId,
+            totalLegs: stream.totalLegs,
             speed: stream.config?.speed || stream.speed,
             loop: stream.config?.loop || stream.loop,
             ownerId: stream.ownerId
@@ -87,6 +110,12 @@ async function startStream(req, res) {
             data: stream
         });
     } catch (error) {
+        if (error.code === 'INVALID_NOISE' || error.code === 'INVALID_STREAM_OPTIONS') {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
         console.error('Start stream error:', error);
         return res.status(500).json({
             success: false,
@@ -111,7 +140,7 @@ async function pauseStream(req, res) {
             });
         }
 
-        if (!streamService.hasActiveStream(deviceId)) {
+        if (!(await streamService.hasActiveStream(deviceId))) {
             return res.status(200).json({
                 success: true,
                 message: 'Stream not active or already handled'
@@ -163,7 +192,7 @@ async function resumeStream(req, res) {
             });
         }
 
-        if (!streamService.hasActiveStream(deviceId)) {
+        if (!(await streamService.hasActiveStream(deviceId))) {
             return res.status(200).json({
                 success: true,
                 message: 'Stream not active or already handled'
@@ -215,7 +244,7 @@ async function stopStream(req, res) {
             });
         }
 
-        if (!streamService.hasActiveStream(deviceId)) {
+        if (!(await streamService.hasActiveStream(deviceId))) {
             return res.status(200).json({
                 success: true,
                 message: 'Stream not active or already handled'
@@ -296,7 +325,7 @@ async function skipDwell(req, res) {
 
         if (!deviceId) return res.status(400).json({ success: false, error: 'deviceId is required' });
 
-        if (!streamService.hasActiveStream(deviceId)) {
+        if (!(await streamService.hasActiveStream(deviceId))) {
             return res.status(200).json({
                 success: true,
                 message: 'Stream not active or already handled'
@@ -335,7 +364,7 @@ async function extendDwell(req, res) {
             return res.status(400).json({ success: false, error: 'valid positive seconds parameter is required' });
         }
 
-        if (!streamService.hasActiveStream(deviceId)) {
+        if (!(await streamService.hasActiveStream(deviceId))) {
             return res.status(200).json({
                 success: true,
                 message: 'Stream not active or already handled'
@@ -364,13 +393,100 @@ async function extendDwell(req, res) {
     }
 }
 
+/**
+ * POST /api/stream/seek
+ * Jump a running or paused stream along its route
+ * Body: { deviceId, meters | percent | waypointSeq | nearest: { lat, lng } }
+ */
+async function seekStream(req, res) {
+    try {
+        const { deviceId, meters, percent, waypointSeq, nearest } = req.body;
+        const userId = req.user?.userId;
+
+        if (!deviceId) return res.status(400).json({ success: false, error: 'deviceId is required' });
+
+        if (!(await streamService.hasActiveStream(deviceId))) {
+            return res.status(404).json({
+                success: false,
+                error: 'No active stream for this device'
+            });
+        }
+
+        const result = await streamService.seekStream(deviceId, { meters, percent, waypointSeq, nearest });
+        if (!result || !result.success) {
+            return res.status(400).json({ success: false, error: result?.message || 'Failed to seek stream' });
+        }
+
+        await auditService.log(auditService.ACTIONS.STREAM_SEEK, {
+            userId,
+            deviceId,
+            meta: { fromMeters: result.fromMeters, toMeters: result.toMeters }
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: `Stream moved to ${result.toMeters} m`,
+            data: result
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_STREAM_OPTIONS') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        console.error('Seek stream error:', error);
+        return res.status(500).json({ success: false, error: 'Failed to seek stream' });
+    }
+}
+
+/**
+ * PATCH /api/stream/:deviceId
+ * Change a running stream in place (no new stream row, position kept)
+ * Body: { speed?, accuracy?, intervalMs?, loop? }
+ */
+async function updateStream(req, res) {
+    try {
+        const { deviceId } = req.params;
+        const userId = req.user?.userId;
+        const { speed, accuracy, intervalMs, loop } = req.body;
+
+        if (!(await streamService.hasActiveStream(deviceId))) {
+            return res.status(404).json({
+                success: false,
+                error: 'No active stream for this device'
+            });
+        }
+
+        const result = await streamService.updateStream(deviceId, { speed, accuracy, intervalMs, loop });
+        if (!result || !result.success) {
+            return res.status(400).json({ success: false, error: result?.message || 'Failed to update stream' });
+        }
+
+        await auditService.log(auditService.ACTIONS.STREAM_UPDATE, {
+            userId,
+            deviceId,
+            meta: { changes: result.changes, previous: result.previous }
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Stream updated',
+            data: result
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_STREAM_OPTIONS') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        console.error('Update stream error:', error);
+        return res.status(500).json({ success: false, error: 'Failed to update stream' });
+    }
+}
+
 /**
  * GET /api/stream/all
  * Get all active streams
  */
-function getAllStreams(req, res) {
+async function getAllStreams(req, res) {
     try {
-        const streams = streamService.getAllStreams();
+        const streams = await streamService.getAllStreams();
 
         return res.status(200).json({
             success: true,
@@ -386,21 +502,82 @@ function getAllStreams(req, res) {
     }
 }
 
+const HISTORY_STATUSES = ['STARTED', 'PAUSED', 'STOPPED'];
+const HISTORY_MAX_LIMIT = 100;
+
+function isAdmin(req) {
+    return req.user.role === 'admin' || req.user.role === 'ADMIN';
+}
+
 /**
- * GET /api/stream/history/:deviceId
- * Get stream history for a device
+ * Parse history query filters. Non-admins only see streams of their own devices.
+ * @returns {Object} { filters } or { error }
+ */
+function parseHistoryFilters(req) {
+    const { deviceId, routeId, status, from, to } = req.query;
+    const filters = {};
+
+    if (deviceId) filters.deviceId = String(deviceId);
+    if (routeId) filters.routeId = String(routeId);
+    if (!isAdmin(req)) filters.userId = req.user.userId;
+
+    if (status) {
+        filters.status = String(status).toUpperCase();
+        if (!HISTORY_STATUSES.includes(filters.status)) {
+            return { error: `status must be one of: ${HISTORY_STATUSES.join(', ')}` };
+        }
+    }
+
+    for (const [key, value] of [['from', from], ['to', to]]) {
+        if (value === undefined) continue;
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+            return { error: `${key} must be an ISO 8601 date` };
+        }
+        filters[key] = date;
+    }
+
+    const page = req.query.page !== undefined ? parseInt(req.query.page) : 1;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : 20;
+    if (!(page >= 1)) {
+        return { error: 'page must be >= 1' };
+    }
+    if (!(limit >= 1 && limit <= HISTORY_MAX_LIMIT)) {
+        return { error: `limit must be between 1 and ${HISTORY_MAX_LIMIT}` };
+    }
+    filters.page = page;
+    filters.limit = limit;
+
+    return { filters };
+}
+
+/**
+ * GET /api/stream/history?deviceId&routeId&status&from&to&page&limit
+ * Past and running streams (newest first) with a per-stream summary:
+ * duration, distance covered, moving/dwell/paused time and pauses by reason
  */
 async function getStreamHistory(req, res) {
     try {
-        const { deviceId } = req.params;
-        const limit = parseInt(req.query.limit) || 10;
+        const { filters, error } = parseHistoryFilters(req);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
 
-        const history = await streamService.getStreamHistory(deviceId, limit);
+        const history = await streamService.getStreamHistory(filters);
 
         return res.status(200).json({
             success: true,
-            data: history,
-            count: history.length
+            data: history.items,
+            count: history.items.length,
+            pagination: {
+                page: history.page,
+                limit: history.limit,
+                total: history.total,
+                pages: Math.ceil(history.total / history.limit)
+            }
         });
     } catch (error) {
         console.error('Get stream history error:', error);
@@ -411,6 +588,356 @@ async function getStreamHistory(req, res) {
     }
 }
 
+/**
+ * GET /api/stream/history/totals?deviceId&routeId&status&from&to
+ * Distance and time per device over all matching streams (e.g. simulated km per device last week)
+ */
+async function getStreamTotals(req, res) {
+    try {
+        const { filters, error } = parseHistoryFilters(req);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+
+        const totals = await streamService.getStreamTotalsByDevice(filters);
+
+        return res.status(200).json({
+            success: true,
+            data: totals,
+            count: totals.length
+        });
+    } catch (error) {
+        console.error('Get stream totals error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to get stream totals'
+        });
+    }
+}
+
+/**
+ * Load a recording the requesting user may read (admins: any, users: their devices' streams)
+ * Sends the 404/403 response itself and returns null when access is denied.
+ */
+async function loadRecording(req, res) {
+    const recording = await streamRecorder.getRecording(req.params.streamId);
+    if (!recording) {
+        res.status(404).json({
+            success: false,
+            error: 'Stream not found'
+        });
+        return null;
+    }
+
+    if (!isAdmin(req) && recording.stream.device?.userId !== req.user.userId) {
+        res.status(403).json({
+            success: false,
+            error: 'Forbidden: You do not own this device'
+        });
+        return null;
+    }
+
+    if (!recording.stream.recorded) {
+        res.status(404).json({
+            success: false,
+            error: 'Stream was not recorded. Start it with { record: true }'
+        });
+        return null;
+    }
+    return recording;
+}
+
+/**
+ * GET /api/stream/:streamId/track?format=geojson|gpx
+ * Fixes a recorded stream actually sent to its device
+ */
+async function getStreamTrack(req, res) {
+    try {
+        const format = String(req.query.format || 'geojson').toLowerCase();
+        if (format !== 'geojson' && format !== 'gpx') {
+            return res.status(400).json({
+                success: false,
+                error: 'format must be "geojson" or "gpx"'
+            });
+        }
+
+        const recording = await loadRecording(req, res);
+        if (!recording) return;
+
+        if (format === 'gpx') {
+            res.set('Content-Type', 'application/gpx+xml');
+            res.set('Content-Disposition', `attachment; filename="stream-${recording.stream.id}.gpx"`);
+            return res.status(200).send(streamRecorder.toGPX(recording));
+        }
+
+        res.set('Content-Type', 'application/geo+json');
+        return res.status(200).send(JSON.stringify(streamRecorder.toGeoJSON(recording)));
+    } catch (error) {
+        console.error('Get stream track error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to get stream track'
+        });
+    }
+}
+
+/**
+ * POST /api/stream/:streamId/save-as-route
+ * Create a new route that replays a recorded stream (dwell stops become stop waypoints)
+ * Body: { name? }
+ */
+async function saveStreamAsRoute(req, res) {
+    try {
+        const recording = await loadRecording(req, res);
+        if (!recording) return;
+
+        const route = await streamRecorder.saveAsRoute(recording, req.user.userId, { name: req.body?.name });
+
+        await auditService.log(auditService.ACTIONS.ROUTE_CREATE, {
+            userId: req.user.userId,
+            meta: { routeId: route.routeId, name: route.name, pointCount: route.totalPoints, streamId: recording.stream.id }
+        });
+
+        return res.status(201).json({
+            success: true,
+            message: 'Route created from stream recording',
+            data: route
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_RECORDING') {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+        console.error('Save stream as route error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to save stream as route'
+        });
+    }
+}
+
+/**
+ * Map batch validation errors to HTTP status codes
+ */
+function batchErrorStatus(error) {
+    if (['INVALID_BATCH', 'INVALID_NOISE', 'INVALID_STREAM_OPTIONS'].includes(error.code)) return 400;
+    if (error.code === 'NOT_FOUND') return 404;
+    if (error.code === 'CONVOY_NODE_MISMATCH') return 409;
+    return 500;
+}
+
+/**
+ * POST /api/stream/batch/start
+ * Body: { deviceIds | devices: [{ deviceId, delaySeconds?, startOffsetMeters?, speed? }] | groupId,
+ *         routeId | itineraryId, staggerSeconds?, spacingMeters?, speedVariance?, ...start options }
+ * Per-device results: started | scheduled (staggered) | error
+ */
+async function batchStart(req, res) {
+    try {
+        let { routeId, itineraryId } = req.body;
+        const userId = req.user?.userId;
+
+        if (itineraryId) {
+            const itinerary = await itineraryService.getItinerary(itineraryId);
+            if (!itinerary) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Itinerary not found'
+                });
+            }
+            routeId = itinerary.legs[0]?.routeId;
+        }
+
+        if (!routeId) {
+            return res.status(400).json({
+                success: false,
+                error: 'routeId or itineraryId is required'
+            });
+        }
+
+        const route = await routeService.getRoute(routeId);
+        if (!route) {
+            return res.status(404).json({
+                success: false,
+                error: 'Route not found'
+            });
+        }
+
+        const options = pickStartOptions(req.body);
+        if (itineraryId) options.itineraryId = itineraryId;
+        // Fail the whole batch on bad options instead of once per device
+        streamService.validateStartOptions(route, options);
+
+        const { targets, rejected } = await streamBatchService.resolveTargets(req.body, userId, isAdmin(req));
+        const { batchId, results } = await streamBatchService.startBatch(targets, routeId, options, req.body, { userId, route });
+        const all = [...results, ...rejected];
+
+        return res.status(200).json({
+            success: true,
+            message: 'Batch start processed',
+            data: {
+                batchId,
+                summary: streamBatchService.summarize(all),
+                results: all
+            }
+        });
+    } catch (error) {
+        const status = batchErrorStatus(error);
+        if (status === 500) console.error('Batch start error:', error);
+        return res.status(status).json({
+            success: false,
+            error: status === 500 ? 'Failed to start batch' : error.message
+        });
+    }
+}
+
+/**
+ * Shared handler of the batch pause / resume / stop endpoints
+ * Body: { deviceIds | groupId }
+ */
+async function batchControl(req, res, action) {
+    try {
+        const userId = req.user?.userId;
+
+        const { targets, rejected } = await streamBatchService.resolveTargets(req.body, userId, isAdmin(req));
+        const results = await streamBatchService.controlBatch(action, targets, { userId });
+        const all = [...results, ...rejected];
+
+        return res.status(200).json({
+            success: true,
+            message: `Batch ${action} processed`,
+            data: {
+                summary: streamBatchService.summarize(all),
+                results: all
+            }
+        });
+    } catch (error) {
+        const status = batchErrorStatus(error);
+        if (status === 500) console.error(`Batch ${action} error:`, error);
+        return res.status(status).json({
+            success: false,
+            error: status === 500 ? `Failed to ${action} batch` : error.message
+        });
+    }
+}
+
+/**
+ * POST /api/stream/batch/pause
+ */
+async function batchPause(req, res) {
+    return batchControl(req, res, 'pause');
+}
+
+/**
+ * POST /api/stream/batch/resume
+ */
+async function batchResume(req, res) {
+    return batchControl(req, res, 'resume');
+}
+
+/**
+ * POST /api/stream/batch/stop
+ * Also cancels staggered starts that haven't fired yet
+ */
+async function batchStop(req, res) {
+    return batchControl(req, res, 'stop');
+}
+
+/**
+ * POST /api/stream/convoy/start
+ * Body: { deviceIds | devices: [{ deviceId, gapMeters? | gapSeconds? }] | groupId,
+ *         routeId?, gapMeters | gapSeconds, ...start options }
+ * The first device leads; follower N trails it by N * gap unless it has its own gap.
+ */
+async function convoyStart(req, res) {
+    try {
+        const { gapMeters, gapSeconds } = req.body;
+        const userId = req.user?.userId;
+
+        const { deviceIds, targets, rejected } = await streamBatchService.resolveTargets(req.body, userId, isAdmin(req));
+        const leader = targets.find(t => t.deviceId === deviceIds[0]);
+        if (!leader) {
+            return res.status(400).json({
+                success: false,
+                error: `Convoy leader ${deviceIds[0]}: ${rejected.find(r => r.deviceId === deviceIds[0]).error}`
+            });
+        }
+        const rest = targets.filter(t => t !== leader);
+        let routeId = req.body.routeId;
+        if (!routeId) {
+            const device = await deviceService.getDevice(leader.deviceId);
+            routeId = device?.assignedRouteId;
+        }
+        if (!routeId) {
+            return res.status(400).json({
+                success: false,
+                error: 'routeId is required or the leader must have an assigned route'
+            });
+        }
+        if (!(await routeService.routeExists(routeId))) {
+            return res.status(404).json({
+                success: false,
+                error: 'Route not found'
+            });
+        }
+
+        const followers = rest.map((target) => {
+            const { gapMeters: ownMeters, gapSeconds: ownSeconds } = target.overrides;
+            if (ownMeters !== undefined || ownSeconds !== undefined) {
+                return { deviceId: target.deviceId, gapMeters: ownMeters, gapSeconds: ownSeconds };
+            }
+            // Position in the requested order, so a rejected device leaves its slot empty
+            const position = deviceIds.indexOf(target.deviceId);
+            return {
+                deviceId: target.deviceId,
+                gapMeters: gapMeters !== undefined ? gapMeters * position : undefined,
+                gapSeconds: gapSeconds !== undefined ? gapSeconds * position : undefined
+            };
+        });
+
+        const options = pickStartOptions(req.body);
+        const convoy = await streamService.startConvoy(leader.deviceId, followers, routeId, options);
+
+        for (const member of convoy.members.filter(m => m.status === 'started')) {
+            const target = targets.find(t => t.deviceId === member.deviceId);
+
+            await auditService.log(auditService.ACTIONS.STREAM_START, {
+                userId,
+                deviceId: member.deviceId,
+                meta: { routeId, options, convoyId: convoy.convoyId, role: member.role, gapMeters: member.gapMeters, gapSeconds: member.gapSeconds }
+            });
+
+            broadcast('STREAM_STARTED', {
+                deviceId: member.deviceId,
+                routeId,
+                speed: convoy.config?.speed,
+                loop: false,
+                convoyId: convoy.convoyId,
+                role: member.role,
+                ownerId: target?.ownerId
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Convoy started',
+            data: { ...convoy, members: [...convoy.members, ...rejected] }
+        });
+    } catch (error) {
+        const status = batchErrorStatus(error);
+        if (status === 500) console.error('Convoy start error:', error);
+        return res.status(status).json({
+            success: false,
+            error: status === 500 ? (error.message || 'Failed to start convoy') : error.message
+        });
+    }
+}
+
 module.exports = {
     startStream,
     pauseStream,
@@ -419,6 +946,16 @@ module.exports = {
     getStreamStatus,
     getAllStreams,
     getStreamHistory,
+    getStreamTotals,
     skipDwell,
-    extendDwell
+    extendDwell,
+    seekStream,
+    updateStream,
+    getStreamTrack,
+    saveStreamAsRoute,
+    batchStart,
+    batchPause,
+    batchResume,
+    batchStop,
+    convoyStart
 };
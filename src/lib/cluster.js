@@ -0,0 +1,293 @@
+/**
+ * Cluster Bus
+ * Redis pub/sub between API instances sharing the same Redis
+ *
+ * Channels:
+ *   cluster:broadcast          dashboard events fanned out to every node
+ *   cluster:node:<serverId>    commands addressed to one node (and their replies)
+ *
+ * Liveness: every node refreshes cluster:alive:<serverId> (TTL CLUSTER_NODE_TTL)
+ * so others can tell whether a stream's owner is still around.
+ *
+ * With CLUSTER_ENABLED=false messaging degrades to local no-ops.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { getRedis } = require('./redis');
+const config = require('../config/config');
+
+const BROADCAST_CHANNEL = 'cluster:broadcast';
+const NODE_CHANNEL_PREFIX = 'cluster:node:';
+const ALIVE_PREFIX = 'cluster:alive:';
+const LOCK_PREFIX = 'cluster:lock:';
+
+const SERVER_ID = config.SERVER_ID;
+
+// Compare-and-renew / compare-and-delete: the owner check and the write must be one
+// step, or the lock can expire in between and be renewed / deleted under its new owner
+const RENEW_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0`;
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('DEL', KEYS[1])
+end
+return 0`;
+
+let subscriber = null;
+let heartbeatTimer = null;
+
+// command name -> async handler(args)
+const commandHandlers = new Map();
+// Handlers for dashboard events published by other nodes
+const broadcastHandlers = [];
+// requestId -> { resolve, reject, timer }
+const pendingRequests = new Map();
+
+function isEnabled() {
+    return config.CLUSTER_ENABLED;
+}
+
+function getServerId() {
+    return SERVER_ID;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// Lifecycle
+// ═══════════════════════════════════════════════════════════════════
+
+async function refreshAlive() {
+    await getRedis().setex(ALIVE_PREFIX + SERVER_ID, config.CLUSTER_NODE_TTL, JSON.stringify({
+        serverId: SERVER_ID,
+        pid: process.pid,
+        seenAt: Date.now()
+    }));
+}
+
+/**
+ * Subscribe to the cluster channels and start the liveness heartbeat.
+ * Must run after connectRedis().
+ */
+async function initCluster() {
+    if (!isEnabled() || subscriber) return false;
+
+    // A connection in subscriber mode can't issue regular commands
+    subscriber = getRedis().duplicate();
+    subscriber.on('error', (error) => {
+        console.error('❌ [Cluster] Subscriber error:', error.message);
+    });
+    subscriber.on('message', (channel, raw) => {
+        handleMessage(channel, raw).catch((err) => {
+            console.error(`[Cluster] Failed to handle message on ${channel}:`, err.message);
+        });
+    });
+
+    await subscriber.subscribe(BROADCAST_CHANNEL, NODE_CHANNEL_PREFIX + SERVER_ID);
+
+    await refreshAlive();
+    const everyMs = Math.max(1000, Math.floor((config.CLUSTER_NODE_TTL * 1000) / 3));
+    heartbeatTimer = setInterval(() => {
+        refreshAlive().catch(err => console.error('[Cluster] Heartbeat failed:', err.message));
+    }, everyMs);
+
+    console.log(`🔗 [Cluster] Node ${SERVER_ID} joined the cluster`);
+    return true;
+}
+
+async function shutdownCluster() {
+    if (heartbeatTimer) {
+        clearInterval(heartbeatTimer);
+        heartbeatTimer = null;
+    }
+
+    pendingRequests.forEach(({ reject, timer }) => {
+        clearTimeout(timer);
+        reject(new Error('Cluster shutting down'));
+    });
+    pendingRequests.clear();
+
+    if (subscriber) {
+        await subscriber.quit().catch(() => { });
+        subscriber = null;
+        await getRedis().del(ALIVE_PREFIX + SERVER_ID).catch(() => { });
+    }
+}
+
+/**
+ * Whether a node is still refreshing its liveness key
+ */
+async function isNodeAlive(serverId) {
+    if (!serverId) return false;
+    if (serverId === SERVER_ID) return true;
+    if (!isEnabled()) return false;
+    return (await getRedis().exists(ALIVE_PREFIX + serverId)) === 1;
+}
+
+/**
+ * Best-effort mutual exclusion between nodes (SET NX with TTL)
+ * @returns {Promise<boolean>} true when this node got the lock
+ */
+async function acquireLock(name, ttlSeconds) {
+    const result = await getRedis().set(LOCK_PREFIX + name, SERVER_ID, 'EX', ttlSeconds, 'NX');
+    return result === 'OK';
+}
+
+/**
+ * Take a lock, or extend it when this node already holds it (leader election)
+ * @returns {Promise<boolean>} true while this node holds the lock
+ */
+async function holdLock(name, ttlSeconds) {
+    const renewed = await getRedis().eval(RENEW_LOCK_SCRIPT, 1, LOCK_PREFIX + name, SERVER_ID, ttlSeconds * 1000);
+    if (renewed === 1) return true;
+    return acquireLock(name, ttlSeconds);
+}
+
+/**
+ * Drop a lock, only when this node still holds it
+ */
+async function releaseLock(name) {
+    await getRedis().eval(RELEASE_LOCK_SCRIPT, 1, LOCK_PREFIX + name, SERVER_ID);
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// Messaging
+// ═══════════════════════════════════════════════════════════════════
+
+async function handleMessage(channel, raw) {
+    let message;
+    try {
+        message = JSON.parse(raw);
+    } catch {
+        return;
+    }
+
+    if (channel === BROADCAST_CHANNEL) {
+        // Our own broadcasts were already delivered locally
+        if (message.origin === SERVER_ID) return;
+        broadcastHandlers.forEach(fn => fn(message.type, message.payload));
+        return;
+    }
+
+    if (message.kind === 'reply') {
+        const pending = pendingRequests.get(message.requestId);
+        if (!pending) return; // Timed out already
+        pendingRequests.delete(message.requestId);
+        clearTimeout(pending.timer);
+
+        if (message.error) {
+            const error = new Error(message.error.message);
+            error.code = message.error.code;
+            pending.reject(error);
+        } else {
+            pending.resolve(message.result);
+        }
+        return;
+    }
+
+    if (message.kind === 'command') {
+        const reply = { kind: 'reply', requestId: message.requestId, origin: SERVER_ID };
+        const handler = commandHandlers.get(message.command);
+
+        try {
+            if (!handler) {
+                const error = new Error(`Unknown cluster command: ${message.command}`);
+                error.code = 'CLUSTER_UNKNOWN_COMMAND';
+                throw error;
+            }
+            const result = await handler(message.args || {});
+            reply.result = result === undefined ? null : result;
+        } catch (err) {
+            reply.error = { message: err.message, code: err.code };
+        }
+
+        await getRedis().publish(NODE_CHANNEL_PREFIX + message.origin, JSON.stringify(reply));
+    }
+}
+
+/**
+ * Publish a dashboard event to every other node
+ */
+async function publishBroadcast(type, payload) {
+    if (!isEnabled() || !subscriber) return;
+    await getRedis().publish(BROADCAST_CHANNEL, JSON.stringify({ origin: SERVER_ID, type, payload }));
+}
+
+/**
+ * Register a handler for events broadcast by other nodes
+ * @param {Function} fn (type, payload) => void
+ */
+function onBroadcast(fn) {
+    broadcastHandlers.push(fn);
+}
+
+/**
+ * Register the handler that serves a command sent by other nodes
+ * @param {string} command
+ * @param {Function} fn async (args) => result (must be JSON-serializable)
+ */
+function registerCommand(command, fn) {
+    commandHandlers.set(command, fn);
+}
+
+/**
+ * Send a command to a specific node and wait for its reply
+ * @throws {Error} code CLUSTER_TIMEOUT when the node doesn't answer in time
+ */
+async function sendCommand(serverId, command, args = {}, timeoutMs = config.CLUSTER_RPC_TIMEOUT_MS) {
+    if (!isEnabled() || !subscriber) {
+        const error = new Error('Cluster mode is not enabled');
+        error.code = 'CLUSTER_DISABLED';
+        throw error;
+    }
+
+    const requestId = uuidv4();
+
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            pendingRequests.delete(requestId);
+            const error = new Error(`Node ${serverId} did not answer ${command} within ${timeoutMs}ms`);
+            error.code = 'CLUSTER_TIMEOUT';
+            reject(error);
+        }, timeoutMs);
+
+        pendingRequests.set(requestId, { resolve, reject, timer });
+
+        getRedis().publish(NODE_CHANNEL_PREFIX + serverId, JSON.stringify({
+            kind: 'command',
+            requestId,
+            origin: SERVER_ID,
+            command,
+            args
+        })).then((receivers) => {
+            // Nobody subscribed to that node's channel — fail fast instead of waiting
+            if (receivers === 0 && pendingRequests.has(requestId)) {
+                pendingRequests.delete(requestId);
+                clearTimeout(timer);
+                const error = new Error(`Node ${serverId} is not reachable`);
+                error.code = 'CLUSTER_NODE_DOWN';
+                reject(error);
+            }
+        }).catch((err) => {
+            pendingRequests.delete(requestId);
+            clearTimeout(timer);
+            reject(err);
+        });
+    });
+}
+
+module.exports = {
+    isEnabled,
+    getServerId,
+    initCluster,
+    shutdownCluster,
+    isNodeAlive,
+    acquireLock,
+    holdLock,
+    releaseLock,
+    publishBroadcast,
+    onBroadcast,
+    registerCommand,
+    sendCommand
+};
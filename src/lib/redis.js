@@ -212,9 +212,34 @@ async function deleteWsConnection(deviceId) {
 // ═══════════════════════════════════════════════════════════════════
 // Stream State (stream:<deviceId>)
 // Hot state for active streams
+//
+// The full snapshot (config, stats, engine) is written on lifecycle changes;
+// ticks only write the engine position to streampos:<deviceId>, which reads
+// overlay on the snapshot while it is newer.
 // ═══════════════════════════════════════════════════════════════════
 
 const STREAM_PREFIX = 'stream:';
+const STREAM_POSITION_PREFIX = 'streampos:';
+
+function parseState(value) {
+    if (!value) return null;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Snapshot with the newer tick position applied over it
+ */
+function mergeStreamState(snapshotValue, positionValue) {
+    const state = parseState(snapshotValue);
+    if (!state) return null;
+    const position = parseState(positionValue);
+    if (!position || position.updatedAt < state.updatedAt) return state;
+    return { ...state, ...position };
+}
 
 /**
  * Set stream state for device
@@ -228,8 +253,23 @@ async function setStreamState(deviceId, state) {
         updatedAt: Date.now()
     });
 
-    // No TTL - managed by stream lifecycle
-    await getRedis().set(key, value);
+    // No TTL - managed by stream lifecycle. The snapshot supersedes any older tick position.
+    await getRedis().multi()
+        .set(key, value)
+        .del(STREAM_POSITION_PREFIX + deviceId)
+        .exec();
+}
+
+/**
+ * Tick update: engine position only, without the config / stats of the snapshot
+ * @param {string} deviceId
+ * @param {Object} position - Top-level snapshot fields that move every tick
+ */
+async function setStreamPosition(deviceId, position) {
+    await getRedis().set(STREAM_POSITION_PREFIX + deviceId, JSON.stringify({
+        ...position,
+        updatedAt: Date.now()
+    }));
 }
 
 /**
@@ -238,16 +278,8 @@ async function setStreamState(deviceId, state) {
  * @returns {Object|null}
  */
 async function getStreamState(deviceId) {
-    const key = STREAM_PREFIX + deviceId;
-    const value = await getRedis().get(key);
-
-    if (!value) return null;
-
-    try {
-        return JSON.parse(value);
-    } catch {
-        return null;
-    }
+    const [value, position] = await getRedis().mget(STREAM_PREFIX + deviceId, STREAM_POSITION_PREFIX + deviceId);
+    return mergeStreamState(value, position);
 }
 
 /**
@@ -274,8 +306,31 @@ async function updateStreamState(deviceId, updates) {
  * @param {string} deviceId 
  */
 async function deleteStreamState(deviceId) {
-    const key = STREAM_PREFIX + deviceId;
-    await getRedis().del(key);
+    await getRedis().del(STREAM_PREFIX + deviceId, STREAM_POSITION_PREFIX + deviceId);
+}
+
+/**
+ * List every persisted stream state (used for recovery after a restart)
+ * Uses SCAN instead of KEYS so large keyspaces don't block Redis
+ * @returns {Array<{deviceId: string, state: Object|null}>}
+ */
+async function scanStreamStates() {
+    const client = getRedis();
+    const results = [];
+    let cursor = '0';
+
+    do {
+        const [nextCursor, keys] = await client.scan(cursor, 'MATCH', `${STREAM_PREFIX}*`, 'COUNT', 100);
+        cursor = nextCursor;
+
+        for (const key of keys) {
+            const deviceId = key.slice(STREAM_PREFIX.length);
+            const [value, position] = await client.mget(key, STREAM_POSITION_PREFIX + deviceId);
+            results.push({ deviceId, state: mergeStreamState(value, position) });
+        }
+    } while (cursor !== '0');
+
+    return results;
 }
 
 module.exports = {
@@ -298,7 +353,9 @@ module.exports = {
 
     // Stream State
     setStreamState,
+    setStreamPosition,
     getStreamState,
     updateStreamState,
-    deleteStreamState
+    deleteStreamState,
+    scanStreamStates
 };
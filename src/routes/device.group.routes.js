@@ -0,0 +1,28 @@
+/**
+ * Device Group Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const deviceGroupController = require('../controllers/device.group.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+
+// All routes protected with JWT
+router.use(authMiddleware);
+
+// POST /api/device-groups
+router.post('/', deviceGroupController.createGroup);
+
+// GET /api/device-groups (own groups; admins see all)
+router.get('/', deviceGroupController.getAllGroups);
+
+// GET /api/device-groups/:groupId
+router.get('/:groupId', deviceGroupController.getGroup);
+
+// PUT /api/device-groups/:groupId
+router.put('/:groupId', deviceGroupController.updateGroup);
+
+// DELETE /api/device-groups/:groupId
+router.delete('/:groupId', deviceGroupController.deleteGroup);
+
+module.exports = router;
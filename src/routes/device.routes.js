@@ -26,6 +26,7 @@ router.get('/me', deviceController.getMyDevices); // Keep backward compat
 router.get('/:deviceId', deviceController.getDevice);
 router.delete('/:deviceId', adminMiddleware, deviceController.deleteDevice);
 router.put('/:deviceId/route', deviceOwnershipMiddleware, deviceController.assignRoute);
+router.put('/:deviceId/wire-format', deviceOwnershipMiddleware, deviceController.setWireFormat);
 
 // Advanced Device Management (Admin / Enrollment)
 router.post('/enroll', deviceController.enroll);
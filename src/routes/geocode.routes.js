@@ -1,6 +1,6 @@
 /**
  * Geocode Routes
- * Address autocomplete endpoints
+ * Address autocomplete and reverse geocoding endpoints
  */
 
 const express = require('express');
@@ -14,4 +14,7 @@ router.use(authMiddleware);
 // GET /api/geocode/autocomplete
 router.get('/autocomplete', geocodeController.autocomplete);
 
+// GET /api/geocode/reverse
+router.get('/reverse', geocodeController.reverse);
+
 module.exports = router;
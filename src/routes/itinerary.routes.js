@@ -0,0 +1,29 @@
+/**
+ * Itinerary Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const itineraryController = require('../controllers/itinerary.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+const adminMiddleware = require('../middleware/admin.middleware');
+
+// All routes protected with JWT
+router.use(authMiddleware);
+
+// POST /api/itineraries
+router.post('/', adminMiddleware, itineraryController.createItinerary);
+
+// GET /api/itineraries (Available to all authenticated users)
+router.get('/', itineraryController.getAllItineraries);
+
+// GET /api/itineraries/:itineraryId (Available to all authenticated users)
+router.get('/:itineraryId', itineraryController.getItinerary);
+
+// PUT /api/itineraries/:itineraryId
+router.put('/:itineraryId', adminMiddleware, itineraryController.updateItinerary);
+
+// DELETE /api/itineraries/:itineraryId
+router.delete('/:itineraryId', adminMiddleware, itineraryController.deleteItinerary);
+
+module.exports = router;
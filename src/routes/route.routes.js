@@ -18,6 +18,21 @@ router.post('/from-points', adminMiddleware, routeController.createFromPoints);
 // POST /api/routes/from-gpx
 router.post('/from-gpx', adminMiddleware, routeController.createFromGPX);
 
+// POST /api/routes/from-kml (KML or base64 KMZ)
+router.post('/from-kml', adminMiddleware, routeController.createFromKML);
+
+// POST /api/routes/from-geojson
+router.post('/from-geojson', adminMiddleware, routeController.createFromGeoJSON);
+
+// POST /api/routes/from-csv
+router.post('/from-csv', adminMiddleware, routeController.createFromCSV);
+
+// POST /api/routes/from-nmea
+router.post('/from-nmea', adminMiddleware, routeController.createFromNMEA);
+
+// POST /api/routes/from-polyline
+router.post('/from-polyline', adminMiddleware, routeController.createFromPolyline);
+
 // POST /api/routes/from-addresses (with rate limiting)
 router.post('/from-addresses', adminMiddleware, rateLimitAddresses, routeController.createFromAddresses);
 
@@ -31,9 +46,15 @@ router.post('/from-waypoints', adminMiddleware, rateLimitAddresses, routeControl
 // GET /api/routes (Available to all authenticated users)
 router.get('/', routeController.getAllRoutes);
 
-// GET /api/routes/:routeId (Available to all authenticated users)
+// GET /api/routes/:routeId?format=json|geojson|polyline (Available to all authenticated users)
 router.get('/:routeId', routeController.getRoute);
 
+// GET /api/routes/:routeId/export?format=kml|geojson (Available to all authenticated users)
+router.get('/:routeId/export', routeController.exportRoute);
+
+// POST /api/routes/:routeId/simulate (dry run, nothing is streamed)
+router.post('/:routeId/simulate', routeController.simulateRoute);
+
 // PUT /api/routes/:routeId/config
 router.put('/:routeId/config', adminMiddleware, routeController.updateRouteConfig);
 
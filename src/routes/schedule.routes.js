@@ -0,0 +1,29 @@
+/**
+ * Schedule Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const scheduleController = require('../controllers/schedule.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+const deviceOwnershipMiddleware = require('../middleware/deviceOwnership.middleware');
+
+// All routes protected with JWT
+router.use(authMiddleware);
+
+// POST /api/schedules
+router.post('/', deviceOwnershipMiddleware, scheduleController.createSchedule);
+
+// GET /api/schedules (own schedules; admins see all)
+router.get('/', scheduleController.getAllSchedules);
+
+// GET /api/schedules/:scheduleId
+router.get('/:scheduleId', scheduleController.getSchedule);
+
+// PUT /api/schedules/:scheduleId
+router.put('/:scheduleId', deviceOwnershipMiddleware, scheduleController.updateSchedule);
+
+// DELETE /api/schedules/:scheduleId
+router.delete('/:scheduleId', scheduleController.deleteSchedule);
+
+module.exports = router;
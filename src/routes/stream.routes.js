@@ -7,6 +7,7 @@ const router = express.Router();
 const streamController = require('../controllers/stream.controller');
 const authMiddleware = require('../middleware/auth.middleware');
 const deviceOwnershipMiddleware = require('../middleware/deviceOwnership.middleware');
+const adminMiddleware = require('../middleware/admin.middleware');
 
 // All routes protected with JWT
 router.use(authMiddleware);
@@ -29,10 +30,38 @@ router.post('/skip-dwell', deviceOwnershipMiddleware, streamController.skipDwell
 // POST /api/stream/extend-dwell
 router.post('/extend-dwell', deviceOwnershipMiddleware, streamController.extendDwell);
 
+// POST /api/stream/seek
+router.post('/seek', deviceOwnershipMiddleware, streamController.seekStream);
+
+// POST /api/stream/batch/{start,pause,resume,stop}
+// Body carries deviceIds / devices / groupId; ownership is checked per device
+router.post('/batch/start', streamController.batchStart);
+router.post('/batch/pause', streamController.batchPause);
+router.post('/batch/resume', streamController.batchResume);
+router.post('/batch/stop', streamController.batchStop);
+
+// POST /api/stream/convoy/start (first device leads, the others follow it on the same route)
+router.post('/convoy/start', streamController.convoyStart);
+
+// PATCH /api/stream/:deviceId (live speed / accuracy / intervalMs / loop)
+router.patch('/:deviceId', deviceOwnershipMiddleware, streamController.updateStream);
+
 // GET /api/stream/status/:deviceId
 router.get('/status/:deviceId', deviceOwnershipMiddleware, streamController.getStreamStatus);
 
 // GET /api/stream/all
 router.get('/all', streamController.getAllStreams);
 
+// GET /api/stream/history?deviceId&routeId&status&from&to&page&limit
+router.get('/history', deviceOwnershipMiddleware, streamController.getStreamHistory);
+
+// GET /api/stream/history/totals?deviceId&routeId&status&from&to
+router.get('/history/totals', deviceOwnershipMiddleware, streamController.getStreamTotals);
+
+// GET /api/stream/:streamId/track?format=geojson|gpx
+router.get('/:streamId/track', streamController.getStreamTrack);
+
+// POST /api/stream/:streamId/save-as-route (creates a route, admin only like the other route builders)
+router.post('/:streamId/save-as-route', adminMiddleware, streamController.saveStreamAsRoute);
+
 module.exports = router;
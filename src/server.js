@@ -14,7 +14,13 @@ const { wss } = require('./websocket/ws.server');
 const config = require('./config/config');
 const { connectDatabase, disconnectDatabase } = require('./lib/prisma');
 const { connectRedis, disconnectRedis } = require('./lib/redis');
+const cluster = require('./lib/cluster');
 const userService = require('./services/user.service');
+const streamService = require('./services/stream.service');
+const streamRecoveryService = require('./services/stream.recovery.service');
+const schedulerService = require('./services/scheduler.service');
+const streamBatchService = require('./services/stream.batch.service');
+const deviceWireService = require('./services/device.wire.service');
 const logger = require('./lib/logger');
 
 // Create HTTP server
@@ -80,24 +86,39 @@ async function startServer() {
     logger.info('Connecting to Redis...');
     await connectRedis();
 
-    // ── Clean up orphaned stream:* keys from previous run ──────────────
-    // If the server was killed mid-stream, Redis still holds stale state
-    // that the new in-memory StreamMap doesn't know about.
+    // Join the cluster before recovery so liveness of other nodes is known
+    if (config.CLUSTER_ENABLED) {
+      await cluster.initCluster();
+      logger.info('Cluster mode enabled', { serverId: config.SERVER_ID });
+    }
+
+    // ── Recover (or clean up) stream:* keys from previous run ──────────
+    // Snapshots of streams that were running when the process died are
+    // rehydrated and resume once their device reconnects. With recovery
+    // disabled they are wiped, as the new in-memory StreamMap can't use them.
     try {
-      const { getRedis, redis } = require('./lib/redis');
-      const redisClient = getRedis() || redis;
-      const keys = await redisClient.keys('stream:*');
-      if (keys.length > 0) {
-        await redisClient.del(...keys);
-        logger.info(`🧹 Cleaned ${keys.length} orphaned stream key(s) from previous run`);
+      if (config.STREAM_RECOVERY_ENABLED) {
+        const { recovered, discarded } = await streamRecoveryService.recoverStreams();
+        logger.info(`♻️ Stream recovery: ${recovered} recovered, ${discarded} discarded`);
       } else {
-        logger.info('✅ No orphaned stream keys found');
+        const { getRedis, redis } = require('./lib/redis');
+        const redisClient = getRedis() || redis;
+        const keys = await redisClient.keys('stream:*');
+        if (keys.length > 0) {
+          await redisClient.del(...keys);
+          logger.info(`🧹 Cleaned ${keys.length} orphaned stream key(s) from previous run`);
+        } else {
+          logger.info('✅ No orphaned stream keys found');
+        }
       }
-    } catch (cleanupErr) {
+    } catch (recoveryErr) {
       // Non-fatal — server still starts
-      logger.warn('⚠️ Could not clean stream keys:', { error: cleanupErr.message });
+      logger.warn('⚠️ Could not recover stream keys:', { error: recoveryErr.message });
     }
 
+    // Scheduled stream starts (only the leader node runs them in cluster mode)
+    schedulerService.startScheduler();
+
     // Start HTTP server
     const PORT = config.PORT;
     server.listen(PORT, '0.0.0.0', () => {
@@ -134,6 +155,15 @@ async function gracefulShutdown(signal) {
     logger.info('HTTP server closed');
 
     try {
+      // No new scheduled starts while shutting down
+      await schedulerService.stopScheduler();
+      streamBatchService.cancelAllPendingStarts();
+
+      // Freeze streams first so closing sockets doesn't auto-pause them;
+      // their snapshots stay in Redis for recovery on the next boot
+      const suspended = await streamService.suspendAllStreams();
+      logger.info('Streams suspended', { count: suspended });
+
       // Close all WebSocket connections
       wss.clients.forEach((client) => {
         client.close(1001, 'Server shutting down');
@@ -142,6 +172,12 @@ async function gracefulShutdown(signal) {
         count: wss.clients.size,
       });
 
+      const nmeaListeners = await deviceWireService.closeAllListeners();
+      logger.info('NMEA TCP listeners closed', { count: nmeaListeners });
+
+      // Leave the cluster so other nodes can adopt our streams
+      await cluster.shutdownCluster();
+
       // Disconnect from Redis
       await disconnectRedis();
 
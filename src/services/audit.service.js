@@ -122,6 +122,11 @@ const ACTIONS = {
     DEVICE_UPDATE: 'DEVICE_UPDATE',
     DEVICE_DELETE: 'DEVICE_DELETE',
 
+    // Device groups
+    GROUP_CREATE: 'GROUP_CREATE',
+    GROUP_UPDATE: 'GROUP_UPDATE',
+    GROUP_DELETE: 'GROUP_DELETE',
+
     // WebSocket
     WS_CONNECT: 'WS_CONNECT',
     WS_DISCONNECT: 'WS_DISCONNECT',
@@ -131,15 +136,29 @@ const ACTIONS = {
     ROUTE_CREATE: 'ROUTE_CREATE',
     ROUTE_DELETE: 'ROUTE_DELETE',
 
+    // Itineraries
+    ITINERARY_CREATE: 'ITINERARY_CREATE',
+    ITINERARY_UPDATE: 'ITINERARY_UPDATE',
+    ITINERARY_DELETE: 'ITINERARY_DELETE',
+
+    // Schedules
+    SCHEDULE_CREATE: 'SCHEDULE_CREATE',
+    SCHEDULE_UPDATE: 'SCHEDULE_UPDATE',
+    SCHEDULE_DELETE: 'SCHEDULE_DELETE',
+    SCHEDULE_RUN: 'SCHEDULE_RUN',
+
     // Streams
     STREAM_START: 'STREAM_START',
     STREAM_PAUSE: 'STREAM_PAUSE',
     STREAM_RESUME: 'STREAM_RESUME',
     STREAM_STOP: 'STREAM_STOP',
+    STREAM_RECOVER: 'STREAM_RECOVER',
     STREAM_WAITING_START: 'STREAM_WAITING_START',
     STREAM_WAITING_TICK: 'STREAM_WAITING_TICK',
     STREAM_WAITING_SKIP: 'STREAM_WAITING_SKIP',
-    STREAM_WAITING_EXTEND: 'STREAM_WAITING_EXTEND'
+    STREAM_WAITING_EXTEND: 'STREAM_WAITING_EXTEND',
+    STREAM_SEEK: 'STREAM_SEEK',
+    STREAM_UPDATE: 'STREAM_UPDATE'
 };
 
 module.exports = {
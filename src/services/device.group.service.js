@@ -0,0 +1,185 @@
+/**
+ * Device Group Service
+ * Named, persisted sets of devices (a fleet of fake couriers, a test rig...)
+ * used by the batch stream endpoints. Member order is kept: batch offsets
+ * (stagger, start position) are assigned by position in the group.
+ */
+
+const { prisma } = require('../lib/prisma');
+const config = require('../config/config');
+
+function invalid(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_GROUP';
+    return error;
+}
+
+function notFound(message) {
+    const error = new Error(message);
+    error.code = 'NOT_FOUND';
+    return error;
+}
+
+const GROUP_INCLUDE = {
+    members: {
+        orderBy: { position: 'asc' },
+        select: { deviceId: true }
+    }
+};
+
+/**
+ * Validate a member list: unique, existing devices the user may manage
+ * @param {string[]} deviceIds
+ * @param {string|null} userId - Owner every device must belong to (null = any, admins)
+ * @returns {Promise<string[]>} deviceIds in the given order, duplicates removed
+ * @throws {Error} code INVALID_GROUP / NOT_FOUND
+ */
+async function normalizeMembers(deviceIds, userId) {
+    if (!Array.isArray(deviceIds) || deviceIds.some(id => typeof id !== 'string' || !id)) {
+        throw invalid('deviceIds must be an array of device ids');
+    }
+    const unique = [...new Set(deviceIds)];
+    // Larger groups couldn't be used with the batch endpoints
+    if (unique.length > config.STREAM_BATCH_MAX_DEVICES) {
+        throw invalid(`A group holds at most ${config.STREAM_BATCH_MAX_DEVICES} devices`);
+    }
+    if (unique.length === 0) return unique;
+
+    const devices = await prisma.device.findMany({
+        where: { deviceId: { in: unique } },
+        select: { deviceId: true, userId: true }
+    });
+    const found = new Map(devices.map(d => [d.deviceId, d]));
+    const missing = unique.filter(id => !found.has(id));
+    if (missing.length > 0) {
+        throw notFound(`Device(s) not found: ${missing.join(', ')}`);
+    }
+    if (userId) {
+        const foreign = unique.filter(id => found.get(id).userId !== userId);
+        if (foreign.length > 0) {
+            throw invalid(`You do not own device(s): ${foreign.join(', ')}`);
+        }
+    }
+    return unique;
+}
+
+function validateName(name) {
+    if (typeof name !== 'string' || !name.trim()) {
+        throw invalid('name is required');
+    }
+    return name.trim();
+}
+
+/**
+ * Create a group
+ * @param {Object} data - { name, deviceIds }
+ * @param {string} userId - Owner of the group
+ * @param {boolean} isAdmin - Admins may group any device
+ */
+async function createGroup({ name, deviceIds = [] }, userId, isAdmin = false) {
+    const groupName = validateName(name);
+    const members = await normalizeMembers(deviceIds, isAdmin ? null : userId);
+
+    try {
+        const group = await prisma.deviceGroup.create({
+            data: {
+                userId,
+                name: groupName,
+                members: {
+                    create: members.map((deviceId, position) => ({ deviceId, position }))
+                }
+            },
+            include: GROUP_INCLUDE
+        });
+        return formatGroup(group);
+    } catch (error) {
+        if (error.code === 'P2002') throw invalid(`A group named "${groupName}" already exists`);
+        throw error;
+    }
+}
+
+/**
+ * Rename a group and/or replace its members
+ * @param {Object} data - { name?, deviceIds? }
+ * @param {string} userId - Owner devices must belong to (ignored for admins)
+ * @returns {Object|null}
+ */
+async function updateGroup(groupId, { name, deviceIds }, userId, isAdmin = false) {
+    const existing = await prisma.deviceGroup.findUnique({ where: { id: groupId } });
+    if (!existing) return null;
+
+    const data = {};
+    if (name !== undefined) data.name = validateName(name);
+    const members = deviceIds !== undefined ? await normalizeMembers(deviceIds, isAdmin ? null : userId) : null;
+
+    try {
+        const group = await prisma.$transaction(async (tx) => {
+            if (members) {
+                await tx.deviceGroupMember.deleteMany({ where: { groupId } });
+                await tx.deviceGroupMember.createMany({
+                    data: members.map((deviceId, position) => ({ groupId, deviceId, position }))
+                });
+            }
+            return tx.deviceGroup.update({
+                where: { id: groupId },
+                data,
+                include: GROUP_INCLUDE
+            });
+        });
+        return formatGroup(group);
+    } catch (error) {
+        if (error.code === 'P2002') throw invalid(`A group named "${data.name}" already exists`);
+        throw error;
+    }
+}
+
+async function getGroup(groupId) {
+    const group = await prisma.deviceGroup.findUnique({
+        where: { id: groupId },
+        include: GROUP_INCLUDE
+    });
+    return group ? formatGroup(group) : null;
+}
+
+/**
+ * @param {string|null} userId - Only this user's groups (null = all)
+ */
+async function getAllGroups(userId = null) {
+    const groups = await prisma.deviceGroup.findMany({
+        where: userId ? { userId } : {},
+        include: GROUP_INCLUDE,
+        orderBy: { createdAt: 'desc' }
+    });
+    return groups.map(formatGroup);
+}
+
+/**
+ * @returns {boolean}
+ */
+async function deleteGroup(groupId) {
+    try {
+        await prisma.deviceGroup.delete({ where: { id: groupId } });
+        return true;
+    } catch (error) {
+        if (error.code === 'P2025') return false;
+        throw error;
+    }
+}
+
+function formatGroup(group) {
+    return {
+        groupId: group.id,
+        userId: group.userId,
+        name: group.name,
+        deviceIds: (group.members || []).map(m => m.deviceId),
+        createdAt: group.createdAt
+    };
+}
+
+module.exports = {
+    createGroup,
+    updateGroup,
+    getGroup,
+    getAllGroups,
+    deleteGroup
+};
@@ -360,7 +360,7 @@ async function refreshWsAuthorization(deviceId) {
 
 async function setDeviceConnection(deviceId, ws) {
     deviceConnections.set(deviceId, ws);
-    await redis.setWsConnection(deviceId, process.env.HOSTNAME || 'local');
+    await redis.setWsConnection(deviceId, config.SERVER_ID);
     await updateDevice(deviceId, { isConnected: true });
 }
 
@@ -370,10 +370,28 @@ function getDeviceConnection(deviceId) {
 
 async function removeDeviceConnection(deviceId) {
     deviceConnections.delete(deviceId);
+
+    // In a cluster the device may already have reconnected through another node;
+    // its presence now belongs to that node, so leave it alone
+    const presence = await redis.getWsConnection(deviceId);
+    if (presence && presence.serverId && presence.serverId !== config.SERVER_ID) {
+        return;
+    }
+
     await redis.deleteWsConnection(deviceId);
     await updateDevice(deviceId, { isConnected: false });
 }
 
+/**
+ * Which API instance currently holds the device's WebSocket (cluster mode)
+ * @returns {Promise<string|null>} serverId or null when offline
+ */
+async function getDeviceConnectionNode(deviceId) {
+    if (deviceConnections.has(deviceId)) return config.SERVER_ID;
+    const presence = await redis.getWsConnection(deviceId);
+    return presence?.serverId || null;
+}
+
 async function refreshDeviceConnection(deviceId) {
     await redis.refreshWsConnection(deviceId);
     await updateDevice(deviceId, {});
@@ -406,6 +424,7 @@ module.exports = {
     setDeviceConnection,
     getDeviceConnection,
     removeDeviceConnection,
+    getDeviceConnectionNode,
     refreshDeviceConnection,
     getConnectedDeviceIds
 };
@@ -0,0 +1,211 @@
+/**
+ * Device Wire Service
+ * How MOCK_LOCATION fixes reach a device:
+ *   wireFormat 'json'  JSON frames over the device WebSocket (default)
+ *   wireFormat 'nmea'  $GPRMC / $GPGGA / $GPGSA text frames over the same WebSocket
+ * A device with an nmeaTcpPort also gets every fix as NMEA on a raw TCP listener
+ * (NMEA_TCP_ENABLED), for GPS emulators and legacy consumers that read a socket.
+ *
+ * Settings are cached on the node holding the device socket, where its streams run:
+ * loaded on connect, dropped (and the listener closed) on disconnect. Control frames
+ * other than MOCK_LOCATION stay JSON.
+ */
+
+const net = require('net');
+const { prisma } = require('../lib/prisma');
+const cluster = require('../lib/cluster');
+const config = require('../config/config');
+const deviceService = require('./device.service');
+const { buildNMEASentences } = require('../utils/nmea.writer');
+
+const WIRE_FORMATS = ['json', 'nmea'];
+
+// deviceId -> { wireFormat, nmeaTcpPort }
+const wireSettings = new Map();
+// deviceId -> { server, port, clients: Set<net.Socket> }
+const tcpListeners = new Map();
+
+function invalidWire(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_WIRE_FORMAT';
+    return error;
+}
+
+/**
+ * Validate PUT /api/devices/:deviceId/wire-format input
+ * @param {Object} input - { wireFormat, tcpPort } tcpPort null clears the listener, undefined keeps it
+ * @returns {Object} { wireFormat, nmeaTcpPort? }
+ * @throws {Error} code INVALID_WIRE_FORMAT
+ */
+function normalizeWireSettings(input = {}) {
+    const { wireFormat, tcpPort } = input;
+    if (!WIRE_FORMATS.includes(wireFormat)) {
+        throw invalidWire(`wireFormat must be one of: ${WIRE_FORMATS.join(', ')}`);
+    }
+    const settings = { wireFormat };
+    if (tcpPort === null) {
+        settings.nmeaTcpPort = null;
+    } else if (tcpPort !== undefined) {
+        if (!config.NMEA_TCP_ENABLED) {
+            throw invalidWire('NMEA TCP listeners are disabled on this server (NMEA_TCP_ENABLED)');
+        }
+        const port = Number(tcpPort);
+        if (!Number.isInteger(port) || port < config.NMEA_TCP_PORT_MIN || port > config.NMEA_TCP_PORT_MAX) {
+            throw invalidWire(`tcpPort must be an integer between ${config.NMEA_TCP_PORT_MIN} and ${config.NMEA_TCP_PORT_MAX}`);
+        }
+        settings.nmeaTcpPort = port;
+    }
+    return settings;
+}
+
+function closeListener(deviceId) {
+    const listener = tcpListeners.get(deviceId);
+    if (!listener) return Promise.resolve();
+    tcpListeners.delete(deviceId);
+    listener.clients.forEach(socket => socket.destroy());
+    return new Promise(resolve => listener.server.close(() => resolve()));
+}
+
+/**
+ * Open the device's NMEA TCP listener; a failed bind is logged, not thrown
+ * @returns {Promise<boolean>} listening
+ */
+function openListener(deviceId, port) {
+    const listener = { server: net.createServer(), port, clients: new Set() };
+
+    listener.server.on('connection', (socket) => {
+        listener.clients.add(socket);
+        console.log(`[NMEA] TCP client ${socket.remoteAddress} connected to device ${deviceId} (port ${port})`);
+        socket.on('error', () => socket.destroy());
+        socket.on('close', () => listener.clients.delete(socket));
+        // Read-only feed: anything the client sends is ignored
+        socket.resume();
+    });
+
+    return new Promise((resolve) => {
+        listener.server.once('error', (error) => {
+            console.error(`[NMEA] TCP listener for device ${deviceId} on port ${port} failed: ${error.message}`);
+            resolve(false);
+        });
+        listener.server.listen(port, config.NMEA_TCP_HOST, () => {
+            tcpListeners.set(deviceId, listener);
+            console.log(`[NMEA] TCP listener for device ${deviceId} on ${config.NMEA_TCP_HOST}:${port}`);
+            resolve(true);
+        });
+    });
+}
+
+/**
+ * Cache the settings on this node and (re)open or close the TCP listener
+ * @returns {Promise<Object>} { wireFormat, tcpPort, tcpListening }
+ */
+async function applyWireSettings(deviceId, settings) {
+    const current = wireSettings.get(deviceId) || { wireFormat: 'json', nmeaTcpPort: null };
+    const next = {
+        wireFormat: settings.wireFormat || current.wireFormat,
+        nmeaTcpPort: settings.nmeaTcpPort !== undefined ? settings.nmeaTcpPort : current.nmeaTcpPort
+    };
+    wireSettings.set(deviceId, next);
+
+    const port = config.NMEA_TCP_ENABLED ? next.nmeaTcpPort : null;
+    const listener = tcpListeners.get(deviceId);
+    if (listener && listener.port !== port) await closeListener(deviceId);
+    if (port && !tcpListeners.has(deviceId)) await openListener(deviceId, port);
+
+    return { wireFormat: next.wireFormat, tcpPort: next.nmeaTcpPort, tcpListening: tcpListeners.has(deviceId) };
+}
+
+/**
+ * Device socket connected to this node: load its settings
+ */
+async function attachDevice(deviceId) {
+    const device = await prisma.device.findUnique({
+        where: { deviceId },
+        select: { wireFormat: true, nmeaTcpPort: true }
+    });
+    if (!device) return null;
+    return applyWireSettings(deviceId, device);
+}
+
+/**
+ * Device socket gone: forget its settings and close its listener
+ */
+async function detachDevice(deviceId) {
+    wireSettings.delete(deviceId);
+    await closeListener(deviceId);
+}
+
+/**
+ * Store new settings and apply them on the node holding the device socket
+ * @returns {Promise<Object>} { device, wireFormat, tcpPort, tcpListening } tcpListening null while offline
+ * @throws {Error} code PORT_IN_USE when another device has the port
+ */
+async function updateWireSettings(deviceId, settings) {
+    let device;
+    try {
+        device = await prisma.device.update({ where: { deviceId }, data: settings });
+    } catch (error) {
+        if (error.code === 'P2002') {
+            const conflict = new Error(`tcpPort ${settings.nmeaTcpPort} is already assigned to another device`);
+            conflict.code = 'PORT_IN_USE';
+            throw conflict;
+        }
+        throw error;
+    }
+
+    const applied = { wireFormat: device.wireFormat, nmeaTcpPort: device.nmeaTcpPort };
+    const node = await deviceService.getDeviceConnectionNode(deviceId);
+    let status = { wireFormat: device.wireFormat, tcpPort: device.nmeaTcpPort, tcpListening: null };
+    if (node && node === cluster.getServerId()) {
+        status = await applyWireSettings(deviceId, applied);
+    } else if (node) {
+        try {
+            status = await cluster.sendCommand(node, 'device.wireSettings', { deviceId, settings: applied });
+        } catch (error) {
+            // Stored anyway: the device's node loads it on the next connect
+            console.error(`[NMEA] Could not apply wire settings of ${deviceId} on node ${node}: ${error.message}`);
+        }
+    }
+    return { device, ...status };
+}
+
+/**
+ * Send a MOCK_LOCATION in the device's wire format, and to its TCP clients
+ * @param {string} deviceId
+ * @param {WebSocket} ws - Device socket
+ * @param {Object} message - MOCK_LOCATION
+ */
+function sendLocation(deviceId, ws, message) {
+    const settings = wireSettings.get(deviceId);
+    const listener = tcpListeners.get(deviceId);
+    const nmeaOnWs = settings?.wireFormat === 'nmea';
+    const sentences = nmeaOnWs || (listener && listener.clients.size > 0)
+        ? buildNMEASentences(message.payload, message.meta?.timestamp)
+        : null;
+
+    ws.send(nmeaOnWs ? sentences : JSON.stringify(message));
+    if (listener) {
+        listener.clients.forEach(socket => socket.write(sentences));
+    }
+}
+
+/**
+ * Close every TCP listener (shutdown)
+ */
+async function closeAllListeners() {
+    const deviceIds = Array.from(tcpListeners.keys());
+    await Promise.all(deviceIds.map(closeListener));
+    return deviceIds.length;
+}
+
+cluster.registerCommand('device.wireSettings', ({ deviceId, settings }) => applyWireSettings(deviceId, settings));
+
+module.exports = {
+    WIRE_FORMATS,
+    normalizeWireSettings,
+    attachDevice,
+    detachDevice,
+    updateWireSettings,
+    sendLocation,
+    closeAllListeners
+};
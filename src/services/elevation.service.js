@@ -0,0 +1,77 @@
+/**
+ * Elevation Lookup Service
+ * Fills point altitudes from a local DEM service speaking the Open-Elevation API:
+ *   POST ELEVATION_LOOKUP_URL { locations: [{ latitude, longitude }] }
+ *   -> { results: [{ latitude, longitude, elevation }] }
+ *
+ * ORS directions are 2D, so routes built from them get their altitude here.
+ * A failed lookup never fails route creation: the route is stored without altitude.
+ */
+
+const axios = require('axios');
+const config = require('../config/config');
+
+function isEnabled() {
+    return !!config.ELEVATION_LOOKUP_URL;
+}
+
+/**
+ * Look up the elevation of coordinates, batched by ELEVATION_LOOKUP_BATCH_SIZE
+ * @param {Array} points - Array of {lat, lng}
+ * @returns {Promise<Array>} elevation in meters per point (null where the DEM has no data)
+ */
+async function lookupElevations(points) {
+    const elevations = [];
+    const batchSize = Math.max(1, config.ELEVATION_LOOKUP_BATCH_SIZE);
+
+    for (let i = 0; i < points.length; i += batchSize) {
+        const batch = points.slice(i, i + batchSize);
+        const response = await axios.post(
+            config.ELEVATION_LOOKUP_URL,
+            { locations: batch.map(p => ({ latitude: p.lat, longitude: p.lng })) },
+            { timeout: config.ELEVATION_LOOKUP_TIMEOUT_MS }
+        );
+
+        const results = response.data?.results;
+        if (!Array.isArray(results) || results.length !== batch.length) {
+            throw new Error(`Expected ${batch.length} results, got ${Array.isArray(results) ? results.length : 'none'}`);
+        }
+        for (const result of results) {
+            const elevation = parseFloat(result?.elevation);
+            elevations.push(Number.isFinite(elevation) ? elevation : null);
+        }
+    }
+
+    return elevations;
+}
+
+/**
+ * Set the altitude of points that don't have one (in place)
+ * No-op when ELEVATION_LOOKUP_URL is not configured.
+ * @param {Array} points - Array of {lat, lng, altitude?}
+ * @returns {Promise<Array>} the same points
+ */
+async function fillAltitudes(points) {
+    if (!isEnabled() || !Array.isArray(points)) return points;
+
+    const missing = points.filter(p => !Number.isFinite(p.altitude));
+    if (missing.length === 0) return points;
+
+    try {
+        const elevations = await lookupElevations(missing);
+        missing.forEach((p, i) => {
+            if (elevations[i] !== null) p.altitude = elevations[i];
+        });
+        console.log(`[Elevation] Filled ${elevations.filter(e => e !== null).length}/${missing.length} point altitudes`);
+    } catch (error) {
+        console.warn('[Elevation] Lookup failed, route keeps no altitude:', error.message);
+    }
+
+    return points;
+}
+
+module.exports = {
+    isEnabled,
+    lookupElevations,
+    fillAltitudes
+};
@@ -0,0 +1,232 @@
+/**
+ * GraphHopper Client
+ * Geocoding and directions from GraphHopper (GRAPHHOPPER_API_URL, GRAPHHOPPER_API_KEY),
+ * as a routing.service provider. The key is optional for self-hosted servers.
+ */
+
+const axios = require('axios');
+const config = require('../config/config');
+const { routingError, fromHttpError } = require('../utils/routing.error.util');
+
+const GRAPHHOPPER_PROFILES = {
+    'driving-car': 'car',
+    'driving-hgv': 'truck',
+    'cycling-regular': 'bike',
+    'cycling-road': 'racingbike',
+    'cycling-mountain': 'mtb',
+    'cycling-electric': 'bike',
+    'foot-walking': 'foot',
+    'foot-hiking': 'hike'
+};
+
+function baseUrl() {
+    return config.GRAPHHOPPER_API_URL.replace(/\/+$/, '');
+}
+
+function isConfigured() {
+    return !!config.GRAPHHOPPER_API_URL;
+}
+
+function supportsProfile(profile) {
+    return !!GRAPHHOPPER_PROFILES[profile];
+}
+
+function keyParams() {
+    return config.GRAPHHOPPER_API_KEY ? { key: config.GRAPHHOPPER_API_KEY } : {};
+}
+
+function ensureConfigured() {
+    if (!isConfigured()) {
+        throw routingError('GRAPHHOPPER_API_URL is not configured', { unavailable: true });
+    }
+}
+
+/**
+ * "Name, Street 12, City, Country" from a geocoding hit
+ */
+function hitLabel(hit) {
+    const street = [hit.street, hit.housenumber].filter(Boolean).join(' ');
+    return [hit.name, street !== hit.name ? street : null, hit.city, hit.country]
+        .filter(Boolean)
+        .join(', ');
+}
+
+function hitToResult(hit) {
+    return {
+        label: hitLabel(hit),
+        lat: hit.point.lat,
+        lng: hit.point.lng
+    };
+}
+
+/**
+ * Geocode an address to lat/lng coordinates
+ * @param {string} addressText - Address to geocode
+ * @returns {Promise<{lat: number, lng: number}>}
+ * @throws {Error} If geocoding fails or no results found
+ */
+async function geocodeAddress(addressText) {
+    if (!addressText || typeof addressText !== 'string') {
+        throw new Error('Address text is required');
+    }
+    ensureConfigured();
+
+    try {
+        console.log(`[GraphHopper] Geocoding: ${addressText}`);
+
+        const response = await axios.get(`${baseUrl()}/geocode`, {
+            params: { q: addressText, limit: 1, ...keyParams() },
+            timeout: config.ROUTING_TIMEOUT_MS
+        });
+
+        const hit = response.data?.hits?.[0];
+        if (!hit) {
+            throw new Error(`No results found for address: ${addressText}`);
+        }
+
+        return { lat: hit.point.lat, lng: hit.point.lng };
+
+    } catch (error) {
+        throw fromHttpError('GraphHopper', error);
+    }
+}
+
+/**
+ * Reverse geocode coordinates to the nearest address
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {Promise<{label: string, lat: number, lng: number}|null>} null when nothing is near
+ * @throws {Error} If reverse geocoding fails
+ */
+async function reverseGeocode(lat, lng) {
+    ensureConfigured();
+
+    try {
+        console.log(`[GraphHopper] Reverse geocoding: ${lat},${lng}`);
+
+        const response = await axios.get(`${baseUrl()}/geocode`, {
+            params: { reverse: true, point: `${lat},${lng}`, limit: 1, ...keyParams() },
+            timeout: config.ROUTING_TIMEOUT_MS
+        });
+
+        const hit = response.data?.hits?.[0];
+        return hit ? hitToResult(hit) : null;
+
+    } catch (error) {
+        throw fromHttpError('GraphHopper', error);
+    }
+}
+
+/**
+ * Autocomplete address suggestions
+ * @param {string} query - Search query (minimum 3 characters)
+ * @param {number} limit - Maximum number of suggestions (default 6)
+ * @param {string} country - Optional country code filter (e.g., 'US', 'DO')
+ * @returns {Promise<Array<{label: string, lat: number, lng: number}>>}
+ * @throws {Error} If autocomplete fails
+ */
+async function autocompleteAddress(query, limit = 6, country = null) {
+    if (!query || typeof query !== 'string') {
+        throw new Error('Query is required');
+    }
+    if (query.length < 3) {
+        throw new Error('Query must be at least 3 characters');
+    }
+    ensureConfigured();
+
+    const size = Math.min(Math.max(1, limit), 20);
+
+    try {
+        console.log(`[GraphHopper] Autocomplete: ${query}${country ? ' (country: ' + country + ')' : ''}`);
+
+        // GraphHopper has no country filter: over-fetch and filter here
+        const response = await axios.get(`${baseUrl()}/geocode`, {
+            params: { q: query, limit: country ? 20 : size, autocomplete: true, ...keyParams() },
+            timeout: config.ROUTING_TIMEOUT_MS
+        });
+
+        const hits = (response.data?.hits || [])
+            .filter(hit => !country || (hit.countrycode || '').toUpperCase() === country.toUpperCase());
+
+        return hits.slice(0, size).map(hitToResult);
+
+    } catch (error) {
+        const status = error.response?.status;
+        if (status === 400) {
+            return [];
+        }
+        throw fromHttpError('GraphHopper', error);
+    }
+}
+
+/**
+ * Get directions through 2..N waypoints
+ * @param {Array<{lat: number, lng: number}>} waypoints
+ * @param {string} profile - Routing profile (driving-car, driving-hgv, cycling-regular, foot-walking, ...)
+ * @returns {Promise<{geometry: Array, distanceMeters: number, durationSeconds: number, speedRanges: Array}>}
+ * @throws {Error} If the directions request fails
+ */
+async function getDirectionsMulti(waypoints, profile = 'driving-car') {
+    ensureConfigured();
+    if (!waypoints || waypoints.length < 2) {
+        throw new Error('At least 2 waypoints are required');
+    }
+    if (!supportsProfile(profile)) {
+        throw new Error(`Invalid profile for GraphHopper: ${profile}`);
+    }
+
+    try {
+        console.log(`[GraphHopper] Getting directions: ${waypoints.length} points (${GRAPHHOPPER_PROFILES[profile]})`);
+
+        const response = await axios.post(`${baseUrl()}/route`, {
+            points: waypoints.map(wp => [parseFloat(wp.lng), parseFloat(wp.lat)]),
+            profile: GRAPHHOPPER_PROFILES[profile],
+            points_encoded: false,
+            instructions: false,
+            calc_points: true
+        }, {
+            params: keyParams(),
+            timeout: config.ROUTING_TIMEOUT_MS
+        });
+
+        const path = response.data?.paths?.[0];
+        if (!path || !path.points?.coordinates?.length) {
+            throw new Error('No route found between the specified waypoints');
+        }
+
+        return {
+            geometry: path.points.coordinates.map(([lng, lat]) => ({ lat, lng })),
+            distanceMeters: path.distance,
+            durationSeconds: path.time / 1000,
+            speedRanges: []
+        };
+
+    } catch (error) {
+        throw fromHttpError('GraphHopper', error, (status, data) => (
+            status === 400 && /connection between locations not found|cannot find point/i.test(data?.message || '')
+                ? `No route found between the specified locations (${data.message})`
+                : null
+        ));
+    }
+}
+
+/**
+ * Get directions between two coordinates
+ * @param {Object} origin - {lat, lng}
+ * @param {Object} destination - {lat, lng}
+ * @param {string} profile
+ */
+async function getDirections(origin, destination, profile = 'driving-car') {
+    return getDirectionsMulti([origin, destination], profile);
+}
+
+module.exports = {
+    name: 'graphhopper',
+    isConfigured,
+    supportsProfile,
+    geocodeAddress,
+    reverseGeocode,
+    getDirections,
+    getDirectionsMulti,
+    autocompleteAddress
+};
@@ -0,0 +1,208 @@
+/**
+ * Itinerary Service
+ * Ordered lists of routes ("legs") played back-to-back on a single stream
+ *
+ * Per-leg overrides:
+ *   speed        km/h used while driving this leg
+ *   dwellSeconds replaces the dwell of every stop on this leg
+ *   gapSeconds   idle time at the start of this leg before departing
+ *                (ignored for the first leg)
+ */
+
+const { prisma } = require('../lib/prisma');
+const routeService = require('./route.service');
+
+const legsInclude = {
+    legs: {
+        orderBy: { seq: 'asc' },
+        include: { route: { select: { name: true } } }
+    }
+};
+
+/**
+ * Validate and normalize the legs array from a request body
+ * @throws {Error} code INVALID_ITINERARY / ROUTE_NOT_FOUND
+ */
+async function normalizeLegs(legs) {
+    if (!Array.isArray(legs) || legs.length === 0) {
+        const error = new Error('legs must be a non-empty array');
+        error.code = 'INVALID_ITINERARY';
+        throw error;
+    }
+
+    const normalized = [];
+    for (let i = 0; i < legs.length; i++) {
+        const leg = legs[i] || {};
+        const invalid = (message) => {
+            const error = new Error(`Leg ${i}: ${message}`);
+            error.code = 'INVALID_ITINERARY';
+            return error;
+        };
+
+        if (!leg.routeId) throw invalid('routeId is required');
+
+        const speed = leg.speed !== undefined && leg.speed !== null ? parseFloat(leg.speed) : null;
+        if (speed !== null && (!Number.isFinite(speed) || speed <= 0)) throw invalid('speed must be a positive number');
+
+        const dwellSeconds = leg.dwellSeconds !== undefined && leg.dwellSeconds !== null ? parseInt(leg.dwellSeconds) : null;
+        if (dwellSeconds !== null && (!Number.isFinite(dwellSeconds) || dwellSeconds < 0)) throw invalid('dwellSeconds must be >= 0');
+
+        const gapSeconds = leg.gapSeconds !== undefined && leg.gapSeconds !== null ? parseInt(leg.gapSeconds) : 0;
+        if (!Number.isFinite(gapSeconds) || gapSeconds < 0) throw invalid('gapSeconds must be >= 0');
+
+        if (!(await routeService.routeExists(leg.routeId))) {
+            const error = new Error(`Leg ${i}: route ${leg.routeId} not found`);
+            error.code = 'ROUTE_NOT_FOUND';
+            throw error;
+        }
+
+        normalized.push({ seq: i, routeId: leg.routeId, speed, dwellSeconds, gapSeconds });
+    }
+
+    return normalized;
+}
+
+/**
+ * Create an itinerary
+ * @param {Object} data - { name, loop, legs: [{ routeId, speed?, dwellSeconds?, gapSeconds? }] }
+ * @param {string} userId
+ */
+async function createItinerary(data, userId) {
+    const legs = await normalizeLegs(data.legs);
+
+    const itinerary = await prisma.itinerary.create({
+        data: {
+            userId,
+            name: data.name || null,
+            loop: data.loop === true,
+            legs: { create: legs }
+        },
+        include: legsInclude
+    });
+
+    return formatItinerary(itinerary);
+}
+
+/**
+ * Replace name/loop and (optionally) the whole list of legs
+ * @returns {Object|null}
+ */
+async function updateItinerary(itineraryId, data) {
+    const existing = await prisma.itinerary.findUnique({ where: { id: itineraryId } });
+    if (!existing) return null;
+
+    const legs = data.legs !== undefined ? await normalizeLegs(data.legs) : null;
+
+    const updateData = {};
+    if (data.name !== undefined) updateData.name = data.name;
+    if (data.loop !== undefined) updateData.loop = data.loop === true;
+
+    const operations = [];
+    if (legs) {
+        operations.push(prisma.itineraryLeg.deleteMany({ where: { itineraryId } }));
+        updateData.legs = { create: legs };
+    }
+    operations.push(prisma.itinerary.update({
+        where: { id: itineraryId },
+        data: updateData,
+        include: legsInclude
+    }));
+
+    const results = await prisma.$transaction(operations);
+    return formatItinerary(results[results.length - 1]);
+}
+
+async function getItinerary(itineraryId) {
+    const itinerary = await prisma.itinerary.findUnique({
+        where: { id: itineraryId },
+        include: legsInclude
+    });
+    return itinerary ? formatItinerary(itinerary) : null;
+}
+
+async function getAllItineraries() {
+    const itineraries = await prisma.itinerary.findMany({
+        include: legsInclude,
+        orderBy: { createdAt: 'desc' }
+    });
+    return itineraries.map(formatItinerary);
+}
+
+/**
+ * Delete itinerary (cascade deletes legs; past streams keep their route)
+ * @returns {boolean}
+ */
+async function deleteItinerary(itineraryId) {
+    try {
+        await prisma.itinerary.delete({ where: { id: itineraryId } });
+        return true;
+    } catch (error) {
+        if (error.code === 'P2025') return false;
+        throw error;
+    }
+}
+
+/**
+ * Load an itinerary with the full route (points + waypoints) of every leg,
+ * ready to be played by the stream engine
+ * @returns {Object|null} { itineraryId, name, loop, legs: [{ seq, routeId, speed, dwellSeconds, gapSeconds, points, waypoints, config }] }
+ */
+async function loadPlayableItinerary(itineraryId) {
+    const itinerary = await prisma.itinerary.findUnique({
+        where: { id: itineraryId },
+        include: { legs: { orderBy: { seq: 'asc' } } }
+    });
+    if (!itinerary) return null;
+
+    const legs = [];
+    for (const leg of itinerary.legs) {
+        const route = await routeService.getRoute(leg.routeId);
+        if (!route || !route.points || route.points.length < 2) {
+            throw new Error(`Itinerary leg ${leg.seq} (route ${leg.routeId}) has fewer than 2 points`);
+        }
+        legs.push({
+            seq: leg.seq,
+            routeId: leg.routeId,
+            speed: leg.speed,
+            dwellSeconds: leg.dwellSeconds,
+            gapSeconds: leg.gapSeconds,
+            points: route.points,
+            waypoints: route.waypoints || [],
+            config: route.config
+        });
+    }
+
+    return {
+        itineraryId: itinerary.id,
+        name: itinerary.name,
+        loop: itinerary.loop,
+        legs
+    };
+}
+
+function formatItinerary(itinerary) {
+    return {
+        itineraryId: itinerary.id,
+        name: itinerary.name,
+        loop: itinerary.loop,
+        legs: (itinerary.legs || []).map(leg => ({
+            seq: leg.seq,
+            routeId: leg.routeId,
+            routeName: leg.route?.name || null,
+            speed: leg.speed,
+            dwellSeconds: leg.dwellSeconds,
+            gapSeconds: leg.gapSeconds
+        })),
+        totalLegs: (itinerary.legs || []).length,
+        createdAt: itinerary.createdAt
+    };
+}
+
+module.exports = {
+    createItinerary,
+    updateItinerary,
+    getItinerary,
+    getAllItineraries,
+    deleteItinerary,
+    loadPlayableItinerary
+};
@@ -0,0 +1,357 @@
+/**
+ * Map Matching Service
+ * Snaps an uploaded track onto the road network so streams follow roads instead of
+ * GPS noise. The backend is picked with MAP_MATCH_PROVIDER:
+ *   osrm      GET  {url}/match/v1/{profile}/{lng,lat;...}   matchings with a confidence each
+ *   valhalla  POST {url}/trace_attributes                   confidence_score, else the share of matched points
+ *   ors       POST {url}/v2/snap/{profile}/json             nearest road per point (no path between them)
+ * useBackend() swaps in another backend (a local stand-in in tests or offline setups).
+ *
+ * The track is sent in batches of MAP_MATCH_BATCH_SIZE points. Each matched segment
+ * replaces its stretch of the track; stretches without a match, or matched below
+ * MAP_MATCH_MIN_CONFIDENCE, keep the recorded points. Track points with a dwell or a
+ * label are moved onto the matched geometry with their dwell, label, time and altitude.
+ */
+
+const axios = require('axios');
+const config = require('../config/config');
+const { calculateDistance, interpolatePoint, decodePolyline } = require('../utils/geospatial.util');
+
+const DEFAULT_PROFILES = {
+    osrm: 'driving',
+    valhalla: 'auto',
+    ors: 'driving-car'
+};
+// Longest gap left between matched points (the road network only has vertices at bends)
+const DENSIFY_METERS = 10;
+
+let backendOverride = null;
+
+function mapMatchError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Backend request failed: a 4xx means the backend found no match for these points,
+ * anything else that it is unavailable
+ */
+function backendError(provider, error) {
+    const status = error.response?.status;
+    const detail = error.response?.data?.message || error.response?.data?.error || error.message;
+    if (status >= 400 && status < 500) {
+        return mapMatchError('MAP_MATCH_NO_MATCH', `${provider}: ${detail}`);
+    }
+    return mapMatchError('MAP_MATCH_FAILED', `${provider} map matching unavailable: ${detail}`);
+}
+
+function hasTimes(points) {
+    return points.every(p => p.time && Number.isFinite(new Date(p.time).getTime()));
+}
+
+// ─────────────────────────────────────────────────────────────────
+// Backends: match(points, { url, profile, radiusMeters, timeoutMs })
+//   -> [{ fromIndex, toIndex, confidence (0..1), geometry: [{ lat, lng }] }]
+//   fromIndex / toIndex: first and last of `points` the segment covers
+// ─────────────────────────────────────────────────────────────────
+
+const osrmBackend = {
+    name: 'osrm',
+    async match(points, { url, profile, radiusMeters, timeoutMs }) {
+        const coordinates = points.map(p => `${p.lng},${p.lat}`).join(';');
+        const params = {
+            geometries: 'geojson',
+            overview: 'full',
+            gaps: 'split',
+            radiuses: points.map(() => radiusMeters).join(';')
+        };
+        if (hasTimes(points)) {
+            params.timestamps = points.map(p => Math.round(new Date(p.time).getTime() / 1000)).join(';');
+        }
+
+        let response;
+        try {
+            response = await axios.get(`${url}/match/v1/${profile}/${coordinates}`, { params, timeout: timeoutMs });
+        } catch (error) {
+            throw backendError('osrm', error);
+        }
+
+        // Input points of each matching, from the tracepoints
+        const ranges = new Map();
+        (response.data?.tracepoints || []).forEach((tracepoint, i) => {
+            if (!tracepoint) return;
+            const range = ranges.get(tracepoint.matchings_index);
+            if (range) range.toIndex = i;
+            else ranges.set(tracepoint.matchings_index, { fromIndex: i, toIndex: i });
+        });
+
+        return (response.data?.matchings || [])
+            .map((matching, k) => ranges.has(k) && {
+                ...ranges.get(k),
+                confidence: matching.confidence ?? 1,
+                geometry: matching.geometry.coordinates.map(([lng, lat]) => ({ lat, lng }))
+            })
+            .filter(Boolean);
+    }
+};
+
+const valhallaBackend = {
+    name: 'valhalla',
+    async match(points, { url, profile, radiusMeters, timeoutMs }) {
+        const withTimes = hasTimes(points);
+        const body = {
+            shape: points.map(p => ({
+                lat: p.lat,
+                lon: p.lng,
+                ...(withTimes ? { time: Math.round(new Date(p.time).getTime() / 1000) } : {})
+            })),
+            costing: profile,
+            shape_match: 'map_snap',
+            trace_options: { search_radius: radiusMeters }
+        };
+
+        let response;
+        try {
+            response = await axios.post(`${url}/trace_attributes`, body, { timeout: timeoutMs });
+        } catch (error) {
+            throw backendError('valhalla', error);
+        }
+
+        const matched = (response.data?.matched_points || [])
+            .map((m, i) => (m && m.type === 'matched' ? i : -1))
+            .filter(i => i !== -1);
+        if (matched.length === 0 || !response.data.shape) return [];
+
+        const confidence = typeof response.data.confidence_score === 'number'
+            ? response.data.confidence_score
+            : matched.length / points.length;
+        return [{
+            fromIndex: matched[0],
+            toIndex: matched[matched.length - 1],
+            confidence,
+            geometry: decodePolyline(response.data.shape, 6)
+        }];
+    }
+};
+
+const orsBackend = {
+    name: 'ors',
+    async match(points, { url, profile, radiusMeters, timeoutMs }) {
+        let response;
+        try {
+            response = await axios.post(
+                `${url}/v2/snap/${profile}/json`,
+                { locations: points.map(p => [p.lng, p.lat]), radius: radiusMeters },
+                { headers: { 'Authorization': config.ORS_API_KEY, 'Content-Type': 'application/json' }, timeout: timeoutMs }
+            );
+        } catch (error) {
+            throw backendError('ors', error);
+        }
+
+        // Runs of snapped points make segments; confidence falls with the snap distance
+        const segments = [];
+        let current = null;
+        (response.data?.locations || []).forEach((snap, i) => {
+            if (!snap || !Array.isArray(snap.location)) {
+                current = null;
+                return;
+            }
+            if (!current) {
+                current = { fromIndex: i, toIndex: i, geometry: [], distances: [] };
+                segments.push(current);
+            }
+            current.toIndex = i;
+            current.geometry.push({ lat: snap.location[1], lng: snap.location[0] });
+            current.distances.push(snap.snapped_distance || 0);
+        });
+
+        return segments.map(({ distances, ...segment }) => {
+            const mean = distances.reduce((sum, d) => sum + d, 0) / distances.length;
+            return { ...segment, confidence: Math.max(0, 1 - mean / radiusMeters) };
+        });
+    }
+};
+
+const BACKENDS = {
+    osrm: osrmBackend,
+    valhalla: valhallaBackend,
+    ors: orsBackend
+};
+
+/**
+ * Replace the configured backend (null restores it)
+ * @param {Object|null} backend - { name, match(points, options) }
+ */
+function useBackend(backend) {
+    backendOverride = backend;
+}
+
+function getBackend() {
+    return backendOverride || BACKENDS[config.MAP_MATCH_PROVIDER] || null;
+}
+
+function isEnabled() {
+    return !!getBackend();
+}
+
+/**
+ * Lay the recorded points of a segment onto its matched geometry.
+ * Each point goes to the nearest matched vertex ahead of the previous one (so
+ * out-and-back tracks stay in order); dwell, label, time and altitude move with it.
+ * Times and altitudes between those vertices are interpolated by distance.
+ */
+function anchorSegment(raw, geometry) {
+    const matched = geometry.map(p => ({ lat: p.lat, lng: p.lng }));
+    const along = [0];
+    for (let k = 1; k < matched.length; k++) {
+        along.push(along[k - 1] + calculateDistance(matched[k - 1], matched[k]));
+    }
+
+    const anchors = [];
+    let cursor = 0;
+    raw.forEach((p, j) => {
+        const step = j === 0 ? 0 : calculateDistance(raw[j - 1], p);
+        const reach = along[cursor] + step * 3 + config.MAP_MATCH_RADIUS_METERS * 2;
+        let best = cursor;
+        let bestDistance = Infinity;
+        for (let k = cursor; k < matched.length && along[k] <= reach; k++) {
+            const d = calculateDistance(p, matched[k]);
+            if (d < bestDistance) {
+                best = k;
+                bestDistance = d;
+            }
+        }
+        cursor = best;
+
+        const vertex = matched[best];
+        if (p.dwellSeconds > 0) vertex.dwellSeconds = (vertex.dwellSeconds || 0) + p.dwellSeconds;
+        if (p.label && !vertex.label) vertex.label = p.label;
+        if (p.time && !vertex.time) vertex.time = p.time;
+        if (Number.isFinite(p.altitude) && !Number.isFinite(vertex.altitude)) vertex.altitude = p.altitude;
+        if (Number.isFinite(p.speed) && !Number.isFinite(vertex.speed)) vertex.speed = p.speed;
+        if (anchors[anchors.length - 1] !== best) anchors.push(best);
+    });
+
+    // Interpolate between anchored vertices
+    for (let a = 1; a < anchors.length; a++) {
+        const from = anchors[a - 1];
+        const to = anchors[a];
+        const span = along[to] - along[from];
+        for (let k = from + 1; k < to; k++) {
+            const fraction = span > 0 ? (along[k] - along[from]) / span : 0;
+            const between = interpolatePoint(matched[from], matched[to], fraction);
+            if (between.time) matched[k].time = between.time;
+            if (between.altitude !== undefined) matched[k].altitude = between.altitude;
+        }
+    }
+
+    // Densify long straight road stretches
+    const points = [matched[0]];
+    for (let k = 1; k < matched.length; k++) {
+        const gap = along[k] - along[k - 1];
+        const steps = Math.ceil(gap / DENSIFY_METERS);
+        for (let s = 1; s < steps; s++) {
+            points.push(interpolatePoint(matched[k - 1], matched[k], s / steps));
+        }
+        points.push(matched[k]);
+    }
+    return points;
+}
+
+/**
+ * Map-match a track onto the road network
+ * @param {Array} points - Track points {lat, lng, time?, altitude?, speed?, dwellSeconds?, label?}
+ * @returns {Promise<Object>} { provider, points, segments: [{ fromIndex, toIndex, confidence, matched,
+ *   pointCount }], matchedShare, warnings }
+ * @throws {Error} code MAP_MATCH_DISABLED / MAP_MATCH_FAILED
+ */
+async function snapToRoads(points) {
+    const backend = getBackend();
+    if (!backend) {
+        throw mapMatchError('MAP_MATCH_DISABLED', 'snapToRoads needs a map matching backend (MAP_MATCH_PROVIDER)');
+    }
+    const provider = backend.name || config.MAP_MATCH_PROVIDER;
+    const options = {
+        url: (config.MAP_MATCH_URL || (provider === 'ors' ? config.ORS_API_URL : '')).replace(/\/+$/, ''),
+        profile: config.MAP_MATCH_PROFILE || DEFAULT_PROFILES[provider],
+        radiusMeters: config.MAP_MATCH_RADIUS_METERS,
+        timeoutMs: config.MAP_MATCH_TIMEOUT_MS
+    };
+    const warnings = [];
+    const warn = message => warnings.push({ element: 'snapToRoads', line: null, message });
+
+    // Batches share their boundary point so matched segments meet
+    const batchSize = Math.max(2, config.MAP_MATCH_BATCH_SIZE);
+    const found = [];
+    for (let start = 0; start < points.length - 1; start += batchSize - 1) {
+        const batch = points.slice(start, start + batchSize);
+        try {
+            const segments = await backend.match(batch, options);
+            segments.forEach(s => found.push({ ...s, fromIndex: s.fromIndex + start, toIndex: s.toIndex + start }));
+        } catch (error) {
+            if (error.code !== 'MAP_MATCH_NO_MATCH') {
+                throw error.code ? error : mapMatchError('MAP_MATCH_FAILED', `${provider} map matching failed: ${error.message}`);
+            }
+            warn(`points ${start}-${start + batch.length - 1}: no road match (${error.message}), kept as recorded`);
+        }
+    }
+    found.sort((a, b) => a.fromIndex - b.fromIndex);
+
+    const result = [];
+    const segments = [];
+    const append = (p) => {
+        const last = result[result.length - 1];
+        if (last && calculateDistance(last, p) < 0.5) {
+            if (p.dwellSeconds > 0) last.dwellSeconds = (last.dwellSeconds || 0) + p.dwellSeconds;
+            if (p.label && !last.label) last.label = p.label;
+            return;
+        }
+        result.push(p);
+    };
+
+    let next = 0; // first recorded point not placed yet
+    let matchedPoints = 0;
+    for (const segment of found) {
+        const confidence = parseFloat(Math.min(1, Math.max(0, segment.confidence)).toFixed(2));
+        const fromIndex = Math.max(segment.fromIndex, next === 0 ? 0 : next - 1);
+        const usable = segment.toIndex > fromIndex && segment.geometry.length >= 2;
+        const matched = usable && confidence >= config.MAP_MATCH_MIN_CONFIDENCE;
+        if (usable && !matched) {
+            warn(`points ${segment.fromIndex}-${segment.toIndex}: match confidence ${confidence} below ${config.MAP_MATCH_MIN_CONFIDENCE}, kept as recorded`);
+        }
+
+        let pointCount = 0;
+        if (matched) {
+            for (; next < fromIndex; next++) append(points[next]);
+            const raw = points.slice(fromIndex, segment.toIndex + 1);
+            if (fromIndex < next) {
+                // Boundary point already placed by the previous segment: position only
+                raw[0] = { lat: raw[0].lat, lng: raw[0].lng, time: raw[0].time };
+            }
+            const before = result.length;
+            anchorSegment(raw, segment.geometry).forEach(append);
+            pointCount = result.length - before;
+            matchedPoints += segment.toIndex + 1 - Math.max(fromIndex, next);
+            next = segment.toIndex + 1;
+        }
+        segments.push({ fromIndex: segment.fromIndex, toIndex: segment.toIndex, confidence, matched, pointCount });
+    }
+    for (; next < points.length; next++) append(points[next]);
+
+    console.log(`[MapMatch] ${provider}: ${matchedPoints}/${points.length} points matched in ${segments.filter(s => s.matched).length} segments -> ${result.length} points`);
+
+    return {
+        provider,
+        points: result,
+        segments,
+        matchedShare: points.length > 0 ? parseFloat((matchedPoints / points.length).toFixed(2)) : 0,
+        warnings
+    };
+}
+
+module.exports = {
+    isEnabled,
+    useBackend,
+    snapToRoads
+};
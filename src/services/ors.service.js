@@ -6,11 +6,28 @@
 const axios = require('axios');
 const config = require('../config/config');
 const { getRedis } = require('../lib/redis');
+const { speedRangesFromWaytypes } = require('../utils/speed.profile.util');
+const { fromHttpError } = require('../utils/routing.error.util');
 
 const ORS_BASE_URL = config.ORS_API_URL || 'https://api.openrouteservice.org';
 const ORS_API_KEY = config.ORS_API_KEY;
 const GEOCODING_CACHE_TTL = config.ORS_GEOCODING_CACHE_TTL || 86400; // 24 hours
 
+// ORS profile names are also the profile names of the routing API (routing.service)
+const ORS_PROFILES = [
+    'driving-car', 'driving-hgv', 'cycling-regular',
+    'cycling-road', 'cycling-mountain', 'cycling-electric',
+    'foot-walking', 'foot-hiking', 'wheelchair'
+];
+
+function isConfigured() {
+    return !!ORS_API_KEY;
+}
+
+function supportsProfile(profile) {
+    return ORS_PROFILES.includes(profile);
+}
+
 /**
  * Geocode an address to lat/lng coordinates
  * Uses Redis cache for 24 hours
@@ -85,20 +102,75 @@ async function geocodeAddress(addressText) {
         return result;
 
     } catch (error) {
-        if (error.response) {
-            // ORS API error
-            const status = error.response.status;
-            const message = error.response.data?.error?.message || error.message;
+        throw fromHttpError('ORS', error, (status, data) => (
+            status === 404 || status === 400 ? `Geocoding failed: ${data?.error?.message || `no result (${status})`}` : null
+        ));
+    }
+}
 
-            if (status === 404 || status === 400) {
-                throw new Error(`Geocoding failed: ${message}`);
-            }
+/**
+ * Reverse geocode coordinates to the nearest address
+ * Uses Redis cache like geocodeAddress
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {Promise<{label: string, lat: number, lng: number}|null>} null when nothing is near
+ * @throws {Error} If reverse geocoding fails
+ */
+async function reverseGeocode(lat, lng) {
+    if (!ORS_API_KEY) {
+        throw new Error('ORS_API_KEY is not configured');
+    }
+
+    const cacheKey = `ors:reverse:${lat.toFixed(5)},${lng.toFixed(5)}`;
+
+    try {
+        const redis = getRedis();
+        const cached = await redis.get(cacheKey);
 
-            throw new Error(`ORS API error (${status}): ${message}`);
+        if (cached) {
+            console.log(`[ORS] Reverse geocoding cache hit: ${lat},${lng}`);
+            return JSON.parse(cached);
         }
+    } catch (cacheError) {
+        console.warn('[ORS] Redis cache error:', cacheError.message);
+    }
+
+    try {
+        console.log(`[ORS] Reverse geocoding: ${lat},${lng}`);
 
-        // Network or timeout error
-        throw new Error(`ORS service unavailable: ${error.message}`);
+        const response = await axios.get(`${ORS_BASE_URL}/geocode/reverse`, {
+            headers: {
+                'Authorization': ORS_API_KEY,
+                'Content-Type': 'application/json'
+            },
+            params: {
+                'point.lat': lat,
+                'point.lon': lng,
+                size: 1
+            },
+            timeout: 10000
+        });
+
+        const feature = response.data?.features?.[0];
+        if (!feature) return null;
+
+        const result = {
+            label: feature.properties.label || feature.properties.name,
+            lat: feature.geometry.coordinates[1],
+            lng: feature.geometry.coordinates[0]
+        };
+
+        try {
+            const redis = getRedis();
+            await redis.setex(cacheKey, GEOCODING_CACHE_TTL, JSON.stringify(result));
+        } catch (cacheError) {
+            console.warn('[ORS] Failed to cache reverse geocoding result:', cacheError.message);
+        }
+
+        return result;
+
+    } catch (error) {
+        throw fromHttpError('ORS', error);
     }
 }
 
@@ -107,7 +179,7 @@ async function geocodeAddress(addressText) {
  * @param {Object} origin - {lat, lng}
  * @param {Object} destination - {lat, lng}
  * @param {string} profile - Routing profile (driving-car, driving-hgv, cycling-regular, etc.)
- * @returns {Promise<{geometry: Array, distanceMeters: number, durationSeconds: number}>}
+ * @returns {Promise<{geometry: Array, distanceMeters: number, durationSeconds: number, speedRanges: Array}>}
  * @throws {Error} If directions request fails
  */
 async function getDirections(origin, destination, profile = 'driving-car') {
@@ -120,14 +192,8 @@ async function getDirections(origin, destination, profile = 'driving-car') {
     }
 
     // Validate profile
-    const validProfiles = [
-        'driving-car', 'driving-hgv', 'cycling-regular',
-        'cycling-road', 'cycling-mountain', 'cycling-electric',
-        'foot-walking', 'foot-hiking', 'wheelchair'
-    ];
-
-    if (!validProfiles.includes(profile)) {
-        throw new Error(`Invalid profile: ${profile}. Must be one of: ${validProfiles.join(', ')}`);
+    if (!ORS_PROFILES.includes(profile)) {
+        throw new Error(`Invalid profile: ${profile}. Must be one of: ${ORS_PROFILES.join(', ')}`);
     }
 
     try {
@@ -143,7 +209,8 @@ async function getDirections(origin, destination, profile = 'driving-car') {
                 instructions: false,
                 elevation: false,
                 geometry_simplify: false,
-                radiuses: [50, 50]
+                radiuses: [50, 50],
+                ...(config.ORS_EXTRA_INFO ? { extra_info: ['waytype'] } : {})
             },
             {
                 headers: {
@@ -195,24 +262,12 @@ async function getDirections(origin, destination, profile = 'driving-car') {
         return {
             geometry: points,
             distanceMeters,
-            durationSeconds
+            durationSeconds,
+            speedRanges: speedRangesFromWaytypes(points, route.properties?.extras?.waytype?.values)
         };
 
     } catch (error) {
-        if (error.response) {
-            // ORS API error
-            const status = error.response.status;
-            const message = error.response.data?.error?.message || error.message;
-
-            if (status === 404) {
-                throw new Error('No route found between the specified locations');
-            }
-
-            throw new Error(`ORS API error (${status}): ${message}`);
-        }
-
-        // Network or timeout error
-        throw new Error(`ORS service unavailable: ${error.message}`);
+        throw fromHttpError('ORS', error, status => (status === 404 ? 'No route found between the specified locations' : null));
     }
 }
 
@@ -322,21 +377,12 @@ async function autocompleteAddress(query, limit = 6, country = null) {
         return suggestions;
 
     } catch (error) {
-        if (error.response) {
-            // ORS API error
-            const status = error.response.status;
-            const message = error.response.data?.error?.message || error.message;
-
-            if (status === 404 || status === 400) {
-                // Return empty array for no results
-                return [];
-            }
-
-            throw new Error(`ORS API error (${status}): ${message}`);
+        const status = error.response?.status;
+        if (status === 404 || status === 400) {
+            // Return empty array for no results
+            return [];
         }
-
-        // Network or timeout error
-        throw new Error(`ORS service unavailable: ${error.message}`);
+        throw fromHttpError('ORS', error);
     }
 }
 
@@ -344,7 +390,7 @@ async function autocompleteAddress(query, limit = 6, country = null) {
  * Get directions for multiple waypoints in a single ORS request
  * @param {Array<{lat: number, lng: number}>} waypoints - Array of 2..N coordinates
  * @param {string} profile - Routing profile
- * @returns {Promise<{geometry: Array, distanceMeters: number, durationSeconds: number}>}
+ * @returns {Promise<{geometry: Array, distanceMeters: number, durationSeconds: number, speedRanges: Array}>}
  * @throws {Error} If directions request fails
  */
 async function getDirectionsMulti(waypoints, profile = 'driving-car') {
@@ -357,14 +403,8 @@ async function getDirectionsMulti(waypoints, profile = 'driving-car') {
     }
 
     // Validate profile
-    const validProfiles = [
-        'driving-car', 'driving-hgv', 'cycling-regular',
-        'cycling-road', 'cycling-mountain', 'cycling-electric',
-        'foot-walking', 'foot-hiking', 'wheelchair'
-    ];
-
-    if (!validProfiles.includes(profile)) {
-        throw new Error(`Invalid profile: ${profile}. Must be one of: ${validProfiles.join(', ')}`);
+    if (!ORS_PROFILES.includes(profile)) {
+        throw new Error(`Invalid profile: ${profile}. Must be one of: ${ORS_PROFILES.join(', ')}`);
     }
 
     // Build coordinates array in ORS format [lng, lat]
@@ -393,6 +433,9 @@ async function getDirectionsMulti(waypoints, profile = 'driving-car') {
             geometry_simplify: false,
             radiuses: coordinates.map(() => 50)
         };
+        if (config.ORS_EXTRA_INFO) {
+            payload.extra_info = ['waytype'];
+        }
 
         let response;
         try {
@@ -445,28 +488,21 @@ async function getDirectionsMulti(waypoints, profile = 'driving-car') {
         return {
             geometry: points,
             distanceMeters,
-            durationSeconds
+            durationSeconds,
+            speedRanges: speedRangesFromWaytypes(points, route.properties?.extras?.waytype?.values)
         };
 
     } catch (error) {
-        if (error.response) {
-            const status = error.response.status;
-            const message = error.response.data?.error?.message || error.message;
-
-            if (status === 404) {
-                throw new Error('No route found between the specified locations');
-            }
-
-            throw new Error(`ORS API error (${status}): ${message}`);
-        }
-
-        // Network or timeout error
-        throw new Error(`ORS service unavailable: ${error.message}`);
+        throw fromHttpError('ORS', error, status => (status === 404 ? 'No route found between the specified locations' : null));
     }
 }
 
 module.exports = {
+    name: 'ors',
+    isConfigured,
+    supportsProfile,
     geocodeAddress,
+    reverseGeocode,
     getDirections,
     getDirectionsMulti,
     clearGeocodeCache,
@@ -0,0 +1,104 @@
+/**
+ * OSRM Client
+ * Directions from an OSRM server (OSRM_API_URL), as a routing.service provider.
+ * OSRM only routes: geocoding goes to the other providers.
+ *
+ * Profiles are mapped onto the OSRM profile the server was built with
+ * (driving / cycling / walking); an OSRM server usually serves one of them.
+ */
+
+const axios = require('axios');
+const config = require('../config/config');
+const { routingError, fromHttpError } = require('../utils/routing.error.util');
+
+const OSRM_PROFILES = {
+    'driving-car': 'driving',
+    'driving-hgv': 'driving',
+    'cycling-regular': 'cycling',
+    'cycling-road': 'cycling',
+    'cycling-mountain': 'cycling',
+    'cycling-electric': 'cycling',
+    'foot-walking': 'walking',
+    'foot-hiking': 'walking'
+};
+
+function baseUrl() {
+    return config.OSRM_API_URL.replace(/\/+$/, '');
+}
+
+function isConfigured() {
+    return !!config.OSRM_API_URL;
+}
+
+function supportsProfile(profile) {
+    return !!OSRM_PROFILES[profile];
+}
+
+/**
+ * Get directions through 2..N waypoints
+ * @param {Array<{lat: number, lng: number}>} waypoints
+ * @param {string} profile - Routing profile (driving-car, cycling-regular, foot-walking, ...)
+ * @returns {Promise<{geometry: Array, distanceMeters: number, durationSeconds: number, speedRanges: Array}>}
+ * @throws {Error} If the directions request fails
+ */
+async function getDirectionsMulti(waypoints, profile = 'driving-car') {
+    if (!isConfigured()) {
+        throw routingError('OSRM_API_URL is not configured', { unavailable: true });
+    }
+    if (!waypoints || waypoints.length < 2) {
+        throw new Error('At least 2 waypoints are required');
+    }
+    if (!supportsProfile(profile)) {
+        throw new Error(`Invalid profile for OSRM: ${profile}`);
+    }
+
+    const coordinates = waypoints.map(wp => `${parseFloat(wp.lng)},${parseFloat(wp.lat)}`).join(';');
+
+    try {
+        console.log(`[OSRM] Getting directions: ${waypoints.length} points (${OSRM_PROFILES[profile]})`);
+
+        const response = await axios.get(`${baseUrl()}/route/v1/${OSRM_PROFILES[profile]}/${coordinates}`, {
+            params: {
+                overview: 'full',
+                geometries: 'geojson',
+                steps: false
+            },
+            timeout: config.ROUTING_TIMEOUT_MS
+        });
+
+        const route = response.data?.routes?.[0];
+        if (response.data?.code !== 'Ok' || !route) {
+            throw new Error('No route found between the specified waypoints');
+        }
+
+        return {
+            geometry: route.geometry.coordinates.map(([lng, lat]) => ({ lat, lng })),
+            distanceMeters: route.distance,
+            durationSeconds: route.duration,
+            speedRanges: []
+        };
+
+    } catch (error) {
+        throw fromHttpError('OSRM', error, (status, data) => (
+            ['NoRoute', 'NoSegment'].includes(data?.code) ? 'No route found between the specified locations' : null
+        ));
+    }
+}
+
+/**
+ * Get directions between two coordinates
+ * @param {Object} origin - {lat, lng}
+ * @param {Object} destination - {lat, lng}
+ * @param {string} profile
+ */
+async function getDirections(origin, destination, profile = 'driving-car') {
+    return getDirectionsMulti([origin, destination], profile);
+}
+
+module.exports = {
+    name: 'osrm',
+    isConfigured,
+    supportsProfile,
+    getDirections,
+    getDirectionsMulti
+};
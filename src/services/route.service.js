@@ -8,6 +8,24 @@ const { prisma } = require('../lib/prisma');
 const { validateCoordinates } = require('../utils/gpx.parser');
 const config = require('../config/config');
 
+/**
+ * Point altitude in meters, null when missing or not a number (0 is a valid altitude)
+ */
+function parseAltitude(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const altitude = parseFloat(value);
+    return Number.isFinite(altitude) ? altitude : null;
+}
+
+/**
+ * Point recording time as a Date, null when missing or not a date
+ */
+function parseTime(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const time = new Date(value);
+    return Number.isFinite(time.getTime()) ? time : null;
+}
+
 /**
  * Create a new route from points
  * @param {Object} routeData 
@@ -42,6 +60,8 @@ async function createRoute(routeData, userId) {
                     seq: index,
                     lat: parseFloat(p.lat),
                     lng: parseFloat(p.lng),
+                    altitude: parseAltitude(p.altitude),
+                    time: parseTime(p.time),
                     speed: p.speed ? parseFloat(p.speed) : null,
                     bearing: p.bearing ? parseFloat(p.bearing) : null,
                     accuracy: p.accuracy ? parseFloat(p.accuracy) : null,
@@ -98,6 +118,8 @@ async function createRouteWithWaypoints(routeData, userId) {
                     seq: index,
                     lat: parseFloat(p.lat),
                     lng: parseFloat(p.lng),
+                    altitude: parseAltitude(p.altitude),
+                    time: parseTime(p.time),
                     speed: p.speed ? parseFloat(p.speed) : null,
                     bearing: p.bearing ? parseFloat(p.bearing) : null,
                     accuracy: p.accuracy ? parseFloat(p.accuracy) : null,
@@ -164,6 +186,8 @@ async function updateRouteWithWaypoints(routeId, routeData, userId) {
                     seq: index,
                     lat: parseFloat(p.lat),
                     lng: parseFloat(p.lng),
+                    altitude: parseAltitude(p.altitude),
+                    time: parseTime(p.time),
                     speed: p.speed ? parseFloat(p.speed) : null,
                     bearing: p.bearing ? parseFloat(p.bearing) : null,
                     accuracy: p.accuracy ? parseFloat(p.accuracy) : null,
@@ -344,6 +368,8 @@ function formatRouteResponse(route) {
         points: route.points.map(p => ({
             lat: p.lat,
             lng: p.lng,
+            altitude: p.altitude ?? null,
+            time: p.time ?? null,
             speed: p.speed,
             bearing: p.bearing,
             accuracy: p.accuracy,
@@ -364,6 +390,7 @@ function formatRouteResponseWithWaypoints(route) {
     const base = formatRouteResponse(route);
     if (route.waypoints && route.waypoints.length > 0) {
         base.waypoints = route.waypoints.map(wp => ({
+            id: wp.id,
             seq: wp.seq,
             kind: wp.kind,
             mode: wp.mode,
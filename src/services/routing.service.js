@@ -0,0 +1,215 @@
+/**
+ * Routing Service
+ * One interface over the routing providers, so controllers don't depend on ORS:
+ *   geocodeAddress(text)                 -> { lat, lng }
+ *   reverseGeocode(lat, lng)             -> { label, lat, lng } | null
+ *   autocompleteAddress(q, limit, cc)    -> [{ label, lat, lng }]
+ *   getDirections(origin, dest, profile) -> { geometry, distanceMeters, durationSeconds, speedRanges, provider }
+ *   getDirectionsMulti(points, profile)  -> same as getDirections
+ *
+ * Providers (ors, osrm, valhalla, graphhopper) are tried in ROUTING_PROVIDERS order;
+ * a request can name a provider to try first. Providers that lack the operation
+ * (OSRM and Valhalla don't geocode), aren't configured or don't route the profile
+ * are skipped. A provider that is down or rate limited (error.unavailable) is
+ * skipped for ROUTING_PROVIDER_COOLDOWN_SECONDS, or its Retry-After, and the next
+ * one is tried. Any other error (no route, no geocoding result) is the answer.
+ * Cooldowns are per process.
+ */
+
+const config = require('../config/config');
+const orsService = require('./ors.service');
+const osrmService = require('./osrm.service');
+const valhallaService = require('./valhalla.service');
+const graphhopperService = require('./graphhopper.service');
+
+const PROVIDERS = {
+    ors: orsService,
+    osrm: osrmService,
+    valhalla: valhallaService,
+    graphhopper: graphhopperService
+};
+
+// provider name -> epoch ms until which it is skipped
+const cooldowns = new Map();
+
+function routingServiceError(code, message, attempts) {
+    const error = new Error(message);
+    error.code = code;
+    if (attempts) error.attempts = attempts;
+    return error;
+}
+
+/**
+ * Provider names in the order they are tried
+ * @param {string} [requested] - Provider to try first
+ * @throws {Error} INVALID_ROUTING_PROVIDER for an unknown name
+ */
+function providerChain(requested) {
+    const configured = config.ROUTING_PROVIDERS.filter(name => PROVIDERS[name]);
+    if (!requested) return configured;
+
+    const name = String(requested).trim().toLowerCase();
+    if (!PROVIDERS[name]) {
+        throw routingServiceError(
+            'INVALID_ROUTING_PROVIDER',
+            `Unknown routing provider: ${requested}. Must be one of: ${Object.keys(PROVIDERS).join(', ')}`
+        );
+    }
+    return [name, ...configured.filter(other => other !== name)];
+}
+
+function coolingDown(name, now = Date.now()) {
+    const until = cooldowns.get(name);
+    if (until && until > now) return true;
+    if (until) cooldowns.delete(name);
+    return false;
+}
+
+/**
+ * Run an operation on the first provider that answers
+ * @param {string} operation - Provider function name
+ * @param {Function} call - (providerService) -> Promise
+ * @param {Object} [options] - { provider, profile }
+ * @returns {Promise<{provider: string, result: *}>}
+ * @throws {Error} INVALID_ROUTING_PROVIDER / INVALID_ROUTING_PROFILE, ROUTING_UNAVAILABLE when no
+ *   provider answered, or the answering provider's error (with .provider)
+ */
+async function withFailover(operation, call, { provider, profile } = {}) {
+    if (profile && !Object.values(PROVIDERS).some(service => service.supportsProfile(profile))) {
+        throw routingServiceError('INVALID_ROUTING_PROFILE', `Invalid profile: ${profile}`);
+    }
+
+    const attempts = [];
+    const candidates = [];
+    const cooled = [];
+
+    for (const name of providerChain(provider)) {
+        const service = PROVIDERS[name];
+        if (typeof service[operation] !== 'function') continue;
+        if (!service.isConfigured()) {
+            attempts.push({ provider: name, error: 'not configured' });
+        } else if (profile && !service.supportsProfile(profile)) {
+            attempts.push({ provider: name, error: `profile ${profile} not supported` });
+        } else if (coolingDown(name)) {
+            cooled.push(name);
+        } else {
+            candidates.push(name);
+        }
+    }
+
+    // Everyone usable is cooling down: better to try them again than to fail outright
+    for (const name of candidates.length > 0 ? candidates : cooled) {
+        try {
+            const result = await call(PROVIDERS[name]);
+            cooldowns.delete(name);
+            return { provider: name, result };
+        } catch (error) {
+            if (!error.unavailable) {
+                error.provider = name;
+                throw error;
+            }
+            const seconds = error.retryAfterSeconds || config.ROUTING_PROVIDER_COOLDOWN_SECONDS;
+            cooldowns.set(name, Date.now() + seconds * 1000);
+            console.warn(`[Routing] ${name} unavailable for ${operation}, skipping it for ${seconds}s: ${error.message}`);
+            attempts.push({ provider: name, error: error.message });
+        }
+    }
+
+    if (candidates.length > 0) {
+        cooled.forEach(name => attempts.push({ provider: name, error: 'cooling down' }));
+    }
+    const detail = attempts.map(a => `${a.provider}: ${a.error}`).join('; ');
+    throw routingServiceError(
+        'ROUTING_UNAVAILABLE',
+        `No routing provider available for ${operation}${detail ? ` (${detail})` : ''}`,
+        attempts
+    );
+}
+
+/**
+ * Geocode an address to lat/lng coordinates
+ * @param {string} addressText
+ * @param {Object} [options] - { provider }
+ * @returns {Promise<{lat: number, lng: number}>}
+ */
+async function geocodeAddress(addressText, options = {}) {
+    const { result } = await withFailover('geocodeAddress', service => service.geocodeAddress(addressText), options);
+    return result;
+}
+
+/**
+ * Reverse geocode coordinates to the nearest address
+ * @param {number} lat
+ * @param {number} lng
+ * @param {Object} [options] - { provider }
+ * @returns {Promise<{label: string, lat: number, lng: number, provider: string}|null>}
+ */
+async function reverseGeocode(lat, lng, options = {}) {
+    const { provider, result } = await withFailover('reverseGeocode', service => service.reverseGeocode(lat, lng), options);
+    return result ? { ...result, provider } : null;
+}
+
+/**
+ * Autocomplete address suggestions
+ * @param {string} query
+ * @param {number} limit
+ * @param {string} country
+ * @param {Object} [options] - { provider }
+ * @returns {Promise<Array<{label: string, lat: number, lng: number}>>}
+ */
+async function autocompleteAddress(query, limit = 6, country = null, options = {}) {
+    const { result } = await withFailover('autocompleteAddress', service => service.autocompleteAddress(query, limit, country), options);
+    return result;
+}
+
+/**
+ * Directions between two coordinates
+ * @param {Object} origin - {lat, lng}
+ * @param {Object} destination - {lat, lng}
+ * @param {string} profile - Routing profile (ORS profile names)
+ * @param {Object} [options] - { provider }
+ */
+async function getDirections(origin, destination, profile = 'driving-car', options = {}) {
+    const { provider, result } = await withFailover('getDirections', service => (
+        service.getDirections(origin, destination, profile)
+    ), { ...options, profile });
+    return { ...result, provider };
+}
+
+/**
+ * Directions through 2..N waypoints
+ * @param {Array<{lat: number, lng: number}>} waypoints
+ * @param {string} profile
+ * @param {Object} [options] - { provider }
+ */
+async function getDirectionsMulti(waypoints, profile = 'driving-car', options = {}) {
+    const { provider, result } = await withFailover('getDirectionsMulti', service => (
+        service.getDirectionsMulti(waypoints, profile)
+    ), { ...options, profile });
+    return { ...result, provider };
+}
+
+/**
+ * Provider order, configuration and cooldowns (health endpoint)
+ */
+function getProviderStatus() {
+    const now = Date.now();
+    return {
+        order: config.ROUTING_PROVIDERS,
+        providers: Object.entries(PROVIDERS).map(([name, service]) => ({
+            name,
+            configured: service.isConfigured(),
+            geocoding: typeof service.geocodeAddress === 'function',
+            coolingDownSeconds: coolingDown(name, now) ? Math.ceil((cooldowns.get(name) - now) / 1000) : 0
+        }))
+    };
+}
+
+module.exports = {
+    geocodeAddress,
+    reverseGeocode,
+    autocompleteAddress,
+    getDirections,
+    getDirectionsMulti,
+    getProviderStatus
+};
@@ -0,0 +1,254 @@
+/**
+ * Schedule Service
+ * Stream starts planned ahead: one-off at a timestamp (runAt) or recurring
+ * (cron expression evaluated in an IANA timezone). Due schedules are run by
+ * scheduler.service.
+ *
+ * When the device is offline at the scheduled time:
+ *   offlinePolicy "retry"  keep trying for retryWindowSeconds, then MISSED
+ *   offlinePolicy "skip"   give up right away (SKIPPED)
+ * Either way dashboards receive STREAM_SCHEDULE_RUN with the outcome.
+ */
+
+const { prisma } = require('../lib/prisma');
+const routeService = require('./route.service');
+const config = require('../config/config');
+const { START_OPTION_KEYS } = require('./stream.service');
+const { parseCron, nextCronRun, isValidTimezone } = require('../utils/cron.util');
+
+const OFFLINE_POLICIES = ['retry', 'skip'];
+
+function invalid(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_SCHEDULE';
+    return error;
+}
+
+function notFound(message) {
+    const error = new Error(message);
+    error.code = 'NOT_FOUND';
+    return error;
+}
+
+/**
+ * First run of a schedule at or after `from`
+ * @returns {Date|null} null once a one-off schedule has run
+ */
+function computeNextRun(schedule, from = new Date()) {
+    if (schedule.cron) {
+        return nextCronRun(schedule.cron, from, schedule.timezone || 'UTC');
+    }
+    return schedule.runAt && new Date(schedule.runAt) > from ? new Date(schedule.runAt) : null;
+}
+
+/**
+ * Validate a create/update body merged over the existing schedule
+ * @throws {Error} code INVALID_SCHEDULE / NOT_FOUND
+ */
+async function normalizeSchedule(data, existing = {}) {
+    const merged = { ...existing, ...data };
+
+    if (!merged.deviceId) throw invalid('deviceId is required');
+    if (data.deviceId !== undefined) {
+        const device = await prisma.device.findUnique({ where: { deviceId: merged.deviceId }, select: { deviceId: true } });
+        if (!device) throw notFound('Device not found');
+    }
+
+    if (!merged.routeId && !merged.itineraryId) throw invalid('routeId or itineraryId is required');
+    if (merged.routeId && merged.itineraryId) throw invalid('Use either routeId or itineraryId, not both');
+    if (data.routeId && !(await routeService.routeExists(data.routeId))) {
+        throw notFound('Route not found');
+    }
+    if (data.itineraryId) {
+        const itinerary = await prisma.itinerary.findUnique({ where: { id: data.itineraryId }, select: { id: true } });
+        if (!itinerary) throw notFound('Itinerary not found');
+    }
+
+    const hasRunAt = merged.runAt !== undefined && merged.runAt !== null;
+    const hasCron = merged.cron !== undefined && merged.cron !== null;
+    if (hasRunAt === hasCron) throw invalid('Provide exactly one of runAt (one-off) or cron (recurring)');
+
+    let runAt = null;
+    if (hasRunAt) {
+        runAt = new Date(merged.runAt);
+        if (Number.isNaN(runAt.getTime())) throw invalid('runAt must be an ISO 8601 date');
+        if (data.runAt !== undefined && runAt <= new Date()) throw invalid('runAt must be in the future');
+    }
+
+    const timezone = merged.timezone || 'UTC';
+    if (!isValidTimezone(timezone)) throw invalid(`Unknown timezone "${timezone}"`);
+    if (hasCron) {
+        try {
+            parseCron(merged.cron);
+        } catch (error) {
+            throw invalid(error.message);
+        }
+    }
+
+    const offlinePolicy = merged.offlinePolicy || 'retry';
+    if (!OFFLINE_POLICIES.includes(offlinePolicy)) {
+        throw invalid(`offlinePolicy must be one of: ${OFFLINE_POLICIES.join(', ')}`);
+    }
+
+    const retryWindowSeconds = merged.retryWindowSeconds !== undefined && merged.retryWindowSeconds !== null
+        ? parseInt(merged.retryWindowSeconds)
+        : config.SCHEDULER_RETRY_WINDOW_SECONDS;
+    if (!Number.isFinite(retryWindowSeconds) || retryWindowSeconds < 0) {
+        throw invalid('retryWindowSeconds must be >= 0');
+    }
+
+    const options = merged.options || {};
+    if (typeof options !== 'object' || Array.isArray(options)) throw invalid('options must be an object');
+    const unknown = Object.keys(options).filter(key => !START_OPTION_KEYS.includes(key));
+    if (unknown.length > 0) throw invalid(`Unknown stream option(s): ${unknown.join(', ')}`);
+
+    const normalized = {
+        name: merged.name || null,
+        deviceId: merged.deviceId,
+        routeId: merged.routeId || null,
+        itineraryId: merged.itineraryId || null,
+        options,
+        runAt,
+        cron: hasCron ? merged.cron.trim() : null,
+        timezone,
+        offlinePolicy,
+        retryWindowSeconds,
+        enabled: merged.enabled !== false
+    };
+    normalized.nextRunAt = normalized.enabled ? computeNextRun(normalized) : null;
+    if (normalized.enabled && !normalized.nextRunAt) {
+        throw invalid(hasCron ? 'cron expression never fires' : 'runAt is in the past');
+    }
+    return normalized;
+}
+
+/**
+ * Create a schedule
+ * @param {Object} data - { name, deviceId, routeId | itineraryId, options, runAt | cron, timezone, offlinePolicy, retryWindowSeconds, enabled }
+ * @param {string} userId
+ */
+async function createSchedule(data, userId) {
+    const normalized = await normalizeSchedule(data);
+    const schedule = await prisma.streamSchedule.create({
+        data: { ...normalized, userId }
+    });
+    return formatSchedule(schedule);
+}
+
+/**
+ * Update a schedule; the next run is recomputed from now
+ * @returns {Object|null}
+ */
+async function updateSchedule(scheduleId, data) {
+    const existing = await prisma.streamSchedule.findUnique({ where: { id: scheduleId } });
+    if (!existing) return null;
+
+    // Switching between one-off and recurring clears the other trigger
+    const patch = { ...data };
+    if (patch.cron) patch.runAt = null;
+    if (patch.runAt) patch.cron = null;
+    if (patch.routeId) patch.itineraryId = null;
+    if (patch.itineraryId) patch.routeId = null;
+
+    const normalized = await normalizeSchedule(patch, existing);
+    const schedule = await prisma.streamSchedule.update({
+        where: { id: scheduleId },
+        data: normalized
+    });
+    return formatSchedule(schedule);
+}
+
+async function getSchedule(scheduleId) {
+    const schedule = await prisma.streamSchedule.findUnique({ where: { id: scheduleId } });
+    return schedule ? formatSchedule(schedule) : null;
+}
+
+/**
+ * @param {string|null} userId - Only this user's schedules (null = all)
+ */
+async function getAllSchedules(userId = null) {
+    const schedules = await prisma.streamSchedule.findMany({
+        where: userId ? { userId } : {},
+        orderBy: { createdAt: 'desc' }
+    });
+    return schedules.map(formatSchedule);
+}
+
+/**
+ * @returns {boolean}
+ */
+async function deleteSchedule(scheduleId) {
+    try {
+        await prisma.streamSchedule.delete({ where: { id: scheduleId } });
+        return true;
+    } catch (error) {
+        if (error.code === 'P2025') return false;
+        throw error;
+    }
+}
+
+/**
+ * Enabled schedules whose next run is due
+ */
+async function getDueSchedules(now = new Date(), limit = 50) {
+    return prisma.streamSchedule.findMany({
+        where: { enabled: true, nextRunAt: { lte: now } },
+        orderBy: { nextRunAt: 'asc' },
+        take: limit
+    });
+}
+
+/**
+ * Record the outcome of a run and move the schedule to its next occurrence.
+ * One-off schedules are disabled after they ran (or were given up on).
+ */
+async function completeRun(schedule, { status, error = null, streamId = null }, now = new Date()) {
+    const nextRunAt = schedule.cron ? computeNextRun(schedule, now) : null;
+    const updated = await prisma.streamSchedule.update({
+        where: { id: schedule.id },
+        data: {
+            lastRunAt: now,
+            lastStatus: status,
+            lastError: error,
+            lastStreamId: streamId,
+            nextRunAt,
+            enabled: nextRunAt !== null
+        }
+    });
+    return formatSchedule(updated);
+}
+
+function formatSchedule(schedule) {
+    return {
+        scheduleId: schedule.id,
+        userId: schedule.userId,
+        name: schedule.name,
+        deviceId: schedule.deviceId,
+        routeId: schedule.routeId,
+        itineraryId: schedule.itineraryId,
+        options: schedule.options || {},
+        runAt: schedule.runAt,
+        cron: schedule.cron,
+        timezone: schedule.timezone,
+        offlinePolicy: schedule.offlinePolicy,
+        retryWindowSeconds: schedule.retryWindowSeconds,
+        enabled: schedule.enabled,
+        nextRunAt: schedule.nextRunAt,
+        lastRunAt: schedule.lastRunAt,
+        lastStatus: schedule.lastStatus,
+        lastError: schedule.lastError,
+        lastStreamId: schedule.lastStreamId,
+        createdAt: schedule.createdAt
+    };
+}
+
+module.exports = {
+    createSchedule,
+    updateSchedule,
+    getSchedule,
+    getAllSchedules,
+    deleteSchedule,
+    getDueSchedules,
+    completeRun,
+    computeNextRun
+};
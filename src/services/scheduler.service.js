@@ -0,0 +1,232 @@
+/**
+ * Scheduler Service
+ * Worker that starts streams when their schedule is due (see schedule.service).
+ *
+ * Every SCHEDULER_TICK_MS the node holding the scheduler lock loads due schedules
+ * and runs them. With CLUSTER_ENABLED=false this node is always the leader.
+ * Starts go through stream.cluster.service, so the stream lands on the node the
+ * device is connected to.
+ */
+
+const { prisma } = require('../lib/prisma');
+const cluster = require('../lib/cluster');
+const config = require('../config/config');
+const scheduleService = require('./schedule.service');
+const streamService = require('./stream.cluster.service');
+const deviceService = require('./device.service');
+const auditService = require('./audit.service');
+
+const LEADER_LOCK = 'scheduler:leader';
+
+let timer = null;
+let ticking = false;
+let isLeader = false;
+
+// Occurrences already reported as waiting for their device ("<scheduleId>:<nextRunAt>")
+const waitingOccurrences = new Set();
+
+function broadcast(type, payload) {
+    require('../websocket/ws.server').broadcast(type, payload);
+}
+
+/**
+ * Take or keep the scheduler lock. The lock outlives a few ticks so a
+ * crashed leader is replaced quickly but a slow tick doesn't lose it.
+ */
+async function holdLeadership() {
+    if (!cluster.isEnabled()) return true;
+
+    const ttlSeconds = Math.ceil((config.SCHEDULER_TICK_MS * 3) / 1000);
+    const leader = await cluster.holdLock(LEADER_LOCK, ttlSeconds);
+    if (leader !== isLeader) {
+        console.log(`[Scheduler] Node ${cluster.getServerId()} ${leader ? 'is now' : 'is no longer'} the scheduler leader`);
+    }
+    isLeader = leader;
+    return leader;
+}
+
+/**
+ * Store the outcome, notify dashboards and audit it
+ */
+async function finishRun(schedule, ownerId, outcome, now) {
+    const updated = await scheduleService.completeRun(schedule, outcome, now);
+
+    console.log(JSON.stringify({
+        event: 'STREAM_SCHEDULE_RUN',
+        scheduleId: schedule.id,
+        deviceId: schedule.deviceId,
+        status: outcome.status,
+        error: outcome.error || null,
+        nextRunAt: updated.nextRunAt
+    }));
+
+    broadcast('STREAM_SCHEDULE_RUN', {
+        scheduleId: schedule.id,
+        name: schedule.name,
+        deviceId: schedule.deviceId,
+        status: outcome.status,
+        error: outcome.error || null,
+        streamId: outcome.streamId || null,
+        scheduledFor: schedule.nextRunAt,
+        nextRunAt: updated.nextRunAt,
+        ownerId
+    });
+
+    await auditService.log(auditService.ACTIONS.SCHEDULE_RUN, {
+        userId: schedule.userId,
+        deviceId: schedule.deviceId,
+        meta: {
+            scheduleId: schedule.id,
+            status: outcome.status,
+            error: outcome.error || null,
+            streamId: outcome.streamId || null,
+            scheduledFor: schedule.nextRunAt
+        }
+    });
+
+    return updated;
+}
+
+/**
+ * Run one due schedule
+ * @param {Object} schedule - stream_schedules row
+ * @returns {Promise<Object>} { status: STARTED | SKIPPED | MISSED | FAILED | WAITING, schedule? }
+ */
+async function runSchedule(schedule, now = new Date()) {
+    const scheduledFor = new Date(schedule.nextRunAt);
+    const occurrenceKey = `${schedule.id}:${scheduledFor.toISOString()}`;
+    const lateSeconds = (now - scheduledFor) / 1000;
+    const retryWindowSeconds = schedule.offlinePolicy === 'retry' ? schedule.retryWindowSeconds : 0;
+    // A couple of ticks of slack so a busy scheduler doesn't miss on-time runs
+    const graceSeconds = (config.SCHEDULER_TICK_MS * 2) / 1000;
+
+    const device = await prisma.device.findUnique({
+        where: { deviceId: schedule.deviceId },
+        select: { userId: true }
+    });
+    const ownerId = device?.userId;
+
+    // Nobody ran the scheduler in time (e.g. every node was down)
+    if (lateSeconds > retryWindowSeconds + graceSeconds) {
+        waitingOccurrences.delete(occurrenceKey);
+        return {
+            status: 'MISSED',
+            schedule: await finishRun(schedule, ownerId, { status: 'MISSED', error: 'Scheduler was not running at the scheduled time' }, now)
+        };
+    }
+
+    const online = await deviceService.getDeviceConnectionNode(schedule.deviceId);
+    if (!online) {
+        if (schedule.offlinePolicy === 'retry' && lateSeconds < retryWindowSeconds) {
+            if (!waitingOccurrences.has(occurrenceKey)) {
+                waitingOccurrences.add(occurrenceKey);
+                console.log(`[Scheduler] Device ${schedule.deviceId} offline for schedule ${schedule.id}, retrying for ${retryWindowSeconds}s`);
+                broadcast('STREAM_SCHEDULE_WAITING', {
+                    scheduleId: schedule.id,
+                    name: schedule.name,
+                    deviceId: schedule.deviceId,
+                    scheduledFor,
+                    giveUpAt: new Date(scheduledFor.getTime() + retryWindowSeconds * 1000),
+                    ownerId
+                });
+            }
+            return { status: 'WAITING' };
+        }
+
+        waitingOccurrences.delete(occurrenceKey);
+        const status = schedule.offlinePolicy === 'skip' ? 'SKIPPED' : 'MISSED';
+        return {
+            status,
+            schedule: await finishRun(schedule, ownerId, { status, error: 'Device offline' }, now)
+        };
+    }
+    waitingOccurrences.delete(occurrenceKey);
+
+    try {
+        const options = { ...(schedule.options || {}) };
+        if (schedule.itineraryId) options.itineraryId = schedule.itineraryId;
+
+        const stream = await streamService.startStream(schedule.deviceId, schedule.routeId, options);
+
+        broadcast('STREAM_STARTED', {
+            deviceId: schedule.deviceId,
+            routeId: stream.routeId,
+            itineraryId: stream.itineraryId,
+            totalLegs: stream.totalLegs,
+            speed: stream.config?.speed,
+            loop: stream.config?.loop,
+            scheduleId: schedule.id,
+            ownerId
+        });
+
+        return {
+            status: 'STARTED',
+            schedule: await finishRun(schedule, ownerId, { status: 'STARTED', streamId: stream.streamId }, now)
+        };
+    } catch (error) {
+        console.error(`[Scheduler] Failed to start schedule ${schedule.id}:`, error.message);
+        return {
+            status: 'FAILED',
+            schedule: await finishRun(schedule, ownerId, { status: 'FAILED', error: error.message }, now)
+        };
+    }
+}
+
+/**
+ * Run every due schedule once (leader only)
+ * @returns {Promise<number>} number of due schedules looked at
+ */
+async function tick(now = new Date()) {
+    if (ticking) return 0;
+    ticking = true;
+    try {
+        if (!(await holdLeadership())) return 0;
+
+        const due = await scheduleService.getDueSchedules(now);
+        for (const schedule of due) {
+            await runSchedule(schedule, now).catch((err) => {
+                console.error(`[Scheduler] Error running schedule ${schedule.id}:`, err.message);
+            });
+        }
+        return due.length;
+    } finally {
+        ticking = false;
+    }
+}
+
+/**
+ * Start the scheduler loop. Must run after the database, Redis and cluster are up.
+ * @returns {boolean} false when disabled or already running
+ */
+function startScheduler() {
+    if (!config.SCHEDULER_ENABLED || timer) return false;
+
+    timer = setInterval(() => {
+        tick().catch(err => console.error('[Scheduler] Tick failed:', err.message));
+    }, config.SCHEDULER_TICK_MS);
+    tick().catch(err => console.error('[Scheduler] Tick failed:', err.message));
+
+    console.log(`⏰ [Scheduler] Started (every ${config.SCHEDULER_TICK_MS}ms)`);
+    return true;
+}
+
+/**
+ * Stop the loop and hand leadership to another node
+ */
+async function stopScheduler() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+    if (isLeader && cluster.isEnabled()) {
+        await cluster.releaseLock(LEADER_LOCK).catch(() => { });
+        isLeader = false;
+    }
+}
+
+module.exports = {
+    startScheduler,
+    stopScheduler,
+    tick,
+    runSchedule
+};
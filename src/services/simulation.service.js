@@ -0,0 +1,190 @@
+/**
+ * Simulation Service
+ * Runs the stream engine headlessly over a route (no device, no Redis, no dashboards)
+ * and returns every fix it would have emitted.
+ *
+ * The engine is the same one live streams use (stream.service runEngineTick);
+ * ticks advance a simulated clock by intervalMs instead of waiting for the wall clock.
+ */
+
+const config = require('../config/config');
+const routeService = require('./route.service');
+const streamService = require('./stream.service');
+const { calculateDistance } = require('../utils/geospatial.util');
+
+// Yield to the event loop every N ticks so long simulations don't block other requests
+const YIELD_EVERY_TICKS = 1000;
+
+function invalid(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_SIMULATION';
+    return error;
+}
+
+/**
+ * Simulate a stream over a saved route
+ * @param {string} routeId
+ * @param {Object} options - stream start options (speed, accuracy, intervalMs, speedProfile, noise, seed,
+ *   simStartTime) plus engine ('distance' | 'index') and dwellSeconds (overrides every stop)
+ * @returns {Promise<Object|null>} { routeId, engineMode, config, summary, events, trajectory } or null if route not found
+ * @throws {Error} code INVALID_SIMULATION / INVALID_NOISE / INVALID_STREAM_OPTIONS
+ */
+async function simulateRoute(routeId, options = {}) {
+    const route = await routeService.getRoute(routeId);
+    if (!route) return null;
+
+    if (!route.points || route.points.length < 2) {
+        throw invalid(`Route has only ${route.points ? route.points.length : 0} points. Minimum 2 points required to simulate.`);
+    }
+
+    const engineMode = options.engine || (config.STREAM_DISTANCE_ENGINE ? 'distance' : 'index');
+    if (engineMode !== 'distance' && engineMode !== 'index') {
+        throw invalid('engine must be "distance" or "index"');
+    }
+
+    let dwellSeconds = null;
+    if (options.dwellSeconds !== undefined && options.dwellSeconds !== null) {
+        dwellSeconds = parseInt(options.dwellSeconds);
+        if (!Number.isFinite(dwellSeconds) || dwellSeconds < 0) {
+            throw invalid('dwellSeconds must be >= 0');
+        }
+    }
+
+    // Single pass over the route; time acceleration is meaningless without a wall clock
+    const streamConfig = {
+        ...streamService.buildStreamConfig(route, options),
+        loop: false,
+        timeScale: 1
+    };
+    if (!(streamConfig.intervalMs > 0)) {
+        throw invalid('intervalMs must be > 0');
+    }
+    if (streamConfig.pacing === 'recorded' && engineMode !== 'distance') {
+        throw invalid('pacing "recorded" needs the distance engine');
+    }
+
+    const { points, waypoints } = streamService.applyDwellOverride(route.points, route.waypoints || [], dwellSeconds);
+
+    const stream = new streamService.StreamInstance(`simulation:${routeId}`, routeId, points, waypoints, streamConfig, null);
+    stream.headless = true;
+    stream.engineMode = engineMode;
+    stream.status = 'running';
+    streamService.initSimClock(stream, options);
+    const simStartMs = stream.simClockMs;
+
+    const trajectory = [];
+    const events = [];
+    const stats = {
+        distanceMeters: 0,
+        movingTicks: 0,
+        waitTicks: 0,
+        maxSpeedMps: 0,
+        ascentMeters: 0,
+        descentMeters: 0
+    };
+    let lastTruePosition = null;
+    let ticks = 0;
+    let finished = false;
+    let abortedReason = null;
+
+    const sink = {
+        send: (message) => {
+            const { payload, meta } = message;
+            trajectory.push({
+                t: meta.timestamp,
+                lat: payload.lat,
+                lng: payload.lng,
+                altitude: payload.altitude ?? null,
+                speed: payload.speed,
+                bearing: payload.bearing,
+                accuracy: payload.accuracy,
+                state: payload.state,
+                pointIndex: meta.pointIndex
+            });
+
+            // Distance is measured on the engine's true position, not the noisy fix
+            const truePosition = stream.lastEmittedLatLng;
+            if (lastTruePosition && truePosition) {
+                stats.distanceMeters += calculateDistance(lastTruePosition, truePosition);
+                if (Number.isFinite(lastTruePosition.altitude) && Number.isFinite(truePosition.altitude)) {
+                    const climb = truePosition.altitude - lastTruePosition.altitude;
+                    if (climb > 0) stats.ascentMeters += climb;
+                    else stats.descentMeters -= climb;
+                }
+            }
+            lastTruePosition = truePosition;
+
+            if (payload.state === 'WAIT') stats.waitTicks++;
+            else if (payload.speed > 0) stats.movingTicks++;
+            stats.maxSpeedMps = Math.max(stats.maxSpeedMps, payload.speed || 0);
+        },
+        persist: async () => {},
+        broadcast: (type, payload) => {
+            if (type === 'STREAM_WAITING_TICK') return;
+            events.push({
+                tick: ticks,
+                t: new Date(stream.simClockMs).toISOString(),
+                type,
+                waypointId: payload.waypointId,
+                kind: payload.kind,
+                label: payload.label,
+                dwellSeconds: payload.remainingMs !== undefined ? payload.remainingMs / 1000 : undefined
+            });
+        },
+        pause: async (reason) => {
+            abortedReason = reason;
+        },
+        stop: async () => {
+            finished = true;
+        }
+    };
+
+    while (!finished && !abortedReason && ticks < config.SIMULATION_MAX_TICKS) {
+        ticks++;
+        await streamService.runEngineTick(stream, sink);
+
+        // The distance engine parks at the destination instead of stopping
+        if (stream.state === 'FINISHED') finished = true;
+
+        if (ticks % YIELD_EVERY_TICKS === 0) {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+    }
+
+    const tickSeconds = streamConfig.intervalMs / 1000;
+    const hasAltitude = points.some(p => Number.isFinite(p.altitude));
+    const movingSeconds = stats.movingTicks * tickSeconds;
+
+    return {
+        routeId,
+        engineMode,
+        config: streamConfig,
+        summary: {
+            ticks,
+            fixes: trajectory.length,
+            startTime: new Date(simStartMs).toISOString(),
+            endTime: new Date(stream.simClockMs).toISOString(),
+            durationSeconds: (stream.simClockMs - simStartMs) / 1000,
+            distanceMeters: Math.round(stats.distanceMeters),
+            movingSeconds,
+            dwellSeconds: stats.waitTicks * tickSeconds,
+            stops: events.filter(e => e.type === 'STREAM_WAITING_START').length,
+            maxSpeedKmh: parseFloat((stats.maxSpeedMps * 3.6).toFixed(1)),
+            // Climb on the true (noise-free) altitude; null for routes without elevation
+            ascentMeters: hasAltitude ? Math.round(stats.ascentMeters) : null,
+            descentMeters: hasAltitude ? Math.round(stats.descentMeters) : null,
+            avgMovingSpeedKmh: movingSeconds > 0
+                ? parseFloat(((stats.distanceMeters / movingSeconds) * 3.6).toFixed(1))
+                : 0,
+            finished,
+            truncated: !finished && !abortedReason,
+            abortedReason
+        },
+        events,
+        trajectory
+    };
+}
+
+module.exports = {
+    simulateRoute
+};
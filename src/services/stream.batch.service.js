@@ -0,0 +1,345 @@
+/**
+ * Stream Batch Service
+ * Start / pause / resume / stop the streams of many devices in one call
+ * (an explicit device list or a device group), returning one result per device.
+ *
+ * Batch starts can spread the fleet out:
+ *   staggerSeconds  device N starts N * staggerSeconds after the first
+ *   spacingMeters   device N starts N * spacingMeters along the route
+ *   speedVariance   each device drives at speed * (1 ± variance), e.g. 0.2 = ±20%
+ * and per-device overrides ({ deviceId, delaySeconds, startOffsetMeters, speed }).
+ *
+ * Delayed starts are timers on this node: they are lost on restart and can be
+ * cancelled with a batch stop. Use /api/schedules for anything further ahead.
+ */
+
+const crypto = require('crypto');
+const { prisma } = require('../lib/prisma');
+const config = require('../config/config');
+const { createRng } = require('../utils/random.util');
+const streamService = require('./stream.cluster.service');
+const deviceGroupService = require('./device.group.service');
+const auditService = require('./audit.service');
+
+const MAX_DELAY_SECONDS = 3600;
+
+// Delayed batch starts waiting for their turn
+// Map<deviceId, { timer, batchId, startsAt }>
+const pendingStarts = new Map();
+
+function invalid(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_BATCH';
+    return error;
+}
+
+function notFound(message) {
+    const error = new Error(message);
+    error.code = 'NOT_FOUND';
+    return error;
+}
+
+function broadcast(type, payload) {
+    require('../websocket/ws.server').broadcast(type, payload);
+}
+
+function optionalNumber(value, name, { min = 0, max = Infinity } = {}) {
+    if (value === undefined || value === null) return null;
+    const number = parseFloat(value);
+    if (!Number.isFinite(number) || number < min || number > max) {
+        throw invalid(`${name} must be a number between ${min} and ${max}`);
+    }
+    return number;
+}
+
+/**
+ * Resolve the devices a batch targets and drop the ones the user may not control
+ * @param {Object} body - { deviceIds?: string[], devices?: [{ deviceId, ...overrides }], groupId? }
+ * @param {string} userId
+ * @param {boolean} isAdmin
+ * @returns {Promise<Object>} { deviceIds (requested order), targets: [{ deviceId, ownerId, overrides }], rejected: [per-device error results] }
+ * @throws {Error} code INVALID_BATCH / NOT_FOUND
+ */
+async function resolveTargets({ deviceIds, devices, groupId }, userId, isAdmin) {
+    const given = [deviceIds, devices, groupId].filter(v => v !== undefined && v !== null);
+    if (given.length !== 1) {
+        throw invalid('Provide exactly one of deviceIds, devices or groupId');
+    }
+
+    let entries;
+    if (groupId) {
+        const group = await deviceGroupService.getGroup(groupId);
+        if (!group || (!isAdmin && group.userId !== userId)) throw notFound('Device group not found');
+        entries = group.deviceIds.map(deviceId => ({ deviceId }));
+    } else if (deviceIds) {
+        if (!Array.isArray(deviceIds)) throw invalid('deviceIds must be an array');
+        entries = deviceIds.map(deviceId => ({ deviceId }));
+    } else {
+        if (!Array.isArray(devices)) throw invalid('devices must be an array');
+        entries = devices.map(d => (typeof d === 'string' ? { deviceId: d } : { ...d }));
+    }
+
+    if (entries.length === 0) throw invalid('The batch has no devices');
+    if (entries.length > config.STREAM_BATCH_MAX_DEVICES) {
+        throw invalid(`A batch targets at most ${config.STREAM_BATCH_MAX_DEVICES} devices`);
+    }
+    if (entries.some(e => !e || typeof e.deviceId !== 'string' || !e.deviceId)) {
+        throw invalid('Every device needs a deviceId');
+    }
+
+    const seen = new Set();
+    entries = entries.filter((e) => {
+        if (seen.has(e.deviceId)) return false;
+        seen.add(e.deviceId);
+        return true;
+    });
+
+    const owners = new Map((await prisma.device.findMany({
+        where: { deviceId: { in: entries.map(e => e.deviceId) } },
+        select: { deviceId: true, userId: true }
+    })).map(d => [d.deviceId, d.userId]));
+
+    const targets = [];
+    const rejected = [];
+    entries.forEach(({ deviceId, ...overrides }) => {
+        if (!owners.has(deviceId)) {
+            rejected.push({ deviceId, status: 'error', error: 'Device not found' });
+        } else if (!isAdmin && owners.get(deviceId) !== userId) {
+            rejected.push({ deviceId, status: 'error', error: 'Forbidden: You do not own this device' });
+        } else {
+            targets.push({ deviceId, ownerId: owners.get(deviceId), overrides });
+        }
+    });
+    return { deviceIds: entries.map(e => e.deviceId), targets, rejected };
+}
+
+/**
+ * Validate the fan-out parameters of a batch start
+ * @returns {Object} { staggerSeconds, spacingMeters, speedVariance }
+ * @throws {Error} code INVALID_BATCH
+ */
+function resolveSpread(body) {
+    return {
+        staggerSeconds: optionalNumber(body.staggerSeconds, 'staggerSeconds', { max: MAX_DELAY_SECONDS }) || 0,
+        spacingMeters: optionalNumber(body.spacingMeters, 'spacingMeters') || 0,
+        speedVariance: optionalNumber(body.speedVariance, 'speedVariance', { max: 0.9 }) || 0
+    };
+}
+
+/**
+ * Per-device start plan: delay, start position and speed for the device at `position`
+ */
+function planDevice(target, position, { baseSpeed, baseOffset, spread, rng }) {
+    const { overrides } = target;
+
+    const delaySeconds = overrides.delaySeconds !== undefined
+        ? optionalNumber(overrides.delaySeconds, `delaySeconds of ${target.deviceId}`, { max: MAX_DELAY_SECONDS })
+        : position * spread.staggerSeconds;
+    const startOffsetMeters = overrides.startOffsetMeters !== undefined
+        ? optionalNumber(overrides.startOffsetMeters, `startOffsetMeters of ${target.deviceId}`)
+        : baseOffset + position * spread.spacingMeters;
+
+    // Draw for every device so an override doesn't shift the others' speeds
+    const factor = 1 + spread.speedVariance * (2 * rng() - 1);
+    const speed = overrides.speed !== undefined
+        ? optionalNumber(overrides.speed, `speed of ${target.deviceId}`, { min: 0.1 })
+        : Math.round(baseSpeed * factor * 10) / 10;
+
+    return { delaySeconds, startOffsetMeters, speed };
+}
+
+/**
+ * Run fn over items with at most `limit` calls in flight
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const i = next++;
+            results[i] = await fn(items[i], i);
+        }
+    });
+    await Promise.all(workers);
+    return results;
+}
+
+function cancelPendingStart(deviceId) {
+    const pending = pendingStarts.get(deviceId);
+    if (!pending) return false;
+    clearTimeout(pending.timer);
+    pendingStarts.delete(deviceId);
+    return true;
+}
+
+/**
+ * Start one device of a batch, announce it and audit it
+ */
+async function startDevice(target, routeId, options, { batchId, userId }) {
+    const stream = await streamService.startStream(target.deviceId, routeId, options);
+
+    broadcast('STREAM_STARTED', {
+        deviceId: target.deviceId,
+        routeId,
+        itineraryId: stream.itineraryId,
+        totalLegs: stream.totalLegs,
+        speed: stream.config?.speed,
+        loop: stream.config?.loop,
+        batchId,
+        ownerId: target.ownerId
+    });
+
+    await auditService.log(auditService.ACTIONS.STREAM_START, {
+        userId,
+        deviceId: target.deviceId,
+        meta: { routeId, itineraryId: options.itineraryId, options, batchId }
+    });
+
+    return stream;
+}
+
+/**
+ * Start streams on many devices
+ * @param {Array} targets - from resolveTargets()
+ * @param {string} routeId - Route (first leg route for itineraries)
+ * @param {Object} options - /api/stream/start options shared by every device
+ * @param {Object} body - batch request body (staggerSeconds, spacingMeters, speedVariance)
+ * @param {Object} context - { userId, route } (route: the resolved route, for its default speed)
+ * @returns {Promise<Object>} { batchId, results: [{ deviceId, status: started | scheduled | error, ... }] }
+ * @throws {Error} code INVALID_BATCH
+ */
+async function startBatch(targets, routeId, options, body, { userId, route }) {
+    const spread = resolveSpread(body);
+    // Seeded batches get the same speeds every time
+    const rng = options.seed !== undefined && options.seed !== null ? createRng(options.seed) : Math.random;
+    const baseSpeed = parseFloat(options.speed || route.config?.speed || config.STREAM_DEFAULTS.speed);
+    // spacingMeters counts from the startAt* position shared by the batch
+    const baseOffset = streamService.resolveStartDistance(route, options);
+
+    // Validate every plan before starting anything
+    const plans = targets.map((target, position) => planDevice(target, position, { baseSpeed, baseOffset, spread, rng }));
+
+    const batchId = crypto.randomUUID();
+    const context = { batchId, userId };
+    const now = Date.now();
+
+    console.log(JSON.stringify({
+        event: 'STREAM_BATCH_START',
+        batchId,
+        routeId,
+        itineraryId: options.itineraryId,
+        devices: targets.length,
+        ...spread
+    }));
+
+    const results = await mapWithConcurrency(targets, config.STREAM_BATCH_CONCURRENCY, async (target, i) => {
+        const plan = plans[i];
+        const deviceOptions = { ...streamService.withoutStartPosition(options), speed: plan.speed };
+        if (plan.startOffsetMeters > 0) deviceOptions.startAtMeters = plan.startOffsetMeters;
+
+        // A newer batch replaces a start still waiting from an older one
+        cancelPendingStart(target.deviceId);
+
+        if (plan.delaySeconds > 0) {
+            const startsAt = new Date(now + plan.delaySeconds * 1000);
+            const timer = setTimeout(() => {
+                pendingStarts.delete(target.deviceId);
+                startDevice(target, routeId, deviceOptions, context).catch((error) => {
+                    console.error(`[Batch] Delayed start failed device=${target.deviceId} batch=${batchId}:`, error.message);
+                    broadcast('STREAM_START_FAILED', {
+                        deviceId: target.deviceId,
+                        batchId,
+                        error: error.message,
+                        ownerId: target.ownerId
+                    });
+                });
+            }, plan.delaySeconds * 1000);
+            pendingStarts.set(target.deviceId, { timer, batchId, startsAt });
+
+            return { deviceId: target.deviceId, status: 'scheduled', startsAt, speed: plan.speed, startOffsetMeters: plan.startOffsetMeters };
+        }
+
+        try {
+            const stream = await startDevice(target, routeId, deviceOptions, context);
+            return {
+                deviceId: target.deviceId,
+                status: 'started',
+                streamId: stream.streamId,
+                speed: stream.config?.speed,
+                startOffsetMeters: stream.startAtMeters || 0
+            };
+        } catch (error) {
+            return { deviceId: target.deviceId, status: 'error', error: error.message };
+        }
+    });
+
+    return { batchId, results };
+}
+
+const CONTROL_ACTIONS = {
+    pause: { run: deviceId => streamService.pauseStream(deviceId), status: 'paused', audit: 'STREAM_PAUSE' },
+    resume: { run: deviceId => streamService.resumeStream(deviceId), status: 'resumed', audit: 'STREAM_RESUME' },
+    stop: { run: deviceId => streamService.stopStream(deviceId), status: 'stopped', audit: 'STREAM_STOP' }
+};
+
+/**
+ * Pause, resume or stop the streams of many devices.
+ * Stopping also cancels batch starts that haven't fired yet.
+ * @param {string} action - 'pause' | 'resume' | 'stop'
+ * @returns {Promise<Array>} [{ deviceId, status: paused | resumed | stopped | cancelled | not_active | error, error? }]
+ */
+async function controlBatch(action, targets, { userId }) {
+    const { run, status, audit } = CONTROL_ACTIONS[action];
+
+    return mapWithConcurrency(targets, config.STREAM_BATCH_CONCURRENCY, async (target) => {
+        const { deviceId } = target;
+        try {
+            const cancelled = action === 'stop' && cancelPendingStart(deviceId);
+
+            if (!(await streamService.hasActiveStream(deviceId))) {
+                return { deviceId, status: cancelled ? 'cancelled' : 'not_active' };
+            }
+
+            const result = await run(deviceId);
+            if (!result) {
+                return { deviceId, status: 'not_active' };
+            }
+
+            await auditService.log(auditService.ACTIONS[audit], { userId, deviceId, meta: { batch: true } });
+            if (action === 'stop') {
+                broadcast('STREAM_STOPPED', { deviceId, ownerId: target.ownerId });
+            }
+            return { deviceId, status };
+        } catch (error) {
+            return { deviceId, status: 'error', error: error.message };
+        }
+    });
+}
+
+/**
+ * Count results by status, e.g. { started: 48, error: 2 }
+ */
+function summarize(results) {
+    return results.reduce((acc, r) => {
+        acc[r.status] = (acc[r.status] || 0) + 1;
+        return acc;
+    }, {});
+}
+
+/**
+ * Cancel every delayed start (shutdown)
+ */
+function cancelAllPendingStarts() {
+    const count = pendingStarts.size;
+    pendingStarts.forEach(pending => clearTimeout(pending.timer));
+    pendingStarts.clear();
+    return count;
+}
+
+module.exports = {
+    resolveTargets,
+    startBatch,
+    controlBatch,
+    summarize,
+    cancelAllPendingStarts
+};
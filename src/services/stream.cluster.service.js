@@ -0,0 +1,248 @@
+/**
+ * Stream Cluster Service
+ * Routes stream commands to the API instance that owns them
+ *
+ * A StreamInstance lives on the node holding its device's WebSocket.
+ * Controllers call this dispatcher instead of stream.service directly:
+ *   - start goes to the node the device is connected to (ws:conn:<deviceId>)
+ *   - everything else goes to the node that owns the stream (stream:<deviceId>.serverId)
+ * Local calls skip Redis pub/sub entirely; with CLUSTER_ENABLED=false this
+ * is a thin async wrapper around stream.service.
+ */
+
+const cluster = require('../lib/cluster');
+const { getStreamState, scanStreamStates } = require('../lib/redis');
+const streamService = require('./stream.service');
+const deviceService = require('./device.service');
+const streamRecoveryService = require('./stream.recovery.service');
+
+// Commands other nodes may run on this node. Results must be JSON-serializable.
+const LOCAL_COMMANDS = {
+    'stream.start': ({ deviceId, routeId, options }) => streamService.startStream(deviceId, routeId, options),
+    'stream.convoyStart': ({ leaderDeviceId, followers, routeId, options }) => streamService.startConvoy(leaderDeviceId, followers, routeId, options),
+    'stream.pause': ({ deviceId }) => streamService.pauseStream(deviceId),
+    'stream.resume': ({ deviceId }) => streamService.resumeStream(deviceId),
+    'stream.stop': ({ deviceId }) => streamService.stopStream(deviceId),
+    'stream.status': ({ deviceId }) => streamService.getStreamStatus(deviceId),
+    'stream.skipDwell': ({ deviceId }) => streamService.skipDwell(deviceId),
+    'stream.extendDwell': ({ deviceId, seconds }) => streamService.extendDwell(deviceId, seconds),
+    'stream.seek': ({ deviceId, position }) => streamService.seekStream(deviceId, position),
+    'stream.update': ({ deviceId, changes }) => streamService.updateStream(deviceId, changes),
+    'stream.detach': ({ deviceId }) => streamService.detachStream(deviceId)
+};
+
+Object.entries(LOCAL_COMMANDS).forEach(([command, handler]) => {
+    cluster.registerCommand(command, handler);
+});
+
+/**
+ * Run a command locally or on the given node
+ */
+async function invoke(serverId, command, args) {
+    if (!serverId || serverId === cluster.getServerId()) {
+        return LOCAL_COMMANDS[command](args);
+    }
+    return cluster.sendCommand(serverId, command, args);
+}
+
+/**
+ * Find the node currently running the device's stream
+ * @returns {Promise<string|null>} serverId, or null when no live node owns it
+ */
+async function locateStream(deviceId) {
+    if (streamService.hasActiveStream(deviceId)) {
+        return cluster.getServerId();
+    }
+    if (!cluster.isEnabled()) {
+        return null;
+    }
+
+    const state = await getStreamState(deviceId);
+    const ownerId = state?.serverId;
+    if (ownerId && ownerId !== cluster.getServerId() && await cluster.isNodeAlive(ownerId)) {
+        return ownerId;
+    }
+    return null;
+}
+
+async function startStream(deviceId, routeId, options = {}) {
+    if (!cluster.isEnabled()) {
+        return streamService.startStream(deviceId, routeId, options);
+    }
+
+    const targetNode = await deviceService.getDeviceConnectionNode(deviceId);
+    if (!targetNode) {
+        throw new Error('Device not connected via WebSocket');
+    }
+
+    // A previous stream may still be ticking on the node the device left
+    const ownerNode = await locateStream(deviceId);
+    if (ownerNode && ownerNode !== targetNode) {
+        await invoke(ownerNode, 'stream.stop', { deviceId });
+    }
+
+    return invoke(targetNode, 'stream.start', { deviceId, routeId, options });
+}
+
+/**
+ * Convoys run on the node the leader is connected to: followers read the leader's
+ * trail in memory, so followers connected to another node are rejected
+ * @throws {Error} code CONVOY_NODE_MISMATCH
+ */
+async function startConvoy(leaderDeviceId, followers, routeId, options = {}) {
+    if (!cluster.isEnabled()) {
+        return streamService.startConvoy(leaderDeviceId, followers, routeId, options);
+    }
+
+    const targetNode = await deviceService.getDeviceConnectionNode(leaderDeviceId);
+    if (!targetNode) {
+        throw new Error('Device not connected via WebSocket');
+    }
+
+    const elsewhere = [];
+    for (const { deviceId } of followers) {
+        const node = await deviceService.getDeviceConnectionNode(deviceId);
+        if (node && node !== targetNode) elsewhere.push(deviceId);
+    }
+    if (elsewhere.length > 0) {
+        const error = new Error(`Convoy members must be connected to the leader's node: ${elsewhere.join(', ')} connected elsewhere`);
+        error.code = 'CONVOY_NODE_MISMATCH';
+        throw error;
+    }
+
+    for (const deviceId of [leaderDeviceId, ...followers.map(f => f.deviceId)]) {
+        const ownerNode = await locateStream(deviceId);
+        if (ownerNode && ownerNode !== targetNode) {
+            await invoke(ownerNode, 'stream.stop', { deviceId });
+        }
+    }
+
+    return invoke(targetNode, 'stream.convoyStart', { leaderDeviceId, followers, routeId, options });
+}
+
+async function pauseStream(deviceId) {
+    return invoke(await locateStream(deviceId), 'stream.pause', { deviceId });
+}
+
+async function resumeStream(deviceId) {
+    return invoke(await locateStream(deviceId), 'stream.resume', { deviceId });
+}
+
+async function stopStream(deviceId) {
+    return invoke(await locateStream(deviceId), 'stream.stop', { deviceId });
+}
+
+async function getStreamStatus(deviceId) {
+    return invoke(await locateStream(deviceId), 'stream.status', { deviceId });
+}
+
+async function skipDwell(deviceId) {
+    return invoke(await locateStream(deviceId), 'stream.skipDwell', { deviceId });
+}
+
+async function extendDwell(deviceId, seconds) {
+    return invoke(await locateStream(deviceId), 'stream.extendDwell', { deviceId, seconds });
+}
+
+async function seekStream(deviceId, position) {
+    return invoke(await locateStream(deviceId), 'stream.seek', { deviceId, position });
+}
+
+async function updateStream(deviceId, changes) {
+    return invoke(await locateStream(deviceId), 'stream.update', { deviceId, changes });
+}
+
+async function hasActiveStream(deviceId) {
+    return (await locateStream(deviceId)) !== null;
+}
+
+/**
+ * Active streams across the cluster.
+ * Remote streams are read from their Redis snapshots rather than asking every node.
+ */
+async function getAllStreams() {
+    const streams = streamService.getAllStreams();
+    if (!cluster.isEnabled()) {
+        return streams;
+    }
+
+    const selfId = cluster.getServerId();
+    streams.forEach((s) => { s.serverId = selfId; });
+
+    const aliveCache = new Map();
+    const snapshots = await scanStreamStates();
+    for (const { deviceId, state } of snapshots) {
+        if (!state || !state.serverId || state.serverId === selfId) continue;
+
+        if (!aliveCache.has(state.serverId)) {
+            aliveCache.set(state.serverId, await cluster.isNodeAlive(state.serverId));
+        }
+        if (!aliveCache.get(state.serverId)) continue;
+
+        streams.push({
+            deviceId,
+            routeId: state.routeId,
+            itineraryId: state.itinerary?.itineraryId,
+            legIndex: state.itinerary?.legIndex,
+            status: state.status,
+            state: state.state,
+            currentIndex: state.currentIndex,
+            totalPoints: state.totalPoints,
+            serverId: state.serverId
+        });
+    }
+
+    return streams;
+}
+
+/**
+ * Called when a device connects to this node.
+ * Resumes a stream recovered after a restart, or pulls over a stream that is
+ * still parked on the node the device was connected to before.
+ */
+async function resumeOnConnect(deviceId) {
+    const local = await streamService.resumeRecoveredStream(deviceId);
+    if (local || !cluster.isEnabled() || streamService.hasActiveStream(deviceId)) {
+        return local;
+    }
+
+    let snapshot = await getStreamState(deviceId);
+    if (!snapshot || !snapshot.serverId || snapshot.serverId === cluster.getServerId()) {
+        return null;
+    }
+
+    if (await cluster.isNodeAlive(snapshot.serverId)) {
+        snapshot = await cluster.sendCommand(snapshot.serverId, 'stream.detach', { deviceId });
+        if (!snapshot) return null;
+    } else if (!(await cluster.acquireLock(`recover:${deviceId}`, 30))) {
+        return null;
+    }
+
+    const adopted = await streamRecoveryService.recoverSnapshot(deviceId, snapshot);
+    if (!adopted) return null;
+
+    console.log(`[Cluster] Stream for device=${deviceId} handed over from node ${snapshot.serverId}`);
+    return streamService.resumeRecoveredStream(deviceId);
+}
+
+module.exports = {
+    startStream,
+    startConvoy,
+    pauseStream,
+    resumeStream,
+    stopStream,
+    getStreamStatus,
+    skipDwell,
+    extendDwell,
+    seekStream,
+    updateStream,
+    hasActiveStream,
+    getAllStreams,
+    getStreamHistory: streamService.getStreamHistory,
+    getStreamTotalsByDevice: streamService.getStreamTotalsByDevice,
+    START_OPTION_KEYS: streamService.START_OPTION_KEYS,
+    validateStartOptions: streamService.validateStartOptions,
+    resolveStartDistance: streamService.resolveStartDistance,
+    withoutStartPosition: streamService.withoutStartPosition,
+    resumeOnConnect
+};
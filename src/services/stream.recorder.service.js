@@ -0,0 +1,306 @@
+/**
+ * Stream Recorder Service
+ * Stores the fixes a device actually received (noise, signal loss and dwell included)
+ * and turns a recording back into GeoJSON, GPX or a new route.
+ *
+ * Live streams buffer fixes in memory and write them to stream_fixes in batches
+ * of STREAM_RECORD_BATCH_SIZE; buffers are flushed on pause, stop, detach and shutdown.
+ */
+
+const { prisma } = require('../lib/prisma');
+const routeService = require('./route.service');
+const config = require('../config/config');
+const { calculateDistance } = require('../utils/geospatial.util');
+const { buildGPX } = require('../utils/gpx.writer');
+
+// Recorders of streams running on this node, by stream id
+const activeRecorders = new Map();
+
+// Consecutive fixes closer than this collapse into one route point on save-as-route
+const MIN_POINT_SPACING_METERS = 1;
+
+function invalid(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_RECORDING';
+    return error;
+}
+
+/**
+ * Create the recorder of a live stream
+ * @param {string} streamId - streams.id
+ * @param {number} nextSeq - First sequence number (continues a recording after a restart)
+ * @returns {Object} { streamId, nextSeq, record(message), flush(), close() }
+ */
+function createRecorder(streamId, nextSeq = 0) {
+    let seq = nextSeq;
+    let buffer = [];
+    // Writes are chained so batches land in order even when the database is slow
+    let writing = Promise.resolve();
+
+    function flush() {
+        if (buffer.length === 0) return writing;
+        const data = buffer;
+        buffer = [];
+        writing = writing
+            .then(() => prisma.streamFix.createMany({ data, skipDuplicates: true }))
+            .catch(err => console.error(`[Recorder] Failed to write ${data.length} fixes for stream=${streamId}:`, err.message));
+        return writing;
+    }
+
+    function record(message) {
+        const { payload, meta } = message;
+        buffer.push({
+            streamId,
+            seq: seq++,
+            ts: new Date(meta.timestamp),
+            lat: payload.lat,
+            lng: payload.lng,
+            altitude: payload.altitude ?? null,
+            speed: payload.speed || 0,
+            bearing: payload.bearing ?? null,
+            accuracy: payload.accuracy ?? null,
+            verticalAccuracy: payload.verticalAccuracy ?? null,
+            state: payload.state,
+            dwellRemainingSeconds: meta.dwellRemainingSeconds ?? null,
+            pointIndex: meta.pointIndex ?? null
+        });
+        if (buffer.length >= config.STREAM_RECORD_BATCH_SIZE) {
+            flush();
+        }
+    }
+
+    async function close() {
+        await flush();
+        activeRecorders.delete(streamId);
+    }
+
+    const recorder = {
+        streamId,
+        get nextSeq() {
+            return seq;
+        },
+        record,
+        flush,
+        close
+    };
+    activeRecorders.set(streamId, recorder);
+    return recorder;
+}
+
+/**
+ * Load a stream and its recorded fixes
+ * Fixes still buffered by a stream running on this node are written first.
+ * @param {string} streamId
+ * @returns {Promise<Object|null>} { stream, fixes } or null if the stream doesn't exist
+ */
+async function getRecording(streamId) {
+    const stream = await prisma.stream.findUnique({
+        where: { id: streamId },
+        include: {
+            route: { select: { name: true } },
+            device: { select: { userId: true } }
+        }
+    });
+    if (!stream) return null;
+
+    const live = activeRecorders.get(streamId);
+    if (live) {
+        await live.flush();
+    }
+
+    const fixes = await prisma.streamFix.findMany({
+        where: { streamId },
+        orderBy: { seq: 'asc' }
+    });
+
+    return { stream, fixes };
+}
+
+/**
+ * Dwell stops in a recording: runs of consecutive WAIT fixes.
+ * A stop lasts until the first fix after it (PAUSED keepalives are ignored).
+ * @param {Array} fixes - Ordered stream_fixes rows
+ * @returns {Array} [{ firstIndex, lastIndex, lat, lng, startTime, endTime, durationSeconds }]
+ *   indexes refer to the fixes without PAUSED keepalives
+ */
+function findStops(fixes) {
+    const track = fixes.filter(f => f.state !== 'PAUSED');
+    const stops = [];
+    let first = -1;
+
+    for (let i = 0; i <= track.length; i++) {
+        const waiting = i < track.length && track[i].state === 'WAIT';
+        if (waiting && first === -1) {
+            first = i;
+        } else if (!waiting && first !== -1) {
+            const start = track[first].ts;
+            const end = i < track.length ? track[i].ts : track[i - 1].ts;
+            stops.push({
+                firstIndex: first,
+                lastIndex: i - 1,
+                lat: track[first].lat,
+                lng: track[first].lng,
+                startTime: start.toISOString(),
+                endTime: end.toISOString(),
+                durationSeconds: Math.round((end - start) / 1000)
+            });
+            first = -1;
+        }
+    }
+    return stops;
+}
+
+function recordingName(stream) {
+    return `${stream.route?.name || 'Route'} (recorded ${stream.startedAt.toISOString()})`;
+}
+
+/**
+ * GeoJSON FeatureCollection of a recording: the track as a LineString
+ * (per-fix times/speeds/states as parallel arrays) plus one Point per dwell stop
+ */
+function toGeoJSON({ stream, fixes }) {
+    const track = {
+        type: 'Feature',
+        geometry: fixes.length >= 2
+            ? { type: 'LineString', coordinates: fixes.map(f => (f.altitude !== null ? [f.lng, f.lat, f.altitude] : [f.lng, f.lat])) }
+            : null,
+        properties: {
+            streamId: stream.id,
+            deviceId: stream.deviceId,
+            routeId: stream.routeId,
+            itineraryId: stream.itineraryId,
+            name: recordingName(stream),
+            startedAt: stream.startedAt,
+            stoppedAt: stream.stoppedAt,
+            fixes: fixes.length,
+            coordTimes: fixes.map(f => f.ts.toISOString()),
+            speeds: fixes.map(f => f.speed),
+            bearings: fixes.map(f => f.bearing),
+            accuracies: fixes.map(f => f.accuracy),
+            verticalAccuracies: fixes.map(f => f.verticalAccuracy),
+            states: fixes.map(f => f.state),
+            dwellRemainingSeconds: fixes.map(f => f.dwellRemainingSeconds)
+        }
+    };
+
+    const stops = findStops(fixes).map((stop, i) => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [stop.lng, stop.lat] },
+        properties: {
+            kind: 'stop',
+            seq: i,
+            startTime: stop.startTime,
+            endTime: stop.endTime,
+            durationSeconds: stop.durationSeconds
+        }
+    }));
+
+    return {
+        type: 'FeatureCollection',
+        features: [track, ...stops]
+    };
+}
+
+/**
+ * GPX 1.1 track of a recording
+ */
+function toGPX({ stream, fixes }) {
+    return buildGPX({
+        name: recordingName(stream),
+        points: fixes.map(f => ({
+            lat: f.lat,
+            lng: f.lng,
+            ele: f.altitude,
+            time: f.ts.toISOString(),
+            speed: f.speed,
+            course: f.bearing
+        }))
+    });
+}
+
+/**
+ * Create a new route that replays a recording: the fixes become route points
+ * (recorded speed as the point's speed in km/h, fix time as the point's time) and
+ * every dwell stop becomes a stop waypoint with the observed dwell time.
+ * @param {Object} recording - { stream, fixes } from getRecording
+ * @param {string} userId - Owner of the new route
+ * @param {Object} [options] - { name }
+ * @returns {Promise<Object>} Created route with waypoints
+ * @throws {Error} code INVALID_RECORDING
+ */
+async function saveAsRoute(recording, userId, { name } = {}) {
+    const track = recording.fixes.filter(f => f.state !== 'PAUSED');
+    const stopsByIndex = new Map(findStops(recording.fixes).map(stop => [stop.firstIndex, stop]));
+
+    const points = [];
+    const stops = [];
+    track.forEach((fix, i) => {
+        const last = points[points.length - 1];
+        const stop = stopsByIndex.get(i);
+        if (fix.state === 'WAIT' && !stop) return;
+
+        if (!last || calculateDistance(last, fix) >= MIN_POINT_SPACING_METERS) {
+            points.push({
+                lat: fix.lat,
+                lng: fix.lng,
+                altitude: fix.altitude,
+                time: fix.ts,
+                speed: fix.state === 'MOVE' && fix.speed > 0 ? parseFloat((fix.speed * 3.6).toFixed(1)) : null,
+                bearing: fix.bearing
+            });
+        }
+        if (stop) {
+            stops.push({ pointIndex: points.length - 1, dwellSeconds: stop.durationSeconds });
+        }
+    });
+
+    if (points.length < 2) {
+        throw invalid(`Recording has ${points.length} distinct positions. Minimum 2 required to create a route.`);
+    }
+
+    const lastIndex = points.length - 1;
+    const dwellAt = (pointIndex) => stops
+        .filter(s => s.pointIndex === pointIndex)
+        .reduce((sum, s) => sum + s.dwellSeconds, 0);
+    const endpoint = (kind, label, pointIndex) => ({
+        kind,
+        mode: 'manual',
+        label,
+        lat: points[pointIndex].lat,
+        lng: points[pointIndex].lng,
+        dwellSeconds: dwellAt(pointIndex),
+        pointIndex
+    });
+
+    const waypoints = [
+        endpoint('origin', 'Origin', 0),
+        ...stops
+            .filter(s => s.pointIndex > 0 && s.pointIndex < lastIndex)
+            .map((s, i) => ({
+                kind: 'stop',
+                mode: 'manual',
+                label: `Stop ${i + 1}`,
+                lat: points[s.pointIndex].lat,
+                lng: points[s.pointIndex].lng,
+                dwellSeconds: s.dwellSeconds,
+                pointIndex: s.pointIndex
+            })),
+        endpoint('destination', 'Destination', lastIndex)
+    ];
+
+    return routeService.createRouteWithWaypoints({
+        name: name || recordingName(recording.stream),
+        points,
+        waypoints,
+        sourceType: 'recording'
+    }, userId);
+}
+
+module.exports = {
+    createRecorder,
+    getRecording,
+    findStops,
+    toGeoJSON,
+    toGPX,
+    saveAsRoute
+};
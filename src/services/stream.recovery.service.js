@@ -0,0 +1,161 @@
+/**
+ * Stream Recovery Service
+ * Rehydrates active streams from their Redis snapshots after a restart
+ *
+ * On boot every stream:<deviceId> key is checked against PostgreSQL:
+ *   - the Stream row must still exist and not be stopped
+ *   - the route must still exist with the same number of points
+ *   - itinerary streams also need their itinerary with the same legs
+ * Valid snapshots become paused StreamInstances that resume as soon as
+ * the device's WebSocket reconnects (see streamService.resumeRecoveredStream).
+ * Anything else is discarded and its Stream row closed.
+ *
+ * In cluster mode a node only recovers its own snapshots and those left
+ * behind by nodes that are no longer alive (claimed with a short lock).
+ */
+
+const { prisma } = require('../lib/prisma');
+const { scanStreamStates, deleteStreamState } = require('../lib/redis');
+const routeService = require('./route.service');
+const itineraryService = require('./itinerary.service');
+const streamService = require('./stream.service');
+const auditService = require('./audit.service');
+const cluster = require('../lib/cluster');
+
+/**
+ * Close the DB row and drop the Redis snapshot for a stream we can't recover
+ */
+async function discardSnapshot(deviceId, state, reason) {
+    console.warn(`[Recovery] Discarding stream snapshot device=${deviceId} reason=${reason}`);
+
+    try {
+        await deleteStreamState(deviceId);
+    } catch (err) {
+        console.error(`[Recovery] Failed to delete redis state for device=${deviceId}:`, err.message);
+    }
+
+    if (state?.streamId) {
+        try {
+            await prisma.stream.updateMany({
+                where: { id: state.streamId, stoppedAt: null },
+                data: { status: 'STOPPED', stoppedAt: new Date() }
+            });
+        } catch (err) {
+            console.error(`[Recovery] DB error closing stream ${state.streamId}:`, err.message);
+        }
+    }
+}
+
+/**
+ * Recover a single snapshot
+ * @returns {string|null} null when recovered, otherwise the discard reason
+ */
+async function recoverOne(deviceId, state) {
+    if (!state || !state.streamId || !state.routeId || !state.engine || !state.config) {
+        return 'incomplete_snapshot';
+    }
+
+    if (streamService.hasActiveStream(deviceId)) {
+        return null;
+    }
+
+    const dbStream = await prisma.stream.findUnique({
+        where: { id: state.streamId },
+        select: { id: true, stoppedAt: true }
+    });
+    if (!dbStream || dbStream.stoppedAt) {
+        return 'stream_closed';
+    }
+
+    let itinerary = null;
+    if (state.itinerary) {
+        itinerary = await itineraryService.loadPlayableItinerary(state.itinerary.itineraryId).catch(() => null);
+        if (!itinerary) {
+            return 'itinerary_missing';
+        }
+        const leg = itinerary.legs[state.itinerary.legIndex];
+        if (!leg || leg.routeId !== state.routeId || itinerary.legs.length !== state.itinerary.totalLegs) {
+            return 'itinerary_changed';
+        }
+    }
+
+    const route = await routeService.getRoute(state.routeId);
+    if (!route || !route.points || route.points.length < 2) {
+        return 'route_missing';
+    }
+    if (state.totalPoints && route.points.length !== state.totalPoints) {
+        return 'route_changed';
+    }
+
+    streamService.restoreStream(deviceId, route, state, itinerary);
+
+    await auditService.log(auditService.ACTIONS.STREAM_RECOVER, {
+        deviceId,
+        meta: { streamId: state.streamId, routeId: state.routeId, previousStatus: state.status }
+    });
+
+    return null;
+}
+
+/**
+ * Recover one snapshot, discarding it when it can't be restored
+ * @returns {Promise<boolean>} true when the stream is now active on this node
+ */
+async function recoverSnapshot(deviceId, state) {
+    try {
+        const reason = await recoverOne(deviceId, state);
+        if (reason) {
+            await discardSnapshot(deviceId, state, reason);
+            return false;
+        }
+        return true;
+    } catch (err) {
+        console.error(`[Recovery] Failed to recover stream for device=${deviceId}:`, err.message);
+        await discardSnapshot(deviceId, state, 'error');
+        return false;
+    }
+}
+
+/**
+ * Whether this node should try to recover a snapshot found in Redis
+ */
+async function shouldClaim(deviceId, state) {
+    if (!cluster.isEnabled()) return true;
+
+    const ownerId = state?.serverId;
+    if (ownerId && ownerId !== cluster.getServerId() && await cluster.isNodeAlive(ownerId)) {
+        return false;
+    }
+
+    // Several nodes booting at once may all see the same orphan
+    return cluster.acquireLock(`recover:${deviceId}`, 30);
+}
+
+/**
+ * Scan Redis for stream snapshots and rehydrate them
+ * @returns {Promise<{recovered: number, discarded: number}>}
+ */
+async function recoverStreams() {
+    // Convoy leaders first, so their followers find the convoy to rejoin
+    const snapshots = (await scanStreamStates())
+        .sort((a, b) => (b.state?.convoy?.role === 'leader') - (a.state?.convoy?.role === 'leader'));
+    let recovered = 0;
+    let discarded = 0;
+
+    for (const { deviceId, state } of snapshots) {
+        if (!(await shouldClaim(deviceId, state))) continue;
+
+        if (await recoverSnapshot(deviceId, state)) {
+            recovered++;
+        } else {
+            discarded++;
+        }
+    }
+
+    return { recovered, discarded };
+}
+
+module.exports = {
+    recoverStreams,
+    recoverSnapshot
+};
@@ -9,11 +9,19 @@
  * for the specified duration before continuing.
  */
 
+const { Prisma } = require('@prisma/client');
 const { prisma } = require('../lib/prisma');
-const { setStreamState, updateStreamState, deleteStreamState, getStreamState } = require('../lib/redis');
-const { calculateBearing, calculateDistance, interpolatePoint } = require('../utils/geospatial.util');
+const { setStreamState, setStreamPosition, deleteStreamState, getStreamState } = require('../lib/redis');
+const { calculateBearing, calculateDistance, calculateRouteDistance, interpolatePoint, projectOntoRoute } = require('../utils/geospatial.util');
+const { buildSpeedProfile, profileTargetMps, cumulativeDistances } = require('../utils/speed.profile.util');
+const { buildRecordedPacing, recordedAdvanceMeters, countTimestamps } = require('../utils/recorded.pacing.util');
+const { createGpsNoise, normalizeNoiseOptions } = require('../utils/gps.noise.util');
+const { createRng } = require('../utils/random.util');
+const streamRecorder = require('./stream.recorder.service');
 const deviceService = require('./device.service');
+const deviceWireService = require('./device.wire.service');
 const routeService = require('./route.service');
+const itineraryService = require('./itinerary.service');
 const config = require('../config/config');
 
 // Active streams per device (intervals, not serializable)
@@ -28,84 +36,1243 @@ const ENGINE_CONSTANTS = {
     MAX_JUMP_METERS: 100 // Anti-teleport
 };
 
+// Simulated clock origin for seeded runs without an explicit simStartTime
+const SIM_EPOCH_MS = Date.UTC(2024, 0, 1);
+
+/**
+ * Build the ordered wait plan for a route's waypoints
+ */
+function buildWaitPlan(waypoints) {
+    return (waypoints || []).map((wp) => ({
+        seq: wp.seq,
+        kind: wp.kind,
+        pointIndex: wp.pointIndex,
+        dwellSeconds: wp.dwellSeconds,
+        completed: false,
+        id: wp.id,
+        label: wp.label,
+        mode: wp.mode
+    })).sort((a, b) => a.seq - b.seq);
+}
+
+/**
+ * (Re)build the speed profile for the stream's current points.
+ * Null when the stream does not use speed profiles.
+ */
+function refreshSpeedProfile(stream) {
+    stream.speedProfile = stream.config.speedProfile
+        ? buildSpeedProfile(stream.points, {
+            lateralAccel: config.STREAM_LATERAL_ACCEL,
+            minCurveSpeedKmh: config.STREAM_MIN_CURVE_SPEED
+        })
+        : null;
+}
+
+/**
+ * (Re)build the recorded pacing for the stream's current points (pacing 'recorded').
+ * Stops found in the track join the wait plan unless a waypoint already waits there.
+ * Null when the stream drives at its configured speed or the points have no timestamps.
+ */
+function refreshRecordedPacing(stream) {
+    stream.recordedPacing = stream.config.pacing === 'recorded'
+        ? buildRecordedPacing(stream.points, {
+            stopSpeedKmh: config.STREAM_PACING_STOP_SPEED_KMH,
+            minStopSeconds: config.STREAM_PACING_MIN_STOP_SECONDS,
+            maxSpeedKmh: config.STREAM_PACING_MAX_SPEED_KMH
+        })
+        : null;
+    if (!stream.recordedPacing) return;
+
+    const recordedStops = stream.recordedPacing.stops
+        .filter(stop => !stream.waitPlan.some(w => w.pointIndex === stop.pointIndex && w.dwellSeconds > 0))
+        .map(stop => ({
+            kind: 'stop',
+            pointIndex: stop.pointIndex,
+            dwellSeconds: stop.dwellSeconds,
+            completed: false,
+            id: `recorded:${stop.pointIndex}`,
+            label: 'Recorded stop',
+            mode: 'recorded'
+        }));
+    // Keep the plan in travel order
+    stream.waitPlan = [...stream.waitPlan, ...recordedStops].sort((a, b) => (a.pointIndex ?? 0) - (b.pointIndex ?? 0));
+}
+
+/**
+ * Running totals of a stream, persisted to streams.stats (see serializeStreamStats)
+ */
+function createStreamStats() {
+    return {
+        distanceMeters: 0,
+        movingSeconds: 0,
+        dwellSeconds: 0,
+        pausedSeconds: 0,
+        pauses: 0,
+        // Pauses not requested by a user, by reason ('backpressure', 'anti_teleport', 'ws_lost')
+        autoPauses: {},
+        lastLatLng: null,
+        pausedAtMs: null
+    };
+}
+
+/**
+ * Add one sent fix to the stream totals. Distance is measured on the engine's
+ * true position, so fixes skipped by signal loss are still covered by the next one.
+ */
+function trackStreamStats(stream, message) {
+    const stats = stream.stats;
+    const position = stream.lastEmittedLatLng;
+    if (stats.lastLatLng && position) {
+        stats.distanceMeters += calculateDistance(stats.lastLatLng, position);
+    }
+    stats.lastLatLng = position;
+
+    const dtSec = (message.meta.dtMs || 0) / 1000;
+    if (message.payload.state === 'WAIT') {
+        stats.dwellSeconds += dtSec;
+    } else if (message.payload.state === 'MOVE' && message.payload.speed > 0) {
+        stats.movingSeconds += dtSec;
+    }
+}
+
+/**
+ * Stream totals as stored in streams.stats and returned by the history API
+ */
+function serializeStreamStats(stats) {
+    const pausedSeconds = stats.pausedSeconds + (stats.pausedAtMs ? (Date.now() - stats.pausedAtMs) / 1000 : 0);
+    return {
+        distanceMeters: Math.round(stats.distanceMeters),
+        movingSeconds: Math.round(stats.movingSeconds),
+        dwellSeconds: Math.round(stats.dwellSeconds),
+        pausedSeconds: Math.round(pausedSeconds),
+        pauses: stats.pauses,
+        autoPauses: { ...stats.autoPauses }
+    };
+}
+
 /**
  * StreamInstance class
  * Tracks streaming state for a single device
  */
-class StreamInstance {
-    constructor(deviceId, routeId, points, waypoints, streamConfig, ownerId) {
-        this.deviceId = deviceId;
-        this.routeId = routeId;
-        this.ownerId = ownerId;
-        this.points = points;
-        this.waypoints = waypoints || [];
-        this.config = { ...streamConfig };
-        this.currentIndex = 0; // Legacy
-        this.status = 'idle';
-        this.intervalId = null;
-        this.startedAt = null;
-        this.lastEmitAt = null;
-        this.dbId = null;
+class StreamInstance {
+    constructor(deviceId, routeId, points, waypoints, streamConfig, ownerId) {
+        this.deviceId = deviceId;
+        this.routeId = routeId;
+        this.ownerId = ownerId;
+        this.points = points;
+        this.waypoints = waypoints || [];
+        this.config = { ...streamConfig };
+        this.currentIndex = 0; // Legacy
+        this.status = 'idle';
+        this.intervalId = null;
+        this.startedAt = null;
+        this.lastEmitAt = null;
+        this.dbId = null;
+
+        // Why the stream is paused ('manual', 'ws_lost', 'backpressure', 'anti_teleport', 'recovery')
+        this.pauseReason = null;
+        // Set when rehydrated after a restart; cleared once the device reconnects
+        this.recovered = null;
+
+        // Dwell state
+        this.dwellTicksRemaining = 0;
+        this.state = 'MOVE';
+
+        // Loop prevention state
+        this.lastWaitPointIndex = null;
+        this.lastWaitExitAtMs = 0;
+
+        // Build deterministic wait plan
+        this.waitPlan = buildWaitPlan(this.waypoints);
+        this.currentWaitPlanId = null;
+
+        // Multi-leg itinerary playback (null for single-route streams)
+        // { itineraryId, name, legs, baseSpeed }
+        this.itinerary = null;
+        this.legIndex = 0;
+        // True while idling through an itinerary leg's gapSeconds
+        this.legGapActive = false;
+
+        // Distance engine physics state
+        this.sMeters = 0;
+        this.vMps = 0;
+        this.vTargetMps = (this.config.speed || 30) / 3.6;
+        this.segIndex = 0;
+        this.segProgress = 0;
+        // Distance along the route at each point; sMeters = routeMeters[segIndex] + segProgress
+        this.routeMeters = cumulativeDistances(points);
+        this.headingDeg = 0;
+        this.lastTickTs = Date.now();
+        this.lastEmittedLatLng = null;
+        this.engineMode = config.STREAM_DISTANCE_ENGINE ? 'distance' : 'index';
+
+        // Per-point speed caps (point limits + curves), see speed.profile.util
+        this.speedProfile = null;
+        refreshSpeedProfile(this);
+
+        // Per-segment speeds and stops from point timestamps (pacing 'recorded'), see recorded.pacing.util
+        this.recordedPacing = null;
+        refreshRecordedPacing(this);
+
+        // Simulated clock (epoch ms); null = wall clock. Set for accelerated or seeded runs
+        this.simClockMs = null;
+        // Seeded streams use a deterministic PRNG and a fixed time step
+        this.rng = isDeterministic(this) ? createRng(this.config.seed) : Math.random;
+        // Headless simulations are not tied to the wall clock either
+        this.headless = false;
+
+        // GPS noise applied to outgoing fixes; lastEmittedLatLng stays the true position
+        this.gpsNoise = this.config.noise ? createGpsNoise(this.config.noise, this.rng) : null;
+        this.signalLost = false;
+
+        // Stores sent fixes in stream_fixes (config.record); created once the DB stream exists
+        this.recorder = null;
+
+        // Distance / time totals for the history API
+        this.stats = createStreamStats();
+
+        // Backpressure state
+        this.sentTicks = 0;
+        this.skippedTicks = 0;
+        this.pressureStrikes = 0;
+        this.pressureWindowStartMs = Date.now();
+        this.lastHealthLogTs = Date.now();
+
+        // Loop state (see loopMode): the route as stored, and whether it is driven backwards
+        this.forwardRoute = { points: this.points, waypoints: this.waypoints };
+        this.reversed = false;
+        this.loopCount = 0;
+        if (this.config.loopMode === 'reverse') {
+            applyDirection(this, true);
+        }
+    }
+}
+
+/**
+ * Seeded streams replay byte-identical emissions: fixed dt, seeded noise, simulated timestamps
+ */
+function isDeterministic(stream) {
+    return stream.config.seed !== null && stream.config.seed !== undefined;
+}
+
+/**
+ * Simulated seconds per real second. Only the distance engine runs accelerated;
+ * the index engine always moves one point per tick.
+ */
+function timeScaleOf(stream) {
+    return stream.engineMode === 'distance' ? (stream.config.timeScale || 1) : 1;
+}
+
+/**
+ * Current time as seen by the simulation (epoch ms)
+ */
+function simNow(stream) {
+    return stream.simClockMs !== null ? stream.simClockMs : Date.now();
+}
+
+/**
+ * Simulated milliseconds covered by one tick
+ */
+function simTickMs(stream) {
+    return stream.config.intervalMs * timeScaleOf(stream);
+}
+
+/**
+ * Number of ticks needed to dwell for the given simulated seconds
+ */
+function dwellTicks(stream, seconds) {
+    return Math.ceil((seconds * 1000) / simTickMs(stream));
+}
+
+function invalidOptions(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_STREAM_OPTIONS';
+    return error;
+}
+
+/**
+ * Validate timeScale / seed / simStartTime start options
+ * @returns {Object} { timeScale, seed, simStartMs }
+ * @throws {Error} code INVALID_STREAM_OPTIONS
+ */
+function resolveClockOptions(options) {
+    const timeScale = options.timeScale !== undefined ? parseFloat(options.timeScale) : 1;
+    if (!Number.isFinite(timeScale) || timeScale <= 0 || timeScale > config.STREAM_MAX_TIME_SCALE) {
+        throw invalidOptions(`timeScale must be > 0 and <= ${config.STREAM_MAX_TIME_SCALE}`);
+    }
+
+    const seed = options.seed !== undefined && options.seed !== null && options.seed !== '' ? options.seed : null;
+    if (seed !== null && typeof seed !== 'string' && !Number.isFinite(seed)) {
+        throw invalidOptions('seed must be a string or a number');
+    }
+
+    let simStartMs = null;
+    if (options.simStartTime !== undefined) {
+        simStartMs = Date.parse(options.simStartTime);
+        if (!Number.isFinite(simStartMs)) {
+            throw invalidOptions('simStartTime must be an ISO 8601 date');
+        }
+    }
+
+    return { timeScale, seed, simStartMs };
+}
+
+// Start options that place a new stream along its route, by the kind of position they give.
+// startOffsetMeters is the older name of startAtMeters.
+const START_POSITION_KEYS = {
+    startAtMeters: 'meters',
+    startOffsetMeters: 'meters',
+    startAtPercent: 'percent',
+    startAtWaypointSeq: 'waypointSeq',
+    startAtNearest: 'nearest'
+};
+
+// Seek request fields, same kinds as above
+const SEEK_POSITION_KEYS = {
+    meters: 'meters',
+    percent: 'percent',
+    waypointSeq: 'waypointSeq',
+    nearest: 'nearest'
+};
+
+/**
+ * Pick the one route position given in a start options / seek body
+ * @param {Object} source
+ * @param {Object} keys - START_POSITION_KEYS or SEEK_POSITION_KEYS
+ * @returns {Object|null} { key, kind, value }, null when none is given
+ * @throws {Error} code INVALID_STREAM_OPTIONS
+ */
+function pickRoutePosition(source, keys) {
+    const given = Object.keys(keys).filter(key => source[key] !== undefined && source[key] !== null);
+    if (given.length > 1) {
+        throw invalidOptions(`Only one of ${given.join(', ')} can be given`);
+    }
+    if (given.length === 0) return null;
+    return { key: given[0], kind: keys[given[0]], value: source[given[0]] };
+}
+
+/**
+ * Distance along a route for a position picked by pickRoutePosition:
+ * meters (clamped to the route length), percent (0-100), a waypoint seq,
+ * or the point of the route nearest to { lat, lng }
+ * @param {Object} route - { points, waypoints }
+ * @param {Object} position - { key, kind, value }
+ * @returns {Object} { meters, offRouteMeters? }
+ * @throws {Error} code INVALID_STREAM_OPTIONS
+ */
+function resolveRoutePosition(route, { key, kind, value }) {
+    const totalMeters = calculateRouteDistance(route.points);
+
+    if (kind === 'meters' || kind === 'percent') {
+        const number = parseFloat(value);
+        const max = kind === 'percent' ? 100 : Infinity;
+        if (!Number.isFinite(number) || number < 0 || number > max) {
+            throw invalidOptions(kind === 'percent' ? `${key} must be a number between 0 and 100` : `${key} must be a number >= 0`);
+        }
+        return { meters: kind === 'percent' ? totalMeters * number / 100 : Math.min(number, totalMeters) };
+    }
+
+    if (kind === 'waypointSeq') {
+        const seq = Number(value);
+        const waypoint = (route.waypoints || []).find(wp => wp.seq === seq);
+        if (!Number.isInteger(seq) || !waypoint) {
+            throw invalidOptions(`${key} must be the seq of one of the route's waypoints`);
+        }
+        if (Number.isInteger(waypoint.pointIndex)) {
+            return { meters: cumulativeDistances(route.points)[waypoint.pointIndex] ?? totalMeters };
+        }
+        return { meters: projectOntoRoute(route.points, waypoint).alongMeters };
+    }
+
+    const lat = parseFloat(value?.lat);
+    const lng = parseFloat(value?.lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        throw invalidOptions(`${key} must be { lat, lng }`);
+    }
+    const projection = projectOntoRoute(route.points, { lat, lng });
+    return { meters: projection.alongMeters, offRouteMeters: projection.offsetMeters };
+}
+
+/**
+ * Distance along the route a new stream starts from (startAt* options)
+ * @param {Object} route - { points, waypoints } (first leg for itineraries)
+ * @returns {number} meters, 0 when no start position is given
+ * @throws {Error} code INVALID_STREAM_OPTIONS
+ */
+function resolveStartDistance(route, options = {}) {
+    const position = pickRoutePosition(options, START_POSITION_KEYS);
+    return position ? resolveRoutePosition(route, position).meters : 0;
+}
+
+/**
+ * Start options without any startAt* position
+ */
+function withoutStartPosition(options) {
+    const rest = { ...options };
+    Object.keys(START_POSITION_KEYS).forEach((key) => { delete rest[key]; });
+    return rest;
+}
+
+const LOOP_MODES = ['restart', 'reverse', 'pingpong'];
+
+/**
+ * Validate the loopMode / maxLoops start options
+ * @returns {Object} { loopMode, maxLoops }
+ * @throws {Error} code INVALID_STREAM_OPTIONS
+ */
+function resolveLoopOptions(options) {
+    const loopMode = options.loopMode || 'restart';
+    if (!LOOP_MODES.includes(loopMode)) {
+        throw invalidOptions(`loopMode must be one of ${LOOP_MODES.join(', ')}`);
+    }
+
+    let maxLoops = null;
+    if (options.maxLoops !== undefined && options.maxLoops !== null) {
+        maxLoops = Number(options.maxLoops);
+        if (!Number.isInteger(maxLoops) || maxLoops < 1) {
+            throw invalidOptions('maxLoops must be an integer >= 1');
+        }
+    }
+    return { loopMode, maxLoops };
+}
+
+const PACING_MODES = ['speed', 'recorded'];
+
+/**
+ * Validate the pacing start option:
+ *   speed    - drive at the configured speed (default)
+ *   recorded - replay the route's point timestamps: recorded segment speeds and stops
+ *              (distance engine; speed only covers segments without timestamps)
+ * @throws {Error} code INVALID_STREAM_OPTIONS
+ */
+function resolvePacing(route, options) {
+    const pacing = options.pacing !== undefined ? options.pacing : 'speed';
+    if (!PACING_MODES.includes(pacing)) {
+        throw invalidOptions(`pacing must be one of: ${PACING_MODES.join(', ')}`);
+    }
+    if (pacing === 'recorded' && countTimestamps(route.points) < 2) {
+        throw invalidOptions('pacing "recorded" needs a route with recorded point times (e.g. GPX <time>)');
+    }
+    return pacing;
+}
+
+/**
+ * Engine config of a new stream: start options, then the route's config, then env defaults
+ * @throws {Error} code INVALID_NOISE / INVALID_STREAM_OPTIONS
+ */
+function buildStreamConfig(route, options = {}) {
+    const noise = resolveNoiseOptions(options.noise);
+    const clock = resolveClockOptions(options);
+    const { loopMode, maxLoops } = resolveLoopOptions(options);
+    const pacing = resolvePacing(route, options);
+
+    return {
+        speed: parseFloat(options.speed || route.config?.speed || config.STREAM_DEFAULTS.speed),
+        accuracy: parseFloat(options.accuracy || route.config?.accuracy || config.STREAM_DEFAULTS.accuracy),
+        verticalAccuracy: parseFloat(options.verticalAccuracy || route.config?.verticalAccuracy || config.STREAM_DEFAULTS.verticalAccuracy),
+        intervalMs: parseInt(options.intervalMs || route.config?.intervalMs || config.STREAM_DEFAULTS.intervalMs),
+        // A loop limit implies looping
+        loop: options.loop !== undefined ? options.loop : (maxLoops !== null || route.config?.loop || config.STREAM_DEFAULTS.loop),
+        loopMode,
+        maxLoops,
+        pacing,
+        speedProfile: options.speedProfile !== undefined
+            ? options.speedProfile === true || options.speedProfile === 'true'
+            : config.STREAM_SPEED_PROFILE,
+        noise,
+        timeScale: clock.timeScale,
+        seed: clock.seed,
+        record: options.record !== undefined
+            ? options.record === true || options.record === 'true'
+            : config.STREAM_RECORD
+    };
+}
+
+// Engine options a start accepts (POST /api/stream/start, batches, schedules)
+const START_OPTION_KEYS = ['speed', 'pacing', 'accuracy', 'verticalAccuracy', 'loop', 'loopMode', 'maxLoops', 'intervalMs', 'speedProfile', 'noise', 'timeScale', 'seed', 'simStartTime', 'record',
+    ...Object.keys(START_POSITION_KEYS)];
+
+/**
+ * Check start options without starting anything (batch starts validate once up front)
+ * @throws {Error} code INVALID_NOISE / INVALID_STREAM_OPTIONS
+ */
+function validateStartOptions(route, options = {}) {
+    buildStreamConfig(route, options);
+    resolveStartDistance(route, options);
+}
+
+/**
+ * Start the simulated clock when the stream doesn't follow the wall clock
+ */
+function initSimClock(stream, options = {}) {
+    const { simStartMs } = resolveClockOptions(options);
+    if (simStartMs !== null || isDeterministic(stream) || stream.headless || timeScaleOf(stream) !== 1) {
+        stream.simClockMs = simStartMs ?? (isDeterministic(stream) ? SIM_EPOCH_MS : Date.now());
+    }
+}
+
+/**
+ * Resolve the noise options of a new stream from the start options and env defaults
+ * @returns {Object|null} normalized options, null for exact fixes
+ * @throws {Error} code INVALID_NOISE
+ */
+function resolveNoiseOptions(noise) {
+    if (noise === false || noise === null) return null;
+    if (noise === undefined) {
+        if (!config.STREAM_NOISE_MODEL) return null;
+        noise = { model: config.STREAM_NOISE_MODEL };
+    }
+    return normalizeNoiseOptions({
+        ...noise,
+        urbanCanyons: noise.urbanCanyons !== undefined ? noise.urbanCanyons : config.GPS_URBAN_CANYONS
+    });
+}
+
+/**
+ * altitude / verticalAccuracy fields of a MOCK_LOCATION, none when the route has no elevation
+ * @param {number|undefined} altitude - True altitude in meters
+ */
+function altitudePayload(stream, altitude) {
+    if (!Number.isFinite(altitude)) return {};
+    return {
+        altitude: parseFloat(altitude.toFixed(1)),
+        verticalAccuracy: stream.config.verticalAccuracy
+    };
+}
+
+/**
+ * Degrade an outgoing MOCK_LOCATION with the stream's noise model.
+ * Signal loss transitions are broadcast to dashboards.
+ * @param {Function} broadcast - (type, payload) dashboard event emitter
+ * @returns {boolean} false while the simulated signal is lost (nothing must be sent)
+ */
+function applyGpsNoise(stream, message, dtSec, broadcast) {
+    if (!stream.gpsNoise) return true;
+
+    const fix = stream.gpsNoise.apply(message.payload, dtSec);
+    const lost = !!fix.lost;
+
+    if (lost !== stream.signalLost) {
+        stream.signalLost = lost;
+        console.log(`[Stream] ${lost ? 'SIGNAL_LOST' : 'SIGNAL_RESTORED'} device=${stream.deviceId}`);
+        broadcast(lost ? 'STREAM_SIGNAL_LOST' : 'STREAM_SIGNAL_RESTORED', {
+            streamId: stream.dbId,
+            deviceId: stream.deviceId,
+            ownerId: stream.ownerId
+        });
+    }
+    if (lost) return false;
+
+    message.payload.lat = fix.lat;
+    message.payload.lng = fix.lng;
+    message.payload.accuracy = fix.accuracy;
+    if (fix.altitude !== undefined) {
+        message.payload.altitude = fix.altitude;
+        message.payload.verticalAccuracy = fix.verticalAccuracy;
+    }
+    message.meta.noise = {
+        model: stream.gpsNoise.model,
+        offsetMeters: fix.offsetMeters,
+        canyon: fix.canyon
+    };
+    return true;
+}
+
+/**
+ * Get socket buffer sizes (WS queue and underlying TCP buffer)
+ */
+function getSocketPressure(ws) {
+    const wsBuffered = ws?.bufferedAmount ?? 0;
+    const tcpBuffered = ws?._socket?.bufferSize ?? 0;
+    return { wsBuffered, tcpBuffered };
+}
+
+/**
+ * Evaluate if thresholds are crossed
+ */
+function isPressured(wsBuffered, tcpBuffered, configOptions) {
+    return wsBuffered > configOptions.STREAM_WS_BUFFERED_MAX_BYTES || tcpBuffered > configOptions.STREAM_WS_TCP_MAX_BYTES;
+}
+
+/**
+ * The snapshot fields that move on every tick
+ */
+function snapshotPosition(stream) {
+    return {
+        status: stream.status,
+        state: stream.state,
+        pauseReason: stream.pauseReason,
+        currentIndex: stream.engineMode === 'distance' ? stream.segIndex : stream.currentIndex,
+        itinerary: stream.itinerary ? {
+            itineraryId: stream.itinerary.itineraryId,
+            legIndex: stream.legIndex,
+            totalLegs: stream.itinerary.legs.length,
+            baseSpeed: stream.itinerary.baseSpeed,
+            legGapActive: stream.legGapActive
+        } : null,
+        engine: {
+            mode: stream.engineMode,
+            currentIndex: stream.currentIndex,
+            segIndex: stream.segIndex,
+            segProgress: stream.segProgress,
+            sMeters: stream.sMeters,
+            reversed: stream.reversed,
+            loopCount: stream.loopCount,
+            headingDeg: stream.headingDeg,
+            dwellTicksRemaining: stream.dwellTicksRemaining,
+            currentWaitPlanId: stream.currentWaitPlanId,
+            completedWaitIds: stream.waitPlan.filter(w => w.completed).map(w => w.id),
+            lastWaitPointIndex: stream.lastWaitPointIndex,
+            lastEmittedLatLng: stream.lastEmittedLatLng,
+            simClockMs: stream.simClockMs,
+            recordSeq: stream.recorder ? stream.recorder.nextSeq : null
+        }
+    };
+}
+
+/**
+ * Serialize everything needed to rehydrate a StreamInstance after a restart.
+ * The top-level fields keep the shape getStreamStatus() already reads from Redis.
+ */
+function snapshotStream(stream) {
+    return {
+        streamId: stream.dbId,
+        serverId: config.SERVER_ID,
+        routeId: stream.routeId,
+        ownerId: stream.ownerId,
+        totalPoints: stream.points.length,
+        speed: stream.config.speed,
+        loop: stream.config.loop,
+        config: stream.config,
+        startedAt: stream.startedAt,
+        stats: stream.stats,
+        convoy: snapshotConvoy(stream),
+        ...snapshotPosition(stream)
+    };
+}
+
+async function persistStreamState(stream) {
+    stream.ticksSinceSnapshot = 0;
+    await setStreamState(stream.deviceId, snapshotStream(stream));
+}
+
+/**
+ * Per-tick persistence: the engine position every tick, the full snapshot
+ * (config, stats) every STREAM_SNAPSHOT_EVERY_TICKS ticks
+ */
+async function persistStreamTick(stream) {
+    stream.ticksSinceSnapshot = (stream.ticksSinceSnapshot || 0) + 1;
+    if (stream.ticksSinceSnapshot >= config.STREAM_SNAPSHOT_EVERY_TICKS) {
+        await persistStreamState(stream);
+        return;
+    }
+    await setStreamPosition(stream.deviceId, snapshotPosition(stream));
+}
+
+/**
+ * Write a running stream's stats to Postgres every STREAM_STATS_FLUSH_SECONDS
+ * (pause and stop write them too), so history totals summed in SQL include it.
+ * Not awaited by the tick: a slow database must not delay the next fix.
+ */
+function flushStreamStats(stream) {
+    const now = Date.now();
+    const lastFlushMs = stream.statsFlushedAt || new Date(stream.startedAt).getTime();
+    if (!stream.dbId || now - lastFlushMs < config.STREAM_STATS_FLUSH_SECONDS * 1000) return;
+    stream.statsFlushedAt = now;
+
+    prisma.stream.update({
+        where: { id: stream.dbId },
+        data: { stats: serializeStreamStats(stream.stats) }
+    }).catch((err) => {
+        console.error(`[Stream] DB error flushing stats for ${stream.deviceId}`, err.message);
+    });
+}
+
+/**
+ * (Re)arm the emit interval for a stream
+ */
+function scheduleTicks(stream) {
+    if (stream.intervalId) {
+        clearInterval(stream.intervalId);
+    }
+    stream.intervalId = setInterval(() => {
+        emitNextCoordinate(stream.deviceId);
+    }, stream.config.intervalMs);
+}
+
+/**
+ * Replace the dwell of every stop on a route (the origin is where we depart from)
+ * @param {number|null} dwellSeconds - null/undefined keeps the route's own dwell times
+ * @returns {Object} { points, waypoints } (copies when overridden)
+ */
+function applyDwellOverride(points, waypoints, dwellSeconds) {
+    if (dwellSeconds === null || dwellSeconds === undefined) {
+        return { points, waypoints };
+    }
+
+    const overriddenWaypoints = waypoints.map(wp => (wp.kind === 'origin' ? wp : { ...wp, dwellSeconds }));
+    const overriddenPoints = points.map(p => (p.dwellSeconds > 0 ? { ...p, dwellSeconds } : p));
+    overriddenWaypoints.forEach((wp) => {
+        if (wp.kind !== 'origin' && overriddenPoints[wp.pointIndex]) {
+            overriddenPoints[wp.pointIndex] = { ...overriddenPoints[wp.pointIndex], dwellSeconds };
+        }
+    });
+    return { points: overriddenPoints, waypoints: overriddenWaypoints };
+}
+
+/**
+ * Load leg N of the stream's itinerary into the engine.
+ * The device jumps to the start of the new route, so the anti-teleport
+ * reference (lastEmittedLatLng) is reset along with the route progress.
+ */
+function applyLeg(stream, legIndex) {
+    const leg = stream.itinerary.legs[legIndex];
+    const { points, waypoints } = applyDwellOverride(leg.points, leg.waypoints || [], leg.dwellSeconds);
+
+    stream.legIndex = legIndex;
+    stream.routeId = leg.routeId;
+    stream.points = points;
+    stream.waypoints = waypoints;
+    stream.forwardRoute = { points, waypoints };
+    stream.reversed = false;
+    stream.waitPlan = buildWaitPlan(waypoints);
+    stream.currentWaitPlanId = null;
+    stream.routeMeters = cumulativeDistances(points);
+    refreshSpeedProfile(stream);
+    refreshRecordedPacing(stream);
+
+    stream.currentIndex = 0;
+    stream.segIndex = 0;
+    stream.segProgress = 0;
+    stream.sMeters = 0;
+    stream.vMps = 0;
+    stream.lastEmittedLatLng = null;
+    stream.lastWaitPointIndex = null;
+    stream.dwellTicksRemaining = 0;
+    stream.state = 'MOVE';
+    stream.legGapActive = false;
+
+    stream.config.speed = leg.speed || stream.itinerary.baseSpeed;
+    stream.vTargetMps = stream.config.speed / 3.6;
+
+    if (legIndex > 0 && leg.gapSeconds > 0) {
+        stream.state = 'WAIT';
+        stream.legGapActive = true;
+        stream.dwellTicksRemaining = dwellTicks(stream, leg.gapSeconds);
+        stream.vTargetMps = 0;
+    }
+}
+
+/**
+ * Set sMeters / segIndex / segProgress for a distance along the current route
+ * @returns {number} meters, clamped to the route length
+ */
+function placeAtDistance(stream, meters) {
+    const cum = stream.routeMeters;
+    const target = Math.min(Math.max(0, meters), cum[cum.length - 1]);
+
+    // Binary search for the segment containing target
+    let lo = 0;
+    let hi = cum.length - 2;
+    while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (cum[mid] <= target) lo = mid;
+        else hi = mid - 1;
+    }
+
+    stream.sMeters = target;
+    stream.segIndex = lo;
+    stream.segProgress = target - cum[lo];
+    return target;
+}
+
+/**
+ * Snap sMeters back onto the route after a discrete jump (wait snap, wait exit, skip)
+ */
+function syncRouteDistance(stream) {
+    stream.sMeters = stream.routeMeters[stream.segIndex] + stream.segProgress;
+}
+
+/**
+ * Place the stream `meters` along its current route (clamped to the route length).
+ * Stops before that point count as served, so the device doesn't snap back to them;
+ * a stop exactly at that point is still served. A dwell in progress is abandoned.
+ * Like a leg change this is a jump: the anti-teleport reference is reset.
+ * @returns {number} meters actually applied
+ */
+function seekToDistance(stream, meters) {
+    const target = placeAtDistance(stream, meters);
+
+    // The index engine moves point by point: start on the first point at or past the offset
+    stream.currentIndex = stream.segProgress > 0 ? Math.min(stream.segIndex + 1, stream.points.length - 1) : stream.segIndex;
+    stream.vMps = 0;
+    stream.lastEmittedLatLng = null;
+    stream.lastWaitPointIndex = null;
+    // The jump is not driven distance
+    stream.stats.lastLatLng = null;
+
+    stream.state = 'MOVE';
+    stream.dwellTicksRemaining = 0;
+    stream.currentWaitPlanId = null;
+    stream.legGapActive = false;
+    stream.vTargetMps = stream.config.speed / 3.6;
+
+    const next = stream.points[stream.segIndex + 1];
+    if (next) {
+        stream.headingDeg = calculateBearing(stream.points[stream.segIndex], next);
+    }
+
+    stream.waitPlan.forEach((w) => {
+        w.completed = w.pointIndex < stream.segIndex || (w.pointIndex === stream.segIndex && stream.segProgress > 0);
+    });
+    return target;
+}
+
+/**
+ * Drive the stream's route forwards or backwards. A reversed stream plays the
+ * route's points and stops in reverse order (waypoints keep their seq).
+ * The stream is placed at the start of that direction with every stop re-armed;
+ * distances (sMeters, seek, startAt*) count along the direction of travel.
+ */
+function applyDirection(stream, reversed) {
+    const { points, waypoints } = stream.forwardRoute;
+    const lastIndex = points.length - 1;
+
+    stream.reversed = reversed;
+    stream.points = reversed ? [...points].reverse() : points;
+    stream.waypoints = reversed
+        ? waypoints.map(wp => (Number.isInteger(wp.pointIndex) ? { ...wp, pointIndex: lastIndex - wp.pointIndex } : wp))
+        : waypoints;
+    stream.waitPlan = buildWaitPlan(stream.waypoints);
+    // Keep the plan in travel order
+    if (reversed) stream.waitPlan.reverse();
+    stream.currentWaitPlanId = null;
+    stream.routeMeters = cumulativeDistances(stream.points);
+    refreshSpeedProfile(stream);
+    refreshRecordedPacing(stream);
+
+    stream.currentIndex = 0;
+    stream.segIndex = 0;
+    stream.segProgress = 0;
+    stream.sMeters = 0;
+    stream.lastWaitPointIndex = null;
+    stream.dwellTicksRemaining = 0;
+    stream.state = 'MOVE';
+    stream.vTargetMps = stream.config.speed / 3.6;
+}
+
+/**
+ * Whether a stream at the end of its route goes round again (loop, up to maxLoops)
+ */
+function canLoop(stream) {
+    return !!stream.config.loop && (!stream.config.maxLoops || stream.loopCount < stream.config.maxLoops);
+}
+
+/**
+ * Whether a stop ends the current pass (the destination, or the origin when driving backwards)
+ */
+function isFinalStop(stream, wait) {
+    return wait.kind === (stream.reversed ? 'origin' : 'destination');
+}
+
+/**
+ * Go round again at the end of a single-route stream, by loopMode:
+ *   restart / reverse - jump back to the start of the pass (anti-teleport reference reset)
+ *   pingpong          - turn around where the pass ended and drive the route the other way
+ * Stops are served again on every pass.
+ */
+function startNextLoop(stream, broadcast) {
+    stream.loopCount++;
+
+    if (stream.config.loopMode === 'pingpong') {
+        applyDirection(stream, !stream.reversed);
+        // The turnaround point was served as the end of the previous pass
+        stream.waitPlan.forEach((w) => {
+            if (w.pointIndex === 0) w.completed = true;
+        });
+        // Stop before turning; the index engine is already at point 0 of the new pass
+        stream.vMps = 0;
+        if (stream.engineMode === 'index') stream.currentIndex = 1;
+    } else {
+        applyDirection(stream, stream.reversed);
+        stream.lastEmittedLatLng = null;
+    }
+
+    console.log(`[Stream] STREAM_LOOP device=${stream.deviceId} loop=${stream.loopCount} mode=${stream.config.loopMode} reversed=${stream.reversed}`);
+    broadcast('STREAM_LOOP', {
+        streamId: stream.dbId,
+        deviceId: stream.deviceId,
+        loopCount: stream.loopCount,
+        maxLoops: stream.config.maxLoops,
+        loopMode: stream.config.loopMode,
+        direction: stream.reversed ? 'reverse' : 'forward',
+        ownerId: stream.ownerId
+    });
+}
+
+/**
+ * Whether reaching the end of the current route continues on another leg
+ */
+function hasNextLeg(stream) {
+    if (!stream.itinerary) return false;
+    return stream.legIndex < stream.itinerary.legs.length - 1 || canLoop(stream);
+}
+
+/**
+ * Move an itinerary stream on to its next leg (wrapping around when looping)
+ * @returns {boolean} false when the itinerary is complete
+ */
+function advanceLeg(stream, broadcast) {
+    if (!hasNextLeg(stream)) return false;
+
+    const fromLegIndex = stream.legIndex;
+    const fromRouteId = stream.routeId;
+    const nextLegIndex = (fromLegIndex + 1) % stream.itinerary.legs.length;
+    if (nextLegIndex === 0) stream.loopCount++;
+
+    applyLeg(stream, nextLegIndex);
+
+    const leg = stream.itinerary.legs[nextLegIndex];
+    console.log(`[Stream] STREAM_LEG_CHANGED device=${stream.deviceId} leg=${fromLegIndex}->${nextLegIndex} route=${stream.routeId}`);
+
+    broadcast('STREAM_LEG_CHANGED', {
+        streamId: stream.dbId,
+        deviceId: stream.deviceId,
+        itineraryId: stream.itinerary.itineraryId,
+        fromLegIndex,
+        fromRouteId,
+        legIndex: nextLegIndex,
+        totalLegs: stream.itinerary.legs.length,
+        routeId: stream.routeId,
+        speed: stream.config.speed,
+        gapSeconds: nextLegIndex > 0 ? leg.gapSeconds : 0,
+        ownerId: stream.ownerId
+    });
+
+    return true;
+}
+
+// Longest time gap a convoy follower may trail its leader by
+const CONVOY_MAX_GAP_SECONDS = 3600;
+
+/**
+ * Convoy shared by a leader stream and its followers (see startConvoy).
+ * The leader runs the normal distance engine and leaves a trail of route
+ * positions; followers are placed on that trail instead of simulating on their own:
+ *   gapMeters   follower stays N meters behind the leader (queues behind it at stops)
+ *   gapSeconds  follower replays the leader N seconds later (dwells where it dwelled)
+ * The convoy clock stands still while the leader is paused, so a paused leader
+ * freezes the whole convoy.
+ */
+function createConvoy(leaderStream) {
+    return {
+        convoyId: leaderStream.dbId,
+        leaderDeviceId: leaderStream.deviceId,
+        routeId: leaderStream.routeId,
+        followers: new Map(), // deviceId -> { gapMeters, gapSeconds }
+        maxGapMs: 0,
+        clockMs: 0,
+        trail: [{ t: 0, s: leaderStream.sMeters, state: 'MOVE' }],
+        leaderFinished: false
+    };
+}
+
+function isConvoyFollower(stream) {
+    return !!stream.convoy && stream.convoy.leaderDeviceId !== stream.deviceId;
+}
+
+/**
+ * Convoy membership as reported by status / start responses
+ */
+function convoyInfo(stream) {
+    if (!stream.convoy) return undefined;
+    const gap = stream.convoyGap || {};
+    return {
+        convoyId: stream.convoy.convoyId,
+        leaderDeviceId: stream.convoy.leaderDeviceId,
+        role: isConvoyFollower(stream) ? 'follower' : 'leader',
+        gapMeters: gap.gapMeters,
+        gapSeconds: gap.gapSeconds,
+        followers: isConvoyFollower(stream) ? undefined : [...stream.convoy.followers.keys()]
+    };
+}
+
+/**
+ * Convoy membership for the Redis snapshot. The leader carries the shared
+ * convoy state (clock, trail); each follower its own gap.
+ */
+function snapshotConvoy(stream) {
+    const convoy = stream.convoy;
+    if (!convoy) return null;
+    if (isConvoyFollower(stream)) {
+        return {
+            convoyId: convoy.convoyId,
+            leaderDeviceId: convoy.leaderDeviceId,
+            role: 'follower',
+            gapMeters: stream.convoyGap.gapMeters,
+            gapSeconds: stream.convoyGap.gapSeconds,
+            clockMs: stream.convoyClockMs
+        };
+    }
+    return {
+        convoyId: convoy.convoyId,
+        leaderDeviceId: convoy.leaderDeviceId,
+        role: 'leader',
+        maxGapMs: convoy.maxGapMs,
+        clockMs: convoy.clockMs,
+        trail: convoy.trail,
+        leaderFinished: convoy.leaderFinished
+    };
+}
+
+/**
+ * Convoy of a stream running on this node
+ */
+function findConvoy(convoyId) {
+    for (const stream of activeStreams.values()) {
+        if (stream.convoy && stream.convoy.convoyId === convoyId) return stream.convoy;
+    }
+    return null;
+}
+
+/**
+ * A follower whose leader is gone from this node drives the rest of the route on its own
+ */
+function dropFromConvoy(stream) {
+    stream.convoy = null;
+    stream.convoyGap = null;
+    if (stream.state === 'WAIT' && !stream.dwellTicksRemaining) {
+        stream.state = 'MOVE';
+        stream.vTargetMps = stream.config.speed / 3.6;
+    }
+    console.log(`[Stream] convoy follower left its convoy, driving on alone device=${stream.deviceId}`);
+}
+
+/**
+ * Rejoin a restored stream to its convoy (see snapshotConvoy). Leaders are
+ * restored first (stream.recovery.service), so a follower whose leader isn't
+ * on this node drives on alone.
+ */
+function restoreConvoy(stream, snapshot) {
+    if (snapshot.role === 'leader') {
+        stream.convoy = {
+            convoyId: snapshot.convoyId,
+            leaderDeviceId: stream.deviceId,
+            routeId: stream.routeId,
+            followers: new Map(),
+            maxGapMs: snapshot.maxGapMs || 0,
+            clockMs: snapshot.clockMs || 0,
+            trail: snapshot.trail && snapshot.trail.length > 0
+                ? snapshot.trail
+                : [{ t: snapshot.clockMs || 0, s: stream.sMeters, state: 'MOVE' }],
+            leaderFinished: !!snapshot.leaderFinished
+        };
+        return;
+    }
 
-        // Dwell state
-        this.dwellTicksRemaining = 0;
-        this.state = 'MOVE';
+    const convoy = findConvoy(snapshot.convoyId);
+    if (!convoy || convoy.leaderDeviceId !== snapshot.leaderDeviceId) {
+        dropFromConvoy(stream);
+        return;
+    }
+    stream.convoy = convoy;
+    stream.convoyGap = { gapMeters: snapshot.gapMeters, gapSeconds: snapshot.gapSeconds };
+    stream.convoyClockMs = snapshot.clockMs || 0;
+    convoy.followers.set(stream.deviceId, stream.convoyGap);
+}
 
-        // Loop prevention state
-        this.lastWaitPointIndex = null;
-        this.lastWaitExitAtMs = 0;
+/**
+ * Leader side: advance the convoy clock and record where the leader is
+ * @param {number} dtMs - simulated time of this tick (0 while paused)
+ */
+function recordConvoyTrail(stream, dtMs, state) {
+    const convoy = stream.convoy;
+    if (state === 'FINISHED') convoy.leaderFinished = true;
+    if (dtMs <= 0) return;
+
+    convoy.clockMs += dtMs;
+    convoy.trail.push({ t: convoy.clockMs, s: stream.sMeters, state });
+
+    // Keep what the furthest time-gap follower still has to replay
+    const horizon = convoy.clockMs - convoy.maxGapMs - 5000;
+    let drop = 0;
+    while (drop < convoy.trail.length - 2 && convoy.trail[drop + 1].t < horizon) drop++;
+    if (drop > 0) convoy.trail.splice(0, drop);
+}
 
-        // Build deterministic wait plan
-        this.waitPlan = this.waypoints.map((wp) => ({
-            seq: wp.seq,
-            kind: wp.kind,
-            pointIndex: wp.pointIndex,
-            dwellSeconds: wp.dwellSeconds,
-            completed: false,
-            id: wp.id,
-            label: wp.label,
-            mode: wp.mode
-        })).sort((a, b) => a.seq - b.seq);
-        this.currentWaitPlanId = null;
+/**
+ * Leader position at a convoy time, interpolated between trail samples
+ * @returns {Object} { s, state, ended } (ended: t is past the last sample)
+ */
+function trailPositionAt(trail, t) {
+    const last = trail[trail.length - 1];
+    if (t >= last.t) return { s: last.s, state: last.state, ended: t > last.t };
+    if (t <= trail[0].t) return { s: trail[0].s, state: 'WAIT', ended: false };
+
+    let lo = 0;
+    let hi = trail.length - 1;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (trail[mid].t <= t) lo = mid;
+        else hi = mid;
+    }
+    const a = trail[lo];
+    const b = trail[hi];
+    const fraction = (t - a.t) / (b.t - a.t);
+    return { s: a.s + (b.s - a.s) * fraction, state: b.state, ended: false };
+}
 
-        // Distance engine physics state
-        this.sMeters = 0;
-        this.vMps = 0;
-        this.vTargetMps = (this.config.speed || 30) / 3.6;
-        this.segIndex = 0;
-        this.segProgress = 0;
-        this.headingDeg = 0;
-        this.lastTickTs = Date.now();
-        this.lastEmittedLatLng = null;
-        this.engineMode = config.STREAM_DISTANCE_ENGINE ? 'distance' : 'index';
+/**
+ * Follower side: where the follower should be after this tick
+ * @returns {Object} { s, state?, done } (done: the follower has nothing left to follow)
+ */
+function convoyTarget(stream, dtMs) {
+    const { convoy, convoyGap } = stream;
+    const trail = convoy.trail;
+    const last = trail[trail.length - 1];
+    const routeEnd = stream.routeMeters[stream.routeMeters.length - 1];
+
+    if (convoyGap.gapSeconds) {
+        // Own clock once the leader is gone, so the follower plays out the rest of the trail
+        stream.convoyClockMs = convoy.leaderFinished ? stream.convoyClockMs + dtMs : convoy.clockMs;
+        const position = trailPositionAt(trail, stream.convoyClockMs - convoyGap.gapSeconds * 1000);
+        return {
+            s: position.s,
+            state: position.state === 'FINISHED' ? 'FINISHED' : null,
+            done: convoy.leaderFinished && position.ended && last.state !== 'FINISHED'
+        };
+    }
 
-        // Backpressure state
-        this.sentTicks = 0;
-        this.skippedTicks = 0;
-        this.pressureStrikes = 0;
-        this.pressureWindowStartMs = Date.now();
-        this.lastHealthLogTs = Date.now();
+    if (!convoy.leaderFinished) {
+        return { s: Math.max(0, last.s - convoyGap.gapMeters), state: null, done: false };
     }
+
+    // Leader arrived: drive in behind it at the convoy speed
+    const s = Math.min(routeEnd, stream.sMeters + (stream.config.speed / 3.6) * (dtMs / 1000));
+    const arrived = s >= routeEnd - 0.5;
+    return {
+        s,
+        state: arrived && last.state === 'FINISHED' ? 'FINISHED' : null,
+        done: arrived && last.state !== 'FINISHED'
+    };
 }
 
 /**
- * Get socket buffer sizes (WS queue and underlying TCP buffer)
+ * One tick of a convoy follower: place it on the leader's trail and emit the fix
  */
-function getSocketPressure(ws) {
-    const wsBuffered = ws?.bufferedAmount ?? 0;
-    const tcpBuffered = ws?._socket?.bufferSize ?? 0;
-    return { wsBuffered, tcpBuffered };
+async function runFollowerTick(stream, sink) {
+    const deviceId = stream.deviceId;
+    const isPaused = stream.status === 'paused';
+
+    const now = Date.now();
+    const wallDtMs = isDeterministic(stream) || stream.headless
+        ? stream.config.intervalMs
+        : Math.min(
+            config.STREAM_TICK_CLAMP_MAX_MS,
+            Math.max(config.STREAM_TICK_CLAMP_MIN_MS, now - stream.lastTickTs)
+        );
+    const dtMs = wallDtMs * timeScaleOf(stream);
+    const dt = dtMs / 1000;
+    stream.lastTickTs = now;
+    if (stream.simClockMs !== null) stream.simClockMs += dtMs;
+
+    let target = null;
+    if (!isPaused && stream.state !== 'FINISHED') {
+        target = convoyTarget(stream, dtMs);
+        const prevS = stream.sMeters;
+        placeAtDistance(stream, target.s);
+        stream.vMps = Math.max(0, stream.sMeters - prevS) / dt;
+        if (target.state === 'FINISHED') {
+            stream.state = 'FINISHED';
+            console.log(`[Stream] convoy follower reached DESTINATION device=${deviceId}, parking indefinitely`);
+        } else {
+            // Standing still means waiting on the leader (its stop, or the gap to open up)
+            stream.state = stream.vMps > 0.1 ? 'MOVE' : 'WAIT';
+        }
+    } else {
+        stream.vMps = 0;
+    }
+
+    const p1 = stream.points[stream.segIndex];
+    const p2 = stream.points[stream.segIndex + 1] || p1;
+    const segDist = calculateDistance(p1, p2);
+    const fraction = segDist > 0 ? Math.min(1, stream.segProgress / segDist) : 0;
+    const { lat, lng, altitude } = interpolatePoint(p1, p2, fraction);
+    if (stream.vMps > 0.5 || (stream.segIndex === 0 && stream.segProgress === 0)) {
+        stream.headingDeg = calculateBearing(p1, p2);
+    }
+
+    // No anti-teleport check: the leader is guarded and followers only replay its positions
+    stream.lastEmittedLatLng = { lat, lng, altitude };
+
+    const message = {
+        type: 'MOCK_LOCATION',
+        payload: {
+            lat,
+            lng,
+            ...altitudePayload(stream, altitude),
+            speed: stream.vMps,
+            bearing: stream.headingDeg,
+            accuracy: stream.config.accuracy,
+            state: isPaused ? 'PAUSED' : stream.state
+        },
+        meta: {
+            engineMode: 'distance',
+            dtMs,
+            sMeters: Math.round(stream.sMeters),
+            vMps: parseFloat(stream.vMps.toFixed(2)),
+            segIndex: stream.segIndex,
+            pointIndex: stream.segIndex,
+            totalPoints: stream.points.length,
+            routeId: stream.routeId,
+            convoyId: stream.convoy.convoyId,
+            leaderDeviceId: stream.convoy.leaderDeviceId,
+            timestamp: new Date(simNow(stream)).toISOString()
+        }
+    };
+
+    try {
+        if (applyGpsNoise(stream, message, dt, sink.broadcast)) {
+            sink.send(message);
+            stream.sentTicks++;
+            stream.lastEmitAt = new Date().toISOString();
+        }
+
+        await sink.persist();
+    } catch (error) {
+        console.log(JSON.stringify({ event: "ws_send_error", deviceId, msg: error.message }));
+        return;
+    }
+
+    if (target && target.done) {
+        console.log(`[Stream] convoy follower finished the route device=${deviceId}`);
+        await sink.stop().catch(e => console.error('Error auto-stopping convoy follower:', e));
+    }
 }
 
 /**
- * Evaluate if thresholds are crossed
+ * A convoy member is stopping. Stopping the leader before it finished the
+ * route stops the whole convoy; finished leaders leave the followers to drive in.
  */
-function isPressured(wsBuffered, tcpBuffered, configOptions) {
-    return wsBuffered > configOptions.STREAM_WS_BUFFERED_MAX_BYTES || tcpBuffered > configOptions.STREAM_WS_TCP_MAX_BYTES;
+async function leaveConvoy(stream) {
+    const convoy = stream.convoy;
+    stream.convoy = null;
+
+    if (stream.deviceId !== convoy.leaderDeviceId) {
+        convoy.followers.delete(stream.deviceId);
+        return;
+    }
+    if (convoy.leaderFinished) return;
+
+    for (const followerId of [...convoy.followers.keys()]) {
+        await stopStream(followerId);
+    }
 }
 
 /**
  * Start streaming coordinates to a device
+ * With options.itineraryId the itinerary's legs are played back-to-back
+ * and routeId is ignored.
  */
 async function startStream(deviceId, routeId, options = {}) {
     const ws = deviceService.getDeviceConnection(deviceId);
@@ -113,7 +1280,22 @@ async function startStream(deviceId, routeId, options = {}) {
         throw new Error('Device not connected via WebSocket');
     }
 
-    const route = await routeService.getRoute(routeId);
+    let itinerary = null;
+    let route;
+    if (options.itineraryId) {
+        itinerary = await itineraryService.loadPlayableItinerary(options.itineraryId);
+        if (!itinerary) {
+            throw new Error('Itinerary not found');
+        }
+        if (itinerary.legs.length === 0) {
+            throw new Error('Itinerary has no legs');
+        }
+        const firstLeg = itinerary.legs[0];
+        route = { routeId: firstLeg.routeId, points: firstLeg.points, waypoints: firstLeg.waypoints, config: firstLeg.config };
+        routeId = firstLeg.routeId;
+    } else {
+        route = await routeService.getRoute(routeId);
+    }
     if (!route) {
         throw new Error('Route not found');
     }
@@ -121,16 +1303,23 @@ async function startStream(deviceId, routeId, options = {}) {
         throw new Error(`Route has only ${route.points ? route.points.length : 0} points. Minimum 2 points required to start simulation.`);
     }
 
+    // Validate before touching a running stream
+    const streamConfig = buildStreamConfig(route, options);
+    resolveStartDistance(route, options);
+    if (itinerary && streamConfig.loopMode !== 'restart') {
+        throw invalidOptions('Itineraries only support loopMode restart');
+    }
+    if (streamConfig.pacing === 'recorded' && !config.STREAM_DISTANCE_ENGINE) {
+        throw invalidOptions('pacing "recorded" needs the distance engine (STREAM_DISTANCE_ENGINE=true)');
+    }
+
     if (activeStreams.has(deviceId)) {
         await stopStream(deviceId);
     }
 
-    const streamConfig = {
-        speed: parseFloat(options.speed || route.config?.speed || config.STREAM_DEFAULTS.speed),
-        accuracy: parseFloat(options.accuracy || route.config?.accuracy || config.STREAM_DEFAULTS.accuracy),
-        intervalMs: parseInt(options.intervalMs || route.config?.intervalMs || config.STREAM_DEFAULTS.intervalMs),
-        loop: options.loop !== undefined ? options.loop : (route.config?.loop || config.STREAM_DEFAULTS.loop)
-    };
+    if (itinerary && options.loop === undefined) {
+        streamConfig.loop = itinerary.loop;
+    }
 
     const device = await prisma.device.findUnique({
         where: { deviceId },
@@ -142,26 +1331,40 @@ async function startStream(deviceId, routeId, options = {}) {
     stream.status = 'running';
     stream.startedAt = new Date().toISOString();
 
+    initSimClock(stream, options);
+
+    if (itinerary) {
+        stream.itinerary = {
+            itineraryId: itinerary.itineraryId,
+            name: itinerary.name,
+            legs: itinerary.legs,
+            baseSpeed: streamConfig.speed
+        };
+        applyLeg(stream, 0);
+    }
+    // Measured along the direction of travel (reversed routes start at the destination)
+    const startAtMeters = resolveStartDistance(stream, options);
+    if (startAtMeters > 0) {
+        seekToDistance(stream, startAtMeters);
+    }
+
     const dbStream = await prisma.stream.create({
         data: {
             deviceId,
             routeId,
+            itineraryId: itinerary ? itinerary.itineraryId : null,
             status: 'STARTED',
             speed: streamConfig.speed,
-            loop: streamConfig.loop
+            loop: streamConfig.loop,
+            recorded: streamConfig.record
         }
     });
     stream.dbId = dbStream.id;
+    if (streamConfig.record) {
+        stream.recorder = streamRecorder.createRecorder(dbStream.id);
+    }
 
-    await setStreamState(deviceId, {
-        streamId: dbStream.id,
-        routeId,
-        status: 'running',
-        currentIndex: 0,
-        totalPoints: route.points.length,
-        speed: streamConfig.speed,
-        loop: streamConfig.loop
-    });
+    await persistStreamState(stream);
 
     console.log(`[Stream] STREAM_STARTED 🚀 device=${deviceId} engineMode=${stream.engineMode}`);
     console.log(JSON.stringify({
@@ -173,9 +1376,7 @@ async function startStream(deviceId, routeId, options = {}) {
     }));
 
     // Start emitting coordinates
-    stream.intervalId = setInterval(() => {
-        emitNextCoordinate(deviceId);
-    }, streamConfig.intervalMs);
+    scheduleTicks(stream);
 
     // Emit first coordinate immediately
     emitNextCoordinate(deviceId);
@@ -186,12 +1387,110 @@ async function startStream(deviceId, routeId, options = {}) {
         streamId: dbStream.id,
         deviceId,
         routeId,
+        itineraryId: itinerary ? itinerary.itineraryId : undefined,
+        totalLegs: itinerary ? itinerary.legs.length : undefined,
         status: stream.status,
         totalPoints: stream.points.length,
+        startAtMeters: startAtMeters > 0 ? Math.round(stream.sMeters) : undefined,
         config: stream.config
     };
 }
 
+/**
+ * Validate convoy followers: one positive gap each, in meters or seconds
+ * @throws {Error} code INVALID_STREAM_OPTIONS
+ */
+function resolveConvoyFollowers(leaderDeviceId, followers) {
+    if (!Array.isArray(followers) || followers.length === 0) {
+        throw invalidOptions('A convoy needs at least one follower');
+    }
+    const seen = new Set([leaderDeviceId]);
+    return followers.map(({ deviceId, gapMeters, gapSeconds }) => {
+        if (seen.has(deviceId)) throw invalidOptions(`Device ${deviceId} appears twice in the convoy`);
+        seen.add(deviceId);
+
+        const hasMeters = gapMeters !== undefined && gapMeters !== null;
+        const hasSeconds = gapSeconds !== undefined && gapSeconds !== null;
+        if (hasMeters === hasSeconds) {
+            throw invalidOptions(`Follower ${deviceId} needs exactly one of gapMeters or gapSeconds`);
+        }
+        const gap = parseFloat(hasMeters ? gapMeters : gapSeconds);
+        if (!Number.isFinite(gap) || gap <= 0 || (hasSeconds && gap > CONVOY_MAX_GAP_SECONDS)) {
+            throw invalidOptions(hasMeters
+                ? `gapMeters of ${deviceId} must be > 0`
+                : `gapSeconds of ${deviceId} must be > 0 and <= ${CONVOY_MAX_GAP_SECONDS}`);
+        }
+        return hasMeters ? { deviceId, gapMeters: gap } : { deviceId, gapSeconds: gap };
+    });
+}
+
+/**
+ * Start a convoy: the leader drives the route, followers trail it (see createConvoy).
+ * Every device must be connected to this node. A follower that can't start is
+ * reported and the rest of the convoy goes ahead without it.
+ * @param {string} leaderDeviceId
+ * @param {Array} followers - [{ deviceId, gapMeters } | { deviceId, gapSeconds }], gaps relative to the leader
+ * @param {string} routeId
+ * @param {Object} options - startStream options shared by every member
+ * @returns {Promise<Object>} { convoyId, leaderDeviceId, routeId, members: [{ deviceId, role, status, streamId?, error? }] }
+ * @throws {Error} code INVALID_STREAM_OPTIONS, or when the leader can't start
+ */
+async function startConvoy(leaderDeviceId, followers, routeId, options = {}) {
+    if (!config.STREAM_DISTANCE_ENGINE) {
+        throw invalidOptions('Convoys need the distance engine (STREAM_DISTANCE_ENGINE=true)');
+    }
+    if (options.itineraryId) {
+        throw invalidOptions('Convoys follow a single route, not an itinerary');
+    }
+    if (options.loop === true || options.loop === 'true') {
+        throw invalidOptions('Convoys cannot loop');
+    }
+    const plan = resolveConvoyFollowers(leaderDeviceId, followers);
+
+    const memberOptions = { ...options, loop: false };
+    const leader = await startStream(leaderDeviceId, routeId, memberOptions);
+    const leaderStream = activeStreams.get(leaderDeviceId);
+    const convoy = createConvoy(leaderStream);
+    leaderStream.convoy = convoy;
+
+    const members = [{ deviceId: leaderDeviceId, role: 'leader', status: 'started', streamId: leader.streamId }];
+
+    for (const follower of plan) {
+        try {
+            // Followers are placed on the leader's trail; their own offset would be overwritten
+            const started = await startStream(follower.deviceId, routeId, withoutStartPosition(memberOptions));
+            const stream = activeStreams.get(follower.deviceId);
+            stream.convoy = convoy;
+            stream.convoyGap = { gapMeters: follower.gapMeters, gapSeconds: follower.gapSeconds };
+            stream.convoyClockMs = 0;
+            placeAtDistance(stream, follower.gapMeters ? leaderStream.sMeters - follower.gapMeters : leaderStream.sMeters);
+
+            convoy.followers.set(follower.deviceId, stream.convoyGap);
+            convoy.maxGapMs = Math.max(convoy.maxGapMs, (follower.gapSeconds || 0) * 1000);
+
+            members.push({ ...follower, role: 'follower', status: 'started', streamId: started.streamId });
+        } catch (error) {
+            members.push({ ...follower, role: 'follower', status: 'error', error: error.message });
+        }
+    }
+
+    console.log(JSON.stringify({
+        event: 'STREAM_CONVOY_STARTED',
+        convoyId: convoy.convoyId,
+        leaderDeviceId,
+        routeId,
+        followers: [...convoy.followers.keys()]
+    }));
+
+    return {
+        convoyId: convoy.convoyId,
+        leaderDeviceId,
+        routeId,
+        config: leader.config,
+        members
+    };
+}
+
 /**
  * Emit the next coordinate
  */
@@ -211,13 +1510,13 @@ async function emitNextCoordinate(deviceId) {
                     console.warn(`[Stream] WS not ready for ${deviceId} for too long (miss #${stream.wsMissCount}). Auto-pausing stream.`);
                 }
                 if (stream.status !== 'paused') {
-                    await pauseStream(deviceId).catch(e => console.error('Error auto-pausing orphaned stream:', e));
+                    await pauseStream(deviceId, 'ws_lost').catch(e => console.error('Error auto-pausing orphaned stream:', e));
                 }
                 return;
             }
 
             if (stream.status !== 'paused') {
-                await pauseStream(deviceId).catch(e => console.error('Error auto-pausing closed ws:', e));
+                await pauseStream(deviceId, 'ws_lost').catch(e => console.error('Error auto-pausing closed ws:', e));
             } else {
                 // Throttle spammy "WS not ready" logs when paused
                 if (stream.wsMissCount % 10 === 0) {
@@ -268,7 +1567,7 @@ async function emitNextCoordinate(deviceId) {
                         wsBuffered,
                         tcpBuffered
                     }));
-                    await pauseStream(deviceId).catch(e => console.error('Error auto-pausing on pressure:', e));
+                    await pauseStream(deviceId, 'backpressure').catch(e => console.error('Error auto-pausing on pressure:', e));
                 }
 
                 if (now - stream.lastHealthLogTs >= 10000) {
@@ -310,70 +1609,125 @@ async function emitNextCoordinate(deviceId) {
         }
         // --- END BACKPRESSURE GUARD ---
 
-        const isPaused = stream.status === 'paused';
+        await runEngineTick(stream, createLiveSink(stream, ws));
+    } catch (criticalError) {
+        console.error(`[CRITICAL] Error inside emitNextCoordinate for device ${deviceId}:`, criticalError);
+        // Clean interval immediately to prevent infinitely repeating crash loop
+        const stream = activeStreams.get(deviceId);
+        if (stream && stream.intervalId) {
+            clearInterval(stream.intervalId);
+            stream.intervalId = null;
+            stream.status = 'paused';
+        }
+    }
+}
+
+/**
+ * Side effects of a live stream tick: the device socket, Redis and dashboards
+ */
+function createLiveSink(stream, ws) {
+    return {
+        send: (message) => {
+            deviceWireService.sendLocation(stream.deviceId, ws, message);
+            trackStreamStats(stream, message);
+            if (stream.recorder) stream.recorder.record(message);
+        },
+        persist: () => {
+            flushStreamStats(stream);
+            return persistStreamTick(stream);
+        },
+        broadcast: (type, payload) => require('../websocket/ws.server').broadcast(type, payload),
+        pause: (reason) => pauseStream(stream.deviceId, reason),
+        stop: () => stopStream(stream.deviceId)
+    };
+}
 
-        if (stream.engineMode === 'distance') {
-            const now = Date.now();
-            const dtMs = Math.min(
+/**
+ * Advance the engine by one tick and hand the resulting MOCK_LOCATION to the sink.
+ * Shared by live streams and headless simulations (simulation.service).
+ * @param {StreamInstance} stream
+ * @param {Object} sink - { send(message), persist(), broadcast(type, payload), pause(reason), stop() }
+ */
+async function runEngineTick(stream, sink) {
+    if (isConvoyFollower(stream)) {
+        return runFollowerTick(stream, sink);
+    }
+
+    const deviceId = stream.deviceId;
+    const isPaused = stream.status === 'paused';
+
+    if (stream.engineMode === 'distance') {
+        const now = Date.now();
+        const timeScale = timeScaleOf(stream);
+        const wallDtMs = isDeterministic(stream) || stream.headless
+            ? stream.config.intervalMs
+            : Math.min(
                 config.STREAM_TICK_CLAMP_MAX_MS,
                 Math.max(config.STREAM_TICK_CLAMP_MIN_MS, now - stream.lastTickTs)
             );
-            const dt = dtMs / 1000;
-            stream.lastTickTs = now;
+        // Simulated time covered by this tick
+        const dtMs = wallDtMs * timeScale;
+        const dt = dtMs / 1000;
+        stream.lastTickTs = now;
+        if (stream.simClockMs !== null) stream.simClockMs += dtMs;
 
-            const currentPoint = stream.points[stream.segIndex];
+        const currentPoint = stream.points[stream.segIndex];
 
-            let isWaiting = stream.state === 'WAIT' || stream.state === 'FINISHED';
+        let isWaiting = stream.state === 'WAIT' || stream.state === 'FINISHED';
 
-            if (isWaiting && stream.state !== 'FINISHED') {
-                if (stream.vMps <= 0.1) {
-                    stream.vMps = 0;
-                    if (!isPaused) {
-                        stream.dwellTicksRemaining--;
-                    }
+        if (isWaiting && stream.state !== 'FINISHED') {
+            if (stream.vMps <= 0.1) {
+                stream.vMps = 0;
+                if (!isPaused) {
+                    stream.dwellTicksRemaining--;
+                }
+
+                // Throttle keepalive logs and broadcast TICK at ~1Hz
+                if (!stream.keepaliveTick) stream.keepaliveTick = 0;
+                stream.keepaliveTick++;
 
-                    // Throttle keepalive logs and broadcast TICK at ~1Hz
-                    if (!stream.keepaliveTick) stream.keepaliveTick = 0;
-                    stream.keepaliveTick++;
+                const ticksPerSecond = Math.max(1, 1000 / stream.config.intervalMs);
+                if (stream.keepaliveTick % Math.round(ticksPerSecond) === 0) {
+                    console.log(`[Stream] WAITING_TICK device=${deviceId} dwellRemaining=${stream.dwellTicksRemaining}`);
+                    sink.broadcast('STREAM_WAITING_TICK', {
+                        streamId: stream.dbId,
+                        deviceId,
+                        remainingMs: stream.dwellTicksRemaining * simTickMs(stream),
+                        ownerId: stream.ownerId
+                    });
+                }
 
-                    const ticksPerSecond = Math.max(1, 1000 / stream.config.intervalMs);
-                    if (stream.keepaliveTick % Math.round(ticksPerSecond) === 0) {
-                        console.log(`[Stream] WAITING_TICK device=${deviceId} dwellRemaining=${stream.dwellTicksRemaining}`);
-                        const { broadcast } = require('../websocket/ws.server');
-                        broadcast('STREAM_WAITING_TICK', {
-                            streamId: stream.dbId,
-                            deviceId,
-                            remainingMs: stream.dwellTicksRemaining * stream.config.intervalMs,
-                            ownerId: stream.ownerId
-                        });
-                    }
+                if (!isPaused && stream.dwellTicksRemaining <= 0) {
+                    stream.dwellTicksRemaining = 0;
 
-                    if (!isPaused && stream.dwellTicksRemaining <= 0) {
-                        stream.dwellTicksRemaining = 0;
+                    // Mark as completed
+                    const currentWait = stream.waitPlan.find(w => w.id === stream.currentWaitPlanId);
+                    if (currentWait) {
+                        currentWait.completed = true;
+                    }
 
-                        // Mark as completed
-                        const currentWait = stream.waitPlan.find(w => w.id === stream.currentWaitPlanId);
-                        if (currentWait) {
-                            currentWait.completed = true;
-                        }
+                    if (currentWait && isFinalStop(stream, currentWait) && !hasNextLeg(stream) && !canLoop(stream)) {
+                        stream.state = 'FINISHED'; // Park forever
+                        isWaiting = true;
+                        console.log(`[Stream] reached DESTINATION device=${deviceId}, parking indefinitely`);
+                    } else {
+                        stream.state = 'MOVE';
+                        // restore target velocity
+                        stream.vTargetMps = stream.config.speed / 3.6;
+                        console.log(`[Stream] exit WAIT device=${deviceId}`);
+                        isWaiting = false;
 
-                        if (currentWait && currentWait.kind === 'destination') {
-                            stream.state = 'FINISHED'; // Park forever
-                            isWaiting = true;
-                            console.log(`[Stream] reached DESTINATION device=${deviceId}, parking indefinitely`);
+                        if (stream.legGapActive) {
+                            // Itinerary gap happens before the leg's first segment: depart from point 0
+                            stream.legGapActive = false;
                         } else {
-                            stream.state = 'MOVE';
-                            // restore target velocity
-                            stream.vTargetMps = stream.config.speed / 3.6;
-                            console.log(`[Stream] exit WAIT device=${deviceId}`);
-                            isWaiting = false;
-
                             stream.lastWaitPointIndex = stream.segIndex;
-                            stream.lastWaitExitAtMs = Date.now();
+                            stream.lastWaitExitAtMs = simNow(stream);
                             const fromIndex = stream.segIndex;
                             // Explicitly skip 1 segment ahead to prevent re-entry
                             stream.segIndex = Math.min(stream.segIndex + 1, stream.points.length - 1);
                             stream.segProgress = 0;
+                            syncRouteDistance(stream);
 
                             console.log(JSON.stringify({
                                 event: "wait_exit_advance",
@@ -385,316 +1739,369 @@ async function emitNextCoordinate(deviceId) {
                         }
                     }
                 }
-            } else if (stream.state === 'FINISHED') {
-                stream.vMps = 0;
-                stream.vTargetMps = 0;
-                // Just keepalive ticks internally
-                if (!stream.keepaliveTick) stream.keepaliveTick = 0;
-                if (stream.keepaliveTick++ % 10 === 0) {
-                    console.log(`[Stream] parked at FINISHED destination device=${deviceId}`);
-                }
             }
-
-            if (isPaused) {
-                stream.vMps = 0;
-                // Throttle keepalive logs
-                if (!stream.keepaliveTick) stream.keepaliveTick = 0;
-                if (stream.keepaliveTick++ % 10 === 0) {
-                    console.log(`[Stream] Keepalive PAUSED device=${deviceId}`);
-                }
+        } else if (stream.state === 'FINISHED') {
+            stream.vMps = 0;
+            stream.vTargetMps = 0;
+            // Just keepalive ticks internally
+            if (!stream.keepaliveTick) stream.keepaliveTick = 0;
+            if (stream.keepaliveTick++ % 10 === 0) {
+                console.log(`[Stream] parked at FINISHED destination device=${deviceId}`);
             }
+        }
 
-            // Velocity Physics
-            if (stream.vMps < stream.vTargetMps) {
-                stream.vMps += ENGINE_CONSTANTS.aMax * dt;
-                if (stream.vMps > stream.vTargetMps) stream.vMps = stream.vTargetMps;
-            } else if (stream.vMps > stream.vTargetMps) {
-                stream.vMps -= ENGINE_CONSTANTS.bMax * dt;
-                if (stream.vMps < stream.vTargetMps) stream.vMps = stream.vTargetMps;
+        if (isPaused) {
+            stream.vMps = 0;
+            // Throttle keepalive logs
+            if (!stream.keepaliveTick) stream.keepaliveTick = 0;
+            if (stream.keepaliveTick++ % 10 === 0) {
+                console.log(`[Stream] Keepalive PAUSED device=${deviceId}`);
             }
-            if (stream.vMps < 0) stream.vMps = 0;
+        }
 
-            // Dynamic clamp
-            const maxMetersPerTick = Math.min(80, Math.max(15, stream.vTargetMps * dt * 2.5));
-            let metersToAdvance = stream.vMps * dt;
-            metersToAdvance = Math.min(metersToAdvance, maxMetersPerTick);
+        // Speed profile: cap the cruise target for point limits and upcoming curves
+        let vTargetMps = stream.vTargetMps;
+        if (stream.speedProfile && vTargetMps > 0) {
+            vTargetMps = profileTargetMps(stream.speedProfile, stream.segIndex, stream.segProgress, vTargetMps, ENGINE_CONSTANTS.bMax);
+        }
 
-            // Segment Traversal (ONLY IF NOT WAITING/PAUSED/FINISHED)
-            let crossWait = null;
-            if (!isWaiting && !isPaused && stream.state === 'MOVE') {
-                const prevSegIndex = stream.segIndex;
+        // Velocity Physics
+        if (stream.vMps < vTargetMps) {
+            stream.vMps += ENGINE_CONSTANTS.aMax * dt;
+            if (stream.vMps > vTargetMps) stream.vMps = vTargetMps;
+        } else if (stream.vMps > vTargetMps) {
+            stream.vMps -= ENGINE_CONSTANTS.bMax * dt;
+            if (stream.vMps < vTargetMps) stream.vMps = vTargetMps;
+        }
+        if (stream.vMps < 0) stream.vMps = 0;
+
+        // Dynamic clamp (scaled with simulated time)
+        const ceilingMetersPerTick = 80 * timeScale;
+        const maxMetersPerTick = Math.min(ceilingMetersPerTick, Math.max(15 * timeScale, stream.vTargetMps * dt * 2.5));
+        let metersToAdvance = stream.vMps * dt;
+        metersToAdvance = Math.min(metersToAdvance, maxMetersPerTick);
+
+        // Recorded pacing: drive each segment at its recorded speed instead (no acceleration model)
+        // The ceiling still applies: long ticks and GPS outliers stay below the anti-teleport jump
+        if (stream.recordedPacing) {
+            const moving = !isWaiting && !isPaused && stream.state === 'MOVE';
+            metersToAdvance = moving
+                ? recordedAdvanceMeters(stream.recordedPacing, stream.routeMeters, stream.segIndex, stream.segProgress, dt, stream.config.speed / 3.6)
+                : 0;
+            metersToAdvance = Math.min(metersToAdvance, ceilingMetersPerTick);
+            stream.vMps = metersToAdvance / dt;
+        }
 
-                stream.sMeters += metersToAdvance;
-                stream.segProgress += metersToAdvance;
+        // Segment Traversal (ONLY IF NOT WAITING/PAUSED/FINISHED)
+        let crossWait = null;
+        if (!isWaiting && !isPaused && stream.state === 'MOVE') {
+            const prevSegIndex = stream.segIndex;
 
-                while (stream.segIndex < stream.points.length - 1) {
-                    const p1 = stream.points[stream.segIndex];
-                    const p2 = stream.points[stream.segIndex + 1];
-                    const segDist = calculateDistance(p1, p2);
+            stream.sMeters += metersToAdvance;
+            stream.segProgress += metersToAdvance;
 
-                    if (stream.segProgress >= segDist && segDist > 0) {
-                        stream.segIndex++;
-                        stream.segProgress -= segDist;
-                    } else {
-                        break;
-                    }
-                }
+            while (stream.segIndex < stream.points.length - 1) {
+                const p1 = stream.points[stream.segIndex];
+                const p2 = stream.points[stream.segIndex + 1];
+                const segDist = calculateDistance(p1, p2);
 
-                // Check for crossing a wait point
-                crossWait = stream.waitPlan.find(w =>
-                    w.pointIndex >= prevSegIndex &&
-                    w.pointIndex <= stream.segIndex &&
-                    !w.completed &&
-                    w.dwellSeconds > 0
-                );
-
-                if (crossWait) {
-                    // Snap exactly to wait point
-                    stream.segIndex = crossWait.pointIndex;
-                    stream.segProgress = 0;
-                    stream.vMps = 0;
-                    stream.vTargetMps = 0;
-                    stream.state = 'WAIT';
-                    isWaiting = true;
-
-                    const ticks = Math.ceil((crossWait.dwellSeconds * 1000) / stream.config.intervalMs);
-                    stream.dwellTicksRemaining = ticks;
-                    stream.currentWaitPlanId = crossWait.id;
-
-                    console.log(`[Stream] cross detection enter WAIT device=${deviceId} pointIndex=${crossWait.pointIndex}`);
-
-                    const { broadcast } = require('../websocket/ws.server');
-                    broadcast('STREAM_WAITING_START', {
-                        streamId: stream.dbId,
-                        deviceId,
-                        waypointId: crossWait.id,
-                        kind: crossWait.kind,
-                        label: crossWait.label,
-                        mode: crossWait.mode,
-                        remainingMs: crossWait.dwellSeconds * 1000,
-                        ownerId: stream.ownerId
-                    });
+                if (stream.segProgress >= segDist && segDist > 0) {
+                    stream.segIndex++;
+                    stream.segProgress -= segDist;
+                } else {
+                    break;
                 }
             }
 
+            // Check for crossing a wait point
+            crossWait = stream.waitPlan.find(w =>
+                w.pointIndex >= prevSegIndex &&
+                w.pointIndex <= stream.segIndex &&
+                !w.completed &&
+                w.dwellSeconds > 0
+            );
+
+            if (crossWait) {
+                // Snap exactly to wait point
+                stream.segIndex = crossWait.pointIndex;
+                stream.segProgress = 0;
+                syncRouteDistance(stream);
+                stream.vMps = 0;
+                stream.vTargetMps = 0;
+                stream.state = 'WAIT';
+                isWaiting = true;
 
-            const p1 = stream.points[stream.segIndex];
-            const p2 = stream.points[stream.segIndex + 1] || p1;
-            const segDist = calculateDistance(p1, p2);
+                const ticks = dwellTicks(stream, crossWait.dwellSeconds);
+                stream.dwellTicksRemaining = ticks;
+                stream.currentWaitPlanId = crossWait.id;
 
-            let lat, lng;
-            const isKeepalive = stream.vMps === 0 && (isPaused || isWaiting || stream.state === 'FINISHED');
+                console.log(`[Stream] cross detection enter WAIT device=${deviceId} pointIndex=${crossWait.pointIndex}`);
 
-            if (isKeepalive || stream.state === 'FINISHED') {
-                const keepalivePoint = stream.lastEmittedLatLng || p1;
-                lat = keepalivePoint.lat;
-                lng = keepalivePoint.lng;
-            } else {
-                const fraction = segDist > 0 ? stream.segProgress / segDist : 0;
-                const interpolated = interpolatePoint(p1, p2, Math.min(1, fraction));
-                lat = interpolated.lat;
-                lng = interpolated.lng;
+                sink.broadcast('STREAM_WAITING_START', {
+                    streamId: stream.dbId,
+                    deviceId,
+                    waypointId: crossWait.id,
+                    kind: crossWait.kind,
+                    label: crossWait.label,
+                    mode: crossWait.mode,
+                    remainingMs: crossWait.dwellSeconds * 1000,
+                    ownerId: stream.ownerId
+                });
             }
+        }
 
-            // Bearing & LookAhead Smoothing
-            let futureDist = stream.segProgress + ENGINE_CONSTANTS.lookAheadMeters;
-            let futureIndex = stream.segIndex;
-            while (futureIndex < stream.points.length - 1) {
-                const fd = calculateDistance(stream.points[futureIndex], stream.points[futureIndex + 1]);
-                if (futureDist > fd) {
-                    futureDist -= fd;
-                    futureIndex++;
-                } else {
-                    break;
-                }
+
+        const p1 = stream.points[stream.segIndex];
+        const p2 = stream.points[stream.segIndex + 1] || p1;
+        const segDist = calculateDistance(p1, p2);
+
+        let lat, lng, altitude;
+        const isKeepalive = stream.vMps === 0 && (isPaused || isWaiting || stream.state === 'FINISHED');
+
+        if (isKeepalive || stream.state === 'FINISHED') {
+            const keepalivePoint = stream.lastEmittedLatLng || p1;
+            lat = keepalivePoint.lat;
+            lng = keepalivePoint.lng;
+            altitude = keepalivePoint.altitude;
+        } else {
+            const fraction = segDist > 0 ? stream.segProgress / segDist : 0;
+            const interpolated = interpolatePoint(p1, p2, Math.min(1, fraction));
+            lat = interpolated.lat;
+            lng = interpolated.lng;
+            altitude = interpolated.altitude;
+        }
+
+        // Bearing & LookAhead Smoothing
+        let futureDist = stream.segProgress + ENGINE_CONSTANTS.lookAheadMeters;
+        let futureIndex = stream.segIndex;
+        while (futureIndex < stream.points.length - 1) {
+            const fd = calculateDistance(stream.points[futureIndex], stream.points[futureIndex + 1]);
+            if (futureDist > fd) {
+                futureDist -= fd;
+                futureIndex++;
+            } else {
+                break;
             }
-            const futurePoint = stream.points[futureIndex + 1] || stream.points[futureIndex] || p2;
-            const rawTargetBearing = calculateBearing({ lat, lng }, futurePoint);
-
-            if (!isKeepalive) {
-                if (stream.vMps > 0.5) {
-                    let diff = rawTargetBearing - stream.headingDeg;
-                    diff = ((diff + 540) % 360) - 180;
-                    stream.headingDeg = (stream.headingDeg + diff * 0.3 + 360) % 360;
-                } else if (stream.segIndex === 0 && stream.segProgress === 0) {
-                    stream.headingDeg = rawTargetBearing;
-                }
+        }
+        const futurePoint = stream.points[futureIndex + 1] || stream.points[futureIndex] || p2;
+        const rawTargetBearing = calculateBearing({ lat, lng }, futurePoint);
+
+        if (!isKeepalive) {
+            if (stream.vMps > 0.5) {
+                let diff = rawTargetBearing - stream.headingDeg;
+                diff = ((diff + 540) % 360) - 180;
+                stream.headingDeg = (stream.headingDeg + diff * 0.3 + 360) % 360;
+            } else if (stream.segIndex === 0 && stream.segProgress === 0) {
+                stream.headingDeg = rawTargetBearing;
             }
+        }
 
-            // Anti-Teleport
-            if (stream.lastEmittedLatLng && !isKeepalive) {
-                const jumpDist = calculateDistance(stream.lastEmittedLatLng, { lat, lng });
-                if (jumpDist > ENGINE_CONSTANTS.MAX_JUMP_METERS) {
-                    console.error(`[Stream] Anti-teleport triggered for ${deviceId}: Jump of ${Math.round(jumpDist)}m`);
-                    pauseStream(deviceId);
+        // Anti-Teleport
+        if (stream.lastEmittedLatLng && !isKeepalive) {
+            const jumpDist = calculateDistance(stream.lastEmittedLatLng, { lat, lng });
+            if (jumpDist > ENGINE_CONSTANTS.MAX_JUMP_METERS * timeScale) {
+                console.error(`[Stream] Anti-teleport triggered for ${deviceId}: Jump of ${Math.round(jumpDist)}m`);
+                sink.pause('anti_teleport');
 
-                    console.error(JSON.stringify({
-                        error: "ANTI_TELEPORT_JUMP",
-                        deviceId,
-                        jumpMeters: jumpDist,
-                        dtMs,
-                        vMps: stream.vMps,
-                        segIndex: stream.segIndex
-                    }));
-                    return;
-                }
+                console.error(JSON.stringify({
+                    error: "ANTI_TELEPORT_JUMP",
+                    deviceId,
+                    jumpMeters: jumpDist,
+                    dtMs,
+                    vMps: stream.vMps,
+                    segIndex: stream.segIndex
+                }));
+                return;
             }
+        }
 
-            stream.lastEmittedLatLng = { lat, lng };
-
-            let effectiveState = stream.state;
-            if (isPaused) effectiveState = 'PAUSED';
-
-            const message = {
-                type: 'MOCK_LOCATION',
-                payload: {
-                    lat,
-                    lng,
-                    speed: stream.vMps, // Always in m/s (0 if stopped)
-                    bearing: stream.headingDeg,
-                    accuracy: stream.config.accuracy,
-                    state: effectiveState
-                },
-                meta: {
-                    engineMode: 'distance',
-                    dtMs,
-                    sMeters: Math.round(stream.sMeters),
-                    vMps: parseFloat(stream.vMps.toFixed(2)),
-                    segIndex: stream.segIndex,
-                    pointIndex: stream.segIndex,
-                    totalPoints: stream.points.length,
-                    routeId: stream.routeId,
-                    timestamp: new Date().toISOString()
-                }
-            };
+        stream.lastEmittedLatLng = { lat, lng, altitude };
 
-            if (effectiveState === 'WAIT') {
-                const totalDwellMs = stream.dwellTicksRemaining * stream.config.intervalMs;
-                message.meta.dwellRemainingSeconds = Math.round(totalDwellMs / 1000);
-            }
+        let effectiveState = stream.state;
+        if (isPaused) effectiveState = 'PAUSED';
 
-            try {
-                ws.send(JSON.stringify(message));
-                stream.sentTicks++;
-                stream.lastEmitAt = new Date().toISOString();
+        if (stream.convoy) {
+            recordConvoyTrail(stream, isPaused ? 0 : dtMs, effectiveState);
+        }
 
-                await updateStreamState(deviceId, {
-                    currentIndex: stream.segIndex
-                });
-            } catch (error) {
-                console.log(JSON.stringify({ event: "ws_send_error", deviceId, msg: error.message }));
-                return;
+        const message = {
+            type: 'MOCK_LOCATION',
+            payload: {
+                lat,
+                lng,
+                ...altitudePayload(stream, altitude),
+                speed: stream.vMps, // Always in m/s (0 if stopped)
+                bearing: stream.headingDeg,
+                accuracy: stream.config.accuracy,
+                state: effectiveState
+            },
+            meta: {
+                engineMode: 'distance',
+                dtMs,
+                sMeters: Math.round(stream.sMeters),
+                vMps: parseFloat(stream.vMps.toFixed(2)),
+                segIndex: stream.segIndex,
+                pointIndex: stream.segIndex,
+                totalPoints: stream.points.length,
+                routeId: stream.routeId,
+                timestamp: new Date(simNow(stream)).toISOString()
             }
+        };
 
-            if (!isWaiting && !isPaused && stream.segIndex >= stream.points.length - 1 && stream.segProgress >= segDist - 0.5) {
-                if (stream.config.loop) {
-                    stream.sMeters = 0;
-                    stream.segIndex = 0;
-                    stream.segProgress = 0;
-                    stream.state = 'MOVE';
-                    stream.lastEmittedLatLng = null;
-                } else {
-                    await stopStream(deviceId).catch(e => console.error('Error auto-stopping:', e));
-                }
+        if (stream.itinerary) {
+            message.meta.itineraryId = stream.itinerary.itineraryId;
+            message.meta.legIndex = stream.legIndex;
+            message.meta.totalLegs = stream.itinerary.legs.length;
+        }
+
+        if (stream.speedProfile) {
+            message.meta.vTargetMps = parseFloat(vTargetMps.toFixed(2));
+        }
+
+        if (effectiveState === 'WAIT') {
+            const totalDwellMs = stream.dwellTicksRemaining * simTickMs(stream);
+            message.meta.dwellRemainingSeconds = Math.round(totalDwellMs / 1000);
+        }
+
+        try {
+            if (applyGpsNoise(stream, message, dt, sink.broadcast)) {
+                sink.send(message);
+                stream.sentTicks++;
+                stream.lastEmitAt = new Date().toISOString();
             }
-        } else {
-            // --- OLD INDEX-BASED ENGINE ---
-            const currentPoint = stream.points[stream.currentIndex];
 
-            if (!isPaused && stream.dwellTicksRemaining === 0 && currentPoint.dwellSeconds > 0 && stream.state === 'MOVE') {
-                const waitPointIndex = stream.currentIndex;
-                if (stream.lastWaitPointIndex === waitPointIndex && (Date.now() - stream.lastWaitExitAtMs) < 2000) {
-                    stream.currentIndex = Math.min(stream.currentIndex + 1, stream.points.length - 1);
-                    console.log(JSON.stringify({
-                        event: "wait_reentry_blocked",
-                        deviceId,
-                        waitPointIndex,
-                        currentIndex: stream.currentIndex,
-                        state: stream.state,
-                        status: stream.status
-                    }));
-                } else {
-                    const ticks = Math.ceil((currentPoint.dwellSeconds * 1000) / stream.config.intervalMs);
-                    stream.dwellTicksRemaining = ticks;
-                    stream.state = 'WAIT';
-                    console.log(`[Stream] enter WAIT device=${deviceId} ticks=${ticks}`);
+            await sink.persist();
+        } catch (error) {
+            console.log(JSON.stringify({ event: "ws_send_error", deviceId, msg: error.message }));
+            return;
+        }
+
+        if (!isWaiting && !isPaused && stream.segIndex >= stream.points.length - 1 && stream.segProgress >= segDist - 0.5) {
+            if (stream.itinerary) {
+                if (!advanceLeg(stream, sink.broadcast)) {
+                    await sink.stop().catch(e => console.error('Error auto-stopping itinerary:', e));
                 }
+            } else if (canLoop(stream)) {
+                startNextLoop(stream, sink.broadcast);
+            } else {
+                // Followers drive the rest of the way in on their own
+                if (stream.convoy) stream.convoy.leaderFinished = true;
+                await sink.stop().catch(e => console.error('Error auto-stopping:', e));
+            }
+        }
+    } else {
+        // --- OLD INDEX-BASED ENGINE ---
+        const currentPoint = stream.points[stream.currentIndex];
+        if (stream.simClockMs !== null) stream.simClockMs += stream.config.intervalMs;
+
+        if (!isPaused && stream.dwellTicksRemaining === 0 && currentPoint.dwellSeconds > 0 && stream.state === 'MOVE') {
+            const waitPointIndex = stream.currentIndex;
+            if (stream.lastWaitPointIndex === waitPointIndex && (simNow(stream) - stream.lastWaitExitAtMs) < 2000) {
+                stream.currentIndex = Math.min(stream.currentIndex + 1, stream.points.length - 1);
+                console.log(JSON.stringify({
+                    event: "wait_reentry_blocked",
+                    deviceId,
+                    waitPointIndex,
+                    currentIndex: stream.currentIndex,
+                    state: stream.state,
+                    status: stream.status
+                }));
+            } else {
+                const ticks = dwellTicks(stream, currentPoint.dwellSeconds);
+                stream.dwellTicksRemaining = ticks;
+                stream.state = 'WAIT';
+                console.log(`[Stream] enter WAIT device=${deviceId} ticks=${ticks}`);
             }
+        }
 
-            const isWaiting = stream.state === 'WAIT' && stream.dwellTicksRemaining > 0;
-            const effectiveSpeed = (isWaiting || isPaused) ? 0 : stream.config.speed;
+        const isWaiting = stream.state === 'WAIT' && stream.dwellTicksRemaining > 0;
+        const effectiveSpeed = (isWaiting || isPaused) ? 0 : stream.config.speed;
 
-            let lat, lng;
-            if (isWaiting || isPaused) {
-                const keepalivePoint = stream.lastEmittedLatLng || currentPoint;
-                lat = keepalivePoint.lat;
-                lng = keepalivePoint.lng;
+        let lat, lng, altitude;
+        if (isWaiting || isPaused) {
+            const keepalivePoint = stream.lastEmittedLatLng || currentPoint;
+            lat = keepalivePoint.lat;
+            lng = keepalivePoint.lng;
+            altitude = keepalivePoint.altitude;
 
-                if (!stream.keepaliveTick) stream.keepaliveTick = 0;
-                if (stream.keepaliveTick++ % 10 === 0) {
-                    console.log(`[Stream] Keepalive ${isPaused ? 'PAUSED' : 'WAIT'} device=${deviceId}`);
-                }
-            } else {
-                lat = currentPoint.lat;
-                lng = currentPoint.lng;
+            if (!stream.keepaliveTick) stream.keepaliveTick = 0;
+            if (stream.keepaliveTick++ % 10 === 0) {
+                console.log(`[Stream] Keepalive ${isPaused ? 'PAUSED' : 'WAIT'} device=${deviceId}`);
             }
+        } else {
+            lat = currentPoint.lat;
+            lng = currentPoint.lng;
+            altitude = currentPoint.altitude;
+        }
 
-            stream.lastEmittedLatLng = { lat, lng };
-
-            const nextPoint = stream.points[stream.currentIndex + 1] || stream.points[0];
-            const bearing = calculateBearing(currentPoint, nextPoint);
-
-            let effectiveState = stream.state;
-            if (isPaused) effectiveState = 'PAUSED';
-
-            const message = {
-                type: 'MOCK_LOCATION',
-                payload: {
-                    lat,
-                    lng,
-                    speed: effectiveSpeed / 3.6, // Always in m/s
-                    bearing: bearing,
-                    accuracy: stream.config.accuracy,
-                    state: effectiveState
-                },
-                meta: {
-                    engineMode: 'index',
-                    dtMs: stream.config.intervalMs,
-                    pointIndex: stream.currentIndex,
-                    totalPoints: stream.points.length,
-                    routeId: stream.routeId,
-                    timestamp: new Date().toISOString()
-                }
-            };
-
-            if (effectiveState === 'WAIT') {
-                const totalDwellMs = stream.dwellTicksRemaining * stream.config.intervalMs;
-                message.meta.dwellRemainingSeconds = Math.round(totalDwellMs / 1000);
+        stream.lastEmittedLatLng = { lat, lng, altitude };
+
+        const nextPoint = stream.points[stream.currentIndex + 1] || stream.points[0];
+        const bearing = calculateBearing(currentPoint, nextPoint);
+
+        let effectiveState = stream.state;
+        if (isPaused) effectiveState = 'PAUSED';
+
+        const message = {
+            type: 'MOCK_LOCATION',
+            payload: {
+                lat,
+                lng,
+                ...altitudePayload(stream, altitude),
+                speed: effectiveSpeed / 3.6, // Always in m/s
+                bearing: bearing,
+                accuracy: stream.config.accuracy,
+                state: effectiveState
+            },
+            meta: {
+                engineMode: 'index',
+                dtMs: stream.config.intervalMs,
+                pointIndex: stream.currentIndex,
+                totalPoints: stream.points.length,
+                routeId: stream.routeId,
+                timestamp: new Date(simNow(stream)).toISOString()
             }
+        };
 
-            try {
-                ws.send(JSON.stringify(message));
+        if (stream.itinerary) {
+            message.meta.itineraryId = stream.itinerary.itineraryId;
+            message.meta.legIndex = stream.legIndex;
+            message.meta.totalLegs = stream.itinerary.legs.length;
+        }
+
+        if (effectiveState === 'WAIT') {
+            const totalDwellMs = stream.dwellTicksRemaining * simTickMs(stream);
+            message.meta.dwellRemainingSeconds = Math.round(totalDwellMs / 1000);
+        }
+
+        try {
+            if (applyGpsNoise(stream, message, stream.config.intervalMs / 1000, sink.broadcast)) {
+                sink.send(message);
                 stream.sentTicks++;
                 stream.lastEmitAt = new Date().toISOString();
-
-                await updateStreamState(deviceId, {
-                    currentIndex: stream.currentIndex
-                });
-            } catch (error) {
-                console.log(JSON.stringify({ event: "ws_send_error", deviceId, msg: error.message }));
-                return;
             }
 
-            if (isWaiting || isPaused) {
-                if (isWaiting && !isPaused) {
-                    stream.dwellTicksRemaining--;
-                    if (stream.dwellTicksRemaining <= 0) {
-                        stream.dwellTicksRemaining = 0;
-                        stream.state = 'MOVE';
-                        console.log(`[Stream] exit WAIT device=${deviceId}`);
+            await sink.persist();
+        } catch (error) {
+            console.log(JSON.stringify({ event: "ws_send_error", deviceId, msg: error.message }));
+            return;
+        }
+
+        if (isWaiting || isPaused) {
+            if (isWaiting && !isPaused) {
+                stream.dwellTicksRemaining--;
+                if (stream.dwellTicksRemaining <= 0) {
+                    stream.dwellTicksRemaining = 0;
+                    stream.state = 'MOVE';
+                    console.log(`[Stream] exit WAIT device=${deviceId}`);
 
+                    if (stream.legGapActive) {
+                        // Itinerary gap: depart from the leg's first point
+                        stream.legGapActive = false;
+                        stream.vTargetMps = stream.config.speed / 3.6;
+                    } else {
                         stream.lastWaitPointIndex = stream.currentIndex;
-                        stream.lastWaitExitAtMs = Date.now();
+                        stream.lastWaitExitAtMs = simNow(stream);
                         const fromIndex = stream.currentIndex;
                         stream.currentIndex = Math.min(stream.currentIndex + 1, stream.points.length - 1);
 
@@ -707,34 +2114,27 @@ async function emitNextCoordinate(deviceId) {
                         }));
                     }
                 }
-                return; // Keepalive sent, do not advance index
             }
+            return; // Keepalive sent, do not advance index
+        }
 
-            stream.currentIndex++;
+        stream.currentIndex++;
 
-            if (stream.currentIndex >= stream.points.length) {
-                if (stream.config.loop) {
-                    stream.currentIndex = 0;
-                    stream.state = 'MOVE';
-                    stream.dwellTicksRemaining = 0;
-                } else {
-                    await stopStream(deviceId).catch(e => console.error('Error auto-stopping index:', e));
+        if (stream.currentIndex >= stream.points.length) {
+            if (stream.itinerary) {
+                if (!advanceLeg(stream, sink.broadcast)) {
+                    await sink.stop().catch(e => console.error('Error auto-stopping itinerary index:', e));
                 }
+            } else if (canLoop(stream)) {
+                startNextLoop(stream, sink.broadcast);
+            } else {
+                await sink.stop().catch(e => console.error('Error auto-stopping index:', e));
             }
         }
-    } catch (criticalError) {
-        console.error(`[CRITICAL] Error inside emitNextCoordinate for device ${deviceId}:`, criticalError);
-        // Clean interval immediately to prevent infinitely repeating crash loop
-        const stream = activeStreams.get(deviceId);
-        if (stream && stream.intervalId) {
-            clearInterval(stream.intervalId);
-            stream.intervalId = null;
-            stream.status = 'paused';
-        }
     }
 }
 
-async function pauseStream(deviceId) {
+async function pauseStream(deviceId, reason = 'manual') {
     try {
         const stream = activeStreams.get(deviceId);
         if (!stream) {
@@ -746,6 +2146,12 @@ async function pauseStream(deviceId) {
             };
         }
 
+        // Convoy members move together: pausing a follower by hand pauses the leader,
+        // which pauses every follower (reason 'convoy')
+        if (reason === 'manual' && isConvoyFollower(stream) && activeStreams.has(stream.convoy.leaderDeviceId)) {
+            await pauseStream(stream.convoy.leaderDeviceId, reason);
+        }
+
         if (stream.status === 'paused') {
             return {
                 deviceId,
@@ -763,12 +2169,19 @@ async function pauseStream(deviceId) {
 
         stream.status = 'paused';
         stream.state = 'PAUSED';
+        stream.pauseReason = reason;
+
+        stream.stats.pauses++;
+        stream.stats.pausedAtMs = Date.now();
+        if (reason !== 'manual') {
+            stream.stats.autoPauses[reason] = (stream.stats.autoPauses[reason] || 0) + 1;
+        }
 
         if (stream.dbId) {
             try {
                 await prisma.stream.update({
                     where: { id: stream.dbId },
-                    data: { status: 'PAUSED' }
+                    data: { status: 'PAUSED', stats: serializeStreamStats(stream.stats) }
                 });
             } catch (err) {
                 console.error(`[Stream] DB error on pause for ${deviceId}`, err.message);
@@ -776,11 +2189,21 @@ async function pauseStream(deviceId) {
         }
 
         try {
-            await updateStreamState(deviceId, { status: 'paused' });
+            await persistStreamState(stream);
         } catch (err) {
             console.error(`[Stream] Redis error on pause for ${deviceId}`, err.message);
         }
 
+        if (stream.recorder) {
+            await stream.recorder.flush();
+        }
+
+        if (stream.convoy && !isConvoyFollower(stream)) {
+            for (const followerId of stream.convoy.followers.keys()) {
+                await pauseStream(followerId, 'convoy');
+            }
+        }
+
         return {
             deviceId,
             status: stream.status,
@@ -798,6 +2221,14 @@ async function resumeStream(deviceId) {
         const stream = activeStreams.get(deviceId);
         if (!stream) return null;
 
+        // A follower held by its convoy resumes with the leader
+        if (isConvoyFollower(stream) && (stream.pauseReason === 'convoy' || stream.pauseReason === 'manual')) {
+            const leader = activeStreams.get(stream.convoy.leaderDeviceId);
+            if (leader && leader.status === 'paused') {
+                await resumeStream(leader.deviceId);
+            }
+        }
+
         if (stream.status === 'running') {
             return {
                 deviceId,
@@ -810,12 +2241,23 @@ async function resumeStream(deviceId) {
         // Restore state correctly:
         // If paused mid-WAIT, dwellTicksRemaining will still be > 0 — preserve WAIT
         // Otherwise restore MOVE
-        if (stream.dwellTicksRemaining > 0) {
+        // A recovered stream may still be parked at its destination — keep it there
+        if (stream.state === 'FINISHED') {
+            stream.vTargetMps = 0;
+        } else if (stream.dwellTicksRemaining > 0) {
             stream.state = 'WAIT';
         } else {
             stream.state = 'MOVE';
+            // Pick up a speed changed while paused (a leg gap keeps its own target)
+            if (!stream.legGapActive) stream.vTargetMps = stream.config.speed / 3.6;
         }
         stream.status = 'running';
+        stream.pauseReason = null;
+
+        if (stream.stats.pausedAtMs) {
+            stream.stats.pausedSeconds += (Date.now() - stream.stats.pausedAtMs) / 1000;
+            stream.stats.pausedAtMs = null;
+        }
 
         if (stream.dbId) {
             try {
@@ -829,7 +2271,7 @@ async function resumeStream(deviceId) {
         }
 
         try {
-            await updateStreamState(deviceId, { status: 'running' });
+            await persistStreamState(stream);
         } catch (err) {
             console.error(`[Stream] Redis error on resume for ${deviceId}`, err.message);
         }
@@ -839,16 +2281,19 @@ async function resumeStream(deviceId) {
             stream.lastTickTs = Date.now();
         }
 
-        if (stream.intervalId) {
-            clearInterval(stream.intervalId);
-        }
-
-        stream.intervalId = setInterval(() => {
-            emitNextCoordinate(deviceId);
-        }, stream.config.intervalMs);
+        scheduleTicks(stream);
 
         emitNextCoordinate(deviceId);
 
+        if (stream.convoy && !isConvoyFollower(stream)) {
+            for (const [followerId] of stream.convoy.followers) {
+                const follower = activeStreams.get(followerId);
+                if (follower && follower.pauseReason === 'convoy') {
+                    await resumeStream(followerId);
+                }
+            }
+        }
+
         return {
             deviceId,
             status: stream.status,
@@ -871,6 +2316,10 @@ async function stopStream(deviceId) {
         // 1. Clean memory and timers FIRST (idempotent)
         await cleanupStream(deviceId, `User requested stop`);
 
+        if (stream && stream.convoy) {
+            await leaveConvoy(stream);
+        }
+
         // 2. Safely update Database (idempotent)
         try {
             const activeDbStream = await prisma.stream.findFirst({
@@ -884,7 +2333,8 @@ async function stopStream(deviceId) {
                     where: { id: activeDbStream.id },
                     data: {
                         status: 'STOPPED',
-                        stoppedAt: new Date()
+                        stoppedAt: new Date(),
+                        ...(stream && stream.dbId === activeDbStream.id ? { stats: serializeStreamStats(stream.stats) } : {})
                     }
                 });
             }
@@ -932,6 +2382,10 @@ async function cleanupStream(deviceId, reason) {
 
     activeStreams.delete(deviceId);
 
+    if (stream && stream.recorder) {
+        await stream.recorder.close();
+    }
+
     try {
         await deleteStreamState(deviceId);
     } catch (err) {
@@ -944,16 +2398,31 @@ async function getStreamStatus(deviceId) {
     if (stream) {
         return {
             deviceId,
+            streamId: stream.dbId,
             routeId: stream.routeId,
+            itineraryId: stream.itinerary ? stream.itinerary.itineraryId : undefined,
+            legIndex: stream.itinerary ? stream.legIndex : undefined,
+            totalLegs: stream.itinerary ? stream.itinerary.legs.length : undefined,
             status: stream.status,
             state: stream.state,
+            pauseReason: stream.pauseReason,
+            awaitingReconnect: !!stream.recovered,
             currentIndex: stream.engineMode === 'distance' ? stream.segIndex : stream.currentIndex,
             totalPoints: stream.points.length,
+            // Distance engine position, as used by /api/stream/seek
+            routeMeters: stream.engineMode === 'distance' ? Math.round(stream.sMeters) : undefined,
+            totalRouteMeters: Math.round(stream.routeMeters[stream.routeMeters.length - 1]),
             dwellTicksRemaining: stream.dwellTicksRemaining,
             dwellRemainingSeconds: stream.dwellTicksRemaining > 0
-                ? Math.round((stream.dwellTicksRemaining * stream.config.intervalMs) / 1000)
+                ? Math.round((stream.dwellTicksRemaining * simTickMs(stream)) / 1000)
                 : null,
             speedApplied: parseFloat((stream.vMps * 3.6).toFixed(1)),
+            signalLost: stream.signalLost,
+            recording: !!stream.recorder,
+            convoy: convoyInfo(stream),
+            loopCount: stream.config.loop ? stream.loopCount : undefined,
+            direction: stream.reversed ? 'reverse' : 'forward',
+            simTime: stream.simClockMs !== null ? new Date(stream.simClockMs).toISOString() : undefined,
             engineMode: stream.engineMode,
             config: stream.config,
             startedAt: stream.startedAt,
@@ -1001,6 +2470,7 @@ async function skipDwell(deviceId) {
             const fromIndex = stream.segIndex;
             stream.segIndex = Math.min(stream.segIndex + 1, stream.points.length - 1);
             stream.segProgress = 0;
+            syncRouteDistance(stream);
             console.log(`[Stream] skip escape: moved from ${fromIndex} to ${stream.segIndex}`);
         } else {
             stream.currentIndex = Math.min(stream.currentIndex + 1, stream.points.length - 1);
@@ -1026,7 +2496,7 @@ async function extendDwell(deviceId, seconds) {
     if (!stream) return { success: false, deviceId, message: 'Stream not found' };
 
     if (stream.state === 'WAIT' || stream.dwellTicksRemaining > 0) {
-        const addedTicks = Math.ceil((seconds * 1000) / stream.config.intervalMs);
+        const addedTicks = dwellTicks(stream, seconds);
         stream.dwellTicksRemaining += addedTicks;
 
         console.log(`[Stream] STREAM_WAITING_EXTEND device=${deviceId} addedSeconds=${seconds}`);
@@ -1035,7 +2505,7 @@ async function extendDwell(deviceId, seconds) {
             streamId: stream.dbId,
             deviceId,
             addedSeconds: seconds,
-            newRemainingMs: stream.dwellTicksRemaining * stream.config.intervalMs,
+            newRemainingMs: stream.dwellTicksRemaining * simTickMs(stream),
             ownerId: stream.ownerId
         });
         return { success: true, deviceId, addedSeconds: seconds };
@@ -1043,12 +2513,358 @@ async function extendDwell(deviceId, seconds) {
     return { success: false, deviceId, message: 'Not currently waiting' };
 }
 
+/**
+ * Jump a running or paused stream to another point of its route (current leg for
+ * itineraries), forwards or backwards. Stops before the new position count as
+ * served, stops after it are served again. Paused streams stay paused.
+ * @param {Object} body - one of { meters, percent, waypointSeq, nearest: { lat, lng } }
+ * @throws {Error} code INVALID_STREAM_OPTIONS
+ */
+async function seekStream(deviceId, body = {}) {
+    const stream = activeStreams.get(deviceId);
+    if (!stream) return { success: false, deviceId, message: 'Stream not found' };
+
+    const position = pickRoutePosition(body, SEEK_POSITION_KEYS);
+    if (!position) {
+        throw invalidOptions('One of meters, percent, waypointSeq or nearest is required');
+    }
+    if (stream.convoy) {
+        throw invalidOptions('Convoy members cannot seek; stop the convoy and start it at the new position');
+    }
+
+    const { meters, offRouteMeters } = resolveRoutePosition(stream, position);
+    const fromMeters = stream.sMeters;
+    const routeMeters = stream.routeMeters[stream.routeMeters.length - 1];
+    const toMeters = seekToDistance(stream, meters);
+
+    await persistStreamState(stream);
+
+    console.log(`[Stream] STREAM_SEEK device=${deviceId} from=${Math.round(fromMeters)}m to=${Math.round(toMeters)}m`);
+    const result = {
+        success: true,
+        deviceId,
+        fromMeters: Math.round(fromMeters),
+        toMeters: Math.round(toMeters),
+        routeMeters: Math.round(routeMeters),
+        percent: routeMeters > 0 ? Math.round((toMeters / routeMeters) * 1000) / 10 : 0,
+        offRouteMeters: offRouteMeters !== undefined ? Math.round(offRouteMeters) : undefined
+    };
+
+    const { broadcast } = require('../websocket/ws.server');
+    broadcast('STREAM_SEEKED', {
+        streamId: stream.dbId,
+        deviceId,
+        fromMeters: result.fromMeters,
+        toMeters: result.toMeters,
+        percent: result.percent,
+        ownerId: stream.ownerId
+    });
+    return result;
+}
+
+/**
+ * Validate a live update of a running stream
+ * @returns {Object} the given subset of { speed, accuracy, intervalMs, loop }
+ * @throws {Error} code INVALID_STREAM_OPTIONS
+ */
+function resolveLiveUpdate(changes) {
+    const update = {};
+    if (changes.speed !== undefined) {
+        update.speed = parseFloat(changes.speed);
+        if (!Number.isFinite(update.speed) || update.speed < 1 || update.speed > 300) {
+            throw invalidOptions('speed must be between 1 and 300 km/h');
+        }
+    }
+    if (changes.accuracy !== undefined) {
+        update.accuracy = parseFloat(changes.accuracy);
+        if (!Number.isFinite(update.accuracy) || update.accuracy < 0) {
+            throw invalidOptions('accuracy must be a number >= 0');
+        }
+    }
+    if (changes.intervalMs !== undefined) {
+        update.intervalMs = parseInt(changes.intervalMs);
+        if (!Number.isFinite(update.intervalMs) || update.intervalMs < 100 || update.intervalMs > 60000) {
+            throw invalidOptions('intervalMs must be between 100 and 60000');
+        }
+    }
+    if (changes.loop !== undefined) {
+        if (typeof changes.loop !== 'boolean' && changes.loop !== 'true' && changes.loop !== 'false') {
+            throw invalidOptions('loop must be a boolean');
+        }
+        update.loop = changes.loop === true || changes.loop === 'true';
+    }
+    if (Object.keys(update).length === 0) {
+        throw invalidOptions('Give at least one of speed, accuracy, intervalMs or loop');
+    }
+    return update;
+}
+
+/**
+ * Change speed / accuracy / intervalMs / loop of a running or paused stream in place.
+ * The position, wait plan and DB stream row are kept. A new speed is reached through
+ * the usual acceleration limits; stops and leg gaps in progress keep their remaining time.
+ * @param {Object} changes - subset of { speed, accuracy, intervalMs, loop }
+ * @returns {Promise<Object>} { success, deviceId, changes, previous, config }
+ * @throws {Error} code INVALID_STREAM_OPTIONS
+ */
+async function updateStream(deviceId, changes = {}) {
+    const stream = activeStreams.get(deviceId);
+    if (!stream) return { success: false, deviceId, message: 'Stream not found' };
+
+    const update = resolveLiveUpdate(changes);
+    if (update.loop && stream.convoy) {
+        throw invalidOptions('Convoys cannot loop');
+    }
+
+    const previous = {};
+    Object.keys(update).forEach((key) => { previous[key] = stream.config[key]; });
+
+    if (update.intervalMs !== undefined && update.intervalMs !== stream.config.intervalMs) {
+        // Dwell countdowns are kept in ticks: carry the remaining time over to the new tick length
+        const remainingMs = stream.dwellTicksRemaining * simTickMs(stream);
+        stream.config.intervalMs = update.intervalMs;
+        if (stream.dwellTicksRemaining > 0) {
+            stream.dwellTicksRemaining = Math.max(1, Math.round(remainingMs / simTickMs(stream)));
+        }
+        if (stream.intervalId) {
+            scheduleTicks(stream);
+        }
+    }
+    if (update.speed !== undefined) {
+        stream.config.speed = update.speed;
+        // Later itinerary legs without their own speed use the new one too
+        if (stream.itinerary) stream.itinerary.baseSpeed = update.speed;
+        // Stops and leg gaps pick the new speed up when they end
+        if (stream.state === 'MOVE' && !stream.legGapActive) {
+            stream.vTargetMps = update.speed / 3.6;
+        }
+    }
+    if (update.accuracy !== undefined) stream.config.accuracy = update.accuracy;
+    if (update.loop !== undefined) stream.config.loop = update.loop;
+
+    if (stream.dbId && (update.speed !== undefined || update.loop !== undefined)) {
+        try {
+            await prisma.stream.update({
+                where: { id: stream.dbId },
+                data: { speed: stream.config.speed, loop: stream.config.loop }
+            });
+        } catch (err) {
+            console.error(`[Stream] DB error on update for ${deviceId}`, err.message);
+        }
+    }
+    await persistStreamState(stream);
+
+    console.log(`[Stream] STREAM_UPDATED device=${deviceId} ${JSON.stringify(update)}`);
+    const { broadcast } = require('../websocket/ws.server');
+    broadcast('STREAM_UPDATED', {
+        streamId: stream.dbId,
+        deviceId,
+        changes: update,
+        previous,
+        ownerId: stream.ownerId
+    });
+
+    return { success: true, deviceId, changes: update, previous, config: stream.config };
+}
+
+/**
+ * Rehydrate a StreamInstance from a persisted snapshot (see snapshotStream).
+ * The stream is parked as paused with no interval until its device reconnects.
+ * Itinerary streams also need the playable itinerary (see itineraryService.loadPlayableItinerary).
+ */
+function restoreStream(deviceId, route, snapshot, itinerary = null) {
+    const engine = snapshot.engine || {};
+    const stream = new StreamInstance(deviceId, route.routeId, route.points, route.waypoints, snapshot.config, snapshot.ownerId);
+
+    if (itinerary && snapshot.itinerary) {
+        stream.itinerary = {
+            itineraryId: itinerary.itineraryId,
+            name: itinerary.name,
+            legs: itinerary.legs,
+            baseSpeed: snapshot.itinerary.baseSpeed || snapshot.config.speed
+        };
+        applyLeg(stream, snapshot.itinerary.legIndex || 0);
+        stream.config.speed = snapshot.config.speed;
+        stream.vTargetMps = stream.config.speed / 3.6;
+        stream.legGapActive = !!snapshot.itinerary.legGapActive;
+    } else if (engine.reversed !== undefined && !!engine.reversed !== stream.reversed) {
+        // Ping-pong streams may have been on a return pass
+        applyDirection(stream, !!engine.reversed);
+    }
+    stream.loopCount = engine.loopCount || 0;
+
+    stream.dbId = snapshot.streamId;
+    stream.startedAt = snapshot.startedAt;
+    stream.engineMode = engine.mode || stream.engineMode;
+    stream.currentIndex = engine.currentIndex || 0;
+    stream.segIndex = engine.segIndex || 0;
+    stream.segProgress = engine.segProgress || 0;
+    stream.sMeters = engine.sMeters || 0;
+    stream.headingDeg = engine.headingDeg || 0;
+    stream.dwellTicksRemaining = engine.dwellTicksRemaining || 0;
+    stream.currentWaitPlanId = engine.currentWaitPlanId || null;
+    stream.lastWaitPointIndex = engine.lastWaitPointIndex ?? null;
+    stream.lastEmittedLatLng = engine.lastEmittedLatLng || null;
+    stream.simClockMs = engine.simClockMs ?? null;
+    if (snapshot.stats) {
+        stream.stats = { ...stream.stats, ...snapshot.stats, lastLatLng: stream.lastEmittedLatLng };
+    }
+    if (stream.config.record && stream.dbId) {
+        stream.recorder = streamRecorder.createRecorder(stream.dbId, engine.recordSeq || 0);
+    }
+
+    const completed = new Set(engine.completedWaitIds || []);
+    stream.waitPlan.forEach((w) => {
+        w.completed = completed.has(w.id);
+    });
+
+    // Physics restarts from standstill; the engine ramps back up via aMax
+    stream.vMps = 0;
+    stream.state = snapshot.state === 'PAUSED' || !snapshot.state ? 'MOVE' : snapshot.state;
+    if (stream.dwellTicksRemaining > 0 && stream.state === 'MOVE') {
+        stream.state = 'WAIT';
+    }
+    if (stream.state === 'WAIT' || stream.state === 'FINISHED') {
+        stream.vTargetMps = 0;
+    }
+    if (snapshot.convoy) {
+        restoreConvoy(stream, snapshot.convoy);
+    }
+
+    stream.status = 'paused';
+    stream.pauseReason = 'recovery';
+    stream.recovered = {
+        previousStatus: snapshot.status,
+        previousPauseReason: snapshot.pauseReason || null
+    };
+
+    activeStreams.set(deviceId, stream);
+
+    // Take ownership right away so other cluster nodes don't claim it too
+    persistStreamState(stream).catch(e => console.error(`[Stream] Redis error on restore for ${deviceId}`, e.message));
+
+    console.log(JSON.stringify({
+        event: 'STREAM_RECOVERED',
+        deviceId,
+        streamId: stream.dbId,
+        routeId: stream.routeId,
+        previousStatus: snapshot.status,
+        segIndex: stream.segIndex,
+        currentIndex: stream.currentIndex,
+        dwellTicksRemaining: stream.dwellTicksRemaining
+    }));
+
+    return stream;
+}
+
+/**
+ * Called when a device (re)connects: resume a stream that was rehydrated after a restart.
+ * Streams the user had paused stay paused but get their keepalive interval back.
+ */
+async function resumeRecoveredStream(deviceId) {
+    const stream = activeStreams.get(deviceId);
+    if (!stream || !stream.recovered) return null;
+
+    const { previousStatus, previousPauseReason } = stream.recovered;
+    stream.recovered = null;
+
+    const wasRunning = previousStatus === 'running' || previousPauseReason === 'ws_lost';
+    if (wasRunning) {
+        console.log(`[Stream] Resuming recovered stream device=${deviceId} streamId=${stream.dbId}`);
+        const resumed = await resumeStream(deviceId);
+        return resumed && { ...resumed, streamId: stream.dbId, ownerId: stream.ownerId };
+    }
+
+    stream.pauseReason = previousPauseReason || 'manual';
+    stream.lastTickTs = Date.now();
+    scheduleTicks(stream);
+    await persistStreamState(stream).catch(e => console.error(`[Stream] Redis error on recovery for ${deviceId}`, e.message));
+
+    return {
+        deviceId,
+        streamId: stream.dbId,
+        ownerId: stream.ownerId,
+        status: stream.status,
+        currentIndex: stream.engineMode === 'distance' ? stream.segIndex : stream.currentIndex,
+        totalPoints: stream.points.length
+    };
+}
+
+/**
+ * Stop all emit intervals and flush their latest snapshot to Redis.
+ * Used on graceful shutdown so closing sockets doesn't auto-pause every stream.
+ */
+async function suspendAllStreams() {
+    const pending = [];
+    const flushes = [];
+    activeStreams.forEach((stream) => {
+        if (stream.intervalId) {
+            clearInterval(stream.intervalId);
+            stream.intervalId = null;
+        }
+        pending.push(persistStreamState(stream).catch(e => console.error(`[Stream] Failed to persist ${stream.deviceId} on shutdown`, e.message)));
+        if (stream.recorder) {
+            flushes.push(stream.recorder.flush());
+        }
+    });
+    await Promise.all([...pending, ...flushes]);
+    return pending.length;
+}
+
+/**
+ * Release a stream from this process without ending it: timers stop, the
+ * latest snapshot is flushed and returned so another cluster node can
+ * restoreStream() it (device reconnected elsewhere).
+ */
+async function detachStream(deviceId) {
+    const stream = activeStreams.get(deviceId);
+    if (!stream) return null;
+
+    if (stream.intervalId) {
+        clearInterval(stream.intervalId);
+        stream.intervalId = null;
+    }
+    activeStreams.delete(deviceId);
+
+    const snapshot = snapshotStream(stream);
+    await setStreamState(deviceId, snapshot);
+
+    // The snapshot keeps the membership: restoreStream rejoins the convoy if the leader is on the new node
+    if (stream.convoy) {
+        const convoy = stream.convoy;
+        if (isConvoyFollower(stream)) {
+            convoy.followers.delete(deviceId);
+        } else {
+            [...convoy.followers.keys()]
+                .map(followerId => activeStreams.get(followerId))
+                .filter(follower => follower && follower.convoy === convoy)
+                .forEach(dropFromConvoy);
+        }
+    }
+    if (stream.recorder) {
+        await stream.recorder.close();
+    }
+
+    console.log(JSON.stringify({
+        event: 'STREAM_DETACHED',
+        deviceId,
+        streamId: stream.dbId,
+        status: stream.status,
+        pauseReason: stream.pauseReason
+    }));
+
+    return snapshot;
+}
+
 function getAllStreams() {
     const streams = [];
     activeStreams.forEach((stream, deviceId) => {
         streams.push({
             deviceId,
             routeId: stream.routeId,
+            itineraryId: stream.itinerary ? stream.itinerary.itineraryId : undefined,
+            legIndex: stream.itinerary ? stream.legIndex : undefined,
+            convoyId: stream.convoy ? stream.convoy.convoyId : undefined,
             status: stream.status,
             state: stream.state,
             currentIndex: stream.engineMode === 'distance' ? stream.segIndex : stream.currentIndex,
@@ -1062,21 +2878,164 @@ function hasActiveStream(deviceId) {
     return activeStreams.has(deviceId);
 }
 
-async function getStreamHistory(deviceId, limit = 10) {
-    return prisma.stream.findMany({
-        where: { deviceId },
-        orderBy: { startedAt: 'desc' },
-        take: limit,
-        include: {
-            route: {
-                select: { name: true }
-            }
+/**
+ * Per-stream summary for the history API. Streams running on this node report their live totals;
+ * running streams on other nodes their Redis snapshot's (see getStreamHistory).
+ * @param {Object} dbStream - streams row
+ * @param {Object} [snapshotStats] - Raw stats from the stream's Redis snapshot
+ */
+function formatHistoryEntry(dbStream, snapshotStats = null) {
+    const live = activeStreams.get(dbStream.deviceId);
+    let stats = dbStream.stats;
+    if (live && live.dbId === dbStream.id) {
+        stats = serializeStreamStats(live.stats);
+    } else if (snapshotStats) {
+        stats = serializeStreamStats(snapshotStats);
+    }
+    const endMs = dbStream.stoppedAt ? new Date(dbStream.stoppedAt).getTime() : Date.now();
+
+    return {
+        streamId: dbStream.id,
+        deviceId: dbStream.deviceId,
+        routeId: dbStream.routeId,
+        routeName: dbStream.route?.name || null,
+        itineraryId: dbStream.itineraryId,
+        status: dbStream.status,
+        speed: dbStream.speed,
+        loop: dbStream.loop,
+        recorded: dbStream.recorded,
+        startedAt: dbStream.startedAt,
+        stoppedAt: dbStream.stoppedAt,
+        summary: {
+            durationSeconds: Math.round((endMs - new Date(dbStream.startedAt).getTime()) / 1000),
+            // Streams started before stats were collected only have a duration
+            distanceMeters: stats ? stats.distanceMeters : null,
+            movingSeconds: stats ? stats.movingSeconds : null,
+            dwellSeconds: stats ? stats.dwellSeconds : null,
+            pausedSeconds: stats ? stats.pausedSeconds : null,
+            pauses: stats ? stats.pauses : null,
+            autoPauses: stats ? stats.autoPauses : null
         }
-    });
+    };
+}
+
+/**
+ * Stats of a running stream from its Redis snapshot, when it isn't running on this node
+ * (another node, or a process that died before writing them to Postgres)
+ */
+async function snapshotStatsFor(dbStream) {
+    if (dbStream.status === 'STOPPED') return null;
+    const live = activeStreams.get(dbStream.deviceId);
+    if (live && live.dbId === dbStream.id) return null;
+
+    try {
+        const state = await getStreamState(dbStream.deviceId);
+        return state && state.streamId === dbStream.id && state.stats ? state.stats : null;
+    } catch (err) {
+        console.error(`[Stream] Redis error reading stats for ${dbStream.deviceId}`, err.message);
+        return null;
+    }
+}
+
+function historyWhere(filters) {
+    const where = {};
+    if (filters.deviceId) where.deviceId = filters.deviceId;
+    if (filters.routeId) where.routeId = filters.routeId;
+    if (filters.status) where.status = filters.status;
+    if (filters.userId) where.device = { userId: filters.userId };
+    if (filters.from || filters.to) {
+        where.startedAt = {};
+        if (filters.from) where.startedAt.gte = filters.from;
+        if (filters.to) where.startedAt.lte = filters.to;
+    }
+    return where;
+}
+
+/**
+ * historyWhere() as SQL conditions on streams s / devices d, for getStreamTotalsByDevice
+ */
+function historySqlWhere(filters) {
+    const conditions = [Prisma.sql`TRUE`];
+    if (filters.deviceId) conditions.push(Prisma.sql`s.device_id = ${filters.deviceId}`);
+    if (filters.routeId) conditions.push(Prisma.sql`s.route_id = ${filters.routeId}`);
+    if (filters.status) conditions.push(Prisma.sql`s.status = ${filters.status}`);
+    if (filters.userId) conditions.push(Prisma.sql`d.user_id = ${filters.userId}`);
+    if (filters.from) conditions.push(Prisma.sql`s.started_at >= ${filters.from}`);
+    if (filters.to) conditions.push(Prisma.sql`s.started_at <= ${filters.to}`);
+    return Prisma.join(conditions, ' AND ');
+}
+
+/**
+ * Past and running streams, newest first
+ * @param {Object} filters - { deviceId, routeId, status, userId (owner of the device), from, to (Date, on startedAt), page, limit }
+ * @returns {Promise<Object>} { items, total, page, limit }
+ */
+async function getStreamHistory(filters = {}) {
+    const where = historyWhere(filters);
+    const page = filters.page || 1;
+    const limit = filters.limit || 20;
+
+    const [total, streams] = await Promise.all([
+        prisma.stream.count({ where }),
+        prisma.stream.findMany({
+            where,
+            orderBy: { startedAt: 'desc' },
+            skip: (page - 1) * limit,
+            take: limit,
+            include: {
+                route: {
+                    select: { name: true }
+                }
+            }
+        })
+    ]);
+
+    const snapshotStats = await Promise.all(streams.map(snapshotStatsFor));
+
+    return {
+        items: streams.map((dbStream, i) => formatHistoryEntry(dbStream, snapshotStats[i])),
+        total,
+        page,
+        limit
+    };
+}
+
+/**
+ * Totals per device over every stream matching the filters (no pagination), summed in SQL.
+ * Running streams count with the stats last written to Postgres (every STREAM_STATS_FLUSH_SECONDS,
+ * and on pause), so their distance and times can lag by up to that interval.
+ * @param {Object} filters - Same as getStreamHistory
+ * @returns {Promise<Array>} [{ deviceId, streams, distanceKm, durationSeconds, movingSeconds, dwellSeconds, pauses, autoPauses }]
+ */
+async function getStreamTotalsByDevice(filters = {}) {
+    const rows = await prisma.$queryRaw`
+        SELECT
+            s.device_id AS "deviceId",
+            COUNT(*)::int AS streams,
+            COALESCE(SUM((s.stats->>'distanceMeters')::float8), 0)::float8 AS "distanceMeters",
+            COALESCE(SUM(ROUND(EXTRACT(EPOCH FROM (COALESCE(s.stopped_at, NOW()) - s.started_at)))), 0)::float8 AS "durationSeconds",
+            COALESCE(SUM((s.stats->>'movingSeconds')::float8), 0)::float8 AS "movingSeconds",
+            COALESCE(SUM((s.stats->>'dwellSeconds')::float8), 0)::float8 AS "dwellSeconds",
+            COALESCE(SUM((s.stats->>'pauses')::int), 0)::int AS pauses,
+            COALESCE(SUM((
+                SELECT SUM(reason.value::int) FROM jsonb_each_text(s.stats->'autoPauses') AS reason
+            )), 0)::int AS "autoPauses"
+        FROM streams s
+        JOIN devices d ON d.device_id = s.device_id
+        WHERE ${historySqlWhere(filters)}
+        GROUP BY s.device_id
+        ORDER BY "distanceMeters" DESC
+    `;
+
+    return rows.map(({ distanceMeters, ...totals }) => ({
+        ...totals,
+        distanceKm: parseFloat((distanceMeters / 1000).toFixed(2))
+    }));
 }
 
 module.exports = {
     startStream,
+    startConvoy,
     pauseStream,
     resumeStream,
     stopStream,
@@ -1084,6 +3043,23 @@ module.exports = {
     getAllStreams,
     hasActiveStream,
     getStreamHistory,
+    getStreamTotalsByDevice,
     skipDwell,
-    extendDwell
+    extendDwell,
+    seekStream,
+    updateStream,
+    restoreStream,
+    resumeRecoveredStream,
+    suspendAllStreams,
+    detachStream,
+    // Engine internals shared with simulation.service
+    StreamInstance,
+    buildStreamConfig,
+    START_OPTION_KEYS,
+    validateStartOptions,
+    resolveStartDistance,
+    withoutStartPosition,
+    initSimClock,
+    runEngineTick,
+    applyDwellOverride
 };
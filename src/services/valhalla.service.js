@@ -0,0 +1,113 @@
+/**
+ * Valhalla Client
+ * Directions from a Valhalla server (VALHALLA_API_URL), as a routing.service provider.
+ * Valhalla only routes here: geocoding goes to the other providers.
+ * Leg shapes come back as precision 6 encoded polylines.
+ */
+
+const axios = require('axios');
+const config = require('../config/config');
+const { decodePolyline } = require('../utils/geospatial.util');
+const { routingError, fromHttpError } = require('../utils/routing.error.util');
+
+const VALHALLA_COSTINGS = {
+    'driving-car': 'auto',
+    'driving-hgv': 'truck',
+    'cycling-regular': 'bicycle',
+    'cycling-road': 'bicycle',
+    'cycling-mountain': 'bicycle',
+    'cycling-electric': 'bicycle',
+    'foot-walking': 'pedestrian',
+    'foot-hiking': 'pedestrian',
+    'wheelchair': 'pedestrian'
+};
+
+// Valhalla error codes meaning "no path between these locations"
+const NO_ROUTE_CODES = [170, 171, 442, 443];
+
+function baseUrl() {
+    return config.VALHALLA_API_URL.replace(/\/+$/, '');
+}
+
+function isConfigured() {
+    return !!config.VALHALLA_API_URL;
+}
+
+function supportsProfile(profile) {
+    return !!VALHALLA_COSTINGS[profile];
+}
+
+/**
+ * Get directions through 2..N waypoints
+ * @param {Array<{lat: number, lng: number}>} waypoints
+ * @param {string} profile - Routing profile (driving-car, driving-hgv, cycling-regular, foot-walking, ...)
+ * @returns {Promise<{geometry: Array, distanceMeters: number, durationSeconds: number, speedRanges: Array}>}
+ * @throws {Error} If the directions request fails
+ */
+async function getDirectionsMulti(waypoints, profile = 'driving-car') {
+    if (!isConfigured()) {
+        throw routingError('VALHALLA_API_URL is not configured', { unavailable: true });
+    }
+    if (!waypoints || waypoints.length < 2) {
+        throw new Error('At least 2 waypoints are required');
+    }
+    if (!supportsProfile(profile)) {
+        throw new Error(`Invalid profile for Valhalla: ${profile}`);
+    }
+
+    const costing = VALHALLA_COSTINGS[profile];
+
+    try {
+        console.log(`[Valhalla] Getting directions: ${waypoints.length} points (${costing})`);
+
+        const response = await axios.post(`${baseUrl()}/route`, {
+            locations: waypoints.map(wp => ({ lat: parseFloat(wp.lat), lon: parseFloat(wp.lng) })),
+            costing,
+            ...(profile === 'wheelchair' ? { costing_options: { pedestrian: { type: 'wheelchair' } } } : {}),
+            directions_type: 'none',
+            units: 'kilometers'
+        }, { timeout: config.ROUTING_TIMEOUT_MS });
+
+        const trip = response.data?.trip;
+        if (!trip || !Array.isArray(trip.legs) || trip.legs.length === 0) {
+            throw new Error('No route found between the specified waypoints');
+        }
+
+        // Legs share their joining location
+        const geometry = [];
+        trip.legs.forEach((leg, i) => {
+            const points = decodePolyline(leg.shape, 6);
+            geometry.push(...(i > 0 ? points.slice(1) : points));
+        });
+
+        return {
+            geometry,
+            distanceMeters: (trip.summary?.length || 0) * 1000,
+            durationSeconds: trip.summary?.time || 0,
+            speedRanges: []
+        };
+
+    } catch (error) {
+        throw fromHttpError('Valhalla', error, (status, data) => (
+            NO_ROUTE_CODES.includes(data?.error_code) ? `No route found between the specified locations (${data.error})` : null
+        ));
+    }
+}
+
+/**
+ * Get directions between two coordinates
+ * @param {Object} origin - {lat, lng}
+ * @param {Object} destination - {lat, lng}
+ * @param {string} profile
+ */
+async function getDirections(origin, destination, profile = 'driving-car') {
+    return getDirectionsMulti([origin, destination], profile);
+}
+
+module.exports = {
+    name: 'valhalla',
+    isConfigured,
+    supportsProfile,
+    getDirections,
+    getDirectionsMulti
+};
@@ -0,0 +1,233 @@
+/**
+ * Cron Utilities
+ * Standard 5-field cron expressions (minute hour day-of-month month day-of-week)
+ * evaluated in an IANA timezone.
+ *
+ * Fields accept *, numbers, ranges (1-5), lists (1,15) and steps (*\/10, 8-18/2);
+ * month and weekday names (JAN, MON) and the @hourly/@daily/@weekly/@monthly/@yearly
+ * macros are supported. As in cron, when both day-of-month and day-of-week are
+ * restricted a day matches if either does.
+ */
+
+const MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const WEEKDAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+    { name: 'dayOfWeek', min: 0, max: 7, names: WEEKDAY_NAMES, nameOffset: 0 }
+];
+
+// Give up looking for a match after this many years (e.g. "0 0 30 2 *")
+const MAX_SEARCH_YEARS = 5;
+
+function invalid(message) {
+    const error = new Error(`Invalid cron expression: ${message}`);
+    error.code = 'INVALID_CRON';
+    return error;
+}
+
+function parseValue(text, field) {
+    const upper = text.toUpperCase();
+    if (field.names && field.names.includes(upper)) {
+        return field.names.indexOf(upper) + field.nameOffset;
+    }
+    if (!/^\d+$/.test(text)) {
+        throw invalid(`"${text}" is not a valid ${field.name}`);
+    }
+    const value = parseInt(text);
+    if (value < field.min || value > field.max) {
+        throw invalid(`${field.name} ${value} is outside ${field.min}-${field.max}`);
+    }
+    return value;
+}
+
+function parseField(text, field) {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const [rangeText, stepText] = part.split('/');
+        const step = stepText !== undefined ? parseInt(stepText) : 1;
+        if (!(step >= 1) || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+            throw invalid(`bad step in "${part}"`);
+        }
+
+        let from;
+        let to;
+        if (rangeText === '*') {
+            from = field.min;
+            to = field.max;
+        } else if (rangeText.includes('-')) {
+            const [a, b] = rangeText.split('-');
+            from = parseValue(a, field);
+            to = parseValue(b, field);
+            if (from > to) throw invalid(`range "${rangeText}" is reversed`);
+        } else {
+            from = parseValue(rangeText, field);
+            to = stepText !== undefined ? field.max : from;
+        }
+
+        for (let v = from; v <= to; v += step) {
+            values.add(v);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression
+ * @returns {Object} { minute, hour, dayOfMonth, month, dayOfWeek (Sets), dayOfMonthRestricted, dayOfWeekRestricted }
+ * @throws {Error} code INVALID_CRON
+ */
+function parseCron(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+        throw invalid('expression must be a non-empty string');
+    }
+    const expanded = MACROS[expression.trim().toLowerCase()] || expression.trim();
+    const parts = expanded.split(/\s+/);
+    if (parts.length !== 5) {
+        throw invalid(`expected 5 fields, got ${parts.length}`);
+    }
+
+    const parsed = {};
+    FIELDS.forEach((field, i) => {
+        parsed[field.name] = parseField(parts[i], field);
+    });
+
+    // 7 is an alias for Sunday
+    if (parsed.dayOfWeek.has(7)) {
+        parsed.dayOfWeek.delete(7);
+        parsed.dayOfWeek.add(0);
+    }
+    parsed.dayOfMonthRestricted = parts[2] !== '*';
+    parsed.dayOfWeekRestricted = parts[4] !== '*';
+    return parsed;
+}
+
+/**
+ * Whether an IANA timezone name is known to the runtime
+ */
+function isValidTimezone(timezone) {
+    try {
+        const formatter = new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return !!formatter;
+    } catch (error) {
+        return false;
+    }
+}
+
+const formatters = new Map();
+
+/**
+ * Wall-clock fields of an instant in a timezone, as a UTC timestamp
+ * (i.e. "local time" with the offset removed)
+ */
+function wallClockMs(ms, timezone) {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+    const parts = {};
+    formatters.get(timezone).formatToParts(new Date(ms)).forEach(({ type, value }) => {
+        parts[type] = parseInt(value);
+    });
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+}
+
+/**
+ * Convert a wall-clock time in a timezone to an instant.
+ * Times skipped by a DST jump are shifted forward by the jump (02:30 -> 03:30).
+ */
+function zonedToUtcMs(wallMs, timezone) {
+    const first = wallMs - (wallClockMs(wallMs, timezone) - wallMs);
+    const second = wallMs - (wallClockMs(first, timezone) - first);
+    if (wallClockMs(second, timezone) === wallMs) {
+        return second;
+    }
+    return Math.max(first, second);
+}
+
+function dayMatches(cron, date) {
+    const domMatch = cron.dayOfMonth.has(date.getUTCDate());
+    const dowMatch = cron.dayOfWeek.has(date.getUTCDay());
+    if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+        return domMatch || dowMatch;
+    }
+    return domMatch && dowMatch;
+}
+
+/**
+ * Next time a cron expression fires strictly after a given instant
+ * @param {string|Object} expression - Cron string or the result of parseCron
+ * @param {Date|number} after
+ * @param {string} timezone - IANA name, e.g. 'America/Santo_Domingo' (default 'UTC')
+ * @returns {Date|null} null when nothing matches within MAX_SEARCH_YEARS
+ */
+function nextCronRun(expression, after, timezone = 'UTC') {
+    const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+    const afterMs = new Date(after).getTime();
+
+    // Walk the local calendar, jumping whole months/days/hours when a field can't match
+    const start = new Date(wallClockMs(afterMs, timezone));
+    start.setUTCSeconds(0, 0);
+    start.setUTCMinutes(start.getUTCMinutes() + 1);
+    const limitMs = start.getTime() + MAX_SEARCH_YEARS * 366 * 24 * 3600 * 1000;
+
+    const t = start;
+    while (t.getTime() < limitMs) {
+        if (!cron.month.has(t.getUTCMonth() + 1)) {
+            t.setUTCMonth(t.getUTCMonth() + 1, 1);
+            t.setUTCHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!dayMatches(cron, t)) {
+            t.setUTCDate(t.getUTCDate() + 1);
+            t.setUTCHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!cron.hour.has(t.getUTCHours())) {
+            t.setUTCHours(t.getUTCHours() + 1, 0, 0, 0);
+            continue;
+        }
+        if (!cron.minute.has(t.getUTCMinutes())) {
+            t.setUTCMinutes(t.getUTCMinutes() + 1, 0, 0);
+            continue;
+        }
+
+        const runMs = zonedToUtcMs(t.getTime(), timezone);
+        // A DST fall-back can map the local time back before `after`
+        if (runMs > afterMs) {
+            return new Date(runMs);
+        }
+        t.setUTCMinutes(t.getUTCMinutes() + 1, 0, 0);
+    }
+    return null;
+}
+
+module.exports = {
+    parseCron,
+    nextCronRun,
+    isValidTimezone
+};
@@ -0,0 +1,240 @@
+/**
+ * CSV Track Importer
+ * Reads logger CSV exports (RFC 4180 quoting, ',' ';' or tab separated) into route points.
+ * Columns are found by header name or mapped explicitly:
+ *   { lat, lng, time, speed, bearing, altitude, dwell } -> header name or 0-based column index
+ * Unmapped columns are guessed from common header names (latitude, lon, timestamp, course, ...).
+ * Numbers are parsed strictly: "12abc" is not 12. With a ';' or tab delimiter a decimal
+ * comma is accepted too ("18,5"), as in European locale exports.
+ * Rows that can't be used are skipped and reported as warnings { element: 'row', line, message }.
+ */
+
+const MAX_WARNINGS = 100;
+
+const NUMBER_PATTERN = /^[+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?$/;
+const DECIMAL_COMMA_PATTERN = /^[+-]?\d*,\d+$/;
+
+const COLUMN_GUESSES = {
+    lat: ['lat', 'latitude'],
+    lng: ['lng', 'lon', 'long', 'longitude'],
+    time: ['time', 'timestamp', 'datetime', 'date_time', 'utc', 'ts'],
+    speed: ['speed', 'velocity'],
+    bearing: ['bearing', 'course', 'heading'],
+    altitude: ['altitude', 'alt', 'ele', 'elevation'],
+    dwell: ['dwell', 'dwellseconds', 'dwell_seconds', 'wait']
+};
+
+// Factor to km/h
+const SPEED_UNITS = {
+    kmh: 1,
+    mps: 3.6,
+    knots: 1.852,
+    mph: 1.609344
+};
+
+function invalidCsv(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_CSV';
+    return error;
+}
+
+/**
+ * Split CSV text into rows of fields
+ * @returns {Array} [{ line, fields }] line = 1-based line the row starts on
+ */
+function splitRows(text, delimiter) {
+    const rows = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"') {
+                if (text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    quoted = false;
+                }
+            } else {
+                if (c === '\n') line++;
+                field += c;
+            }
+        } else if (c === '"' && field === '') {
+            quoted = true;
+        } else if (c === delimiter) {
+            fields.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            fields.push(field);
+            rows.push({ line: rowLine, fields });
+            fields = [];
+            field = '';
+            line++;
+            rowLine = line;
+        } else {
+            field += c;
+        }
+    }
+    if (quoted) throw invalidCsv(`Unterminated quoted field starting on line ${rowLine}`);
+    if (field !== '' || fields.length > 0) {
+        fields.push(field);
+        rows.push({ line: rowLine, fields });
+    }
+
+    return rows.filter(row => row.fields.some(f => f.trim() !== ''));
+}
+
+/**
+ * Most frequent of , ; and tab in the first line
+ */
+function detectDelimiter(text) {
+    const firstLine = text.slice(0, text.search(/\r?\n|$/));
+    let best = ',';
+    let bestCount = 0;
+    for (const candidate of [',', ';', '\t']) {
+        const count = firstLine.split(candidate).length - 1;
+        if (count > bestCount) {
+            best = candidate;
+            bestCount = count;
+        }
+    }
+    return best;
+}
+
+/**
+ * Strict number of a cell: null when empty, NaN when not a number as a whole
+ * @param {string} value - Trimmed cell
+ * @param {string} delimiter - Decimal commas are only unambiguous when ',' isn't the delimiter
+ */
+function parseNumber(value, delimiter) {
+    if (value === '') return null;
+    if (NUMBER_PATTERN.test(value)) return Number(value);
+    if (delimiter !== ',' && DECIMAL_COMMA_PATTERN.test(value)) return Number(value.replace(',', '.'));
+    return NaN;
+}
+
+/**
+ * Time value as an ISO string: ISO / date text, or epoch seconds / milliseconds
+ */
+function parseTimeValue(value) {
+    if (/^\d+(\.\d+)?$/.test(value)) {
+        const number = parseFloat(value);
+        const ms = number > 1e11 ? number : number * 1000;
+        return new Date(ms).toISOString();
+    }
+    const ms = Date.parse(value);
+    return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+}
+
+/**
+ * Parse a CSV track
+ * @param {string} csvContent
+ * @param {Object} options - { columns, delimiter, header (default true), speedUnit (kmh|mps|knots|mph, default kmh) }
+ * @returns {Object} { points, columns (resolved indexes), totalRows, skippedRows, warnings, warningCount }
+ * @throws {Error} code INVALID_CSV
+ */
+function parseCSVTrack(csvContent, options = {}) {
+    if (!csvContent || typeof csvContent !== 'string') {
+        throw invalidCsv('CSV content must be a non-empty string');
+    }
+    const speedUnit = options.speedUnit || 'kmh';
+    if (!SPEED_UNITS[speedUnit]) {
+        throw invalidCsv(`speedUnit must be one of: ${Object.keys(SPEED_UNITS).join(', ')}`);
+    }
+    const text = csvContent.replace(/^\uFEFF/, '');
+    const delimiter = options.delimiter || detectDelimiter(text);
+    if (typeof delimiter !== 'string' || delimiter.length !== 1) {
+        throw invalidCsv('delimiter must be a single character');
+    }
+
+    const rows = splitRows(text, delimiter);
+    const hasHeader = options.header !== false;
+    const headers = hasHeader && rows.length > 0 ? rows.shift().fields.map(h => h.trim()) : [];
+    const normalized = headers.map(h => h.toLowerCase().replace(/[\s()[\]]/g, ''));
+
+    // Resolve every field to a column index
+    const mapping = options.columns || {};
+    const columns = {};
+    for (const key of Object.keys(COLUMN_GUESSES)) {
+        const wanted = mapping[key];
+        if (wanted === undefined || wanted === null || wanted === '') {
+            const guess = normalized.findIndex(h => COLUMN_GUESSES[key].includes(h));
+            columns[key] = guess === -1 ? null : guess;
+        } else if (Number.isInteger(wanted) && wanted >= 0) {
+            columns[key] = wanted;
+        } else {
+            const index = headers.indexOf(String(wanted));
+            if (index === -1) throw invalidCsv(`column "${wanted}" (${key}) not found in the header`);
+            columns[key] = index;
+        }
+    }
+    if (columns.lat === null || columns.lng === null) {
+        throw invalidCsv('lat and lng columns not found; map them with columns: { lat, lng }');
+    }
+
+    const result = { points: [], columns, totalRows: rows.length, skippedRows: 0, warnings: [], warningCount: 0 };
+    const warn = (line, message) => {
+        result.warningCount++;
+        if (result.warnings.length < MAX_WARNINGS) result.warnings.push({ element: 'row', line, message });
+    };
+    const cell = (fields, key) => (columns[key] === null ? '' : (fields[columns[key]] ?? '').trim());
+
+    const number = (fields, key) => parseNumber(cell(fields, key), delimiter);
+
+    for (const { line, fields } of rows) {
+        const lat = number(fields, 'lat');
+        const lng = number(fields, 'lng');
+        if (!Number.isFinite(lat) || !Number.isFinite(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+            result.skippedRows++;
+            warn(line, `invalid coordinates "${cell(fields, 'lat')}", "${cell(fields, 'lng')}", row skipped`);
+            continue;
+        }
+        // A malformed number means the columns are misread: don't keep half a row
+        const malformed = ['speed', 'bearing', 'altitude'].find(key => Number.isNaN(number(fields, key)));
+        if (malformed) {
+            result.skippedRows++;
+            warn(line, `invalid ${malformed} "${cell(fields, malformed)}", row skipped`);
+            continue;
+        }
+        const point = { lat, lng };
+
+        const time = cell(fields, 'time');
+        if (time !== '') {
+            const iso = parseTimeValue(time);
+            if (iso) point.time = iso;
+            else warn(line, `invalid time "${time}" ignored`);
+        }
+        const speed = number(fields, 'speed');
+        if (Number.isFinite(speed) && speed >= 0) {
+            point.speed = parseFloat((speed * SPEED_UNITS[speedUnit]).toFixed(1));
+        }
+        const bearing = number(fields, 'bearing');
+        if (Number.isFinite(bearing)) {
+            point.bearing = ((bearing % 360) + 360) % 360;
+        }
+        const altitude = number(fields, 'altitude');
+        if (Number.isFinite(altitude)) {
+            point.altitude = altitude;
+        }
+        const dwell = cell(fields, 'dwell');
+        if (dwell !== '') {
+            const dwellSeconds = parseNumber(dwell, delimiter);
+            if (Number.isFinite(dwellSeconds) && dwellSeconds >= 0) point.dwellSeconds = Math.floor(dwellSeconds);
+            else warn(line, `invalid dwell "${dwell}" ignored`);
+        }
+
+        result.points.push(point);
+    }
+
+    return result;
+}
+
+module.exports = {
+    parseCSVTrack
+};
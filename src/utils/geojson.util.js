@@ -0,0 +1,245 @@
+/**
+ * Route GeoJSON Utility
+ * Reads and writes routes as GeoJSON FeatureCollections (RFC 7946, [lng, lat, alt?] positions):
+ *   LineString / MultiLineString features -> route geometry
+ *   Point features                        -> waypoints (properties kind, dwellSeconds, name, description)
+ * Per-point data travels as arrays parallel to the coordinates, like recorded tracks:
+ * coordTimes (ISO times), speedsKmh (route point speeds) or speeds (m/s, recorded tracks).
+ */
+
+const { calculateDistance } = require('./geospatial.util');
+
+const MAX_WARNINGS = 100;
+const WAYPOINT_KINDS = ['origin', 'stop', 'destination'];
+
+function invalidGeoJSON(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_GEOJSON';
+    return error;
+}
+
+/**
+ * Position -> point; null when it isn't a valid [lng, lat, alt?]
+ */
+function toPoint(position) {
+    if (!Array.isArray(position)) return null;
+    const [lng, lat, alt] = position;
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+        return null;
+    }
+    const point = { lat, lng };
+    if (Number.isFinite(alt)) point.altitude = alt;
+    return point;
+}
+
+/**
+ * Points of one LineString with the per-point property arrays applied
+ * @param {Array} positions - LineString coordinates
+ * @param {Object} extras - { times, speedsKmh, speedsMps } arrays for these positions (optional)
+ * @returns {Object} { points, invalid } invalid = number of skipped positions
+ */
+function linePoints(positions, extras) {
+    const points = [];
+    let invalid = 0;
+    positions.forEach((position, i) => {
+        const point = toPoint(position);
+        if (!point) {
+            invalid++;
+            return;
+        }
+        const time = extras.times?.[i];
+        if (typeof time === 'string' && Number.isFinite(Date.parse(time))) point.time = time;
+        const speedKmh = extras.speedsKmh?.[i];
+        const speedMps = extras.speedsMps?.[i];
+        if (Number.isFinite(speedKmh) && speedKmh > 0) point.speed = speedKmh;
+        else if (Number.isFinite(speedMps) && speedMps > 0) point.speed = parseFloat((speedMps * 3.6).toFixed(1));
+        points.push(point);
+    });
+    return { points, invalid };
+}
+
+/**
+ * Parse a route FeatureCollection (a single Feature or bare geometry is accepted too)
+ * @param {Object|string} input - GeoJSON object or JSON text
+ * @returns {Object} { name, lines: [{ index, name, points, feature }], waypoints: [{ lat, lng, altitude?,
+ *   name, description, kind, dwellSeconds?, feature }], warnings, warningCount }
+ * @throws {Error} code INVALID_GEOJSON
+ */
+function parseRouteGeoJSON(input) {
+    let geojson = input;
+    if (typeof input === 'string') {
+        try {
+            geojson = JSON.parse(input);
+        } catch (error) {
+            throw invalidGeoJSON(`GeoJSON is not valid JSON: ${error.message}`);
+        }
+    }
+    if (!geojson || typeof geojson !== 'object') {
+        throw invalidGeoJSON('GeoJSON must be an object');
+    }
+
+    let features;
+    if (geojson.type === 'FeatureCollection') {
+        if (!Array.isArray(geojson.features)) throw invalidGeoJSON('FeatureCollection.features must be an array');
+        features = geojson.features;
+    } else if (geojson.type === 'Feature') {
+        features = [geojson];
+    } else if (typeof geojson.type === 'string' && geojson.coordinates !== undefined) {
+        features = [{ type: 'Feature', geometry: geojson, properties: {} }];
+    } else {
+        throw invalidGeoJSON(`Unsupported GeoJSON type "${geojson.type}"`);
+    }
+
+    const doc = { name: geojson.properties?.name || geojson.name || null, lines: [], waypoints: [], warnings: [], warningCount: 0 };
+    const warn = (featureIndex, message) => {
+        doc.warningCount++;
+        if (doc.warnings.length < MAX_WARNINGS) doc.warnings.push({ element: `features[${featureIndex}]`, line: null, message });
+    };
+
+    features.forEach((feature, f) => {
+        const geometry = feature?.geometry;
+        const properties = feature?.properties || {};
+        if (!geometry || typeof geometry !== 'object') {
+            warn(f, 'feature without geometry, skipped');
+            return;
+        }
+
+        if (geometry.type === 'LineString' || geometry.type === 'MultiLineString') {
+            const parts = geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates;
+            if (!Array.isArray(parts) || !parts.every(Array.isArray)) {
+                warn(f, `${geometry.type} coordinates must be arrays, skipped`);
+                return;
+            }
+            // MultiLineString property arrays are nested per part
+            const partArray = (value, i) => (geometry.type === 'LineString' ? value : value?.[i]);
+            const points = [];
+            let invalid = 0;
+            parts.forEach((positions, i) => {
+                const part = linePoints(positions, {
+                    times: partArray(properties.coordTimes, i),
+                    speedsKmh: partArray(properties.speedsKmh, i),
+                    speedsMps: partArray(properties.speeds, i)
+                });
+                invalid += part.invalid;
+                if (points.length > 0 && part.points.length > 0) {
+                    const gap = calculateDistance(points[points.length - 1], part.points[0]);
+                    warn(f, `MultiLineString parts ${i - 1} and ${i} joined across a ${Math.round(gap)}m gap`);
+                }
+                points.push(...part.points);
+            });
+            if (invalid > 0) warn(f, `${invalid} invalid positions skipped`);
+            if (points.length === 0) {
+                warn(f, `${geometry.type} without valid positions, skipped`);
+                return;
+            }
+            doc.lines.push({ index: doc.lines.length, name: properties.name || null, points, feature: f });
+        } else if (geometry.type === 'Point') {
+            const point = toPoint(geometry.coordinates);
+            if (!point) {
+                warn(f, `invalid Point coordinates ${JSON.stringify(geometry.coordinates)}, skipped`);
+                return;
+            }
+            let kind = properties.kind || 'stop';
+            if (!WAYPOINT_KINDS.includes(kind)) {
+                warn(f, `unknown kind "${kind}", used as a stop`);
+                kind = 'stop';
+            }
+            let dwellSeconds;
+            if (properties.dwellSeconds !== undefined && properties.dwellSeconds !== null) {
+                dwellSeconds = Number(properties.dwellSeconds);
+                if (!Number.isFinite(dwellSeconds) || dwellSeconds < 0) {
+                    warn(f, `invalid dwellSeconds ${JSON.stringify(properties.dwellSeconds)} ignored`);
+                    dwellSeconds = undefined;
+                }
+            }
+            doc.waypoints.push({
+                ...point,
+                name: properties.name || properties.label || null,
+                description: properties.description || properties.text || null,
+                kind,
+                dwellSeconds,
+                feature: f
+            });
+        } else {
+            warn(f, `${geometry.type} features are not used, skipped`);
+        }
+    });
+
+    return doc;
+}
+
+/**
+ * Pick the line to build the route from
+ * @param {Object} doc - From parseRouteGeoJSON
+ * @param {number} [lineIndex] - Index into doc.lines (default: the first line)
+ * @returns {Object} { index, name, points, warnings }
+ * @throws {Error} code INVALID_GEOJSON
+ */
+function selectGeoJSONLine(doc, lineIndex) {
+    const chosen = lineIndex !== undefined && lineIndex !== null && lineIndex !== '';
+    const index = chosen ? Number(lineIndex) : 0;
+    if (!Number.isInteger(index) || index < 0) throw invalidGeoJSON('line must be an integer >= 0');
+    if (doc.lines.length === 0) {
+        throw invalidGeoJSON('GeoJSON has no LineString or MultiLineString feature to build the route from');
+    }
+    const line = doc.lines[index];
+    if (!line) throw invalidGeoJSON(`line ${index} not found (the file has ${doc.lines.length} lines)`);
+
+    const warnings = doc.lines.length > 1 && !chosen
+        ? [{ element: `features[${line.feature}]`, line: null, message: `${doc.lines.length} lines found, imported line 0 (choose with "line")` }]
+        : [];
+    return { index, name: line.name, points: line.points, warnings };
+}
+
+/**
+ * FeatureCollection of a route (formatRouteResponseWithWaypoints output): the route as a
+ * LineString with per-point arrays, plus one Point per waypoint
+ */
+function routeToGeoJSON(route) {
+    const points = route.points || [];
+    const hasTimes = points.some(p => p.time);
+
+    const line = {
+        type: 'Feature',
+        geometry: {
+            type: 'LineString',
+            coordinates: points.map(p => (p.altitude !== null && p.altitude !== undefined ? [p.lng, p.lat, p.altitude] : [p.lng, p.lat]))
+        },
+        properties: {
+            routeId: route.routeId,
+            name: route.name,
+            sourceType: route.sourceType,
+            createdAt: route.createdAt,
+            totalPoints: points.length,
+            speedsKmh: points.map(p => p.speed ?? null),
+            bearings: points.map(p => p.bearing ?? null),
+            ...(hasTimes ? { coordTimes: points.map(p => (p.time ? new Date(p.time).toISOString() : null)) } : {})
+        }
+    };
+
+    const waypoints = (route.waypoints || []).map(wp => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [wp.lng, wp.lat] },
+        properties: {
+            id: wp.id,
+            seq: wp.seq,
+            kind: wp.kind,
+            mode: wp.mode,
+            name: wp.label,
+            description: wp.text,
+            dwellSeconds: wp.dwellSeconds,
+            pointIndex: wp.pointIndex
+        }
+    }));
+
+    return {
+        type: 'FeatureCollection',
+        features: [line, ...waypoints]
+    };
+}
+
+module.exports = {
+    parseRouteGeoJSON,
+    selectGeoJSONLine,
+    routeToGeoJSON
+};
@@ -50,20 +50,33 @@ function calculateBearing(p1, p2) {
 
 /**
  * Interpolate a point between two coordinates at a given fraction
- * @param {Object} p1 - Start point {lat, lng}
- * @param {Object} p2 - End point {lat, lng}
+ * Altitude and time are interpolated too when both ends have one.
+ * @param {Object} p1 - Start point {lat, lng, altitude?, time?}
+ * @param {Object} p2 - End point {lat, lng, altitude?, time?}
  * @param {number} fraction - Fraction between 0 and 1
- * @returns {Object} Interpolated point {lat, lng}
+ * @returns {Object} Interpolated point {lat, lng, altitude?, time?} (time as a Date)
  */
 function interpolatePoint(p1, p2, fraction) {
-    const lat = p1.lat + (p2.lat - p1.lat) * fraction;
-    const lng = p1.lng + (p2.lng - p1.lng) * fraction;
-    return { lat, lng };
+    const point = {
+        lat: p1.lat + (p2.lat - p1.lat) * fraction,
+        lng: p1.lng + (p2.lng - p1.lng) * fraction
+    };
+    if (Number.isFinite(p1.altitude) && Number.isFinite(p2.altitude)) {
+        point.altitude = p1.altitude + (p2.altitude - p1.altitude) * fraction;
+    }
+    if (p1.time && p2.time) {
+        const t1 = new Date(p1.time).getTime();
+        const t2 = new Date(p2.time).getTime();
+        if (Number.isFinite(t1) && Number.isFinite(t2)) {
+            point.time = new Date(t1 + (t2 - t1) * fraction);
+        }
+    }
+    return point;
 }
 
 /**
  * Resample array of GPS points to have uniform spacing
- * @param {Array} points - Array of {lat, lng} points
+ * @param {Array} points - Array of {lat, lng, altitude?, time?} points
  * @param {number} spacingMeters - Desired spacing between points in meters
  * @returns {Array} Resampled points with approximately uniform spacing
  */
@@ -140,6 +153,144 @@ function calculateRouteDistance(points) {
     return totalDistance;
 }
 
+/**
+ * Project a coordinate onto a route polyline (closest point on any segment).
+ * Segments are flattened around the target, which is accurate at street scale.
+ * @param {Array} points - Route points {lat, lng} (at least 2)
+ * @param {Object} target - {lat, lng}
+ * @returns {Object} { segIndex, fraction, alongMeters, offsetMeters }
+ *   alongMeters: distance from the route start to the projection
+ *   offsetMeters: distance from the target to the projection
+ */
+function projectOntoRoute(points, target) {
+    const cosLat = Math.cos(toRadians(target.lat));
+    const toXY = p => ({
+        x: toRadians(p.lng - target.lng) * cosLat * EARTH_RADIUS_METERS,
+        y: toRadians(p.lat - target.lat) * EARTH_RADIUS_METERS
+    });
+
+    let best = null;
+    let alongStart = 0;
+    for (let i = 0; i < points.length - 1; i++) {
+        const a = toXY(points[i]);
+        const b = toXY(points[i + 1]);
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lenSq = dx * dx + dy * dy;
+        // Target is the origin of the local frame
+        const fraction = lenSq > 0 ? Math.min(1, Math.max(0, -(a.x * dx + a.y * dy) / lenSq)) : 0;
+        const offsetMeters = Math.hypot(a.x + dx * fraction, a.y + dy * fraction);
+        const segMeters = calculateDistance(points[i], points[i + 1]);
+
+        if (!best || offsetMeters < best.offsetMeters) {
+            best = { segIndex: i, fraction, alongMeters: alongStart + segMeters * fraction, offsetMeters };
+        }
+        alongStart += segMeters;
+    }
+    return best;
+}
+
+/**
+ * Fill missing point bearings (towards the next point) and speeds (from point times)
+ * Values already on a point are kept; points are updated in place.
+ * @param {Array} points - Array of {lat, lng, time?, speed?, bearing?}
+ * @returns {Array} the same points
+ */
+function fillSpeedAndBearing(points) {
+    if (!points || points.length < 2) return points;
+
+    for (let i = 0; i < points.length; i++) {
+        const p = points[i];
+        const next = points[i + 1];
+        if (!Number.isFinite(p.bearing)) {
+            p.bearing = next ? calculateBearing(p, next) : points[i - 1].bearing;
+        }
+        if (!Number.isFinite(p.speed) && next && p.time && next.time) {
+            const seconds = (Date.parse(next.time) - Date.parse(p.time)) / 1000;
+            if (seconds > 0) {
+                const kmh = calculateDistance(p, next) / seconds * 3.6;
+                if (kmh > 0) p.speed = parseFloat(kmh.toFixed(1));
+            }
+        }
+    }
+    return points;
+}
+
+/**
+ * Encode points as an encoded polyline (Google algorithm; precision 5 for Google / ORS, 6 for OSRM / Valhalla)
+ * @param {Array} points - Array of {lat, lng}
+ * @param {number} precision - Decimal places kept (default 5)
+ * @returns {string}
+ */
+function encodePolyline(points, precision = 5) {
+    const factor = 10 ** precision;
+    const encodeValue = (value) => {
+        let v = value < 0 ? ~(value << 1) : value << 1;
+        let chunk = '';
+        while (v >= 0x20) {
+            chunk += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+            v >>= 5;
+        }
+        return chunk + String.fromCharCode(v + 63);
+    };
+
+    let encoded = '';
+    let prevLat = 0;
+    let prevLng = 0;
+    for (const p of points || []) {
+        const lat = Math.round(p.lat * factor);
+        const lng = Math.round(p.lng * factor);
+        encoded += encodeValue(lat - prevLat) + encodeValue(lng - prevLng);
+        prevLat = lat;
+        prevLng = lng;
+    }
+    return encoded;
+}
+
+/**
+ * Decode an encoded polyline
+ * @param {string} encoded
+ * @param {number} precision - Decimal places it was encoded with (default 5)
+ * @returns {Array} Array of {lat, lng}
+ * @throws {Error} code INVALID_POLYLINE when the string is truncated or has invalid characters
+ */
+function decodePolyline(encoded, precision = 5) {
+    const invalid = (message) => {
+        const error = new Error(`Invalid polyline: ${message}`);
+        error.code = 'INVALID_POLYLINE';
+        return error;
+    };
+    if (typeof encoded !== 'string') throw invalid('must be a string');
+
+    const factor = 10 ** precision;
+    const points = [];
+    let index = 0;
+    let lat = 0;
+    let lng = 0;
+
+    const decodeValue = () => {
+        let result = 0;
+        let shift = 0;
+        let byte;
+        do {
+            if (index >= encoded.length) throw invalid(`truncated at character ${index}`);
+            byte = encoded.charCodeAt(index++) - 63;
+            if (byte < 0 || byte > 63) throw invalid(`unexpected character at ${index - 1}`);
+            result |= (byte & 0x1f) << shift;
+            shift += 5;
+            if (shift > 30) throw invalid(`value too large at character ${index - 1}`);
+        } while (byte >= 0x20);
+        return result & 1 ? ~(result >> 1) : result >> 1;
+    };
+
+    while (index < encoded.length) {
+        lat += decodeValue();
+        lng += decodeValue();
+        points.push({ lat: lat / factor, lng: lng / factor });
+    }
+    return points;
+}
+
 /**
  * Convert degrees to radians
  * @param {number} degrees 
@@ -163,5 +314,9 @@ module.exports = {
     calculateBearing,
     interpolatePoint,
     resamplePoints,
-    calculateRouteDistance
+    calculateRouteDistance,
+    projectOntoRoute,
+    fillSpeedAndBearing,
+    encodePolyline,
+    decodePolyline
 };
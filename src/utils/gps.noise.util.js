@@ -0,0 +1,248 @@
+/**
+ * GPS Noise Utilities
+ * Degrades the engine's exact positions into realistic fixes:
+ *   - position jitter from a pluggable model (gaussian, randomWalk, ...)
+ *     scaled to the reported accuracy
+ *   - accuracy that drifts slowly over time
+ *   - multipath drift and worse accuracy inside "urban canyon" polygons
+ *   - periodic signal loss (no fixes for a few seconds)
+ *   - slowly wandering altitude error scaled to the vertical accuracy
+ *
+ * Android reports accuracy as the 68% horizontal radius. For a 2D gaussian
+ * error with per-axis sigma s that radius is ~1.51 s, so s = accuracy / 1.51.
+ * Vertical accuracy is a 1D 68% bound, i.e. the sigma itself.
+ */
+
+const ACCURACY_TO_SIGMA = 1 / 1.51;
+const METERS_PER_DEG_LAT = 111320;
+
+// Time constants (seconds) of the slowly varying processes
+const ACCURACY_CORRELATION_SECONDS = 60;
+const CANYON_RAMP_SECONDS = 5;
+
+/**
+ * Standard normal sample (Box-Muller)
+ * @param {Function} rng - Uniform [0, 1) generator
+ */
+function gaussian(rng) {
+    let u = 0;
+    while (u === 0) u = rng();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+}
+
+/**
+ * Jitter models. A factory receives (params, rng) and returns
+ * { next(dtSec, sigmaMeters) -> { north, east } } offsets in meters.
+ */
+const NOISE_MODELS = {
+    none: () => ({
+        next: () => ({ north: 0, east: 0 })
+    }),
+
+    // Independent error on every fix
+    gaussian: (params, rng) => ({
+        next: (dtSec, sigma) => ({
+            north: gaussian(rng) * sigma,
+            east: gaussian(rng) * sigma
+        })
+    }),
+
+    // First-order Gauss-Markov: error wanders smoothly like a real receiver
+    randomWalk: (params, rng) => {
+        const tau = params.correlationSeconds || 30;
+        let north = 0;
+        let east = 0;
+        return {
+            next: (dtSec, sigma) => {
+                const a = Math.exp(-dtSec / tau);
+                const b = Math.sqrt(1 - a * a) * sigma;
+                north = a * north + b * gaussian(rng);
+                east = a * east + b * gaussian(rng);
+                return { north, east };
+            }
+        };
+    }
+};
+
+/**
+ * Register an additional jitter model
+ * @param {string} name
+ * @param {Function} factory - (params, rng) => { next(dtSec, sigmaMeters) }
+ */
+function registerNoiseModel(name, factory) {
+    NOISE_MODELS[name] = factory;
+}
+
+function isNoiseModel(name) {
+    return Object.prototype.hasOwnProperty.call(NOISE_MODELS, name);
+}
+
+/**
+ * Ray-casting point-in-polygon
+ * @param {Object} point - {lat, lng}
+ * @param {Array} polygon - [[lat, lng], ...]
+ */
+function pointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [latI, lngI] = polygon[i];
+        const [latJ, lngJ] = polygon[j];
+        if ((lngI > point.lng) !== (lngJ > point.lng)
+            && point.lat < ((latJ - latI) * (point.lng - lngI)) / (lngJ - lngI) + latI) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Shift a point by north/east meters
+ */
+function offsetLatLng(point, north, east) {
+    const metersPerDegLng = METERS_PER_DEG_LAT * Math.cos(point.lat * Math.PI / 180);
+    return {
+        lat: point.lat + north / METERS_PER_DEG_LAT,
+        lng: point.lng + (metersPerDegLng > 0 ? east / metersPerDegLng : 0)
+    };
+}
+
+/**
+ * Validate and fill defaults for noise options
+ * @param {Object} options - { model, accuracyVariation, correlationSeconds, urbanCanyons, signalLoss }
+ * @throws {Error} code INVALID_NOISE
+ */
+function normalizeNoiseOptions(options = {}) {
+    const invalid = (message) => {
+        const error = new Error(`Invalid noise options: ${message}`);
+        error.code = 'INVALID_NOISE';
+        return error;
+    };
+
+    const model = options.model || 'gaussian';
+    if (!isNoiseModel(model)) {
+        throw invalid(`unknown model "${model}". Must be one of: ${Object.keys(NOISE_MODELS).join(', ')}`);
+    }
+
+    const urbanCanyons = (options.urbanCanyons || []).map((canyon, i) => {
+        if (!Array.isArray(canyon?.polygon) || canyon.polygon.length < 3
+            || !canyon.polygon.every(p => Array.isArray(p) && Number.isFinite(p[0]) && Number.isFinite(p[1]))) {
+            throw invalid(`urbanCanyons[${i}].polygon must be at least 3 [lat, lng] pairs`);
+        }
+        return {
+            name: canyon.name || null,
+            polygon: canyon.polygon,
+            accuracyFactor: Math.max(1, parseFloat(canyon.accuracyFactor) || 3),
+            driftMeters: Math.max(0, parseFloat(canyon.driftMeters) || 20)
+        };
+    });
+
+    let signalLoss = null;
+    if (options.signalLoss) {
+        const everySeconds = parseFloat(options.signalLoss.everySeconds);
+        const durationSeconds = parseFloat(options.signalLoss.durationSeconds);
+        if (!(everySeconds > 0) || !(durationSeconds > 0)) {
+            throw invalid('signalLoss needs everySeconds > 0 and durationSeconds > 0');
+        }
+        signalLoss = { everySeconds, durationSeconds };
+    }
+
+    const accuracyVariation = options.accuracyVariation !== undefined ? parseFloat(options.accuracyVariation) : 0.3;
+    if (!Number.isFinite(accuracyVariation) || accuracyVariation < 0) {
+        throw invalid('accuracyVariation must be >= 0');
+    }
+
+    return {
+        model,
+        accuracyVariation,
+        correlationSeconds: Math.max(1, parseFloat(options.correlationSeconds) || 30),
+        urbanCanyons,
+        signalLoss
+    };
+}
+
+/**
+ * Create a stateful noise generator for one stream
+ * @param {Object} options - See normalizeNoiseOptions
+ * @param {Function} rng - Uniform [0, 1) generator (Math.random by default)
+ * @returns {Object} { model, apply(fix, dtSec) }
+ *   apply() returns { lat, lng, accuracy, offsetMeters, canyon } or { lost: true },
+ *   plus { altitude, verticalAccuracy } when the fix has an altitude
+ */
+function createGpsNoise(options, rng = Math.random) {
+    const opts = normalizeNoiseOptions(options);
+    const jitter = NOISE_MODELS[opts.model](opts, rng);
+
+    let clockSec = 0;
+    let accuracyLog = 0;
+    let canyonWeight = 0;
+    let driftHeading = rng() * 2 * Math.PI;
+    let lastCanyon = null;
+    // Receivers' vertical error drifts rather than jumping, whatever the horizontal model
+    let verticalError = 0;
+
+    let nextLossAtSec = opts.signalLoss ? opts.signalLoss.everySeconds * (0.5 + rng()) : Infinity;
+    let lossEndsAtSec = -1;
+
+    function apply(fix, dtSec) {
+        clockSec += dtSec;
+
+        if (clockSec < lossEndsAtSec) {
+            return { lost: true };
+        }
+        if (clockSec >= nextLossAtSec) {
+            lossEndsAtSec = clockSec + opts.signalLoss.durationSeconds;
+            nextLossAtSec = lossEndsAtSec + opts.signalLoss.everySeconds * (0.5 + rng());
+            return { lost: true };
+        }
+
+        // Accuracy drifts around the configured value (log-normal AR(1))
+        const a = Math.exp(-dtSec / ACCURACY_CORRELATION_SECONDS);
+        accuracyLog = a * accuracyLog + Math.sqrt(1 - a * a) * opts.accuracyVariation * gaussian(rng);
+
+        // Multipath ramps in/out over a few seconds around canyon boundaries
+        const canyon = opts.urbanCanyons.find(c => pointInPolygon(fix, c.polygon)) || null;
+        if (canyon) lastCanyon = canyon;
+        const ramp = 1 - Math.exp(-dtSec / CANYON_RAMP_SECONDS);
+        canyonWeight += ((canyon ? 1 : 0) - canyonWeight) * ramp;
+        driftHeading += gaussian(rng) * 0.1 * Math.sqrt(dtSec);
+
+        const canyonFactor = lastCanyon ? 1 + (lastCanyon.accuracyFactor - 1) * canyonWeight : 1;
+        const accuracy = fix.accuracy * Math.exp(accuracyLog) * canyonFactor;
+
+        const offset = jitter.next(dtSec, accuracy * ACCURACY_TO_SIGMA);
+        if (lastCanyon) {
+            const drift = lastCanyon.driftMeters * canyonWeight;
+            offset.north += drift * Math.cos(driftHeading);
+            offset.east += drift * Math.sin(driftHeading);
+        }
+
+        const noisy = offsetLatLng(fix, offset.north, offset.east);
+        const result = {
+            lat: noisy.lat,
+            lng: noisy.lng,
+            accuracy: parseFloat(accuracy.toFixed(1)),
+            offsetMeters: parseFloat(Math.hypot(offset.north, offset.east).toFixed(1)),
+            canyon: canyon ? (canyon.name || true) : null
+        };
+
+        if (Number.isFinite(fix.altitude) && Number.isFinite(fix.verticalAccuracy)) {
+            const verticalAccuracy = fix.verticalAccuracy * Math.exp(accuracyLog) * canyonFactor;
+            const v = Math.exp(-dtSec / opts.correlationSeconds);
+            verticalError = v * verticalError + Math.sqrt(1 - v * v) * verticalAccuracy * gaussian(rng);
+            result.altitude = parseFloat((fix.altitude + verticalError).toFixed(1));
+            result.verticalAccuracy = parseFloat(verticalAccuracy.toFixed(1));
+        }
+        return result;
+    }
+
+    return { model: opts.model, apply };
+}
+
+module.exports = {
+    NOISE_MODELS,
+    registerNoiseModel,
+    isNoiseModel,
+    pointInPolygon,
+    normalizeNoiseOptions,
+    createGpsNoise
+};
@@ -0,0 +1,267 @@
+/**
+ * GPX Importer
+ * Streams a GPX 1.0 / 1.1 document through the SAX tokenizer and keeps its structure:
+ * tracks with their segments, routes and waypoints. Every point keeps its elevation,
+ * time, and speed / course (GPX 1.0 elements or <extensions>, including our own writer's).
+ *
+ * Bad elements don't fail the import: they are skipped (or lose the bad field) and
+ * reported as warnings { element, line, message }. Malformed XML or a document that
+ * isn't GPX throws (code INVALID_XML / INVALID_GPX).
+ */
+
+const { createSaxParser, localName } = require('./xml.sax.util');
+const { calculateDistance } = require('./geospatial.util');
+
+// Feed large documents to the tokenizer in slices
+const CHUNK_SIZE = 64 * 1024;
+// Warnings kept per import; the rest are only counted
+const MAX_WARNINGS = 100;
+
+const POINT_ELEMENTS = new Set(['trkpt', 'rtept', 'wpt']);
+const POINT_TEXT_FIELDS = new Set(['ele', 'time', 'name', 'desc', 'cmt', 'sym', 'type', 'speed', 'course']);
+
+function invalidGpx(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_GPX';
+    return error;
+}
+
+/**
+ * Turn a parsed point element into a point, or a reason to skip it
+ * @returns {Object} { point } or { error }; fieldWarnings lists dropped fields
+ */
+function buildPoint(element, fields, inExtensions) {
+    const lat = parseFloat(element.attributes.lat);
+    const lng = parseFloat(element.attributes.lon);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+        return { error: `invalid coordinates lat="${element.attributes.lat}" lon="${element.attributes.lon}"` };
+    }
+
+    const point = { lat, lng };
+    const fieldWarnings = [];
+
+    if (fields.ele !== undefined) {
+        const altitude = parseFloat(fields.ele);
+        if (Number.isFinite(altitude)) point.altitude = altitude;
+        else fieldWarnings.push(`invalid <ele> "${fields.ele}" ignored`);
+    }
+    if (fields.time !== undefined) {
+        if (Number.isFinite(Date.parse(fields.time))) point.time = fields.time;
+        else fieldWarnings.push(`invalid <time> "${fields.time}" ignored`);
+    }
+
+    // GPX 1.0 has <speed>/<course> on the point; 1.1 files carry them in <extensions>
+    const speed = parseFloat(fields.speed ?? inExtensions.speed);
+    if (Number.isFinite(speed) && speed >= 0) {
+        point.speed = parseFloat((speed * 3.6).toFixed(1)); // m/s -> km/h like route points
+    }
+    const course = parseFloat(fields.course ?? inExtensions.course);
+    if (Number.isFinite(course)) {
+        point.bearing = ((course % 360) + 360) % 360;
+    }
+
+    if (element.name === 'wpt') {
+        point.name = fields.name || null;
+        point.description = fields.desc || fields.cmt || null;
+        point.symbol = fields.sym || null;
+        point.type = fields.type || null;
+    }
+
+    return { point, fieldWarnings };
+}
+
+/**
+ * Parse a GPX document
+ * @param {string} gpxContent - Raw GPX XML
+ * @returns {Object} { version, name, tracks: [{ index, name, segments: [{ index, points }] }],
+ *   routes: [{ index, name, points }], waypoints, warnings, warningCount }
+ * @throws {Error} code INVALID_XML / INVALID_GPX
+ */
+function parseGPXDocument(gpxContent) {
+    if (!gpxContent || typeof gpxContent !== 'string') {
+        throw invalidGpx('GPX content must be a non-empty string');
+    }
+
+    const doc = { version: null, name: null, tracks: [], routes: [], waypoints: [], warnings: [], warningCount: 0 };
+    const warn = (element, line, message) => {
+        doc.warningCount++;
+        if (doc.warnings.length < MAX_WARNINGS) doc.warnings.push({ element, line, message });
+    };
+
+    const path = []; // local names of the open elements
+    let track = null;
+    let segment = null;
+    let route = null;
+    let point = null; // { name, attributes, line, fields, extensions }
+    let text = '';
+    let metadataDepth = -1;
+
+    const parser = createSaxParser({
+        onOpen(rawName, attributes, { line }) {
+            const name = localName(rawName);
+            path.push(name);
+            text = '';
+
+            if (path.length === 1) {
+                if (name !== 'gpx') throw invalidGpx(`Not a GPX document (root element <${rawName}>)`);
+                doc.version = attributes.version || null;
+                if (doc.version !== '1.0' && doc.version !== '1.1') {
+                    warn('gpx', line, `unknown GPX version "${doc.version}", reading it as 1.1`);
+                }
+                return;
+            }
+
+            if (name === 'metadata' && path.length === 2) {
+                metadataDepth = path.length;
+            } else if (name === 'trk' && path.length === 2) {
+                track = { index: doc.tracks.length, name: null, segments: [] };
+                doc.tracks.push(track);
+            } else if (name === 'trkseg' && track) {
+                segment = { index: track.segments.length, points: [] };
+                track.segments.push(segment);
+            } else if (name === 'rte' && path.length === 2) {
+                route = { index: doc.routes.length, name: null, points: [] };
+                doc.routes.push(route);
+            } else if (POINT_ELEMENTS.has(name) && !point) {
+                point = { name, attributes, line, fields: {}, extensions: {} };
+            }
+        },
+
+        onText(chunk) {
+            text += chunk;
+        },
+
+        onClose(rawName) {
+            const name = localName(rawName);
+            path.pop();
+            const value = text.trim();
+            text = '';
+
+            if (point) {
+                if (name === point.name && !path.includes(point.name)) {
+                    const built = buildPoint(point, point.fields, point.extensions);
+                    if (built.error) {
+                        warn(point.name, point.line, `${built.error}, point skipped`);
+                    } else {
+                        built.fieldWarnings.forEach(message => warn(point.name, point.line, message));
+                        if (point.name === 'trkpt') {
+                            if (segment) segment.points.push(built.point);
+                            else warn('trkpt', point.line, '<trkpt> outside a <trkseg>, point skipped');
+                        } else if (point.name === 'rtept') {
+                            if (route) route.points.push(built.point);
+                        } else {
+                            doc.waypoints.push(built.point);
+                        }
+                    }
+                    point = null;
+                } else if (path.includes('extensions')) {
+                    // Any extension schema: keep the first speed / course found
+                    if ((name === 'speed' || name === 'course') && point.extensions[name] === undefined && value !== '') {
+                        point.extensions[name] = value;
+                    }
+                } else if (POINT_TEXT_FIELDS.has(name) && path[path.length - 1] === point.name) {
+                    point.fields[name] = value;
+                }
+                return;
+            }
+
+            if (name === 'name') {
+                const parent = path[path.length - 1];
+                if (parent === 'trk' && track && path.length === 2) track.name = value || null;
+                else if (parent === 'rte' && route && path.length === 2) route.name = value || null;
+                else if (parent === 'metadata' && metadataDepth === path.length) doc.name = value || null;
+                else if (parent === 'gpx' && path.length === 1) doc.name = value || null; // GPX 1.0
+            } else if (name === 'trkseg') {
+                segment = null;
+            } else if (name === 'trk' && path.length === 1) {
+                track = null;
+            } else if (name === 'rte' && path.length === 1) {
+                route = null;
+            } else if (name === 'metadata') {
+                metadataDepth = -1;
+            } else if (name === 'gpx' && path.length === 0 && !doc.name) {
+                doc.name = doc.tracks[0]?.name || doc.routes[0]?.name || null;
+            }
+        }
+    });
+
+    for (let i = 0; i < gpxContent.length; i += CHUNK_SIZE) {
+        parser.write(gpxContent.slice(i, i + CHUNK_SIZE));
+    }
+    parser.end();
+
+    return doc;
+}
+
+/**
+ * Pick the points to build a route from:
+ *   { route: n }              the n-th <rte>
+ *   { track: n, segment: m }  one segment of the n-th <trk>
+ *   { track: n }              all segments of the n-th <trk>, joined
+ *   {}                        the first track with points, else the first route,
+ *                             else the waypoints themselves
+ * @param {Object} doc - From parseGPXDocument
+ * @param {Object} selection - { track?, segment?, route? } (indexes from 0)
+ * @returns {Object} { source: { type, index, segment }, name, points, warnings }
+ * @throws {Error} code INVALID_GPX
+ */
+function selectGPXPoints(doc, selection = {}) {
+    const toIndex = (value, label) => {
+        if (value === undefined || value === null || value === '') return null;
+        const index = Number(value);
+        if (!Number.isInteger(index) || index < 0) throw invalidGpx(`${label} must be an integer >= 0`);
+        return index;
+    };
+    const trackIndex = toIndex(selection.track, 'track');
+    const segmentIndex = toIndex(selection.segment, 'segment');
+    const routeIndex = toIndex(selection.route, 'route');
+    const warnings = [];
+
+    if (routeIndex !== null) {
+        if (trackIndex !== null || segmentIndex !== null) throw invalidGpx('Give either route or track/segment, not both');
+        const route = doc.routes[routeIndex];
+        if (!route) throw invalidGpx(`route ${routeIndex} not found (the file has ${doc.routes.length} routes)`);
+        return { source: { type: 'route', index: routeIndex, segment: null }, name: route.name, points: route.points, warnings };
+    }
+
+    if (trackIndex === null && segmentIndex !== null) throw invalidGpx('segment needs a track');
+
+    let track = null;
+    if (trackIndex !== null) {
+        track = doc.tracks[trackIndex];
+        if (!track) throw invalidGpx(`track ${trackIndex} not found (the file has ${doc.tracks.length} tracks)`);
+    } else {
+        track = doc.tracks.find(t => t.segments.some(s => s.points.length > 0)) || null;
+    }
+
+    if (track) {
+        if (segmentIndex !== null) {
+            const segment = track.segments[segmentIndex];
+            if (!segment) throw invalidGpx(`segment ${segmentIndex} not found (track ${track.index} has ${track.segments.length} segments)`);
+            return { source: { type: 'track', index: track.index, segment: segmentIndex }, name: track.name, points: segment.points, warnings };
+        }
+
+        const segments = track.segments.filter(s => s.points.length > 0);
+        const points = [];
+        segments.forEach((segment, i) => {
+            if (i > 0) {
+                const gap = calculateDistance(points[points.length - 1], segment.points[0]);
+                warnings.push({ element: 'trkseg', line: null, message: `segments ${segments[i - 1].index} and ${segment.index} joined across a ${Math.round(gap)}m gap` });
+            }
+            points.push(...segment.points);
+        });
+        return { source: { type: 'track', index: track.index, segment: null }, name: track.name, points, warnings };
+    }
+
+    if (trackIndex === null && doc.routes.length > 0) {
+        return { source: { type: 'route', index: 0, segment: null }, name: doc.routes[0].name, points: doc.routes[0].points, warnings };
+    }
+
+    warnings.push({ element: 'gpx', line: null, message: 'no tracks or routes, using the waypoints as route points' });
+    return { source: { type: 'waypoints', index: null, segment: null }, name: doc.name, points: doc.waypoints, warnings };
+}
+
+module.exports = {
+    parseGPXDocument,
+    selectGPXPoints
+};
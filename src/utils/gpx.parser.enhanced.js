@@ -6,6 +6,7 @@
 const fs = require('fs');
 const metrics = require('../lib/metrics');
 const logger = require('../lib/logger');
+const { parseGPXDocument } = require('./gpx.importer');
 
 /**
  * Validate GPX content structure
@@ -35,73 +36,39 @@ function validateGPXStructure(gpxContent) {
 }
 
 /**
- * Extract track points from GPX
+ * Parse with the streaming importer, counting skipped elements
  * @param {string} gpxContent - Raw GPX XML content
- * @returns {Array} Array of { lat, lng, alt?, time? }
+ * @param {string} element - Element whose warnings are reported (trkpt, wpt)
+ * @returns {Object} Parsed document from parseGPXDocument
  */
-function extractTrackPoints(gpxContent) {
-  const points = [];
-  const trackPointRegex
-    = /<trkpt\s+lat="([^"]+)"\s+lon="([^"]+)"[^>]*>([^<]*)<\/trkpt>/g;
-
-  let match;
-  // eslint-disable-next-line no-cond-assign
-  while ((match = trackPointRegex.exec(gpxContent))) {
-    const lat = parseFloat(match[1]);
-    const lng = parseFloat(match[2]);
-
-    // Validate coordinates
-    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
-      metrics.gpxParseErrors.inc({ reason: 'invalid_coordinates' });
-      logger.warn('Invalid coordinates in GPX', { lat, lng });
-      continue;
-    }
-
-    // Check coordinate ranges
-    if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
-      metrics.gpxParseErrors.inc({ reason: 'coordinates_out_of_range' });
-      logger.warn('Coordinates out of valid range', { lat, lng });
-      continue;
-    }
-
-    points.push({ lat, lng });
-  }
+function parseDocument(gpxContent, element) {
+  const doc = parseGPXDocument(gpxContent);
+  doc.warnings
+    .filter(w => w.element === element)
+    .forEach(w => {
+      metrics.gpxParseErrors.inc({ reason: `invalid_${element}` });
+      logger.warn('GPX element skipped or repaired', { element: w.element, line: w.line, detail: w.message });
+    });
+  return doc;
+}
 
-  return points;
+/**
+ * Extract track points from GPX (every segment of every track, in document order)
+ * @param {string} gpxContent - Raw GPX XML content
+ * @returns {Array} Array of { lat, lng, altitude?, time?, speed?, bearing? }
+ */
+function extractTrackPoints(gpxContent) {
+  const doc = parseDocument(gpxContent, 'trkpt');
+  return doc.tracks.flatMap(track => track.segments.flatMap(segment => segment.points));
 }
 
 /**
  * Extract waypoints from GPX
  * @param {string} gpxContent - Raw GPX XML content
- * @returns {Array} Array of { lat, lng, name? }
+ * @returns {Array} Array of { lat, lng, name, description, altitude?, time? }
  */
 function extractWaypoints(gpxContent) {
-  const waypoints = [];
-  const waypointRegex
-    = /<wpt\s+lat="([^"]+)"\s+lon="([^"]+)"[^>]*>(?:<name>([^<]*)<\/name>)?[^<]*<\/wpt>/g;
-
-  let match;
-  // eslint-disable-next-line no-cond-assign
-  while ((match = waypointRegex.exec(gpxContent))) {
-    const lat = parseFloat(match[1]);
-    const lng = parseFloat(match[2]);
-    const name = match[3] || null;
-
-    // Validate coordinates
-    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
-      metrics.gpxParseErrors.inc({ reason: 'invalid_waypoint_coordinates' });
-      continue;
-    }
-
-    if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
-      metrics.gpxParseErrors.inc({ reason: 'waypoint_out_of_range' });
-      continue;
-    }
-
-    waypoints.push({ lat, lng, name });
-  }
-
-  return waypoints;
+  return parseDocument(gpxContent, 'wpt').waypoints;
 }
 
 /**
@@ -1,62 +1,65 @@
 /**
  * GPX Parser Utility
- * Parses GPX files and extracts coordinates (lat, lng only)
+ * Parses GPX files and extracts coordinates (lat, lng, plus elevation and time when present)
  */
 
 /**
- * Parse GPX content and extract coordinates
- * Only extracts lat, lng (ignores elevation and time as per requirements)
+ * Extract the points of one GPX element type (trkpt, wpt or rtept)
+ * lat/lon may appear in either order; <ele> becomes altitude (meters), <time> stays an ISO string.
  * @param {string} gpxContent - Raw GPX XML content
- * @returns {Array} Array of {lat, lng} objects
+ * @param {string} tag - Element name
+ * @returns {Array} Array of {lat, lng, altitude?, time?} objects
  */
-function parseGPX(gpxContent) {
+function extractPoints(gpxContent, tag) {
     const points = [];
-
-    // Match trackpoints (<trkpt>) or waypoints (<wpt>)
-    const trkptRegex = /<trkpt[^>]*lat=["']([^"']+)["'][^>]*lon=["']([^"']+)["'][^>]*>/gi;
-    const wptRegex = /<wpt[^>]*lat=["']([^"']+)["'][^>]*lon=["']([^"']+)["'][^>]*>/gi;
-    const rteptRegex = /<rtept[^>]*lat=["']([^"']+)["'][^>]*lon=["']([^"']+)["'][^>]*>/gi;
-
-    // Alternative format where lat/lon are in different order
-    const altTrkptRegex = /<trkpt[^>]*lon=["']([^"']+)["'][^>]*lat=["']([^"']+)["'][^>]*>/gi;
+    // Self-closing elements have no body; otherwise capture up to the closing tag
+    const elementRegex = new RegExp(`<${tag}\\b([^>]*?)(?:\\/>|>([\\s\\S]*?)<\\/${tag}>)`, 'gi');
 
     let match;
-
-    // Extract trackpoints
-    while ((match = trkptRegex.exec(gpxContent)) !== null) {
-        points.push({
-            lat: parseFloat(match[1]),
-            lng: parseFloat(match[2])
-        });
-    }
-
-    // Extract waypoints
-    while ((match = wptRegex.exec(gpxContent)) !== null) {
-        points.push({
-            lat: parseFloat(match[1]),
-            lng: parseFloat(match[2])
-        });
-    }
-
-    // Extract route points
-    while ((match = rteptRegex.exec(gpxContent)) !== null) {
-        points.push({
-            lat: parseFloat(match[1]),
-            lng: parseFloat(match[2])
-        });
-    }
-
-    // Alternative format (lon first)
-    while ((match = altTrkptRegex.exec(gpxContent)) !== null) {
-        points.push({
-            lat: parseFloat(match[2]),
-            lng: parseFloat(match[1])
-        });
+    while ((match = elementRegex.exec(gpxContent)) !== null) {
+        const attributes = match[1];
+        const body = match[2] || '';
+        const lat = attributes.match(/\blat=["']([^"']+)["']/i);
+        const lon = attributes.match(/\blon=["']([^"']+)["']/i);
+        if (!lat || !lon) continue;
+
+        const point = {
+            lat: parseFloat(lat[1]),
+            lng: parseFloat(lon[1])
+        };
+
+        const ele = body.match(/<ele>\s*([^<]+?)\s*<\/ele>/i);
+        const altitude = ele ? parseFloat(ele[1]) : NaN;
+        if (Number.isFinite(altitude)) {
+            point.altitude = altitude;
+        }
+
+        const time = body.match(/<time>\s*([^<]+?)\s*<\/time>/i);
+        if (time && Number.isFinite(Date.parse(time[1]))) {
+            point.time = time[1];
+        }
+
+        points.push(point);
     }
 
     return points;
 }
 
+/**
+ * Parse GPX content and extract coordinates
+ * Extracts lat, lng, elevation and time
+ * @param {string} gpxContent - Raw GPX XML content
+ * @returns {Array} Array of {lat, lng, altitude?, time?} objects
+ */
+function parseGPX(gpxContent) {
+    // Trackpoints (<trkpt>), then waypoints (<wpt>), then route points (<rtept>)
+    return [
+        ...extractPoints(gpxContent, 'trkpt'),
+        ...extractPoints(gpxContent, 'wpt'),
+        ...extractPoints(gpxContent, 'rtept')
+    ];
+}
+
 /**
  * Validate coordinates array
  * @param {Array} points - Array of {lat, lng}
@@ -0,0 +1,58 @@
+/**
+ * GPX Writer Utility
+ * Serializes a list of timed fixes as a GPX 1.1 track
+ */
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Build a GPX document with a single track segment
+ * @param {Object} track - { name, points: [{ lat, lng, time?, ele?, speed?, course? }] }
+ *   speed (m/s) and course (degrees) are written as trkpt extensions
+ * @returns {string} GPX XML
+ */
+function buildGPX({ name, points }) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gpx version="1.1" creator="gps-mock-backend" xmlns="http://www.topografix.com/GPX/1/1">',
+        '  <trk>'
+    ];
+    if (name) {
+        lines.push(`    <name>${escapeXml(name)}</name>`);
+    }
+    lines.push('    <trkseg>');
+
+    for (const p of points || []) {
+        lines.push(`      <trkpt lat="${p.lat.toFixed(7)}" lon="${p.lng.toFixed(7)}">`);
+        if (p.ele !== undefined && p.ele !== null) {
+            lines.push(`        <ele>${Number(p.ele).toFixed(1)}</ele>`);
+        }
+        if (p.time) {
+            lines.push(`        <time>${escapeXml(p.time)}</time>`);
+        }
+        const hasSpeed = p.speed !== undefined && p.speed !== null;
+        const hasCourse = p.course !== undefined && p.course !== null;
+        if (hasSpeed || hasCourse) {
+            lines.push('        <extensions>');
+            if (hasSpeed) lines.push(`          <speed>${Number(p.speed).toFixed(2)}</speed>`);
+            if (hasCourse) lines.push(`          <course>${Number(p.course).toFixed(1)}</course>`);
+            lines.push('        </extensions>');
+        }
+        lines.push('      </trkpt>');
+    }
+
+    lines.push('    </trkseg>', '  </trk>', '</gpx>', '');
+    return lines.join('\n');
+}
+
+module.exports = {
+    buildGPX,
+    escapeXml
+};
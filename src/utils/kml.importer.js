@@ -0,0 +1,239 @@
+/**
+ * KML Importer
+ * Streams a KML 2.2 document (as drawn in Google Earth) through the SAX tokenizer.
+ * Placemarks are read at any Document / Folder depth:
+ *   LineString, gx:Track   -> lines the route can be built from
+ *   Point                  -> placemarks, later snapped onto the line as stops
+ * Placemark ExtendedData (<Data name><value> or <SimpleData name>) is kept; the
+ * dwell field gives a placemark's dwell time.
+ *
+ * Altitudes are kept only for altitudeMode "absolute": the default clampToGround
+ * (and relativeToGround) coordinates don't hold a height above sea level.
+ * Bad coordinates are skipped and reported as warnings { element, line, message }.
+ */
+
+const { createSaxParser, localName } = require('./xml.sax.util');
+
+const CHUNK_SIZE = 64 * 1024;
+const MAX_WARNINGS = 100;
+const DEFAULT_DWELL_FIELD = 'dwellSeconds';
+
+function invalidKml(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_KML';
+    return error;
+}
+
+/**
+ * Parse a "lng,lat[,alt]" tuple
+ * @returns {Object|null} { lat, lng, altitude? }
+ */
+function parseTuple(tuple, keepAltitude) {
+    const [lng, lat, alt] = tuple.split(',').map(Number);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+        return null;
+    }
+    const point = { lat, lng };
+    if (keepAltitude && Number.isFinite(alt)) point.altitude = alt;
+    return point;
+}
+
+/**
+ * Parse a KML document
+ * @param {string} kmlContent - Raw KML XML
+ * @param {Object} options - { dwellField } ExtendedData field holding a placemark's dwell seconds
+ * @returns {Object} { name, lines: [{ index, name, points }], placemarks: [{ lat, lng, altitude?,
+ *   name, description, kind, dwellSeconds?, data, line }], warnings, warningCount }
+ * @throws {Error} code INVALID_XML / INVALID_KML
+ */
+function parseKMLDocument(kmlContent, options = {}) {
+    if (!kmlContent || typeof kmlContent !== 'string') {
+        throw invalidKml('KML content must be a non-empty string');
+    }
+    const dwellField = options.dwellField || DEFAULT_DWELL_FIELD;
+
+    const doc = { name: null, lines: [], placemarks: [], warnings: [], warningCount: 0 };
+    const warn = (element, line, message) => {
+        doc.warningCount++;
+        if (doc.warnings.length < MAX_WARNINGS) doc.warnings.push({ element, line, message });
+    };
+
+    const path = [];
+    let placemark = null; // { name, description, data, line, geometries }
+    let geometry = null; // { type, line, altitudeMode, coordinates, whens, coords }
+    let dataName = null;
+    let text = '';
+
+    const finishGeometry = () => {
+        const keepAltitude = geometry.altitudeMode === 'absolute';
+        const bad = [];
+
+        if (geometry.type === 'Track') {
+            const points = [];
+            geometry.coords.forEach((coord, i) => {
+                const point = parseTuple(coord.trim().split(/\s+/).join(','), keepAltitude);
+                if (!point) {
+                    bad.push(coord);
+                    return;
+                }
+                const when = geometry.whens[i];
+                if (when !== undefined && Number.isFinite(Date.parse(when))) point.time = when;
+                points.push(point);
+            });
+            geometry.points = points;
+        } else {
+            const tuples = geometry.coordinates.trim().split(/\s+/).filter(t => t !== '');
+            geometry.points = [];
+            tuples.forEach(tuple => {
+                const point = parseTuple(tuple, keepAltitude);
+                if (point) geometry.points.push(point);
+                else bad.push(tuple);
+            });
+        }
+
+        bad.slice(0, 3).forEach(value => warn(geometry.type, geometry.line, `invalid coordinates "${value}", skipped`));
+        if (bad.length > 3) warn(geometry.type, geometry.line, `${bad.length - 3} more invalid coordinates skipped`);
+        placemark.geometries.push(geometry);
+        geometry = null;
+    };
+
+    const finishPlacemark = () => {
+        const name = placemark.name || null;
+        let dwellSeconds;
+        if (placemark.data[dwellField] !== undefined) {
+            dwellSeconds = Number(placemark.data[dwellField]);
+            if (!Number.isFinite(dwellSeconds) || dwellSeconds < 0) {
+                warn('Placemark', placemark.line, `invalid ${dwellField} "${placemark.data[dwellField]}" ignored`);
+                dwellSeconds = undefined;
+            }
+        }
+
+        for (const g of placemark.geometries) {
+            if (g.type === 'Point') {
+                if (g.points.length === 0) continue;
+                doc.placemarks.push({
+                    ...g.points[0],
+                    name,
+                    description: placemark.description || null,
+                    kind: placemark.data.kind || null,
+                    dwellSeconds,
+                    data: placemark.data,
+                    line: placemark.line
+                });
+            } else if (g.points.length > 0) {
+                doc.lines.push({ index: doc.lines.length, name, points: g.points, line: g.line });
+            } else {
+                warn(g.type, g.line, `${g.type} without valid coordinates, skipped`);
+            }
+        }
+        placemark = null;
+    };
+
+    const parser = createSaxParser({
+        onOpen(rawName, attributes, { line }) {
+            const name = localName(rawName);
+            path.push(name);
+            text = '';
+
+            if (path.length === 1) {
+                if (name !== 'kml') throw invalidKml(`Not a KML document (root element <${rawName}>)`);
+                return;
+            }
+
+            if (name === 'Placemark') {
+                if (placemark) throw invalidKml(`Nested <Placemark> at line ${line}`);
+                placemark = { name: null, description: null, data: {}, line, geometries: [] };
+            } else if (placemark && !geometry && (name === 'Point' || name === 'LineString' || name === 'Track')) {
+                geometry = { type: name, line, altitudeMode: null, coordinates: '', whens: [], coords: [] };
+            } else if (placemark && (name === 'Data' || name === 'SimpleData')) {
+                dataName = attributes.name || null;
+            } else if (name === 'Polygon' && placemark) {
+                warn('Polygon', line, 'polygons are not routes, skipped');
+            }
+        },
+
+        onText(chunk) {
+            text += chunk;
+        },
+
+        onClose(rawName) {
+            const name = localName(rawName);
+            path.pop();
+            const value = text.trim();
+            text = '';
+            const parent = path[path.length - 1];
+
+            if (geometry) {
+                if (name === geometry.type) {
+                    finishGeometry();
+                } else if (name === 'coordinates') {
+                    geometry.coordinates += ` ${value}`;
+                } else if (name === 'altitudeMode') {
+                    geometry.altitudeMode = value;
+                } else if (name === 'when') {
+                    geometry.whens.push(value);
+                } else if (name === 'coord') {
+                    geometry.coords.push(value);
+                }
+                return;
+            }
+
+            if (placemark) {
+                if (name === 'Placemark') {
+                    finishPlacemark();
+                } else if (name === 'name' && parent === 'Placemark') {
+                    placemark.name = value;
+                } else if (name === 'description' && parent === 'Placemark') {
+                    placemark.description = value;
+                } else if (name === 'value' && parent === 'Data' && dataName) {
+                    placemark.data[dataName] = value;
+                } else if (name === 'SimpleData' && dataName) {
+                    placemark.data[dataName] = value;
+                }
+                return;
+            }
+
+            if (name === 'name' && parent === 'Document' && !doc.name) {
+                doc.name = value || null;
+            }
+        }
+    });
+
+    for (let i = 0; i < kmlContent.length; i += CHUNK_SIZE) {
+        parser.write(kmlContent.slice(i, i + CHUNK_SIZE));
+    }
+    parser.end();
+
+    return doc;
+}
+
+/**
+ * Pick the line to build the route from
+ * @param {Object} doc - From parseKMLDocument
+ * @param {number} [lineIndex] - Index into doc.lines (default: the first line)
+ * @returns {Object} { index, name, points, warnings }
+ * @throws {Error} code INVALID_KML
+ */
+function selectKMLLine(doc, lineIndex) {
+    const warnings = [];
+    let index = 0;
+    if (lineIndex !== undefined && lineIndex !== null && lineIndex !== '') {
+        index = Number(lineIndex);
+        if (!Number.isInteger(index) || index < 0) throw invalidKml('line must be an integer >= 0');
+    }
+    if (doc.lines.length === 0) {
+        throw invalidKml('KML has no LineString or gx:Track placemark to build the route from');
+    }
+    const line = doc.lines[index];
+    if (!line) throw invalidKml(`line ${index} not found (the file has ${doc.lines.length} lines)`);
+
+    if (doc.lines.length > 1 && (lineIndex === undefined || lineIndex === null || lineIndex === '')) {
+        warnings.push({ element: 'LineString', line: line.line, message: `${doc.lines.length} lines found, imported line 0 (choose with "line")` });
+    }
+    return { index, name: line.name, points: line.points, warnings };
+}
+
+module.exports = {
+    parseKMLDocument,
+    selectKMLLine
+};
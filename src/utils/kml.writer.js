@@ -0,0 +1,76 @@
+/**
+ * KML Writer Utility
+ * Serializes a route as a KML 2.2 document for Google Earth: the route as a LineString
+ * placemark and each waypoint as a Point placemark whose ExtendedData carries its kind
+ * and dwellSeconds (read back by POST /api/routes/from-kml).
+ */
+
+const { escapeXml } = require('./gpx.writer');
+
+function coordinate(p, withAltitude) {
+    const base = `${p.lng.toFixed(7)},${p.lat.toFixed(7)}`;
+    return withAltitude ? `${base},${Number(p.altitude).toFixed(1)}` : base;
+}
+
+function dataElement(name, value) {
+    return `<Data name="${escapeXml(name)}"><value>${escapeXml(value)}</value></Data>`;
+}
+
+/**
+ * Build a KML document
+ * @param {Object} route - { name, points: [{ lat, lng, altitude? }], waypoints?: [{ kind, label, text, lat, lng, dwellSeconds }] }
+ * @returns {string} KML XML
+ */
+function buildKML({ name, points, waypoints }) {
+    // Absolute altitudes only when every point has one; otherwise Google Earth clamps to the ground
+    const withAltitude = (points || []).length > 0
+        && points.every(p => p.altitude !== undefined && p.altitude !== null);
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        '  <Document>'
+    ];
+    if (name) {
+        lines.push(`    <name>${escapeXml(name)}</name>`);
+    }
+
+    lines.push('    <Placemark>');
+    if (name) {
+        lines.push(`      <name>${escapeXml(name)}</name>`);
+    }
+    lines.push('      <LineString>', '        <tessellate>1</tessellate>');
+    if (withAltitude) {
+        lines.push('        <altitudeMode>absolute</altitudeMode>');
+    }
+    lines.push('        <coordinates>');
+    for (const p of points || []) {
+        lines.push(`          ${coordinate(p, withAltitude)}`);
+    }
+    lines.push('        </coordinates>', '      </LineString>', '    </Placemark>');
+
+    for (const wp of waypoints || []) {
+        lines.push('    <Placemark>');
+        if (wp.label) {
+            lines.push(`      <name>${escapeXml(wp.label)}</name>`);
+        }
+        if (wp.text) {
+            lines.push(`      <description>${escapeXml(wp.text)}</description>`);
+        }
+        lines.push(
+            '      <ExtendedData>',
+            `        ${dataElement('kind', wp.kind)}`,
+            `        ${dataElement('dwellSeconds', wp.dwellSeconds || 0)}`,
+            '      </ExtendedData>',
+            `      <Point><coordinates>${coordinate(wp, false)}</coordinates></Point>`,
+            '    </Placemark>'
+        );
+    }
+
+    lines.push('  </Document>', '</kml>', '');
+    return lines.join('\n');
+}
+
+module.exports = {
+    buildKML
+};
@@ -0,0 +1,112 @@
+/**
+ * KMZ Utility
+ * A KMZ is a zip archive holding a KML document (doc.kml by convention) and its assets.
+ * Reads the zip central directory and inflates the KML entry with zlib; no other
+ * entries are extracted.
+ */
+
+const zlib = require('zlib');
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const EOCD_MIN_SIZE = 22;
+// Largest KML we inflate (zip bombs)
+const MAX_KML_BYTES = 50 * 1024 * 1024;
+
+function invalidKmz(message) {
+    const error = new Error(`Invalid KMZ: ${message}`);
+    error.code = 'INVALID_KMZ';
+    return error;
+}
+
+/**
+ * Whether a buffer starts like a zip archive
+ * @param {Buffer} buffer
+ */
+function isZip(buffer) {
+    return Buffer.isBuffer(buffer) && buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_SIGNATURE;
+}
+
+/**
+ * List the archive entries from the central directory
+ * @returns {Array} [{ name, method, compressedSize, localOffset }]
+ */
+function readEntries(buffer) {
+    // End of central directory: last record, followed by an optional comment of up to 64 KB
+    let eocd = -1;
+    const lowest = Math.max(0, buffer.length - EOCD_MIN_SIZE - 0xffff);
+    for (let i = buffer.length - EOCD_MIN_SIZE; i >= lowest; i--) {
+        if (buffer.readUInt32LE(i) === EOCD_SIGNATURE) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd === -1) throw invalidKmz('end of central directory not found');
+
+    const count = buffer.readUInt16LE(eocd + 10);
+    let offset = buffer.readUInt32LE(eocd + 16);
+    const entries = [];
+
+    for (let i = 0; i < count; i++) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+            throw invalidKmz('corrupt central directory');
+        }
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        entries.push({
+            name: buffer.toString('utf8', offset + 46, offset + 46 + nameLength),
+            method: buffer.readUInt16LE(offset + 10),
+            compressedSize: buffer.readUInt32LE(offset + 20),
+            localOffset: buffer.readUInt32LE(offset + 42)
+        });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+}
+
+function readEntry(buffer, entry) {
+    const offset = entry.localOffset;
+    if (offset + 30 > buffer.length || buffer.readUInt32LE(offset) !== LOCAL_SIGNATURE) {
+        throw invalidKmz(`corrupt entry ${entry.name}`);
+    }
+    const start = offset + 30 + buffer.readUInt16LE(offset + 26) + buffer.readUInt16LE(offset + 28);
+    const data = buffer.subarray(start, start + entry.compressedSize);
+    if (data.length !== entry.compressedSize) throw invalidKmz(`truncated entry ${entry.name}`);
+
+    if (entry.method === 0) return data;
+    if (entry.method === 8) {
+        try {
+            return zlib.inflateRawSync(data, { maxOutputLength: MAX_KML_BYTES });
+        } catch (error) {
+            throw invalidKmz(`${entry.name}: ${error.message}`);
+        }
+    }
+    throw invalidKmz(`${entry.name} uses unsupported compression method ${entry.method}`);
+}
+
+/**
+ * Extract the KML document of a KMZ archive: doc.kml, else the first .kml at the root,
+ * else the first .kml anywhere
+ * @param {Buffer} buffer - KMZ file content
+ * @returns {string} KML XML
+ * @throws {Error} code INVALID_KMZ
+ */
+function extractKml(buffer) {
+    if (!isZip(buffer)) throw invalidKmz('not a zip archive');
+
+    const kmlEntries = readEntries(buffer).filter(e => /\.kml$/i.test(e.name));
+    const entry = kmlEntries.find(e => e.name.toLowerCase() === 'doc.kml')
+        || kmlEntries.find(e => !e.name.includes('/'))
+        || kmlEntries[0];
+    if (!entry) throw invalidKmz('no .kml file in the archive');
+
+    return readEntry(buffer, entry).toString('utf8');
+}
+
+module.exports = {
+    isZip,
+    extractKml
+};
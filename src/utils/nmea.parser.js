@@ -0,0 +1,182 @@
+/**
+ * NMEA 0183 Track Parser
+ * Turns a raw receiver log into route points. Reads RMC (position, speed, course, date)
+ * and GGA (position, fix quality, altitude) from any talker ($GP, $GN, $GL, ...);
+ * sentences with the same UTC time make one point. Other sentences are ignored.
+ *
+ * Lines with a bad checksum, an invalid fix (RMC status V, GGA quality 0) or
+ * unparsable fields are skipped and reported as warnings { element: 'line', line, message }.
+ * GGA has no date: GGA-only logs get point times only when a date is given.
+ */
+
+const { nmeaChecksum } = require('./nmea.writer');
+
+const MAX_WARNINGS = 100;
+const KNOTS_TO_KMH = 1.852;
+
+function invalidNmea(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_NMEA';
+    return error;
+}
+
+/**
+ * ddmm.mmmm / dddmm.mmmm + hemisphere -> decimal degrees
+ */
+function parseCoordinate(value, hemisphere, degreeDigits) {
+    if (!/^\d+(\.\d+)?$/.test(value) || !/^[NSEW]$/.test(hemisphere)) return null;
+    const degrees = parseInt(value.slice(0, degreeDigits), 10);
+    const minutes = parseFloat(value.slice(degreeDigits));
+    if (minutes >= 60) return null;
+    const decimal = degrees + minutes / 60;
+    return hemisphere === 'S' || hemisphere === 'W' ? -decimal : decimal;
+}
+
+/**
+ * hhmmss(.sss) -> milliseconds since midnight
+ */
+function parseTimeOfDay(value) {
+    const match = /^(\d{2})(\d{2})(\d{2}(?:\.\d+)?)$/.exec(value || '');
+    if (!match) return null;
+    const ms = (parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseFloat(match[3])) * 1000;
+    return ms < 86400000 ? Math.round(ms) : null;
+}
+
+/**
+ * ddmmyy -> epoch ms of that UTC midnight (yy 80-99 is 19yy: GPS time starts in 1980)
+ */
+function parseDate(value) {
+    const match = /^(\d{2})(\d{2})(\d{2})$/.exec(value || '');
+    if (!match) return null;
+    const yy = parseInt(match[3], 10);
+    const year = yy >= 80 ? 1900 + yy : 2000 + yy;
+    const ms = Date.UTC(year, parseInt(match[2], 10) - 1, parseInt(match[1], 10));
+    return Number.isFinite(ms) ? ms : null;
+}
+
+function checksumOk(sentence) {
+    const star = sentence.lastIndexOf('*');
+    if (star === -1) return true; // checksum is optional
+    return sentence.slice(star + 1, star + 3).toUpperCase() === nmeaChecksum(sentence.slice(1, star));
+}
+
+/**
+ * Parse an NMEA log
+ * @param {string} nmeaContent
+ * @param {Object} options - { date } YYYY-MM-DD of the first fix, for logs without RMC
+ * @returns {Object} { points, totalLines, skippedLines, sentences: { RMC, GGA }, warnings, warningCount }
+ * @throws {Error} code INVALID_NMEA
+ */
+function parseNMEATrack(nmeaContent, options = {}) {
+    if (!nmeaContent || typeof nmeaContent !== 'string') {
+        throw invalidNmea('NMEA content must be a non-empty string');
+    }
+    let dayMs = null;
+    if (options.date !== undefined && options.date !== null && options.date !== '') {
+        dayMs = Date.parse(`${options.date}T00:00:00Z`);
+        if (!Number.isFinite(dayMs)) throw invalidNmea('date must be YYYY-MM-DD');
+    }
+
+    const result = { points: [], totalLines: 0, skippedLines: 0, sentences: { RMC: 0, GGA: 0 }, warnings: [], warningCount: 0 };
+    const warn = (line, message) => {
+        result.warningCount++;
+        if (result.warnings.length < MAX_WARNINGS) result.warnings.push({ element: 'line', line, message });
+    };
+    const skip = (line, message) => {
+        result.skippedLines++;
+        warn(line, `${message}, line skipped`);
+    };
+
+    let current = null; // point being assembled: { timeOfDay, lat, lng, ... }
+    let lastTimeOfDay = null;
+
+    const flush = () => {
+        if (!current) return;
+        const point = { lat: current.lat, lng: current.lng };
+        if (current.altitude !== undefined) point.altitude = current.altitude;
+        if (current.speed !== undefined) point.speed = current.speed;
+        if (current.bearing !== undefined) point.bearing = current.bearing;
+        if (dayMs !== null && current.timeOfDay !== null) {
+            point.time = new Date(dayMs + current.timeOfDay).toISOString();
+        }
+        result.points.push(point);
+        current = null;
+    };
+
+    const lines = nmeaContent.split(/\r?\n/);
+    lines.forEach((raw, i) => {
+        const line = i + 1;
+        const start = raw.indexOf('$');
+        if (start === -1) return; // blank lines, logger banners
+        const sentence = raw.slice(start).trim();
+        result.totalLines++;
+
+        if (!checksumOk(sentence)) {
+            skip(line, 'bad checksum');
+            return;
+        }
+        const star = sentence.lastIndexOf('*');
+        const fields = (star === -1 ? sentence : sentence.slice(0, star)).split(',');
+        const type = fields[0].slice(3);
+        if (type !== 'RMC' && type !== 'GGA') return;
+        result.sentences[type]++;
+
+        const timeOfDay = parseTimeOfDay(fields[1]);
+        let lat;
+        let lng;
+        if (type === 'RMC') {
+            if (fields[2] !== 'A') {
+                skip(line, 'RMC without a valid fix');
+                return;
+            }
+            lat = parseCoordinate(fields[3], fields[4], 2);
+            lng = parseCoordinate(fields[5], fields[6], 3);
+        } else {
+            if (!fields[6] || fields[6] === '0') {
+                skip(line, 'GGA without a fix');
+                return;
+            }
+            lat = parseCoordinate(fields[2], fields[3], 2);
+            lng = parseCoordinate(fields[4], fields[5], 3);
+        }
+        if (lat === null || lng === null || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+            skip(line, `invalid position in ${type}`);
+            return;
+        }
+
+        // A new UTC time starts a new point; the day rolls over when the time goes back
+        if (!current || timeOfDay === null || timeOfDay !== current.timeOfDay) {
+            flush();
+            if (dayMs !== null && timeOfDay !== null && lastTimeOfDay !== null && timeOfDay < lastTimeOfDay) {
+                dayMs += 86400000;
+            }
+            current = { timeOfDay, lat, lng };
+            if (timeOfDay !== null) lastTimeOfDay = timeOfDay;
+        }
+
+        if (type === 'RMC') {
+            // RMC carries the date: it wins over the date option and the rollover guess
+            const date = parseDate(fields[9]);
+            if (date !== null) dayMs = date;
+            current.lat = lat;
+            current.lng = lng;
+            const knots = parseFloat(fields[7]);
+            if (Number.isFinite(knots)) current.speed = parseFloat((knots * KNOTS_TO_KMH).toFixed(1));
+            const course = parseFloat(fields[8]);
+            if (Number.isFinite(course)) current.bearing = ((course % 360) + 360) % 360;
+        } else {
+            const altitude = parseFloat(fields[9]);
+            if (Number.isFinite(altitude)) current.altitude = altitude;
+        }
+    });
+    flush();
+
+    if (result.sentences.RMC === 0 && result.sentences.GGA === 0) {
+        throw invalidNmea('No RMC or GGA sentences found');
+    }
+    return result;
+}
+
+module.exports = {
+    parseNMEATrack
+};
@@ -0,0 +1,89 @@
+/**
+ * NMEA 0183 Writer
+ * Turns a MOCK_LOCATION payload into the sentences a GPS receiver would print each second:
+ *   $GPRMC  position, speed (knots), course, date
+ *   $GPGGA  position, fix quality, satellites, HDOP, altitude
+ *   $GPGSA  fix type (2D / 3D), satellites used, PDOP / HDOP / VDOP
+ * Each sentence ends with its *hh checksum and CRLF.
+ *
+ * DOPs are derived from the payload accuracies with a fixed user range error;
+ * the satellite list is a fixed constellation.
+ */
+
+const MPS_TO_KNOTS = 1 / 0.514444;
+// Meters of position error per unit of DOP
+const UERE_METERS = 5;
+const SATELLITES = [2, 5, 7, 9, 13, 15, 18, 21];
+
+/**
+ * XOR of the characters between $ and *
+ * @param {string} body - Sentence without $ and checksum (e.g. "GPRMC,...")
+ * @returns {string} Two uppercase hex digits
+ */
+function nmeaChecksum(body) {
+    let sum = 0;
+    for (let i = 0; i < body.length; i++) sum ^= body.charCodeAt(i);
+    return sum.toString(16).toUpperCase().padStart(2, '0');
+}
+
+function sentence(fields) {
+    const body = fields.join(',');
+    return `$${body}*${nmeaChecksum(body)}\r\n`;
+}
+
+/**
+ * Decimal degrees -> [ddmm.mmmm / dddmm.mmmm, hemisphere]
+ */
+function formatCoordinate(value, degreeDigits, positive, negative) {
+    const abs = Math.abs(value);
+    let degrees = Math.floor(abs);
+    let minutes = parseFloat(((abs - degrees) * 60).toFixed(4));
+    if (minutes >= 60) {
+        degrees += 1;
+        minutes = 0;
+    }
+    const text = `${String(degrees).padStart(degreeDigits, '0')}${minutes.toFixed(4).padStart(7, '0')}`;
+    return [text, value < 0 ? negative : positive];
+}
+
+function formatDop(value) {
+    return Math.min(99.9, Math.max(0.5, value)).toFixed(1);
+}
+
+/**
+ * Build the RMC, GGA and GSA sentences of one fix
+ * @param {Object} payload - MOCK_LOCATION payload { lat, lng, altitude?, verticalAccuracy?, speed (m/s), bearing, accuracy }
+ * @param {string|number|Date} [timestamp] - Fix time (default: now)
+ * @returns {string} Sentences, CRLF terminated
+ */
+function buildNMEASentences(payload, timestamp) {
+    const date = timestamp !== undefined && timestamp !== null ? new Date(timestamp) : new Date();
+    const iso = (Number.isFinite(date.getTime()) ? date : new Date()).toISOString();
+    const time = `${iso.slice(11, 13)}${iso.slice(14, 16)}${iso.slice(17, 19)}.${iso.slice(20, 22)}`;
+    const day = `${iso.slice(8, 10)}${iso.slice(5, 7)}${iso.slice(2, 4)}`;
+
+    const [lat, ns] = formatCoordinate(payload.lat, 2, 'N', 'S');
+    const [lng, ew] = formatCoordinate(payload.lng, 3, 'E', 'W');
+    const knots = Math.max(0, Number(payload.speed) || 0) * MPS_TO_KNOTS;
+    const course = ((Number(payload.bearing) || 0) % 360 + 360) % 360;
+
+    const hasAltitude = Number.isFinite(payload.altitude);
+    const hdop = (Number(payload.accuracy) || UERE_METERS) / UERE_METERS;
+    const vdop = hasAltitude ? (Number(payload.verticalAccuracy) || UERE_METERS * 1.5) / UERE_METERS : null;
+    const pdop = vdop !== null ? Math.sqrt(hdop * hdop + vdop * vdop) : hdop;
+    const used = SATELLITES.map(prn => String(prn).padStart(2, '0')).concat(Array(12 - SATELLITES.length).fill(''));
+
+    return [
+        sentence(['GPRMC', time, 'A', lat, ns, lng, ew, knots.toFixed(2), course.toFixed(1), day, '', '', 'A']),
+        sentence([
+            'GPGGA', time, lat, ns, lng, ew, '1', String(SATELLITES.length).padStart(2, '0'), formatDop(hdop),
+            hasAltitude ? payload.altitude.toFixed(1) : '', hasAltitude ? 'M' : '', '', '', '', ''
+        ]),
+        sentence(['GPGSA', 'A', hasAltitude ? '3' : '2', ...used, formatDop(pdop), formatDop(hdop), vdop !== null ? formatDop(vdop) : ''])
+    ].join('');
+}
+
+module.exports = {
+    nmeaChecksum,
+    buildNMEASentences
+};
@@ -0,0 +1,44 @@
+/**
+ * Random Utilities
+ * Seedable PRNG so simulations can be replayed exactly
+ */
+
+/**
+ * Hash a string or number seed into a 32-bit integer (FNV-1a for strings)
+ * @param {string|number} seed
+ * @returns {number}
+ */
+function hashSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return seed >>> 0;
+    }
+    let hash = 0x811c9dc5;
+    const text = String(seed);
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Create a deterministic uniform [0, 1) generator (mulberry32)
+ * Drop-in replacement for Math.random
+ * @param {string|number} seed
+ * @returns {Function}
+ */
+function createRng(seed) {
+    let state = hashSeed(seed);
+    return function rng() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+module.exports = {
+    hashSeed,
+    createRng
+};
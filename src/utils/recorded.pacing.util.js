@@ -0,0 +1,150 @@
+/**
+ * Recorded Pacing Utilities
+ * Replays a timestamped track (GPX <time>) at the pace it was recorded at:
+ * every segment is driven at the speed it took in the recording, and time
+ * spent standing still becomes a dwell stop where the device stopped.
+ *
+ * A segment slower than stopSpeedKmh is standing still. Runs of such segments
+ * make one stop at the run's first point; its dwell is the run's duration minus
+ * the time needed to cover the run's distance at the speed of the nearest moving
+ * segment (which the run is then driven at). Shorter stops than minStopSeconds
+ * are replayed as slow driving instead. Segments faster than maxSpeedKmh
+ * (GPS outliers, duplicate timestamps) are driven at maxSpeedKmh.
+ */
+
+const { calculateDistance } = require('./geospatial.util');
+
+/**
+ * Epoch ms of a point timestamp (Date or ISO string), null when missing or invalid
+ */
+function timeMs(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const ms = value instanceof Date ? value.getTime() : Date.parse(value);
+    return Number.isFinite(ms) ? ms : null;
+}
+
+/**
+ * Number of points with a usable timestamp
+ * @param {Array} points - Array of {time?}
+ */
+function countTimestamps(points) {
+    return (points || []).filter(p => timeMs(p.time) !== null).length;
+}
+
+/**
+ * Speed of the moving segment closest to a run of standing segments (after it first)
+ */
+function nearestMovingSpeed(speeds, isMoving, first, last) {
+    for (let k = last + 1; k < speeds.length; k++) {
+        if (isMoving(k)) return speeds[k];
+    }
+    for (let k = first - 1; k >= 0; k--) {
+        if (isMoving(k)) return speeds[k];
+    }
+    return null;
+}
+
+/**
+ * Derive per-segment speeds and stops from point timestamps.
+ * Points may be in reverse time order (a route driven backwards).
+ * @param {Array} points - Array of {lat, lng, time?} in travel order
+ * @param {Object} options - { stopSpeedKmh, minStopSeconds, maxSpeedKmh }
+ * @returns {Object|null} { segSpeedsMps, stops: [{ pointIndex, dwellSeconds }] }
+ *   segSpeedsMps[i] is null for segments without timestamps at both ends;
+ *   null when the points carry fewer than 2 timestamps
+ */
+function buildRecordedPacing(points, options = {}) {
+    if (!points || countTimestamps(points) < 2) return null;
+
+    const stopSpeedMps = (options.stopSpeedKmh ?? 2) / 3.6;
+    const minStopSeconds = options.minStopSeconds ?? 5;
+    const maxSpeedMps = (options.maxSpeedKmh ?? 200) / 3.6;
+
+    const segments = [];
+    for (let i = 0; i < points.length - 1; i++) {
+        const t1 = timeMs(points[i].time);
+        const t2 = timeMs(points[i + 1].time);
+        segments.push({
+            meters: calculateDistance(points[i], points[i + 1]),
+            seconds: t1 !== null && t2 !== null ? Math.abs(t2 - t1) / 1000 : null
+        });
+    }
+
+    const speeds = segments.map(s => (s.seconds > 0
+        ? Math.min(s.meters / s.seconds, maxSpeedMps)
+        : null));
+    const isMoving = k => speeds[k] !== null && speeds[k] >= stopSpeedMps;
+    const isStanding = k => speeds[k] !== null && speeds[k] < stopSpeedMps;
+
+    const segSpeedsMps = speeds.slice();
+    const stops = [];
+
+    let i = 0;
+    while (i < segments.length) {
+        if (!isStanding(i)) {
+            i++;
+            continue;
+        }
+        let last = i;
+        while (last + 1 < segments.length && isStanding(last + 1)) last++;
+
+        const cruiseMps = nearestMovingSpeed(speeds, isMoving, i, last);
+        if (cruiseMps !== null) {
+            let seconds = 0;
+            let meters = 0;
+            for (let k = i; k <= last; k++) {
+                seconds += segments[k].seconds;
+                meters += segments[k].meters;
+            }
+            const dwellSeconds = seconds - meters / cruiseMps;
+            if (dwellSeconds >= minStopSeconds) {
+                stops.push({ pointIndex: i, dwellSeconds: Math.round(dwellSeconds) });
+                for (let k = i; k <= last; k++) segSpeedsMps[k] = cruiseMps;
+            }
+        }
+        i = last + 1;
+    }
+
+    return { segSpeedsMps, stops };
+}
+
+/**
+ * Meters covered in dtSec from a route position at the recorded segment speeds
+ * @param {Object} pacing - From buildRecordedPacing
+ * @param {Array<number>} cum - Cumulative distance at each point
+ * @param {number} segIndex
+ * @param {number} segProgress - Meters into the segment
+ * @param {number} dtSec
+ * @param {number} fallbackMps - Speed on segments without timestamps
+ * @returns {number} meters
+ */
+function recordedAdvanceMeters(pacing, cum, segIndex, segProgress, dtSec, fallbackMps) {
+    let remainingSec = dtSec;
+    let meters = 0;
+    let index = segIndex;
+    let progress = segProgress;
+    let speed = fallbackMps;
+
+    while (index < cum.length - 1) {
+        const segLeft = cum[index + 1] - cum[index] - progress;
+        speed = pacing.segSpeedsMps[index] ?? fallbackMps;
+        if (segLeft > 0 && speed > 0) {
+            const needSec = segLeft / speed;
+            if (needSec > remainingSec) {
+                return meters + speed * remainingSec;
+            }
+            meters += segLeft;
+            remainingSec -= needSec;
+        }
+        index++;
+        progress = 0;
+    }
+    // Run past the last point like the physics engine does, so the end of the route is detected
+    return meters + speed * remainingSec;
+}
+
+module.exports = {
+    countTimestamps,
+    buildRecordedPacing,
+    recordedAdvanceMeters
+};
@@ -0,0 +1,57 @@
+/**
+ * Routing Provider Errors
+ * Errors thrown by the routing providers (ors, osrm, valhalla, graphhopper) carry:
+ *   status             HTTP status of the provider response, null for network errors
+ *   unavailable        true when the provider is down or out of quota and another one should
+ *                      be tried: network errors, timeouts, 5xx, 429 and 401 / 403 (quota, key)
+ *   retryAfterSeconds  Retry-After of a rate limited response, when the provider sent one
+ * Everything else (no route, no geocoding result, bad input) is an answer, not an outage.
+ */
+
+const axios = require('axios');
+
+const UNAVAILABLE_STATUSES = [401, 403, 408, 429];
+
+function routingError(message, { status = null, unavailable = false, retryAfterSeconds = null } = {}) {
+    const error = new Error(message);
+    error.status = status;
+    error.unavailable = unavailable;
+    error.retryAfterSeconds = retryAfterSeconds;
+    return error;
+}
+
+function isUnavailableStatus(status) {
+    return UNAVAILABLE_STATUSES.includes(status) || status >= 500;
+}
+
+/**
+ * Turn a failed provider call into a routing error; errors that aren't from axios are rethrown as-is
+ * @param {string} label - Provider name for the message (e.g. 'OSRM')
+ * @param {Error} error
+ * @param {Function} [notFound] - (status, body) -> message when the response means "no result", else null
+ * @returns {Error}
+ */
+function fromHttpError(label, error, notFound) {
+    if (!axios.isAxiosError(error)) return error;
+
+    if (!error.response) {
+        return routingError(`${label} service unavailable: ${error.message}`, { unavailable: true });
+    }
+
+    const { status, data, headers } = error.response;
+    const noResult = notFound ? notFound(status, data) : null;
+    if (noResult) return routingError(noResult, { status });
+
+    const detail = data?.error?.message || data?.message || (typeof data?.error === 'string' ? data.error : null) || error.message;
+    const retryAfter = parseInt(headers?.['retry-after'], 10);
+    return routingError(`${label} API error (${status}): ${detail}`, {
+        status,
+        unavailable: isUnavailableStatus(status),
+        retryAfterSeconds: Number.isFinite(retryAfter) ? retryAfter : null
+    });
+}
+
+module.exports = {
+    routingError,
+    fromHttpError
+};
@@ -0,0 +1,172 @@
+/**
+ * Speed Profile Utilities
+ * Per-point speed caps for the distance engine: explicit point limits
+ * (RoutePoint.speed), curve slowdown from bearing change, and ORS waytype
+ * speeds. Caps are upper bounds — the stream's configured speed still wins
+ * when it is lower.
+ */
+
+const { calculateDistance, calculateBearing } = require('./geospatial.util');
+
+// Typical speeds (km/h) per ORS waytype (extra_info=waytype)
+// https://giscience.github.io/openrouteservice/api-reference/endpoints/directions/extra-info/waytype
+const WAYTYPE_SPEEDS_KMH = {
+    1: 90, // State Road
+    2: 60, // Road
+    3: 40, // Street
+    4: 15, // Path
+    5: 20, // Track
+    6: 15, // Cycleway
+    7: 10, // Footway
+    8: 5,  // Steps
+    9: 20, // Ferry
+    10: 20 // Construction
+};
+
+// Distance (meters) on each side of a point used to measure the bearing change
+const CURVE_WINDOW_METERS = 20;
+// Bearing changes below this are treated as straight road
+const CURVE_MIN_TURN_DEG = 10;
+
+/**
+ * Cumulative distance (meters) from the first point to each point
+ * @param {Array} points - Array of {lat, lng}
+ * @returns {Array<number>}
+ */
+function cumulativeDistances(points) {
+    const cum = [0];
+    for (let i = 1; i < points.length; i++) {
+        cum.push(cum[i - 1] + calculateDistance(points[i - 1], points[i]));
+    }
+    return cum;
+}
+
+/**
+ * Convert ORS waytype extras into speed ranges measured along the geometry
+ * @param {Array} geometry - ORS geometry as {lat, lng}
+ * @param {Array} values - extras.waytype.values: [[fromIndex, toIndex, waytype], ...]
+ * @returns {Array} [{ fromMeters, toMeters, speedKmh }]
+ */
+function speedRangesFromWaytypes(geometry, values) {
+    if (!geometry || geometry.length < 2 || !Array.isArray(values)) return [];
+
+    const cum = cumulativeDistances(geometry);
+    const last = geometry.length - 1;
+
+    return values
+        .filter(([, , waytype]) => WAYTYPE_SPEEDS_KMH[waytype])
+        .map(([fromIndex, toIndex, waytype]) => ({
+            fromMeters: cum[Math.min(fromIndex, last)],
+            toMeters: cum[Math.min(toIndex, last)],
+            speedKmh: WAYTYPE_SPEEDS_KMH[waytype]
+        }));
+}
+
+/**
+ * Stamp speed ranges onto route points by distance along the route.
+ * Only points without an explicit speed are filled (speed 0 wait markers are kept).
+ * @param {Array} points - Final route points
+ * @param {Array} ranges - [{ fromMeters, toMeters, speedKmh }]
+ * @returns {Array} New array of points
+ */
+function applySpeedRanges(points, ranges) {
+    if (!points || points.length === 0 || !ranges || ranges.length === 0) return points;
+
+    const cum = cumulativeDistances(points);
+    return points.map((p, i) => {
+        if (p.speed !== null && p.speed !== undefined) return p;
+        const range = ranges.find(r => cum[i] >= r.fromMeters && cum[i] < r.toMeters)
+            || (i === points.length - 1 ? ranges[ranges.length - 1] : null);
+        return range ? { ...p, speed: range.speedKmh } : p;
+    });
+}
+
+/**
+ * Maximum speed (m/s) through each point from the bearing change around it.
+ * The turn radius is estimated from the bearing change across a ~20 m window
+ * on each side, then v = sqrt(aLat * r).
+ * @returns {Array<number>} Infinity where the road is straight
+ */
+function curveSpeedCaps(points, cum, lateralAccel, minSpeedMps) {
+    const caps = new Array(points.length).fill(Infinity);
+
+    for (let i = 1; i < points.length - 1; i++) {
+        let j = i - 1;
+        while (j > 0 && cum[i] - cum[j - 1] <= CURVE_WINDOW_METERS) j--;
+        let k = i + 1;
+        while (k < points.length - 1 && cum[k + 1] - cum[i] <= CURVE_WINDOW_METERS) k++;
+
+        const dIn = cum[i] - cum[j];
+        const dOut = cum[k] - cum[i];
+        if (dIn < 1 || dOut < 1) continue;
+
+        let turnDeg = Math.abs(calculateBearing(points[i], points[k]) - calculateBearing(points[j], points[i]));
+        if (turnDeg > 180) turnDeg = 360 - turnDeg;
+        if (turnDeg < CURVE_MIN_TURN_DEG) continue;
+
+        // Each chord follows the arc tangent at its midpoint
+        const radius = (dIn + dOut) / (2 * (turnDeg * Math.PI / 180));
+        caps[i] = Math.max(minSpeedMps, Math.sqrt(lateralAccel * radius));
+    }
+
+    return caps;
+}
+
+/**
+ * Build the speed profile of a route
+ * @param {Array} points - Route points ({lat, lng, speed?} with speed in km/h)
+ * @param {Object} options - { lateralAccel (m/s²), minCurveSpeedKmh }
+ * @returns {Object} { cumMeters, segmentCapMps, pointCapMps }
+ *   segmentCapMps[i] limits the segment i -> i+1 (explicit point speed)
+ *   pointCapMps[i] limits the speed when passing point i (point speed + curve)
+ */
+function buildSpeedProfile(points, options = {}) {
+    const lateralAccel = options.lateralAccel || 2;
+    const minSpeedMps = (options.minCurveSpeedKmh || 10) / 3.6;
+
+    const cumMeters = cumulativeDistances(points);
+    // speed <= 0 marks wait duplicates, not a limit
+    const segmentCapMps = points.map(p => (p.speed > 0 ? p.speed / 3.6 : Infinity));
+    const curveCaps = curveSpeedCaps(points, cumMeters, lateralAccel, minSpeedMps);
+    const pointCapMps = segmentCapMps.map((cap, i) => Math.min(cap, curveCaps[i]));
+
+    return { cumMeters, segmentCapMps, pointCapMps };
+}
+
+/**
+ * Target speed (m/s) at the current position: the cruise speed limited by the
+ * current segment's cap and by every upcoming cap we must be able to brake for.
+ * @param {Object} profile - From buildSpeedProfile
+ * @param {number} segIndex - Current segment start index
+ * @param {number} segProgress - Meters travelled into the segment
+ * @param {number} cruiseMps - Configured stream speed
+ * @param {number} brakeMps2 - Deceleration used for planning
+ */
+function profileTargetMps(profile, segIndex, segProgress, cruiseMps, brakeMps2) {
+    const { cumMeters, segmentCapMps, pointCapMps } = profile;
+    if (segIndex >= cumMeters.length) return cruiseMps;
+
+    const s = cumMeters[segIndex] + segProgress;
+    const horizon = (cruiseMps * cruiseMps) / (2 * brakeMps2);
+
+    let target = Math.min(cruiseMps, segmentCapMps[segIndex]);
+    for (let j = segIndex + 1; j < cumMeters.length; j++) {
+        const d = cumMeters[j] - s;
+        if (d > horizon) break;
+        const cap = pointCapMps[j];
+        if (cap < target) {
+            target = Math.min(target, Math.sqrt(cap * cap + 2 * brakeMps2 * Math.max(0, d)));
+        }
+    }
+
+    return target;
+}
+
+module.exports = {
+    WAYTYPE_SPEEDS_KMH,
+    cumulativeDistances,
+    speedRangesFromWaytypes,
+    applySpeedRanges,
+    buildSpeedProfile,
+    profileTargetMps
+};
@@ -0,0 +1,73 @@
+/**
+ * Waypoint Snapping Utility
+ * Places waypoints read from imported files (GPX <wpt>, KML Placemarks) on the imported track.
+ */
+
+const { calculateDistance } = require('./geospatial.util');
+
+/**
+ * Turn imported waypoints into route waypoints: origin and destination at the route's ends,
+ * each waypoint within maxDistanceMeters of a route point a stop at the closest point.
+ * @param {Array} points - Final route points
+ * @param {Array} waypoints - Array of { lat, lng, name?, description?, dwellSeconds? }
+ * @param {Object} options - { maxDistanceMeters, dwellSeconds (when the waypoint has none), element (for warnings) }
+ * @returns {Object} { waypoints (RouteWaypoint data, empty when no wpt becomes a stop), warnings }
+ */
+function mapWaypointsToStops(points, waypoints, { maxDistanceMeters, dwellSeconds = 0, element = 'wpt' }) {
+    const warnings = [];
+    const stops = [];
+
+    waypoints.forEach((wpt, i) => {
+        let pointIndex = 0;
+        let best = Infinity;
+        points.forEach((p, j) => {
+            const d = calculateDistance(wpt, p);
+            if (d < best) {
+                best = d;
+                pointIndex = j;
+            }
+        });
+        if (best > maxDistanceMeters) {
+            warnings.push({ element, line: wpt.line ?? null, message: `waypoint ${i}${wpt.name ? ` "${wpt.name}"` : ''} is ${Math.round(best)}m from the track, not used as a stop` });
+            return;
+        }
+        stops.push({ wpt, pointIndex });
+    });
+
+    if (stops.length === 0) return { waypoints: [], warnings };
+
+    const lastIndex = points.length - 1;
+    const endpoint = (kind, label, pointIndex) => ({
+        kind,
+        mode: 'manual',
+        label,
+        lat: points[pointIndex].lat,
+        lng: points[pointIndex].lng,
+        dwellSeconds: 0,
+        pointIndex
+    });
+
+    return {
+        waypoints: [
+            endpoint('origin', 'Origin', 0),
+            ...stops
+                .sort((a, b) => a.pointIndex - b.pointIndex)
+                .map(({ wpt, pointIndex }, i) => ({
+                    kind: 'stop',
+                    mode: 'manual',
+                    label: wpt.name || `Stop ${i + 1}`,
+                    text: wpt.description,
+                    lat: wpt.lat,
+                    lng: wpt.lng,
+                    dwellSeconds: wpt.dwellSeconds ?? dwellSeconds,
+                    pointIndex
+                })),
+            endpoint('destination', 'Destination', lastIndex)
+        ],
+        warnings
+    };
+}
+
+module.exports = {
+    mapWaypointsToStops
+};
@@ -0,0 +1,230 @@
+/**
+ * Streaming XML Tokenizer (SAX style)
+ * Small, dependency-free event parser for the document formats we import (GPX, KML).
+ * Content can be written in chunks; events fire as soon as a construct is complete:
+ *   onOpen(name, attributes, { line, selfClosing })
+ *   onClose(name, { line })
+ *   onText(text, { line })  - entity-decoded character data and CDATA
+ * Comments, processing instructions and DOCTYPE declarations are skipped.
+ * Malformed markup throws an Error with code INVALID_XML and the line it was found on.
+ */
+
+const NAMED_ENTITIES = {
+    lt: '<',
+    gt: '>',
+    amp: '&',
+    quot: '"',
+    apos: "'"
+};
+
+function xmlError(message, line) {
+    const error = new Error(`Invalid XML at line ${line}: ${message}`);
+    error.code = 'INVALID_XML';
+    error.line = line;
+    return error;
+}
+
+/**
+ * Decode predefined and numeric character references (unknown entities are kept as is)
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+    if (text.indexOf('&') === -1) return text;
+    return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' || entity[1] === 'X'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+        }
+        return NAMED_ENTITIES[entity] !== undefined ? NAMED_ENTITIES[entity] : match;
+    });
+}
+
+/**
+ * Element name without its namespace prefix (gpxtpx:hr -> hr)
+ */
+function localName(name) {
+    const colon = name.indexOf(':');
+    return colon === -1 ? name : name.slice(colon + 1);
+}
+
+/**
+ * Index of the '>' closing a start tag, skipping '>' inside quoted attribute values
+ * @returns {number} -1 when the tag is not complete yet
+ */
+function findTagEnd(buffer, from) {
+    let quote = null;
+    for (let i = from; i < buffer.length; i++) {
+        const c = buffer[i];
+        if (quote) {
+            if (c === quote) quote = null;
+        } else if (c === '"' || c === "'") {
+            quote = c;
+        } else if (c === '>') {
+            return i;
+        }
+    }
+    return -1;
+}
+
+function parseAttributes(source, line) {
+    const attributes = {};
+    const attributeRegex = /([^\s=/]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let rest = source;
+    let match;
+    while ((match = attributeRegex.exec(source)) !== null) {
+        attributes[match[1]] = decodeEntities(match[2] !== undefined ? match[2] : match[3]);
+        rest = rest.replace(match[0], '');
+    }
+    if (rest.trim() !== '') {
+        throw xmlError(`malformed attributes "${rest.trim().slice(0, 40)}"`, line);
+    }
+    return attributes;
+}
+
+/**
+ * Create a streaming parser
+ * @param {Object} handlers - { onOpen, onClose, onText } (all optional)
+ * @returns {Object} { write(chunk), end() }
+ */
+function createSaxParser(handlers = {}) {
+    const onOpen = handlers.onOpen || (() => {});
+    const onClose = handlers.onClose || (() => {});
+    const onText = handlers.onText || (() => {});
+
+    // Unprocessed input is buffer[pos..]; scanning by index keeps large documents linear
+    let buffer = '';
+    let pos = 0;
+    let line = 1;
+    let rootClosed = false;
+    const stack = [];
+
+    // Consume buffer[pos, end) and advance the line counter
+    const consume = (end) => {
+        const consumed = buffer.slice(pos, end);
+        const startLine = line;
+        for (let i = consumed.indexOf('\n'); i !== -1; i = consumed.indexOf('\n', i + 1)) line++;
+        pos = end;
+        return { consumed, startLine };
+    };
+
+    function emitText(text, startLine) {
+        if (text === '') return;
+        if (stack.length === 0) {
+            if (text.trim() !== '') throw xmlError('text outside the root element', startLine);
+            return;
+        }
+        onText(decodeEntities(text), { line: startLine });
+    }
+
+    function openElement(consumed, startLine) {
+        const selfClosing = consumed[consumed.length - 2] === '/';
+        const body = consumed.slice(1, selfClosing ? -2 : -1);
+        const nameMatch = body.match(/^[^\s/>]+/);
+        if (!nameMatch) throw xmlError('missing element name', startLine);
+        const name = nameMatch[0];
+        if (stack.length === 0 && rootClosed) {
+            throw xmlError(`element <${name}> after the root element`, startLine);
+        }
+        const attributes = parseAttributes(body.slice(name.length), startLine);
+
+        stack.push(name);
+        onOpen(name, attributes, { line: startLine, selfClosing });
+        if (selfClosing) closeElement(name, startLine);
+    }
+
+    function closeElement(name, startLine) {
+        const open = stack.pop();
+        if (open !== name) {
+            throw xmlError(open ? `expected </${open}> but found </${name}>` : `unexpected </${name}>`, startLine);
+        }
+        if (stack.length === 0) rootClosed = true;
+        onClose(name, { line: startLine });
+    }
+
+    // Process every complete construct; an incomplete one waits for the next chunk
+    function drain(final) {
+        while (pos < buffer.length) {
+            const lt = buffer.indexOf('<', pos);
+            if (lt === -1) {
+                // Text may continue in the next chunk (an entity could be split)
+                if (!final) return;
+                const { consumed, startLine } = consume(buffer.length);
+                emitText(consumed, startLine);
+                return;
+            }
+            if (lt > pos) {
+                const { consumed, startLine } = consume(lt);
+                emitText(consumed, startLine);
+                continue;
+            }
+
+            let end;
+            if (buffer.startsWith('<!--', pos)) {
+                end = buffer.indexOf('-->', pos + 4);
+                if (end === -1) break;
+                consume(end + 3);
+            } else if (buffer.startsWith('<![CDATA[', pos)) {
+                end = buffer.indexOf(']]>', pos + 9);
+                if (end === -1) break;
+                const { consumed, startLine } = consume(end + 3);
+                if (stack.length === 0) throw xmlError('CDATA outside the root element', startLine);
+                onText(consumed.slice(9, -3), { line: startLine });
+            } else if (buffer.startsWith('<?', pos)) {
+                end = buffer.indexOf('?>', pos + 2);
+                if (end === -1) break;
+                consume(end + 2);
+            } else if (buffer.startsWith('<!', pos)) {
+                // DOCTYPE, possibly with an internal subset in [ ]
+                const bracket = buffer.indexOf('[', pos);
+                const close = buffer.indexOf('>', pos);
+                if (close === -1) break;
+                if (bracket !== -1 && bracket < close) {
+                    end = buffer.indexOf(']>', bracket);
+                    if (end === -1) break;
+                    consume(end + 2);
+                } else {
+                    consume(close + 1);
+                }
+            } else if (buffer.startsWith('</', pos)) {
+                end = buffer.indexOf('>', pos);
+                if (end === -1) break;
+                const { consumed, startLine } = consume(end + 1);
+                closeElement(consumed.slice(2, -1).trim(), startLine);
+            } else {
+                end = findTagEnd(buffer, pos + 1);
+                if (end === -1) break;
+                const { consumed, startLine } = consume(end + 1);
+                openElement(consumed, startLine);
+            }
+        }
+        if (final && pos < buffer.length) {
+            throw xmlError('unterminated markup', line);
+        }
+    }
+
+    return {
+        write(chunk) {
+            buffer = buffer.slice(pos) + chunk;
+            pos = 0;
+            drain(false);
+        },
+        end() {
+            drain(true);
+            if (stack.length > 0) {
+                throw xmlError(`unclosed <${stack[stack.length - 1]}>`, line);
+            }
+            if (!rootClosed) {
+                throw xmlError('no root element', line);
+            }
+        }
+    };
+}
+
+module.exports = {
+    createSaxParser,
+    decodeEntities,
+    localName
+};
@@ -10,13 +10,19 @@
 const { WebSocketServer } = require('ws');
 const { verifyToken } = require('../utils/jwt.util');
 const deviceService = require('../services/device.service');
+const deviceWireService = require('../services/device.wire.service');
 const auditService = require('../services/audit.service');
+const streamClusterService = require('../services/stream.cluster.service');
+const cluster = require('../lib/cluster');
 
 // Create WebSocket server with noServer: true
 // This is CRITICAL - prevents Express from intercepting /ws
 const wss = new WebSocketServer({ noServer: true });
 
-function broadcast(type, payload) {
+/**
+ * Deliver a dashboard event to the clients connected to this node
+ */
+function deliverLocal(type, payload) {
     // Serialize once to prevent event loop blocking on massive broadcasts
     const messageStr = JSON.stringify({
         type,
@@ -45,6 +51,19 @@ function broadcast(type, payload) {
     });
 }
 
+/**
+ * Send an event to dashboards on every node of the cluster
+ */
+function broadcast(type, payload) {
+    deliverLocal(type, payload);
+    cluster.publishBroadcast(type, payload).catch((err) => {
+        console.error(`⚠️ [WS] Cluster broadcast failed for ${type}:`, err.message);
+    });
+}
+
+// Events raised on other nodes only need local delivery (no re-publish)
+cluster.onBroadcast(deliverLocal);
+
 // ── Heartbeat Loop (Server -> Client) ─────────────────────────────────────────
 const heartbeatInterval = setInterval(() => {
     wss.clients.forEach((ws) => {
@@ -227,6 +246,7 @@ wss.on('connection', async (ws, req) => {
     try {
         if (clientType !== 'admin') {
             await deviceService.setDeviceConnection(deviceId, ws);
+            await deviceWireService.attachDevice(deviceId);
             // Update device with last IP
             await deviceService.updateDevice(deviceId, { lastIp: clientIp });
             console.log(`✅ Device ${deviceId} connection stored`);
@@ -264,6 +284,19 @@ wss.on('connection', async (ws, req) => {
         console.warn(`⚠️ [WS] Broadcast failed (non-fatal):`, broadcastErr.message);
     }
 
+    // Resume a stream rehydrated after a server restart, or parked on
+    // another cluster node the device was connected to before (non-fatal)
+    try {
+        if (clientType !== 'admin') {
+            const recovered = await streamClusterService.resumeOnConnect(deviceId);
+            if (recovered) {
+                broadcast('STREAM_RECOVERED', recovered);
+            }
+        }
+    } catch (recoveryErr) {
+        console.warn(`⚠️ [WS] Stream recovery failed for ${deviceId} (non-fatal):`, recoveryErr.message);
+    }
+
     // Send CONNECTED frame to Android — always, regardless of internal errors above
     ws.send(JSON.stringify({
         type: 'CONNECTED',
@@ -335,6 +368,7 @@ wss.on('connection', async (ws, req) => {
 
         try {
             await deviceService.removeDeviceConnection(deviceId);
+            await deviceWireService.detachDevice(deviceId);
             await auditService.log(auditService.ACTIONS.WS_DISCONNECT, {
                 userId: userId,
                 deviceId,
@@ -370,6 +404,7 @@ wss.on('connection', async (ws, req) => {
 
         try {
             await deviceService.removeDeviceConnection(deviceId);
+            await deviceWireService.detachDevice(deviceId);
         } catch (err) {
             console.error(`⚠️ Error removing connection:`, err.message);
         }
@@ -0,0 +1,75 @@
+/**
+ * cron.util: parsing and next-run computation across timezones and DST
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, nextCronRun, isValidTimezone } = require('../src/utils/cron.util');
+
+function next(expression, after, timezone) {
+    const run = nextCronRun(expression, after, timezone);
+    return run && run.toISOString();
+}
+
+describe('parseCron', () => {
+    it('expands ranges, lists, steps and names', () => {
+        const cron = parseCron('*/20 8-10,18 1 JAN-MAR mon-fri');
+
+        assert.deepEqual([...cron.minute], [0, 20, 40]);
+        assert.deepEqual([...cron.hour], [8, 9, 10, 18]);
+        assert.deepEqual([...cron.month], [1, 2, 3]);
+        assert.deepEqual([...cron.dayOfWeek], [1, 2, 3, 4, 5]);
+        assert.equal(cron.dayOfMonthRestricted, true);
+        assert.equal(cron.dayOfWeekRestricted, true);
+    });
+
+    it('accepts macros and 7 for Sunday', () => {
+        assert.deepEqual([...parseCron('@hourly').minute], [0]);
+        assert.deepEqual([...parseCron('0 0 * * 7').dayOfWeek], [0]);
+        assert.deepEqual([...parseCron('5/30 * * * *').minute], [5, 35]);
+    });
+
+    it('rejects malformed expressions with INVALID_CRON', () => {
+        ['', '* * * *', '60 * * * *', '* * * 13 *', '*/0 * * * *', '5-1 * * * *', 'a * * * *', '*/x * * * *']
+            .forEach((expression) => {
+                assert.throws(() => parseCron(expression), { code: 'INVALID_CRON' }, expression);
+            });
+    });
+});
+
+describe('nextCronRun', () => {
+    it('finds the next run strictly after the given instant', () => {
+        assert.equal(next('*/15 8-18 * * MON-FRI', '2026-03-06T18:50:00Z'), '2026-03-09T08:00:00.000Z');
+        assert.equal(next('0 9 * * *', '2026-03-02T09:00:00Z'), '2026-03-03T09:00:00.000Z');
+        assert.equal(next('@monthly', '2026-03-15T00:00:00Z'), '2026-04-01T00:00:00.000Z');
+    });
+
+    it('evaluates the expression in the given timezone', () => {
+        assert.equal(next('0 9 * * *', '2026-03-02T12:00:00Z', 'America/Santo_Domingo'), '2026-03-02T13:00:00.000Z');
+    });
+
+    it('shifts times skipped by a DST jump and does not repeat fall-back times', () => {
+        // 2026-03-08 02:30 does not exist in New York: runs at 03:30 EDT
+        assert.equal(next('30 2 * * *', '2026-03-07T12:00:00Z', 'America/New_York'), '2026-03-08T07:30:00.000Z');
+        // 2026-11-01 01:30 happens twice: the first (EDT) one, then the next day
+        assert.equal(next('30 1 * * *', '2026-11-01T05:00:00Z', 'America/New_York'), '2026-11-01T05:30:00.000Z');
+        assert.equal(next('30 1 * * *', '2026-11-01T05:30:00Z', 'America/New_York'), '2026-11-02T06:30:00.000Z');
+    });
+
+    it('matches either day field when both are restricted', () => {
+        // The 13th or any Friday: Friday 2026-03-06 comes first
+        assert.equal(next('0 0 13 * 5', '2026-03-01T00:00:00Z'), '2026-03-06T00:00:00.000Z');
+    });
+
+    it('returns null for dates that never happen', () => {
+        assert.equal(nextCronRun('0 0 30 2 *', '2026-03-01T00:00:00Z'), null);
+    });
+});
+
+describe('isValidTimezone', () => {
+    it('knows IANA names', () => {
+        assert.equal(isValidTimezone('America/Santo_Domingo'), true);
+        assert.equal(isValidTimezone('UTC'), true);
+        assert.equal(isValidTimezone('Mars/Olympus_Mons'), false);
+    });
+});
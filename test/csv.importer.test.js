@@ -0,0 +1,86 @@
+/**
+ * csv.importer: column detection, delimiters, strict numbers and skipped rows
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCSVTrack } = require('../src/utils/csv.importer');
+
+describe('parseCSVTrack', () => {
+    it('guesses columns from the header and converts units', () => {
+        const csv = [
+            'Timestamp,Latitude,Longitude,Speed,Course,Elevation,Wait',
+            '1772352000,18.4861,-69.9312,10,-90,35.5,',
+            '2026-03-01T08:00:05Z,18.4865,-69.9310,12.5,400,36,30'
+        ].join('\n');
+
+        const result = parseCSVTrack(csv, { speedUnit: 'mps' });
+
+        assert.deepEqual(result.columns, { lat: 1, lng: 2, time: 0, speed: 3, bearing: 4, altitude: 5, dwell: 6 });
+        assert.deepEqual(result.points, [
+            { lat: 18.4861, lng: -69.9312, time: '2026-03-01T08:00:00.000Z', speed: 36, bearing: 270, altitude: 35.5 },
+            { lat: 18.4865, lng: -69.931, time: '2026-03-01T08:00:05.000Z', speed: 45, bearing: 40, altitude: 36, dwellSeconds: 30 }
+        ]);
+        assert.equal(result.skippedRows, 0);
+    });
+
+    it('maps columns by name or index, without a header', () => {
+        const byName = parseCSVTrack('y,x\n18.5,-69.9\n', { columns: { lat: 'y', lng: 'x' } });
+        const byIndex = parseCSVTrack('-69.9,18.5\n', { header: false, columns: { lat: 1, lng: 0 } });
+
+        assert.deepEqual(byName.points, [{ lat: 18.5, lng: -69.9 }]);
+        assert.deepEqual(byIndex.points, [{ lat: 18.5, lng: -69.9 }]);
+        assert.throws(() => parseCSVTrack('a,b\n1,2', { columns: { lat: 'lat', lng: 'b' } }), { code: 'INVALID_CSV' });
+        assert.throws(() => parseCSVTrack('a,b\n1,2'), { code: 'INVALID_CSV', message: /lat and lng columns not found/ });
+    });
+
+    it('reads quoted fields and a BOM', () => {
+        const csv = '\uFEFFlat,lng,name\r\n18.5,-69.9,"Depot, ""north"" gate\nbay 2"\r\n18.6,-69.8,x\r\n';
+
+        const result = parseCSVTrack(csv);
+
+        assert.equal(result.points.length, 2);
+        assert.equal(result.totalRows, 2);
+        assert.throws(() => parseCSVTrack('lat,lng\n"18.5,-69.9\n'), { code: 'INVALID_CSV', message: /Unterminated/ });
+    });
+
+    it('accepts decimal commas only when the delimiter is not a comma', () => {
+        const semicolon = parseCSVTrack('lat;lng;alt\n18,5;-69,1;12,25\n');
+        const tab = parseCSVTrack('lat\tlng\n18,5\t-69,1\n');
+        const comma = parseCSVTrack('lat,lng\n"18,5","-69,1"\n18.5,-69.1\n');
+
+        assert.deepEqual(semicolon.points, [{ lat: 18.5, lng: -69.1, altitude: 12.25 }]);
+        assert.deepEqual(tab.points, [{ lat: 18.5, lng: -69.1 }]);
+        assert.deepEqual(comma.points, [{ lat: 18.5, lng: -69.1 }]);
+        assert.deepEqual(comma.warnings, [{ element: 'row', line: 2, message: 'invalid coordinates "18,5", "-69,1", row skipped' }]);
+    });
+
+    it('skips rows with malformed numbers instead of reading a prefix', () => {
+        const csv = [
+            'lat,lng,speed,dwell,time',
+            '18.5,-69.9,12abc,,',
+            '18.5abc,-69.9,,,',
+            '95,-69.9,,,',
+            '18.5,-69.9,,-5,yesterday',
+            '18.6,-69.8,1e1,,'
+        ].join('\n');
+
+        const result = parseCSVTrack(csv);
+
+        assert.deepEqual(result.points, [{ lat: 18.5, lng: -69.9 }, { lat: 18.6, lng: -69.8, speed: 10 }]);
+        assert.equal(result.skippedRows, 3);
+        assert.deepEqual(result.warnings.map(w => [w.line, w.message]), [
+            [2, 'invalid speed "12abc", row skipped'],
+            [3, 'invalid coordinates "18.5abc", "-69.9", row skipped'],
+            [4, 'invalid coordinates "95", "-69.9", row skipped'],
+            [5, 'invalid time "yesterday" ignored'],
+            [5, 'invalid dwell "-5" ignored']
+        ]);
+    });
+
+    it('rejects empty content and unknown options', () => {
+        assert.throws(() => parseCSVTrack(''), { code: 'INVALID_CSV' });
+        assert.throws(() => parseCSVTrack('lat,lng\n1,2', { speedUnit: 'furlongs' }), { code: 'INVALID_CSV' });
+        assert.throws(() => parseCSVTrack('lat,lng\n1,2', { delimiter: '||' }), { code: 'INVALID_CSV' });
+    });
+});
@@ -0,0 +1,117 @@
+/**
+ * geojson.util: route FeatureCollections in and out
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRouteGeoJSON, selectGeoJSONLine, routeToGeoJSON } = require('../src/utils/geojson.util');
+
+const COLLECTION = {
+    type: 'FeatureCollection',
+    properties: { name: 'Delivery run' },
+    features: [
+        {
+            type: 'Feature',
+            geometry: { type: 'LineString', coordinates: [[-69.9312, 18.4861, 35], [-69.931, 18.4865], ['x', 18.49], [-69.93, 18.487]] },
+            properties: {
+                name: 'Main road',
+                coordTimes: ['2026-03-01T08:00:00Z', 'later', null, '2026-03-01T08:00:10Z'],
+                speedsKmh: [30, 0, null, 45]
+            }
+        },
+        { type: 'Feature', geometry: { type: 'Point', coordinates: [-69.93, 18.487] }, properties: { name: 'Depot', kind: 'destination', dwellSeconds: 120 } },
+        { type: 'Feature', geometry: { type: 'Point', coordinates: [-69.92, 18.49] }, properties: { label: 'Gate', kind: 'parking', dwellSeconds: -1 } },
+        { type: 'Feature', geometry: { type: 'Polygon', coordinates: [] }, properties: {} },
+        { type: 'Feature', geometry: null, properties: {} }
+    ]
+};
+
+describe('parseRouteGeoJSON', () => {
+    it('reads lines with their per-point arrays and point waypoints', () => {
+        const doc = parseRouteGeoJSON(COLLECTION);
+
+        assert.equal(doc.name, 'Delivery run');
+        assert.equal(doc.lines.length, 1);
+        assert.deepEqual(doc.lines[0].points, [
+            { lat: 18.4861, lng: -69.9312, altitude: 35, time: '2026-03-01T08:00:00Z', speed: 30 },
+            { lat: 18.4865, lng: -69.931 },
+            { lat: 18.487, lng: -69.93, time: '2026-03-01T08:00:10Z', speed: 45 }
+        ]);
+        assert.deepEqual(doc.waypoints.map(w => [w.name, w.kind, w.dwellSeconds, w.feature]), [
+            ['Depot', 'destination', 120, 1],
+            ['Gate', 'stop', undefined, 2]
+        ]);
+    });
+
+    it('warns about skipped positions, features and bad properties', () => {
+        const doc = parseRouteGeoJSON(JSON.stringify(COLLECTION));
+
+        assert.deepEqual(doc.warnings.map(w => [w.element, w.message]), [
+            ['features[0]', '1 invalid positions skipped'],
+            ['features[2]', 'unknown kind "parking", used as a stop'],
+            ['features[2]', 'invalid dwellSeconds -1 ignored'],
+            ['features[3]', 'Polygon features are not used, skipped'],
+            ['features[4]', 'feature without geometry, skipped']
+        ]);
+    });
+
+    it('joins MultiLineString parts with nested property arrays', () => {
+        const doc = parseRouteGeoJSON({
+            type: 'Feature',
+            geometry: { type: 'MultiLineString', coordinates: [[[0, 0], [0, 0.001]], [[0, 0.002], [0, 0.003]]] },
+            properties: { speeds: [[10, 10], [20, 20]] }
+        });
+
+        assert.deepEqual(doc.lines[0].points.map(p => p.speed), [36, 36, 72, 72]);
+        assert.match(doc.warnings[0].message, /^MultiLineString parts 0 and 1 joined across a 111m gap$/);
+    });
+
+    it('accepts a bare geometry and rejects what is not GeoJSON', () => {
+        assert.equal(parseRouteGeoJSON({ type: 'LineString', coordinates: [[1, 2], [3, 4]] }).lines[0].points.length, 2);
+        assert.throws(() => parseRouteGeoJSON('{'), { code: 'INVALID_GEOJSON', message: /not valid JSON/ });
+        assert.throws(() => parseRouteGeoJSON({ type: 'FeatureCollection' }), { code: 'INVALID_GEOJSON' });
+        assert.throws(() => parseRouteGeoJSON({ type: 'Topology' }), { code: 'INVALID_GEOJSON' });
+    });
+});
+
+describe('selectGeoJSONLine', () => {
+    it('takes the first line unless one is chosen', () => {
+        const doc = parseRouteGeoJSON({
+            type: 'FeatureCollection',
+            features: [
+                { type: 'Feature', geometry: { type: 'LineString', coordinates: [[1, 2], [3, 4]] }, properties: { name: 'A' } },
+                { type: 'Feature', geometry: { type: 'LineString', coordinates: [[5, 6], [7, 8]] }, properties: { name: 'B' } }
+            ]
+        });
+
+        assert.match(selectGeoJSONLine(doc).warnings[0].message, /^2 lines found/);
+        assert.equal(selectGeoJSONLine(doc, 1).name, 'B');
+        assert.throws(() => selectGeoJSONLine(doc, 2), { code: 'INVALID_GEOJSON' });
+        assert.throws(() => selectGeoJSONLine(parseRouteGeoJSON({ type: 'FeatureCollection', features: [] })), { code: 'INVALID_GEOJSON' });
+    });
+});
+
+describe('routeToGeoJSON', () => {
+    it('round-trips points, times, speeds and waypoints', () => {
+        const route = {
+            routeId: 'r1',
+            name: 'Run',
+            sourceType: 'geojson',
+            points: [
+                { lat: 18.4861, lng: -69.9312, altitude: 35, speed: 30, bearing: 10, time: '2026-03-01T08:00:00.000Z' },
+                { lat: 18.487, lng: -69.93, altitude: null, speed: 45, bearing: 20, time: '2026-03-01T08:00:10.000Z' }
+            ],
+            waypoints: [{ id: 'w1', seq: 1, kind: 'destination', label: 'Depot', text: 'Bay 2', lat: 18.487, lng: -69.93, dwellSeconds: 120, pointIndex: 1 }]
+        };
+
+        const geojson = routeToGeoJSON(route);
+        assert.deepEqual(geojson.features[0].geometry.coordinates, [[-69.9312, 18.4861, 35], [-69.93, 18.487]]);
+
+        const doc = parseRouteGeoJSON(JSON.parse(JSON.stringify(geojson)));
+        assert.deepEqual(doc.lines[0].points, route.points.map(({ bearing, altitude, ...p }) => (
+            altitude === null ? p : { ...p, altitude }
+        )));
+        assert.deepEqual(doc.waypoints.map(w => [w.name, w.description, w.kind, w.dwellSeconds]), [['Depot', 'Bay 2', 'destination', 120]]);
+        assert.deepEqual(doc.warnings, []);
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * gpx.importer: document structure, point fields, warnings and point selection
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseGPXDocument, selectGPXPoints } = require('../src/utils/gpx.importer');
+
+const GPX = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1"
+     xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v2">
+  <metadata><name>Morning run</name></metadata>
+  <wpt lat="18.4870" lon="-69.9300"><name>Depot</name><desc>Loading bay</desc><sym>Flag</sym></wpt>
+  <trk>
+    <name>Track A</name>
+    <trkseg>
+      <trkpt lat="18.4861" lon="-69.9312">
+        <ele>35.5</ele><time>2026-03-01T08:00:00Z</time>
+        <extensions><gpxtpx:TrackPointExtension><gpxtpx:speed>5</gpxtpx:speed><gpxtpx:course>-90</gpxtpx:course></gpxtpx:TrackPointExtension></extensions>
+      </trkpt>
+      <trkpt lat="18.4865" lon="-69.9310"><ele>high</ele><time>soon</time></trkpt>
+      <trkpt lat="95" lon="-69.9310"/>
+    </trkseg>
+    <trkseg>
+      <trkpt lat="18.4900" lon="-69.9200"/>
+    </trkseg>
+  </trk>
+  <rte>
+    <name><![CDATA[Route & back]]></name>
+    <rtept lat="18.50" lon="-69.90"/>
+    <rtept lat="18.51" lon="-69.91"/>
+  </rte>
+</gpx>`;
+
+describe('parseGPXDocument', () => {
+    it('keeps tracks, segments, routes and waypoints', () => {
+        const doc = parseGPXDocument(GPX);
+
+        assert.equal(doc.version, '1.1');
+        assert.equal(doc.name, 'Morning run');
+        assert.equal(doc.tracks.length, 1);
+        assert.equal(doc.tracks[0].name, 'Track A');
+        assert.deepEqual(doc.tracks[0].segments.map(s => s.points.length), [2, 1]);
+        assert.equal(doc.routes[0].name, 'Route & back');
+        assert.deepEqual(doc.routes[0].points, [{ lat: 18.5, lng: -69.9 }, { lat: 18.51, lng: -69.91 }]);
+        assert.deepEqual(doc.waypoints, [{
+            lat: 18.487, lng: -69.93, name: 'Depot', description: 'Loading bay', symbol: 'Flag', type: null
+        }]);
+    });
+
+    it('reads elevation, time and speed / course from extensions', () => {
+        const [first] = parseGPXDocument(GPX).tracks[0].segments[0].points;
+
+        assert.deepEqual(first, { lat: 18.4861, lng: -69.9312, altitude: 35.5, time: '2026-03-01T08:00:00Z', speed: 18, bearing: 270 });
+    });
+
+    it('reports bad fields and skipped points with their line', () => {
+        const doc = parseGPXDocument(GPX);
+
+        assert.deepEqual(doc.tracks[0].segments[0].points[1], { lat: 18.4865, lng: -69.931 });
+        assert.deepEqual(doc.warnings, [
+            { element: 'trkpt', line: 13, message: 'invalid <ele> "high" ignored' },
+            { element: 'trkpt', line: 13, message: 'invalid <time> "soon" ignored' },
+            { element: 'trkpt', line: 14, message: 'invalid coordinates lat="95" lon="-69.9310", point skipped' }
+        ]);
+        assert.equal(doc.warningCount, 3);
+    });
+
+    it('reads GPX 1.0 speed and course on the point', () => {
+        const doc = parseGPXDocument('<gpx version="1.0"><name>Old</name><trk><trkseg>'
+            + '<trkpt lat="1" lon="2"><speed>10</speed><course>45</course></trkpt></trkseg></trk></gpx>');
+
+        assert.equal(doc.name, 'Old');
+        assert.deepEqual(doc.tracks[0].segments[0].points, [{ lat: 1, lng: 2, speed: 36, bearing: 45 }]);
+    });
+
+    it('rejects documents that are not GPX', () => {
+        assert.throws(() => parseGPXDocument(''), { code: 'INVALID_GPX' });
+        assert.throws(() => parseGPXDocument('<kml><Document/></kml>'), { code: 'INVALID_GPX' });
+        assert.throws(() => parseGPXDocument('<gpx version="1.1"><trk>'), { code: 'INVALID_XML' });
+    });
+});
+
+describe('selectGPXPoints', () => {
+    const doc = parseGPXDocument(GPX);
+
+    it('joins the segments of the first track by default and reports the gap', () => {
+        const selected = selectGPXPoints(doc);
+
+        assert.deepEqual(selected.source, { type: 'track', index: 0, segment: null });
+        assert.equal(selected.points.length, 3);
+        assert.equal(selected.warnings.length, 1);
+        assert.match(selected.warnings[0].message, /^segments 0 and 1 joined across a \d+m gap$/);
+    });
+
+    it('selects a segment or a route', () => {
+        assert.equal(selectGPXPoints(doc, { track: 0, segment: '1' }).points.length, 1);
+        assert.equal(selectGPXPoints(doc, { route: 0 }).name, 'Route & back');
+        assert.throws(() => selectGPXPoints(doc, { route: 0, track: 0 }), { code: 'INVALID_GPX' });
+        assert.throws(() => selectGPXPoints(doc, { segment: 0 }), { code: 'INVALID_GPX' });
+        assert.throws(() => selectGPXPoints(doc, { track: 3 }), { code: 'INVALID_GPX', message: /track 3 not found/ });
+        assert.throws(() => selectGPXPoints(doc, { track: -1 }), { code: 'INVALID_GPX' });
+    });
+
+    it('falls back to the waypoints', () => {
+        const selected = selectGPXPoints(parseGPXDocument('<gpx version="1.1"><wpt lat="1" lon="2"/><wpt lat="3" lon="4"/></gpx>'));
+
+        assert.equal(selected.source.type, 'waypoints');
+        assert.equal(selected.points.length, 2);
+        assert.equal(selected.warnings[0].element, 'gpx');
+    });
+});
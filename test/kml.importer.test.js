@@ -0,0 +1,186 @@
+/**
+ * kml.importer, kmz.util and kml.writer: lines, placemarks, KMZ archives and a round trip
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { parseKMLDocument, selectKMLLine } = require('../src/utils/kml.importer');
+const { isZip, extractKml } = require('../src/utils/kmz.util');
+const { buildKML } = require('../src/utils/kml.writer');
+
+const KML = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">
+  <Document>
+    <name>Delivery run</name>
+    <Folder>
+      <Placemark>
+        <name>Main road</name>
+        <LineString>
+          <altitudeMode>absolute</altitudeMode>
+          <coordinates>
+            -69.9312,18.4861,35 -69.9310,18.4865,36
+            bad,tuple -69.9300,18.4870,37
+          </coordinates>
+        </LineString>
+      </Placemark>
+      <Placemark>
+        <name>Depot</name>
+        <description>Loading bay</description>
+        <ExtendedData>
+          <Data name="kind"><value>stop</value></Data>
+          <Data name="dwellSeconds"><value>120</value></Data>
+        </ExtendedData>
+        <Point><coordinates>-69.9300,18.4870,37</coordinates></Point>
+      </Placemark>
+    </Folder>
+    <Placemark>
+      <name>Recorded</name>
+      <gx:Track>
+        <when>2026-03-01T08:00:00Z</when><when>2026-03-01T08:00:05Z</when>
+        <gx:coord>-69.93 18.48 10</gx:coord><gx:coord>-69.92 18.49 11</gx:coord>
+      </gx:Track>
+    </Placemark>
+    <Placemark>
+      <ExtendedData><SchemaData><SimpleData name="dwellSeconds">soon</SimpleData></SchemaData></ExtendedData>
+      <Point><coordinates>-69.91,18.50</coordinates></Point>
+    </Placemark>
+    <Placemark><Polygon><outerBoundaryIs/></Polygon></Placemark>
+  </Document>
+</kml>`;
+
+/**
+ * Minimal zip archive (deflated entries, no CRC: kmz.util doesn't check it)
+ */
+function zipOf(files) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    Object.entries(files).forEach(([name, content]) => {
+        const data = zlib.deflateRawSync(Buffer.from(content));
+        const nameBytes = Buffer.from(name);
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(8, 8);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(Buffer.byteLength(content), 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(Buffer.byteLength(content), 24);
+        central.writeUInt16LE(nameBytes.length, 28);
+        central.writeUInt32LE(offset, 42);
+        locals.push(local, nameBytes, data);
+        centrals.push(central, nameBytes);
+        offset += local.length + nameBytes.length + data.length;
+    });
+    const directory = Buffer.concat(centrals);
+    const eocd = Buffer.alloc(22);
+    eocd.writeUInt32LE(0x06054b50, 0);
+    eocd.writeUInt16LE(Object.keys(files).length, 8);
+    eocd.writeUInt16LE(Object.keys(files).length, 10);
+    eocd.writeUInt32LE(directory.length, 12);
+    eocd.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, eocd]);
+}
+
+describe('parseKMLDocument', () => {
+    const doc = parseKMLDocument(KML);
+
+    it('reads LineStrings and gx:Tracks at any folder depth', () => {
+        assert.equal(doc.name, 'Delivery run');
+        assert.deepEqual(doc.lines.map(l => [l.index, l.name, l.points.length]), [[0, 'Main road', 3], [1, 'Recorded', 2]]);
+        assert.deepEqual(doc.lines[0].points[0], { lat: 18.4861, lng: -69.9312, altitude: 35 });
+        // gx:Track without altitudeMode: clamped to the ground, times kept
+        assert.deepEqual(doc.lines[1].points[1], { lat: 18.49, lng: -69.92, time: '2026-03-01T08:00:05Z' });
+    });
+
+    it('keeps point placemarks with their ExtendedData and dwell', () => {
+        assert.equal(doc.placemarks.length, 2);
+        const [depot, other] = doc.placemarks;
+        assert.equal(depot.name, 'Depot');
+        assert.equal(depot.description, 'Loading bay');
+        assert.equal(depot.kind, 'stop');
+        assert.equal(depot.dwellSeconds, 120);
+        assert.equal(depot.altitude, undefined);
+        assert.deepEqual(depot.data, { kind: 'stop', dwellSeconds: '120' });
+        assert.equal(other.dwellSeconds, undefined);
+    });
+
+    it('warns about bad coordinates, dwell values and polygons', () => {
+        assert.deepEqual(doc.warnings.map(w => [w.element, w.message]), [
+            ['LineString', 'invalid coordinates "bad,tuple", skipped'],
+            ['Placemark', 'invalid dwellSeconds "soon" ignored'],
+            ['Polygon', 'polygons are not routes, skipped']
+        ]);
+    });
+
+    it('reads the dwell from another field when asked', () => {
+        const custom = parseKMLDocument(KML, { dwellField: 'kind' });
+
+        assert.equal(custom.placemarks[0].dwellSeconds, undefined);
+        assert.equal(custom.warnings.filter(w => w.message.startsWith('invalid kind')).length, 1);
+    });
+
+    it('rejects documents that are not KML', () => {
+        assert.throws(() => parseKMLDocument(''), { code: 'INVALID_KML' });
+        assert.throws(() => parseKMLDocument('<gpx version="1.1"/>'), { code: 'INVALID_KML' });
+        assert.throws(() => parseKMLDocument('<kml><Placemark><Placemark/></Placemark></kml>'), { code: 'INVALID_KML', message: /Nested/ });
+    });
+});
+
+describe('selectKMLLine', () => {
+    const doc = parseKMLDocument(KML);
+
+    it('takes the first line and says so when there are several', () => {
+        const selected = selectKMLLine(doc);
+
+        assert.equal(selected.name, 'Main road');
+        assert.match(selected.warnings[0].message, /^2 lines found, imported line 0/);
+        assert.deepEqual(selectKMLLine(doc, '1').warnings, []);
+    });
+
+    it('rejects missing lines', () => {
+        assert.throws(() => selectKMLLine(doc, 2), { code: 'INVALID_KML', message: /line 2 not found/ });
+        assert.throws(() => selectKMLLine(doc, 'x'), { code: 'INVALID_KML' });
+        assert.throws(() => selectKMLLine(parseKMLDocument('<kml><Document/></kml>')), { code: 'INVALID_KML' });
+    });
+});
+
+describe('extractKml', () => {
+    it('prefers doc.kml, then a root .kml', () => {
+        const kmz = zipOf({ 'files/icon.png': 'png', 'files/other.kml': '<kml/>', 'doc.kml': KML });
+
+        assert.equal(isZip(kmz), true);
+        assert.equal(extractKml(kmz), KML);
+        assert.equal(extractKml(zipOf({ 'files/a.kml': 'nested', 'route.kml': 'root' })), 'root');
+    });
+
+    it('rejects archives without KML and files that are not zips', () => {
+        assert.equal(isZip(Buffer.from(KML)), false);
+        assert.throws(() => extractKml(Buffer.from(KML)), { code: 'INVALID_KMZ' });
+        assert.throws(() => extractKml(zipOf({ 'icon.png': 'png' })), { code: 'INVALID_KMZ', message: /no \.kml/ });
+    });
+});
+
+describe('buildKML', () => {
+    it('round-trips a route with altitudes and stops', () => {
+        const kml = buildKML({
+            name: 'Run <1> & back',
+            points: [{ lat: 18.4861, lng: -69.9312, altitude: 35 }, { lat: 18.4870, lng: -69.93, altitude: 37 }],
+            waypoints: [{ kind: 'stop', label: 'Depot', text: 'Bay 2', lat: 18.487, lng: -69.93, dwellSeconds: 120 }]
+        });
+
+        const doc = parseKMLDocument(kml);
+
+        assert.equal(doc.name, 'Run <1> & back');
+        assert.deepEqual(doc.lines[0].points, [{ lat: 18.4861, lng: -69.9312, altitude: 35 }, { lat: 18.487, lng: -69.93, altitude: 37 }]);
+        assert.equal(doc.placemarks.length, 1);
+        assert.equal(doc.placemarks[0].name, 'Depot');
+        assert.equal(doc.placemarks[0].kind, 'stop');
+        assert.equal(doc.placemarks[0].dwellSeconds, 120);
+        assert.deepEqual(doc.warnings, []);
+    });
+});
@@ -0,0 +1,145 @@
+/**
+ * map.match.service: batching, segment stitching and fallbacks against a stub backend
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../src/config/config');
+const mapMatch = require('../src/services/map.match.service');
+const { calculateDistance } = require('../src/utils/geospatial.util');
+
+// Recorded track: 13 points ~11 m apart heading north
+const TRACK = Array.from({ length: 13 }, (_, i) => ({ lat: 18.48 + i * 0.0001, lng: -69.93 }));
+// The "road" runs ~5 m east of the track
+const ROAD_OFFSET = 0.00005;
+
+/**
+ * Backend that matches every batch onto the road, with a confidence per batch start
+ */
+function stubBackend({ confidence = () => 1, fail = () => null } = {}) {
+    const batches = [];
+    return {
+        batches,
+        name: 'stub',
+        async match(points) {
+            const start = batches.length;
+            batches.push(points);
+            const error = fail(start);
+            if (error) throw error;
+            return [{
+                fromIndex: 0,
+                toIndex: points.length - 1,
+                confidence: confidence(start),
+                geometry: points.map(p => ({ lat: p.lat, lng: p.lng + ROAD_OFFSET }))
+            }];
+        }
+    };
+}
+
+function onRoad(point) {
+    return Math.abs(point.lng - (-69.93 + ROAD_OFFSET)) < 1e-9;
+}
+
+describe('snapToRoads', () => {
+    const saved = {};
+
+    before(() => {
+        saved.batchSize = config.MAP_MATCH_BATCH_SIZE;
+        saved.minConfidence = config.MAP_MATCH_MIN_CONFIDENCE;
+        saved.provider = config.MAP_MATCH_PROVIDER;
+    });
+
+    beforeEach(() => {
+        config.MAP_MATCH_BATCH_SIZE = 5;
+        config.MAP_MATCH_MIN_CONFIDENCE = 0.3;
+    });
+
+    after(() => {
+        config.MAP_MATCH_BATCH_SIZE = saved.batchSize;
+        config.MAP_MATCH_MIN_CONFIDENCE = saved.minConfidence;
+        config.MAP_MATCH_PROVIDER = saved.provider;
+        mapMatch.useBackend(null);
+    });
+
+    it('sends overlapping batches and stitches their segments without duplicates', async () => {
+        const backend = stubBackend();
+        mapMatch.useBackend(backend);
+
+        const result = await mapMatch.snapToRoads(TRACK);
+
+        assert.deepEqual(backend.batches.map(b => b.length), [5, 5, 5]);
+        assert.deepEqual(backend.batches[1][0], TRACK[4]);
+        assert.deepEqual(backend.batches[2][0], TRACK[8]);
+        assert.deepEqual(
+            result.segments.map(s => [s.fromIndex, s.toIndex, s.matched]),
+            [[0, 4, true], [4, 8, true], [8, 12, true]]
+        );
+        assert.equal(result.provider, 'stub');
+        assert.equal(result.matchedShare, 1);
+        assert.deepEqual(result.warnings, []);
+
+        assert.ok(result.points.every(onRoad));
+        for (let i = 1; i < result.points.length; i++) {
+            const gap = calculateDistance(result.points[i - 1], result.points[i]);
+            assert.ok(gap >= 0.5 && gap <= 10.01, `gap ${gap} between points ${i - 1} and ${i}`);
+            assert.ok(result.points[i].lat > result.points[i - 1].lat);
+        }
+    });
+
+    it('carries dwell, label and time onto the matched geometry once, even on a batch boundary', async () => {
+        mapMatch.useBackend(stubBackend());
+        const track = TRACK.map((p, i) => ({ ...p, time: new Date(Date.UTC(2026, 0, 1, 8, 0, i * 2)).toISOString() }));
+        track[4] = { ...track[4], dwellSeconds: 30, label: 'Depot' };
+        track[10] = { ...track[10], dwellSeconds: 12 };
+
+        const result = await mapMatch.snapToRoads(track);
+
+        const dwells = result.points.filter(p => p.dwellSeconds > 0);
+        assert.deepEqual(dwells.map(p => p.dwellSeconds), [30, 12]);
+        assert.equal(dwells[0].label, 'Depot');
+        assert.ok(onRoad(dwells[0]));
+        assert.ok(calculateDistance(dwells[0], track[4]) < 6);
+        assert.equal(dwells[0].time, track[4].time);
+        assert.ok(calculateDistance(dwells[1], track[10]) < 6);
+    });
+
+    it('keeps the recorded points of a low-confidence match', async () => {
+        mapMatch.useBackend(stubBackend({ confidence: batch => (batch === 1 ? 0.1 : 0.9) }));
+
+        const result = await mapMatch.snapToRoads(TRACK);
+
+        assert.deepEqual(result.segments.map(s => s.matched), [true, false, true]);
+        assert.equal(result.segments[1].confidence, 0.1);
+        assert.equal(result.warnings.length, 1);
+        assert.match(result.warnings[0].message, /points 4-8: match confidence 0.1 below 0.3/);
+        // Points 5-7 only belong to the rejected batch
+        [5, 6, 7].forEach((i) => {
+            assert.ok(result.points.some(p => p.lat === TRACK[i].lat && p.lng === TRACK[i].lng), `point ${i} kept`);
+        });
+        assert.ok(onRoad(result.points[0]));
+        assert.ok(onRoad(result.points[result.points.length - 1]));
+        // 10 of 13: the boundary points 4 and 8 belong to the matched batches
+        assert.equal(result.matchedShare, 0.77);
+    });
+
+    it('keeps a batch without a road match and fails when the backend is unavailable', async () => {
+        const noMatch = Object.assign(new Error('no segment near'), { code: 'MAP_MATCH_NO_MATCH' });
+        mapMatch.useBackend(stubBackend({ fail: batch => (batch === 2 ? noMatch : null) }));
+
+        const result = await mapMatch.snapToRoads(TRACK);
+        assert.equal(result.segments.length, 2);
+        assert.match(result.warnings[0].message, /points 8-12: no road match/);
+        assert.deepEqual(result.points.slice(-4), TRACK.slice(-4));
+
+        mapMatch.useBackend(stubBackend({ fail: () => new Error('socket hang up') }));
+        await assert.rejects(mapMatch.snapToRoads(TRACK), { code: 'MAP_MATCH_FAILED' });
+    });
+
+    it('needs a backend', async () => {
+        mapMatch.useBackend(null);
+        config.MAP_MATCH_PROVIDER = '';
+
+        assert.equal(mapMatch.isEnabled(), false);
+        await assert.rejects(mapMatch.snapToRoads(TRACK), { code: 'MAP_MATCH_DISABLED' });
+    });
+});
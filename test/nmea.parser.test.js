@@ -0,0 +1,87 @@
+/**
+ * nmea.parser: RMC / GGA merging, dates and skipped lines
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseNMEATrack } = require('../src/utils/nmea.parser');
+
+// Reference sentences from the NMEA 0183 documentation (48°07.038'N 11°31.000'E)
+const RMC = '$GPRMC,123519,A,4807.038,N,01131.000,E,022.4,084.4,230394,003.1,W*6A';
+const GGA = '$GPGGA,123519,4807.038,N,01131.000,E,1,08,0.9,545.4,M,46.9,M,,*47';
+
+describe('parseNMEATrack', () => {
+    it('merges RMC and GGA of the same second into one point', () => {
+        const result = parseNMEATrack(`${RMC}\r\n${GGA}\r\n`);
+
+        assert.equal(result.points.length, 1);
+        const [point] = result.points;
+        assert.ok(Math.abs(point.lat - 48.1173) < 1e-6);
+        assert.ok(Math.abs(point.lng - 11.516667) < 1e-6);
+        assert.equal(point.altitude, 545.4);
+        assert.equal(point.speed, 41.5); // 22.4 knots
+        assert.ok(Math.abs(point.bearing - 84.4) < 1e-9);
+        assert.equal(point.time, '1994-03-23T12:35:19.000Z');
+        assert.deepEqual(result.sentences, { RMC: 1, GGA: 1 });
+        assert.equal(result.skippedLines, 0);
+    });
+
+    it('reads any talker, southern and western hemispheres, and ignores other sentences', () => {
+        const content = [
+            'logger v1.2 started',
+            '$GNRMC,080000.00,A,1829.0000,N,06955.8000,W,0.0,,010326,,,A',
+            '$GPGSV,3,1,11,03,03,111,00,04,15,270,00,06,01,010,00,13,06,292,00',
+            '$GLGGA,080001.00,3352.0000,S,15112.0000,E,1,07,1.0,12.0,M,,M,,'
+        ].join('\n');
+
+        const result = parseNMEATrack(content);
+
+        assert.equal(result.points.length, 2);
+        assert.ok(Math.abs(result.points[0].lat - 18.483333) < 1e-6);
+        assert.ok(Math.abs(result.points[0].lng - -69.93) < 1e-6);
+        assert.ok(result.points[1].lat < 0 && result.points[1].lng > 0);
+        // The GGA point takes its date from the preceding RMC
+        assert.equal(result.points[1].time, '2026-03-01T08:00:01.000Z');
+        assert.equal(result.totalLines, 3);
+    });
+
+    it('skips bad checksums, invalid fixes and positions with warnings', () => {
+        const content = [
+            RMC.replace('*6A', '*00'),
+            '$GPRMC,123520,V,4807.038,N,01131.000,E,,,230394,,',
+            '$GPGGA,123521,4807.038,N,01131.000,E,0,00,,,M,,M,,',
+            '$GPGGA,123522,4807.038,X,01131.000,E,1,08,0.9,545.4,M,,M,,',
+            '$GPGGA,123523,4807.038,N,01131.000,E,1,08,0.9,545.4,M,,M,,'
+        ].join('\n');
+
+        const result = parseNMEATrack(content);
+
+        assert.equal(result.points.length, 1);
+        assert.equal(result.skippedLines, 4);
+        assert.deepEqual(result.warnings.map(w => [w.line, w.message]), [
+            [1, 'bad checksum, line skipped'],
+            [2, 'RMC without a valid fix, line skipped'],
+            [3, 'GGA without a fix, line skipped'],
+            [4, 'invalid position in GGA, line skipped']
+        ]);
+        // GGA-only logs have no date
+        assert.equal(result.points[0].time, undefined);
+    });
+
+    it('dates GGA-only logs from the date option and rolls over midnight', () => {
+        const content = [
+            '$GPGGA,235959,4807.038,N,01131.000,E,1,08,0.9,545.4,M,,M,,',
+            '$GPGGA,000000,4807.038,N,01131.000,E,1,08,0.9,545.4,M,,M,,'
+        ].join('\n');
+
+        const result = parseNMEATrack(content, { date: '2026-03-01' });
+
+        assert.deepEqual(result.points.map(p => p.time), ['2026-03-01T23:59:59.000Z', '2026-03-02T00:00:00.000Z']);
+    });
+
+    it('rejects content without RMC or GGA and malformed dates', () => {
+        assert.throws(() => parseNMEATrack(''), { code: 'INVALID_NMEA' });
+        assert.throws(() => parseNMEATrack('$GPGSV,1,1,00'), { code: 'INVALID_NMEA' });
+        assert.throws(() => parseNMEATrack(GGA, { date: '03/01/2026' }), { code: 'INVALID_NMEA' });
+    });
+});
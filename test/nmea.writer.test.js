@@ -0,0 +1,73 @@
+/**
+ * nmea.writer: checksums, sentence fields and a round trip through nmea.parser
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { nmeaChecksum, buildNMEASentences } = require('../src/utils/nmea.writer');
+const { parseNMEATrack } = require('../src/utils/nmea.parser');
+
+const FIX = { lat: 18.4861, lng: -69.9312, altitude: 35.2, speed: 10, bearing: 270, accuracy: 5, verticalAccuracy: 7.5 };
+const TIME = '2026-03-01T14:05:09.250Z';
+
+function fieldsOf(sentence) {
+    return sentence.slice(1, sentence.lastIndexOf('*')).split(',');
+}
+
+describe('nmeaChecksum', () => {
+    it('XORs the sentence body', () => {
+        assert.equal(nmeaChecksum('GPGGA,123519,4807.038,N,01131.000,E,1,08,0.9,545.4,M,46.9,M,,'), '47');
+        assert.equal(nmeaChecksum(''), '00');
+    });
+});
+
+describe('buildNMEASentences', () => {
+    it('prints RMC, GGA and GSA with valid checksums and CRLF', () => {
+        const sentences = buildNMEASentences(FIX, TIME).split('\r\n');
+
+        assert.equal(sentences.pop(), '');
+        assert.deepEqual(sentences.map(s => s.slice(0, 6)), ['$GPRMC', '$GPGGA', '$GPGSA']);
+        sentences.forEach((s) => {
+            const star = s.lastIndexOf('*');
+            assert.equal(s.slice(star + 1), nmeaChecksum(s.slice(1, star)));
+        });
+    });
+
+    it('formats position, speed, course, date and altitude', () => {
+        const [rmc, gga, gsa] = buildNMEASentences(FIX, TIME).split('\r\n').map(fieldsOf);
+
+        assert.deepEqual(rmc.slice(1, 10), ['140509.25', 'A', '1829.1660', 'N', '06955.8720', 'W', '19.44', '270.0', '010326']);
+        assert.deepEqual(gga.slice(6, 11), ['1', '08', '1.0', '35.2', 'M']);
+        assert.equal(gsa[2], '3');
+        assert.deepEqual(gsa.slice(-3), ['1.8', '1.0', '1.5']);
+    });
+
+    it('reports a 2D fix without altitude', () => {
+        const [, gga, gsa] = buildNMEASentences({ lat: -33.8688, lng: 151.2093, speed: 0, bearing: -90, accuracy: 12 }, TIME)
+            .split('\r\n')
+            .map(fieldsOf);
+
+        assert.deepEqual(gga.slice(2, 6), ['3352.1280', 'S', '15112.5580', 'E']);
+        assert.deepEqual(gga.slice(9, 11), ['', '']);
+        assert.equal(gsa[2], '2');
+        assert.equal(gsa[gsa.length - 1], '');
+    });
+
+    it('rounds minutes up to the next degree instead of printing 60', () => {
+        const [rmc] = buildNMEASentences({ lat: 10.999999999, lng: 0, speed: 0, bearing: 0 }, TIME).split('\r\n').map(fieldsOf);
+
+        assert.deepEqual(rmc.slice(3, 5), ['1100.0000', 'N']);
+    });
+
+    it('round-trips through parseNMEATrack', () => {
+        const { points } = parseNMEATrack(buildNMEASentences(FIX, TIME));
+
+        assert.equal(points.length, 1);
+        assert.ok(Math.abs(points[0].lat - FIX.lat) < 1e-6);
+        assert.ok(Math.abs(points[0].lng - FIX.lng) < 1e-6);
+        assert.equal(points[0].altitude, FIX.altitude);
+        assert.equal(points[0].speed, 36); // 10 m/s
+        assert.equal(points[0].bearing, 270);
+        assert.equal(points[0].time, TIME);
+    });
+});
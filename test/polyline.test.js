@@ -0,0 +1,51 @@
+/**
+ * geospatial.util encodePolyline / decodePolyline (precision 5 and 6)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { encodePolyline, decodePolyline } = require('../src/utils/geospatial.util');
+
+// Example from Google's encoded polyline algorithm documentation
+const GOOGLE_POINTS = [{ lat: 38.5, lng: -120.2 }, { lat: 40.7, lng: -120.95 }, { lat: 43.252, lng: -126.453 }];
+const GOOGLE_ENCODED = '_p~iF~ps|U_ulLnnqC_mqNvxq`@';
+
+describe('encodePolyline', () => {
+    it('matches the reference encoding', () => {
+        assert.equal(encodePolyline(GOOGLE_POINTS), GOOGLE_ENCODED);
+    });
+
+    it('encodes nothing for no points', () => {
+        assert.equal(encodePolyline([]), '');
+        assert.equal(encodePolyline(null), '');
+    });
+});
+
+describe('decodePolyline', () => {
+    it('decodes the reference encoding', () => {
+        assert.deepEqual(decodePolyline(GOOGLE_ENCODED), GOOGLE_POINTS);
+    });
+
+    it('round-trips at precision 6 (OSRM / Valhalla)', () => {
+        const points = [{ lat: 18.486058, lng: -69.931212 }, { lat: 18.479123, lng: -69.912001 }, { lat: -33.868820, lng: 151.209296 }];
+        const encoded = encodePolyline(points, 6);
+
+        assert.deepEqual(decodePolyline(encoded, 6), points);
+        // Read at the wrong precision the coordinates come out 10x too large
+        assert.ok(Math.abs(decodePolyline(encoded, 5)[0].lat - 184.86058) < 1e-9);
+    });
+
+    it('rounds to the encoding precision', () => {
+        const [point] = decodePolyline(encodePolyline([{ lat: 18.4860584, lng: -69.9312126 }]));
+
+        assert.deepEqual(point, { lat: 18.48606, lng: -69.93121 });
+    });
+
+    it('rejects truncated strings, invalid characters and non-strings', () => {
+        assert.throws(() => decodePolyline(GOOGLE_ENCODED.slice(0, -1)), { code: 'INVALID_POLYLINE', message: /truncated/ });
+        assert.throws(() => decodePolyline('_p~iF ~ps|U'), { code: 'INVALID_POLYLINE', message: /unexpected character at 5/ });
+        assert.throws(() => decodePolyline('~~~~~~~~'), { code: 'INVALID_POLYLINE', message: /too large/ });
+        assert.throws(() => decodePolyline(42), { code: 'INVALID_POLYLINE' });
+        assert.deepEqual(decodePolyline(''), []);
+    });
+});
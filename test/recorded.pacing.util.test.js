@@ -0,0 +1,87 @@
+/**
+ * recorded.pacing.util: segment speeds, standing-still stops and outlier caps
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildRecordedPacing, recordedAdvanceMeters, countTimestamps } = require('../src/utils/recorded.pacing.util');
+const { cumulativeDistances } = require('../src/utils/speed.profile.util');
+
+const T0 = Date.UTC(2024, 5, 1, 8, 0, 0);
+
+/**
+ * Track heading north, ~100 m between points, stamped with the given seconds since T0
+ */
+function track(seconds) {
+    return seconds.map((s, i) => ({
+        lat: 18.48 + i * 0.0009,
+        lng: -69.93,
+        time: s === null ? undefined : new Date(T0 + s * 1000).toISOString()
+    }));
+}
+
+describe('recorded.pacing.util', () => {
+    describe('countTimestamps', () => {
+        it('counts points with a valid time only', () => {
+            assert.equal(countTimestamps([{ time: '2024-06-01T08:00:00Z' }, { time: 'soon' }, {}, { time: new Date(T0) }]), 2);
+            assert.equal(countTimestamps(null), 0);
+        });
+    });
+
+    describe('buildRecordedPacing', () => {
+        it('needs two timestamps', () => {
+            assert.equal(buildRecordedPacing(track([0, null, null])), null);
+        });
+
+        it('derives segment speeds and leaves untimed segments null', () => {
+            const { segSpeedsMps, stops } = buildRecordedPacing(track([0, 10, 20, null]));
+
+            assert.equal(segSpeedsMps.length, 3);
+            assert.ok(Math.abs(segSpeedsMps[0] - 10) < 0.1);
+            assert.ok(Math.abs(segSpeedsMps[1] - 10) < 0.1);
+            assert.equal(segSpeedsMps[2], null);
+            assert.deepEqual(stops, []);
+        });
+
+        it('turns standing still into a stop driven at the neighbouring speed', () => {
+            // 100 m in 10 s, then 100 m in 300 s (standing), then 100 m in 10 s
+            const { segSpeedsMps, stops } = buildRecordedPacing(track([0, 10, 310, 320]));
+
+            assert.deepEqual(stops, [{ pointIndex: 1, dwellSeconds: 290 }]);
+            assert.ok(Math.abs(segSpeedsMps[1] - 10) < 0.1);
+        });
+
+        it('caps glitch segments at maxSpeedKmh', () => {
+            // A GPS outlier: 100 m in 0.2 s (1800 km/h)
+            const points = track([0, 10, 10.2, 20.2]);
+
+            const { segSpeedsMps } = buildRecordedPacing(points);
+            assert.equal(segSpeedsMps[1], 200 / 3.6);
+            assert.ok(Math.abs(segSpeedsMps[2] - 10) < 0.1);
+
+            const capped = buildRecordedPacing(points, { maxSpeedKmh: 90 });
+            assert.equal(capped.segSpeedsMps[1], 90 / 3.6);
+        });
+    });
+
+    describe('recordedAdvanceMeters', () => {
+        it('crosses segments at each recorded speed', () => {
+            // 10 m/s, then 20 m/s
+            const points = track([0, 10, 15]);
+            const pacing = buildRecordedPacing(points);
+            const cum = cumulativeDistances(points);
+
+            const meters = recordedAdvanceMeters(pacing, cum, 0, 50, 10, 5);
+            // 50 m left at 10 m/s (5 s), then 5 s at 20 m/s
+            assert.ok(Math.abs(meters - 150) < 1, `advanced ${meters}`);
+        });
+
+        it('uses the fallback speed on segments without times', () => {
+            const points = track([0, 10, null]);
+            const pacing = buildRecordedPacing(points);
+            const cum = cumulativeDistances(points);
+
+            assert.ok(Math.abs(recordedAdvanceMeters(pacing, cum, 1, 0, 4, 5) - 20) < 1e-9);
+        });
+    });
+});
@@ -0,0 +1,124 @@
+/**
+ * stream.service: live stream controls on the distance engine, with Redis,
+ * Postgres and device sockets stubbed out
+ */
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const Module = require('module');
+const config = require('../src/config/config');
+
+// Straight route north, 40 points ~100 m apart
+const ROUTE = {
+    routeId: 'route-1',
+    points: Array.from({ length: 40 }, (_, i) => ({ lat: 18.48 + i * 0.0009, lng: -69.93 })),
+    waypoints: []
+};
+
+// Same route recorded at 36 km/h, except a GPS outlier between points 20 and 21 (100 m in 0.2 s)
+const T0 = Date.UTC(2024, 5, 1, 8, 0, 0);
+const RECORDED_ROUTE = {
+    routeId: 'route-recorded',
+    points: ROUTE.points.map((p, i) => ({
+        ...p,
+        time: new Date(T0 + (i <= 20 ? i * 10000 : i * 10000 - 9800)).toISOString()
+    })),
+    waypoints: []
+};
+const ROUTES = { [ROUTE.routeId]: ROUTE, [RECORDED_ROUTE.routeId]: RECORDED_ROUTE };
+
+const sent = [];
+const STUBS = {
+    'lib/redis.js': {
+        setStreamState: async () => {},
+        setStreamPosition: async () => {},
+        deleteStreamState: async () => {},
+        getStreamState: async () => null
+    },
+    'lib/prisma.js': {
+        prisma: new Proxy({}, {
+            get: () => new Proxy({}, {
+                get: (_, op) => async args => (op === 'create' ? { id: 'stream-1', ...args.data } : null)
+            })
+        })
+    },
+    'services/device.service.js': {
+        getDeviceConnection: () => ({ readyState: 1, bufferedAmount: 0, send: m => sent.push(JSON.parse(m)) })
+    },
+    'services/route.service.js': { getRoute: async routeId => ROUTES[routeId] || null },
+    'websocket/ws.server.js': { broadcast: () => {} }
+};
+const stubsByFile = new Map(Object.entries(STUBS).map(([file, stub]) => [path.join(__dirname, '../src', file), stub]));
+
+const sleep = ms => new Promise((resolve) => { setTimeout(resolve, ms); });
+// MOCK_LOCATION speeds are in m/s
+const lastSpeedKmh = () => sent[sent.length - 1].payload.speed * 3.6;
+
+describe('stream.service', () => {
+    const originalLoad = Module._load;
+    const originalLog = console.log;
+    const originalDistanceEngine = config.STREAM_DISTANCE_ENGINE;
+    let streamService;
+    let simulationService;
+
+    before(() => {
+        Module._load = function (request, parent, ...rest) {
+            const stub = stubsByFile.get(Module._resolveFilename(request, parent, ...rest));
+            return stub || originalLoad.call(this, request, parent, ...rest);
+        };
+        console.log = () => {};
+        config.STREAM_DISTANCE_ENGINE = true;
+        streamService = require('../src/services/stream.service');
+        simulationService = require('../src/services/simulation.service');
+    });
+
+    after(() => {
+        Module._load = originalLoad;
+        console.log = originalLog;
+        config.STREAM_DISTANCE_ENGINE = originalDistanceEngine;
+    });
+
+    afterEach(async () => {
+        await streamService.stopStream('device-1');
+        sent.length = 0;
+    });
+
+    describe('updateStream', () => {
+        // Seeded streams tick a fixed 10 simulated seconds here: up to 54 km/h of acceleration per tick
+        const OPTIONS = { speed: 20, intervalMs: 200, timeScale: 50, seed: 1 };
+
+        it('applies a speed change made while paused on resume', async () => {
+            await streamService.startStream('device-1', 'route-1', OPTIONS);
+            await sleep(250);
+            assert.equal(Math.round(lastSpeedKmh()), 20);
+
+            await streamService.pauseStream('device-1');
+            await streamService.updateStream('device-1', { speed: 90 });
+            await streamService.resumeStream('device-1');
+            await sleep(20);
+
+            // Accelerating from 20 km/h towards the new 90 km/h target
+            assert.ok(lastSpeedKmh() > 20, `speed ${lastSpeedKmh()}`);
+        });
+    });
+
+    describe('recorded pacing', () => {
+        it('drives a glitch segment without tripping anti-teleport', async () => {
+            const result = await simulationService.simulateRoute('route-recorded', { pacing: 'recorded', intervalMs: 1000, seed: 1 });
+
+            assert.equal(result.summary.abortedReason, null);
+            assert.equal(result.summary.finished, true);
+            assert.ok(result.summary.maxSpeedKmh <= config.STREAM_PACING_MAX_SPEED_KMH, `max ${result.summary.maxSpeedKmh} km/h`);
+        });
+
+        it('keeps long ticks under the per-tick ceiling', async () => {
+            // 60 s ticks would cover 600 m at the recorded 36 km/h
+            const result = await simulationService.simulateRoute('route-recorded', { pacing: 'recorded', intervalMs: 60000, seed: 1 });
+
+            assert.equal(result.summary.abortedReason, null);
+            assert.equal(result.summary.finished, true);
+            assert.ok(result.trajectory.every(fix => fix.speed * 60 <= 80 + 1e-6));
+        });
+    });
+});